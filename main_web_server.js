@@ -11,12 +11,35 @@ const pinoHttp = require('pino-http');
 const logger = require('./server/logger');
 const { register: metricsRegister } = require('./server/metrics');
 const inputRoutes = require('./server/routes/input');
+const { captureRawBody } = require('./server/middleware/readerAuth');
 const { getCurrentConfig } = require('./server/config/environment');
 const realtimeService = require('./server/services/realtimeService');
+const { movementEngine } = require('./server/services/movementEngine');
+const { readerHeartbeat } = require('./server/services/readerHeartbeat');
+const { readAggregator } = require('./server/services/readAggregator');
+const { readEventLog } = require('./server/services/readEventLog');
+const { writeJobs } = require('./server/services/writeJobs');
+const { checkouts } = require('./server/services/checkouts');
+const { kits } = require('./server/services/kits');
+const { ruleEngine } = require('./server/services/ruleEngine');
+const { webhooks } = require('./server/services/webhooks');
 
 // Import additional routes needed by the frontend
 const itemsRoutes = require('./server/routes/items');
 const timelineRoutes = require('./server/routes/timeline');
+const historyRoutes = require('./server/routes/history');
+const readersRoutes = require('./server/routes/readers');
+const readsRoutes = require('./server/routes/reads');
+const rfidWriteRoutes = require('./server/routes/rfidWrite');
+const epcRoutes = require('./server/routes/epc');
+const checkoutsRoutes = require('./server/routes/checkouts');
+const kitsRoutes = require('./server/routes/kits');
+const locationsRoutes = require('./server/routes/locations');
+const rulesRoutes = require('./server/routes/rules');
+const alertsRoutes = require('./server/routes/alerts');
+const webhooksRoutes = require('./server/routes/webhooks');
+const auditRoutes = require('./server/routes/audit');
+const camerasRoutes = require('./server/routes/cameras');
 const cctvRoutes = require('./server/routes/cctv');
 let groupsRoutes;
 try {
@@ -201,8 +224,9 @@ wss.on('error', (err) => {
 });
 
 // Middleware to parse JSON and urlencoded data
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// (raw body kept for signed reader payloads, see server/middleware/readerAuth.js)
+app.use(express.json({ limit: '50mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: captureRawBody }));
 
 // Debug middleware
 app.use((req, res, next) => {
@@ -218,6 +242,19 @@ app.use('/api/cctv', cctvRoutes);
 app.use('/api', timelineRoutes);
 app.use('/api', inputRoutes);
 app.use('/api/groups', groupsRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/readers', readersRoutes);
+app.use('/api/reads', readsRoutes);
+app.use('/api/rfid/write', rfidWriteRoutes);
+app.use('/api/epc', epcRoutes);
+app.use('/api/checkouts', checkoutsRoutes);
+app.use('/api/kits', kitsRoutes);
+app.use('/api/locations', locationsRoutes);
+app.use('/api/rules', rulesRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/cameras', camerasRoutes);
 
 // Monitoring and health check routes
 app.use('/api/monitoring', monitoringRoutes);
@@ -293,40 +330,6 @@ function getClientIP(req) {
   return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
 }
 
-// History endpoint from the original server
-app.get('/api/history', async (req, res) => {
-  try {
-    const query = `
-      SELECT 
-        item.designation,
-        item.inventory_code,
-        DATE_FORMAT(CONVERT_TZ(hist.dep,'GMT','Europe/Paris'),'%d/%m/%Y à %Hh %imin %ss') as dep,
-        DATE_FORMAT(CONVERT_TZ(hist.ret,'GMT','Europe/Paris'),'%d/%m/%Y à %Hh %imin %ss') as ret,
-        UNIX_TIMESTAMP(hist.dep) as depposix,
-        UNIX_TIMESTAMP(hist.ret) as retposix,
-        hist.antenna_dep,
-        hist.antenna_ret,
-        TIME_FORMAT(TIMEDIFF(hist.ret, hist.dep), '%Hh %imin %ss') as delai,
-        TIME_TO_SEC(TIMEDIFF(NOW(), hist.ret)) as days,
-        groupname.group_name as \`group\`,
-        groupname.group_name as group_name,
-        item.group_id
-      FROM hist
-      INNER JOIN item ON item.epc = hist.epchist
-      INNER JOIN groupname ON item.group_id = groupname.group_id
-      WHERE item.group_id <> 9 AND hist.dep IS NOT NULL AND hist.ret IS NOT NULL
-      ORDER BY hist.ret DESC
-      LIMIT 100
-    `;
-    
-    const [rows] = await pool.execute(query);
-    res.json({ success: true, data: { items: rows } });
-  } catch (error) {
-    req.log.error({ error: error.message, stack: error.stack }, 'History API error');
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // Enhanced health check with realtime service status
 app.get('/api/health', (req, res) => {
   const realtimeStatus = realtimeService.getStatus();
@@ -422,10 +425,35 @@ app.use((err, req, res, next) => {
 })();
 // === [Fin PATCH init realtime avec retry] ===================================
 
+// Movement history (departures / returns) - replaces the tr_historique trigger
+movementEngine.start();
+readerHeartbeat.start(monitoringService);
+// Read log partitions and retention
+readEventLog.start();
+// RFID write jobs: claim timeouts and read-back verification
+writeJobs.start();
+// Checkouts: departures / returns of checked-out items, overdue notifications
+checkouts.start();
+// Kits: completeness on departure / return
+kits.start();
+// Alert rules: geofence / forbidden-zone violations
+ruleEngine.start(monitoringService);
+// Outbound webhooks: durable delivery queue with retries
+webhooks.start();
+
 // Graceful shutdown handling (HTTP + WS)
 async function graceful() {
   if (__shuttingDown) { /* idempotent */ } else { __shuttingDown = true; }
   logger.info('Shutting down gracefully');
+  movementEngine.stop();
+  readerHeartbeat.stop();
+  readEventLog.stop();
+  writeJobs.stop();
+  checkouts.stop();
+  kits.stop();
+  ruleEngine.stop();
+  webhooks.stop();
+  await readAggregator.stop();
   try { await realtimeService.shutdown(); } catch (e) {
     logger.warn({ err: e?.message }, 'realtimeService shutdown warning');
   }
@@ -30,16 +30,20 @@ CREATE TABLE `item` (
   `designation` varchar(255) DEFAULT 'No_Des',
   `color` varchar(11) DEFAULT NULL,
   `show_in_main` tinyint(1) NOT NULL DEFAULT 0,
+  `first_seen` datetime DEFAULT NULL COMMENT 'First read by any reader',
+  `read_count` int(11) unsigned NOT NULL DEFAULT 0 COMMENT 'Raw reads, before aggregation',
+  `archived_at` datetime DEFAULT NULL COMMENT 'In the trash since (UTC); NULL = active',
   PRIMARY KEY (`id`),
   UNIQUE KEY `epc` (`epc`),
   KEY `idx_updated_at` (`updated_at`),
   KEY `idx_group_id` (`group_id`),
-  KEY `idx_show_in_main` (`show_in_main`)
+  KEY `idx_show_in_main` (`show_in_main`),
+  KEY `idx_archived_at` (`archived_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 -- ===============================================
 -- Table: hist  
--- Movement history automatically populated by trigger
+-- Movement history written by the server-side movement engine
 -- ===============================================
 CREATE TABLE `hist` (
   `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
@@ -61,57 +65,551 @@ CREATE TABLE `hist` (
 CREATE TABLE `groupname` (
   `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
   `group_id` varchar(11) DEFAULT NULL,
-  `group_name` varchar(11) DEFAULT NULL,
+  `group_name` varchar(64) DEFAULT NULL,
   `color` varchar(16) DEFAULT NULL,
+  `icon` varchar(16) DEFAULT NULL COMMENT 'Emoji shown in the timeline tree',
+  `description` varchar(255) DEFAULT NULL,
+  `sort_order` int(11) NOT NULL DEFAULT 0,
+  `archived_at` datetime DEFAULT NULL COMMENT 'Hidden from selectors and the timeline tree',
+  `movement_gap_seconds` int(11) unsigned DEFAULT NULL COMMENT 'Seconds without read before departure (NULL = MOVEMENT_GAP_SECONDS)',
   PRIMARY KEY (`id`),
-  KEY `idx_group_id` (`group_id`)
+  UNIQUE KEY `idx_group_id` (`group_id`),
+  KEY `idx_sort_order` (`sort_order`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 -- ===============================================
--- TRIGGER: tr_historique
--- Automatically creates movement history entries
+-- Table: location
+-- Location tree: site > building > room > zone (antennas map to a location)
 -- ===============================================
--- When an item's updated_at changes by more than 15 minutes (900 seconds),
--- automatically create a history record showing movement between antennas
-DELIMITER $$
-CREATE TRIGGER `tr_historique` 
-BEFORE UPDATE ON `item` 
-FOR EACH ROW 
-BEGIN
-    IF UNIX_TIMESTAMP(NEW.updated_at) - UNIX_TIMESTAMP(OLD.updated_at) > 900 THEN
-        INSERT INTO hist (epchist, dep, ret, antenna_dep, antenna_ret) 
-        VALUES (NEW.epc, OLD.updated_at, NEW.updated_at, OLD.antenna, NEW.antenna);
-    END IF;
-END$$
-DELIMITER ;
+CREATE TABLE `location` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `parent_id` int(11) unsigned DEFAULT NULL,
+  `name` varchar(255) NOT NULL,
+  `type` enum('site','building','room','zone') NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `created_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `idx_parent_name` (`parent_id`, `name`),
+  CONSTRAINT `fk_location_parent` FOREIGN KEY (`parent_id`) REFERENCES `location` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: reader
+-- Registered RFID readers (mac_address normalized: uppercase, no separators)
+-- ===============================================
+CREATE TABLE `reader` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `mac_address` varchar(64) NOT NULL,
+  `name` varchar(255) NOT NULL DEFAULT '',
+  `location` varchar(255) DEFAULT NULL,
+  `description` text DEFAULT NULL,
+  `enabled` tinyint(1) NOT NULL DEFAULT 1,
+  `field_order` varchar(255) DEFAULT NULL COMMENT 'CSV column order, e.g. antenna,epc,rssi,timestamp',
+  `created_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `mac_address` (`mac_address`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: reader_antenna
+-- Human labels for reader antennas (antenna = code stored in item.antenna)
+-- ===============================================
+CREATE TABLE `reader_antenna` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `reader_id` int(11) unsigned NOT NULL,
+  `antenna` varchar(11) NOT NULL,
+  `label` varchar(255) NOT NULL,
+  `location_id` int(11) unsigned DEFAULT NULL COMMENT 'Location of items last read on this antenna',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `reader_antenna` (`reader_id`, `antenna`),
+  KEY `idx_location_id` (`location_id`),
+  CONSTRAINT `fk_reader_antenna_reader` FOREIGN KEY (`reader_id`) REFERENCES `reader` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_reader_antenna_location` FOREIGN KEY (`location_id`) REFERENCES `location` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: reader_key
+-- Per-reader ingestion keys (API key or HMAC secret), see READER_AUTH
+-- ===============================================
+CREATE TABLE `reader_key` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `reader_id` int(11) unsigned NOT NULL,
+  `key_id` varchar(32) NOT NULL,
+  `secret` varchar(64) NOT NULL COMMENT 'Needed in clear to verify HMAC signatures',
+  `label` varchar(255) DEFAULT NULL,
+  `created_at` datetime DEFAULT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `key_id` (`key_id`),
+  KEY `idx_reader_id` (`reader_id`),
+  CONSTRAINT `fk_reader_key_reader` FOREIGN KEY (`reader_id`) REFERENCES `reader` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: reader_quarantine
+-- Reads from unregistered MACs held back by READER_STRICT_MODE=quarantine
+-- ===============================================
+CREATE TABLE `reader_quarantine` (
+  `id` bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+  `mac_address` varchar(255) DEFAULT NULL,
+  `reader_name` varchar(255) DEFAULT NULL,
+  `epc` varchar(64) NOT NULL,
+  `antenna` varchar(11) DEFAULT NULL,
+  `endpoint` varchar(64) DEFAULT NULL,
+  `received_at` datetime NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_mac_address` (`mac_address`),
+  KEY `idx_received_at` (`received_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: write_job
+-- RFID encoding queue polled by the writer devices (/api/rfid/write)
+-- ===============================================
+CREATE TABLE `write_job` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `epc` varchar(255) NOT NULL,
+  `serial_number` varchar(255) DEFAULT NULL,
+  `designation` varchar(255) DEFAULT NULL,
+  `group_id` bigint(255) DEFAULT NULL,
+  `mac_address` varchar(64) DEFAULT NULL COMMENT 'Writer that must encode the tag, NULL for any',
+  `writer_mac` varchar(64) DEFAULT NULL COMMENT 'Writer that claimed the job',
+  `status` enum('pending','claimed','written','verified','failed','cancelled') NOT NULL DEFAULT 'pending',
+  `attempts` int(11) unsigned NOT NULL DEFAULT 0,
+  `error` varchar(255) DEFAULT NULL,
+  `verified_by` varchar(255) DEFAULT NULL COMMENT 'Reader MAC#antenna of the confirming read',
+  `created_at` datetime DEFAULT NULL,
+  `claimed_at` datetime DEFAULT NULL,
+  `written_at` datetime DEFAULT NULL,
+  `verified_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_status` (`status`, `id`),
+  KEY `idx_epc` (`epc`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: epc_sequence
+-- Serial counters for generated EPCs, one per scheme + company prefix + reference
+-- ===============================================
+CREATE TABLE `epc_sequence` (
+  `name` varchar(100) NOT NULL,
+  `last_value` bigint(20) unsigned NOT NULL,
+  PRIMARY KEY (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: checkout
+-- Equipment handed out to a person for a job, with an expected return time
+-- ===============================================
+CREATE TABLE `checkout` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `borrower` varchar(255) NOT NULL,
+  `job` varchar(255) DEFAULT NULL,
+  `notes` text DEFAULT NULL,
+  `status` enum('open','returned','cancelled') NOT NULL DEFAULT 'open',
+  `expected_return_at` datetime NOT NULL,
+  `returned_at` datetime DEFAULT NULL,
+  `overdue_notified_at` datetime DEFAULT NULL COMMENT 'checkout_overdue event published',
+  `created_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_status_expected` (`status`, `expected_return_at`),
+  KEY `idx_borrower` (`borrower`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: checkout_item
+-- Items of a checkout; departure / return are filled from the movement engine
+-- ===============================================
+CREATE TABLE `checkout_item` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `checkout_id` int(11) unsigned NOT NULL,
+  `epc` varchar(255) NOT NULL,
+  `group_id` bigint(255) DEFAULT NULL COMMENT 'Group the item was checked out with, if any',
+  `hist_id` int(11) unsigned DEFAULT NULL COMMENT 'hist row of the departure',
+  `departed_at` datetime DEFAULT NULL,
+  `antenna_dep` varchar(11) DEFAULT NULL,
+  `returned_at` datetime DEFAULT NULL,
+  `antenna_ret` varchar(11) DEFAULT NULL COMMENT 'NULL when checked in by hand',
+  PRIMARY KEY (`id`),
+  KEY `idx_checkout` (`checkout_id`),
+  KEY `idx_epc_returned` (`epc`, `returned_at`),
+  CONSTRAINT `fk_checkout_item_checkout` FOREIGN KEY (`checkout_id`) REFERENCES `checkout` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: kit
+-- Bundles of items that travel together (camera body, lenses, batteries...)
+-- ===============================================
+CREATE TABLE `kit` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `name` varchar(255) NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `status` enum('in','out','partial') NOT NULL DEFAULT 'in' COMMENT 'partial: returned with members missing',
+  `missing_count` int(11) unsigned NOT NULL DEFAULT 0,
+  `status_changed_at` datetime DEFAULT NULL,
+  `created_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: kit_item
+-- Kit members; an item belongs to at most one kit
+-- ===============================================
+CREATE TABLE `kit_item` (
+  `kit_id` int(11) unsigned NOT NULL,
+  `item_id` bigint(15) NOT NULL,
+  PRIMARY KEY (`kit_id`, `item_id`),
+  UNIQUE KEY `uniq_item` (`item_id`),
+  CONSTRAINT `fk_kit_item_kit` FOREIGN KEY (`kit_id`) REFERENCES `kit` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_kit_item_item` FOREIGN KEY (`item_id`) REFERENCES `item` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: alert_rule
+-- Geofence / forbidden-zone rules evaluated on each ingested read.
+-- Subject: item, group or category (none = every item); place: location
+-- (with its sub-locations) or antenna; armed between active_from and
+-- active_to (local time, may wrap midnight) on active_days (ISO, 1 = Monday)
+-- ===============================================
+CREATE TABLE `alert_rule` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `name` varchar(255) NOT NULL,
+  `enabled` tinyint(1) NOT NULL DEFAULT 1,
+  `item_id` bigint(15) DEFAULT NULL,
+  `group_id` varchar(11) DEFAULT NULL,
+  `category` varchar(255) DEFAULT NULL,
+  `location_id` int(11) unsigned DEFAULT NULL,
+  `reader_id` int(11) unsigned DEFAULT NULL COMMENT 'With antenna; NULL = that antenna on any reader',
+  `antenna` varchar(11) DEFAULT NULL,
+  `trigger_type` enum('enters','leaves','dwells') NOT NULL,
+  `dwell_minutes` int(11) unsigned DEFAULT NULL,
+  `active_from` time DEFAULT NULL,
+  `active_to` time DEFAULT NULL,
+  `active_days` varchar(13) DEFAULT NULL COMMENT 'e.g. 1,2,3,4,5; NULL = every day',
+  `severity` enum('low','medium','high','critical') NOT NULL DEFAULT 'high',
+  `created_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  CONSTRAINT `fk_alert_rule_item` FOREIGN KEY (`item_id`) REFERENCES `item` (`id`) ON DELETE RESTRICT,
+  CONSTRAINT `fk_alert_rule_location` FOREIGN KEY (`location_id`) REFERENCES `location` (`id`),
+  CONSTRAINT `fk_alert_rule_reader` FOREIGN KEY (`reader_id`) REFERENCES `reader` (`id`) ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: alert
+-- Rule violations, kept until acknowledged (and after, for the record)
+-- ===============================================
+CREATE TABLE `alert` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `rule_id` int(11) unsigned DEFAULT NULL,
+  `rule_name` varchar(255) NOT NULL,
+  `trigger_type` enum('enters','leaves','dwells') NOT NULL,
+  `severity` enum('low','medium','high','critical') NOT NULL,
+  `epc` varchar(64) NOT NULL,
+  `item_id` bigint(15) DEFAULT NULL,
+  `mac_address` varchar(64) DEFAULT NULL,
+  `antenna` varchar(11) DEFAULT NULL,
+  `location_id` int(11) unsigned DEFAULT NULL,
+  `message` varchar(512) NOT NULL,
+  `triggered_at` datetime NOT NULL,
+  `acknowledged_at` datetime DEFAULT NULL,
+  `acknowledged_by` varchar(255) DEFAULT NULL,
+  `acknowledge_note` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_acknowledged_at` (`acknowledged_at`),
+  KEY `idx_triggered_at` (`triggered_at`),
+  KEY `idx_epc` (`epc`),
+  CONSTRAINT `fk_alert_rule` FOREIGN KEY (`rule_id`) REFERENCES `alert_rule` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: webhook
+-- Outbound webhook subscriptions, see server/services/webhooks.js
+-- ===============================================
+CREATE TABLE `webhook` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `name` varchar(255) NOT NULL,
+  `url` varchar(1024) NOT NULL,
+  `secret` varchar(64) NOT NULL COMMENT 'HMAC-SHA256 key of X-Webhook-Signature',
+  `event_types` varchar(255) NOT NULL COMMENT 'e.g. read,departure; * for every event',
+  `enabled` tinyint(1) NOT NULL DEFAULT 1,
+  `created_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: webhook_delivery
+-- Delivery queue and log: pending rows are sent (and retried) by the
+-- webhook worker; delivered / failed rows are kept WEBHOOK_LOG_RETENTION_DAYS
+-- ===============================================
+CREATE TABLE `webhook_delivery` (
+  `id` bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+  `webhook_id` int(11) unsigned NOT NULL,
+  `event_type` varchar(32) NOT NULL,
+  `payload` mediumtext NOT NULL COMMENT 'JSON body, signed as sent',
+  `status` enum('pending','delivered','failed') NOT NULL DEFAULT 'pending',
+  `attempts` int(11) unsigned NOT NULL DEFAULT 0,
+  `next_attempt_at` datetime DEFAULT NULL,
+  `response_status` smallint(5) unsigned DEFAULT NULL,
+  `error` varchar(255) DEFAULT NULL,
+  `duration_ms` int(11) unsigned DEFAULT NULL,
+  `created_at` datetime NOT NULL,
+  `delivered_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_due` (`status`, `next_attempt_at`),
+  KEY `idx_webhook_id` (`webhook_id`, `id`),
+  CONSTRAINT `fk_webhook_delivery_webhook` FOREIGN KEY (`webhook_id`) REFERENCES `webhook` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: audit_log
+-- Who changed what in the inventory (items, groups), see server/services/audit.js
+-- ===============================================
+CREATE TABLE `audit_log` (
+  `id` bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+  `occurred_at` datetime(3) NOT NULL COMMENT 'UTC',
+  `actor` varchar(255) DEFAULT NULL COMMENT 'X-User request header, NULL when not sent',
+  `ip_address` varchar(64) DEFAULT NULL,
+  `endpoint` varchar(255) NOT NULL COMMENT 'Method and path, e.g. PATCH /api/items/12',
+  `correlation_id` varchar(64) DEFAULT NULL,
+  `action` enum('create','update','delete') NOT NULL,
+  `entity_type` varchar(32) NOT NULL COMMENT 'item | group',
+  `entity_id` varchar(64) NOT NULL,
+  `before_data` mediumtext DEFAULT NULL COMMENT 'JSON; updates keep only the changed fields',
+  `after_data` mediumtext DEFAULT NULL COMMENT 'JSON',
+  PRIMARY KEY (`id`),
+  KEY `idx_entity` (`entity_type`, `entity_id`, `id`),
+  KEY `idx_occurred_at` (`occurred_at`),
+  KEY `idx_actor` (`actor`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: camera
+-- CCTV cameras and their recording folder on the NVR, see server/services/cameras.js
+-- ===============================================
+CREATE TABLE `camera` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `name` varchar(100) NOT NULL,
+  `nvr_path` varchar(512) NOT NULL COMMENT 'Folder holding <date>/<hour> recordings on the NVR',
+  `enabled` tinyint(1) NOT NULL DEFAULT 1,
+  `sort_order` int(11) NOT NULL DEFAULT 0 COMMENT 'Position in the multi-camera grid',
+  `description` varchar(255) DEFAULT NULL,
+  `created_at` datetime DEFAULT NULL,
+  `updated_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `name` (`name`),
+  KEY `idx_sort_order` (`sort_order`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: camera_coverage
+-- What a camera sees: a reader antenna (reader_id + antenna) or a location.
+-- priority ranks the cameras of an antenna (1 = best view), and
+-- time_offset_seconds is added to a read time to find it in the recording
+-- ===============================================
+CREATE TABLE `camera_coverage` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `camera_id` int(11) unsigned NOT NULL,
+  `reader_id` int(11) unsigned DEFAULT NULL,
+  `antenna` varchar(11) DEFAULT NULL,
+  `location_id` int(11) unsigned DEFAULT NULL,
+  `priority` tinyint(3) unsigned NOT NULL DEFAULT 1 COMMENT '1 = best camera for this antenna / location',
+  `time_offset_seconds` int(11) NOT NULL DEFAULT 0 COMMENT 'Recording time minus read time',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `camera_antenna` (`camera_id`, `reader_id`, `antenna`),
+  UNIQUE KEY `camera_location` (`camera_id`, `location_id`),
+  KEY `idx_reader_antenna` (`reader_id`, `antenna`),
+  KEY `idx_location_id` (`location_id`),
+  CONSTRAINT `fk_camera_coverage_camera` FOREIGN KEY (`camera_id`) REFERENCES `camera` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_camera_coverage_reader` FOREIGN KEY (`reader_id`) REFERENCES `reader` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_camera_coverage_location` FOREIGN KEY (`location_id`) REFERENCES `location` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- ===============================================
+-- Table: read_event
+-- Append-only log of individual reads, partitioned by day on read_at.
+-- Daily partitions are split off p_future and dropped after
+-- READ_LOG_RETENTION_DAYS by server/services/readEventLog.js
+-- ===============================================
+CREATE TABLE `read_event` (
+  `id` bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+  `read_at` datetime(3) NOT NULL COMMENT 'Reader timestamp, or server time if missing / skewed (UTC)',
+  `epc` varchar(64) NOT NULL,
+  `antenna` varchar(11) NOT NULL,
+  `mac_address` varchar(64) DEFAULT NULL,
+  `reader_name` varchar(255) DEFAULT NULL,
+  `rssi` decimal(5,1) DEFAULT NULL COMMENT 'Peak RSSI in dBm',
+  `phase` decimal(7,2) DEFAULT NULL COMMENT 'Phase angle as reported by the reader',
+  `channel` smallint(5) unsigned DEFAULT NULL,
+  `reader_timestamp` datetime(3) DEFAULT NULL COMMENT 'Reader clock as sent, UTC',
+  `received_at` datetime NOT NULL COMMENT 'Server clock, UTC',
+  `endpoint` varchar(64) DEFAULT NULL,
+  PRIMARY KEY (`id`, `read_at`),
+  KEY `idx_epc_read_at` (`epc`, `read_at`),
+  KEY `idx_read_at` (`read_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+PARTITION BY RANGE (TO_DAYS(`read_at`)) (
+  PARTITION p_future VALUES LESS THAN MAXVALUE
+);
+
+-- ===============================================
+-- Movement history
+-- ===============================================
+-- The former tr_historique trigger (hist row when updated_at jumped by more
+-- than 900s) is replaced by server/services/movementEngine.js, fed by
+-- /api/input and /api/input2. Drop it on upgraded installations, otherwise
+-- every return is recorded twice.
+DROP TRIGGER IF EXISTS `tr_historique`;
 
 -- ===============================================
 -- Sample Data: Default Groups
 -- ===============================================
-INSERT INTO `groupname` (`group_id`, `group_name`, `color`) VALUES
-('1', 'ENG1', '#1e40af'),
-('2', 'ENG2', '#dc2626'), 
-('3', 'ENG3', '#059669'),
-('4', 'ENG4', '#7c2d12'),
-('5', 'SPARE', '#4338ca'),
-('6', 'LiveU', '#be185d'),
-('7', 'FS7', '#0891b2'),
-('8', 'Accessoir', '#65a30d'),
-('9', 'ZZ_Not_Reg', '#6b7280'),
-('10', 'LUMIERES', '#f59e0b'),
-('11', 'KITSON', '#8b5cf6'),
-('12', 'DATAS', '#0d9488'),
-('13', 'Alpha7s', '#db2777'),
-('14', 'ZZ_LOST', '#ef4444');
+INSERT INTO `groupname` (`group_id`, `group_name`, `color`, `icon`, `sort_order`) VALUES
+('1', 'ENG1', '#1e40af', '📹', 1),
+('2', 'ENG2', '#dc2626', '🎥', 2),
+('3', 'ENG3', '#059669', '📺', 3),
+('4', 'ENG4', '#7c2d12', '🎬', 4),
+('5', 'SPARE', '#4338ca', '📦', 5),
+('6', 'LiveU', '#be185d', '📡', 6),
+('7', 'FS7', '#0891b2', '🎦', 7),
+('8', 'Accessoir', '#65a30d', '🔧', 8),
+('9', 'ZZ_Not_Reg', '#6b7280', '❓', 9),
+('10', 'LUMIERES', '#f59e0b', '💡', 10),
+('11', 'KITSON', '#8b5cf6', '🎧', 11),
+('12', 'DATAS', '#0d9488', '💾', 12),
+('13', 'Alpha7s', '#db2777', '📷', 13),
+('14', 'ZZ_LOST', '#ef4444', '❌', 14);
+
+-- ===============================================
+-- Sample Data: Cameras (formerly CCTV.cameras in server/config/constants.js)
+-- ===============================================
+INSERT INTO `camera` (`id`, `name`, `nvr_path`, `sort_order`, `created_at`, `updated_at`) VALUES
+(1, 'CAM 1', '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH001_50F36D36752750F36D36752750F30000/Regular', 1, UTC_TIMESTAMP(), UTC_TIMESTAMP()),
+(2, 'CAM 2', '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH002_50F36D36752750F36D36752750F30001/Regular', 2, UTC_TIMESTAMP(), UTC_TIMESTAMP()),
+(3, 'CAM 3', '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH003_50F36D36752750F36D36752750F30002/Regular', 3, UTC_TIMESTAMP(), UTC_TIMESTAMP()),
+(4, 'CAM 4', '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH004_50F36D36752750F36D36752750F30003/Regular', 4, UTC_TIMESTAMP(), UTC_TIMESTAMP()),
+(5, 'CAM 5', '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH005_50F36D36752750F36D36752750F30004/Regular', 5, UTC_TIMESTAMP(), UTC_TIMESTAMP()),
+(6, 'CAM 6', '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH006_50F36D36752750F36D36752750F30005/Regular', 6, UTC_TIMESTAMP(), UTC_TIMESTAMP());
 
 COMMIT;
 
 -- ===============================================
 -- Post-Installation Notes
 -- ===============================================
--- 1. The trigger automatically manages movement history
+-- 1. The movement engine (server) manages movement history
 -- 2. Default group_id=9 represents unregistered items
 -- 3. EPC field must be unique across all inventory items
--- 4. Updated_at changes trigger history creation after 15min gaps
+-- 4. A tag unseen for MOVEMENT_GAP_SECONDS (default 15min, per group via
+--    groupname.movement_gap_seconds) is recorded as departed
+--    A tag last seen on one of MOVEMENT_EXIT_ANTENNAS gets a hist row with
+--    ret NULL (checked out, listed by /api/items/out) until it is read again
 -- 5. Frontend expects specific group colors for UI display
+-- 6. Upgrading: ALTER TABLE groupname ADD COLUMN movement_gap_seconds int(11) unsigned DEFAULT NULL;
+-- 7. Readers are registered through /api/readers; with READER_STRICT_MODE=reject
+--    or quarantine, reads from unregistered MACs never reach the item table.
+--    Upgrading: create reader, reader_antenna and reader_quarantine above
+-- 8. Reads are buffered for READ_BUFFER_WINDOW_MS and written as one upsert per
+--    EPC/antenna; item.read_count keeps the raw read count
+--    Upgrading: ALTER TABLE item ADD COLUMN first_seen datetime DEFAULT NULL,
+--               ADD COLUMN read_count int(11) unsigned NOT NULL DEFAULT 0;
+-- 9. Every accepted read is appended to read_event (READ_LOG=off disables it)
+--    and queried through /api/reads. CSV readers use reader.field_order unless
+--    they post field_names. read_at and item.updated_at use the reader
+--    timestamp when within READER_MAX_CLOCK_SKEW_SECONDS of server time.
+--    `npm run reads:replay -- --from <ISO> --to <ISO> [--dry-run]` (or
+--    POST /api/reads/replay) rebuilds hist for a range from read_event.
+--    Upgrading: ALTER TABLE reader ADD COLUMN field_order varchar(255) DEFAULT NULL;
+--               create read_event above; an existing raw_read table can be
+--               copied into it (read_at = COALESCE(reader_timestamp, received_at))
+--               and dropped
+-- 10. With READER_AUTH=key or hmac, /api/input*, /api/input2 and the writer
+--    endpoints (/api/rfid/write/next, /api/rfid/write/jobs/:id/ack) require a key issued with POST /api/readers/:id/keys (revoked with
+--    DELETE /api/readers/:id/keys/:keyId). Rejections are logged and counted
+--    in rfid_ingest_rejected_total. Upgrading: create reader_key above
+-- 11. POST /api/rfid/write queues an encoding job in write_job; the writer polls
+--    GET /api/rfid/write/next and acknowledges with POST /api/rfid/write/jobs/:id/ack.
+--    The next read of the EPC by any reader verifies the job. Upgrading: create
+--    write_job above
+-- 12. Items created without an EPC get EPC_SCHEME / EPC_COMPANY_PREFIX with the
+--    next epc_sequence serial (skipping serials already used in item).
+--    Upgrading: create epc_sequence above
+-- 13. /api/checkouts assigns items (or whole groups) to a borrower and job.
+--    Departures and returns of those EPCs are attached to the open checkout;
+--    checkouts still open after expected_return_at publish one
+--    checkout_overdue event. Upgrading: create checkout and checkout_item above
+-- 14. /api/kits groups items that travel together. When members depart or
+--    return, the kit's completeness is computed once its reads settle
+--    (KIT_SETTLE_SECONDS); returns with members missing publish a
+--    kit_incomplete_return system event. Upgrading: create kit and kit_item above
+-- 15. Groups are managed through /api/groups (create, rename, recolor, reorder,
+--    archive, delete with reassignment of their items). Icons come from
+--    groupname.icon instead of timeline.js.
+--    Upgrading: ALTER TABLE groupname MODIFY group_name varchar(64) DEFAULT NULL,
+--               ADD COLUMN icon varchar(16) DEFAULT NULL,
+--               ADD COLUMN description varchar(255) DEFAULT NULL,
+--               ADD COLUMN sort_order int(11) NOT NULL DEFAULT 0,
+--               ADD COLUMN archived_at datetime DEFAULT NULL,
+--               DROP KEY idx_group_id, ADD UNIQUE KEY idx_group_id (group_id),
+--               ADD KEY idx_sort_order (sort_order);
+--               UPDATE groupname SET sort_order = CAST(group_id AS UNSIGNED);
+--               then set the icons from the sample data above (groups without one show 📁)
+-- 16. /api/locations manages the location tree (site > building > room > zone)
+--    and maps reader antennas to locations. Items get the location of the
+--    antenna that last read them (location_id, location_path) and
+--    GET /api/items?location_id= lists a location with its sub-locations.
+--    Upgrading: create location above, then
+--               ALTER TABLE reader_antenna ADD COLUMN location_id int(11) unsigned DEFAULT NULL,
+--               ADD KEY idx_location_id (location_id),
+--               ADD CONSTRAINT fk_reader_antenna_location FOREIGN KEY (location_id)
+--                 REFERENCES location (id) ON DELETE SET NULL;
+-- 17. /api/rules defines alert rules (item, group or category entering,
+--    leaving or staying longer than dwell_minutes in a location or at an
+--    antenna, within an optional local-time window). Violations are stored in
+--    alert, published as rule_violation system events and listed in the
+--    monitoring alerts until acknowledged with POST /api/alerts/:id/acknowledge.
+--    An item, location or reader used by a rule cannot be deleted.
+--    Upgrading: create alert_rule and alert above
+-- 18. /api/webhooks manages outbound webhook subscriptions, each with event
+--    types among read, departure, return, alert and item_changed (* = all).
+--    Every event is queued in webhook_delivery, POSTed as
+--    { id, type, created_at, data } with X-Webhook-Signature = sha256= hex
+--    HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>"), and retried with
+--    exponential backoff until WEBHOOK_MAX_ATTEMPTS.
+--    Upgrading: create webhook and webhook_delivery above. FLASK_WEBHOOK_URL
+--    is no longer read: subscribe the Flask receiver to "read" events with
+--    POST /api/webhooks { "name", "url", "events": ["read"] }
+-- 19. Every create, update and delete of items and groups through the API is
+--    recorded in audit_log with the X-User header, client IP, endpoint and
+--    the values before / after; GET /api/audit queries it.
+--    Upgrading: create audit_log above
+-- 20. DELETE /api/items/bulk moves items to the trash (item.archived_at)
+--    instead of deleting them, so their hist rows stay joined and a read of
+--    the tag does not re-create it in group 9: the read updates the archived
+--    row and is reported (archived_item_read system event, warning log).
+--    GET /api/items/archived lists the trash, POST /api/items/restore and
+--    DELETE /api/items/purge restore or permanently delete archived items.
+--    Upgrading: ALTER TABLE item ADD COLUMN archived_at datetime DEFAULT NULL,
+--               ADD KEY idx_archived_at (archived_at);
+-- 21. Cameras come from the camera table (/api/cameras) instead of
+--    CCTV.cameras in constants.js: name, NVR path, enabled flag, grid order
+--    and the antennas / locations each camera covers (camera_coverage).
+--    /api/cctv/videos and the multi-camera grid accept any enabled camera.
+--    Upgrading: create camera and camera_coverage above and run the
+--    "Sample Data: Cameras" insert (same ids as the former constants)
+-- 22. /api/cctv/videos?target=&antenna=[&mac_address=] without camera ranks
+--    the enabled cameras for the antenna that read the tag: cameras
+--    covering it (camera_coverage, directly or through its location) by
+--    priority, then the others in grid order. With camera and antenna,
+--    the coverage time_offset_seconds is added to the target.
+--    Upgrading: ALTER TABLE camera_coverage
+--                 ADD COLUMN priority tinyint(3) unsigned NOT NULL DEFAULT 1,
+--                 ADD COLUMN time_offset_seconds int(11) NOT NULL DEFAULT 0;
 -- ===============================================
\ No newline at end of file
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Replay the read log through the movement logic and rebuild hist
+ *
+ * Usage:
+ *   node scripts/replay-reads.js --from 2026-10-01T00:00:00Z --to 2026-10-08T00:00:00Z [--epc <epc>] [--dry-run]
+ *
+ * With --dry-run, hist is left untouched and the departures / returns are
+ * printed instead. Stop the server's ingestion (or run at a quiet time) while
+ * rebuilding a range that includes the last few minutes.
+ */
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const from = Date.parse(option('from'));
+const to = Date.parse(option('to'));
+if (Number.isNaN(from) || Number.isNaN(to) || to <= from) {
+  console.error('Usage: node scripts/replay-reads.js --from <ISO date> --to <ISO date> [--epc <epc>] [--dry-run]');
+  process.exit(1);
+}
+
+const pool = require('../server/config/database');
+const { replayReads } = require('../server/services/readReplay');
+
+replayReads({
+  from: Math.floor(from / 1000),
+  to: Math.floor(to / 1000),
+  epc: option('epc') || null,
+  dryRun: args.includes('--dry-run')
+})
+  .then(result => {
+    console.log(JSON.stringify(result, null, 2));
+    return pool.end();
+  })
+  .catch(async error => {
+    console.error('Replay failed:', error.message);
+    await pool.end().catch(() => {});
+    process.exit(1);
+  });
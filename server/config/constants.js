@@ -1,22 +1,139 @@
 module.exports = {
   CCTV: {
+    // Recorder type (server/utils/nvrDrivers.js): qnap, directory or http-index
+    driver: process.env.CCTV_DRIVER || 'qnap',
     baseUrl: process.env.CCTV_BASE_URL || 'http://cctv.xxxxxx.xx:8090',
     login: process.env.CCTV_LOGIN || 'CCTV',
     password: process.env.CCTV_PASSWORD,
-    cameras: {
-      1: '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH001_50F36D36752750F36D36752750F30000/Regular',
-      2: '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH002_50F36D36752750F36D36752750F30001/Regular',
-      3: '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH003_50F36D36752750F36D36752750F30002/Regular',
-      4: '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH004_50F36D36752750F36D36752750F30003/Regular',
-      5: '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH005_50F36D36752750F36D36752750F30004/Regular',
-      6: '/CCTV/RecSpace_360673CBB6824C65B7CB3A2F611A6110/CH006_50F36D36752750F36D36752750F30005/Regular'
-    }
+    // directory driver: camera.nvr_path is relative to this folder
+    directoryRoot: process.env.CCTV_DIRECTORY_ROOT || '/srv/cctv',
+    // directory / http-index drivers: clip names in local time, folders may use the date tokens
+    filenamePattern: process.env.CCTV_FILENAME_PATTERN || '{YYYY}-{MM}-{DD}/*{YYYY}{MM}{DD}_{hh}{mm}{ss}*.mp4',
+    // /api/cctv/clip: trimmed MP4s cut by ffmpeg from the recorder clips
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    // Measures the recorder clips, so a gap in the recording is not stitched over
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    clipMaxSeconds: Number(process.env.CCTV_CLIP_MAX_SECONDS || 600),
+    clipTimeoutMs: Number(process.env.CCTV_CLIP_TIMEOUT_MS || 120000),
+    // Clips cut at once (recorder downloads + ffmpeg), the others wait for a slot
+    clipConcurrency: Number(process.env.CCTV_CLIP_CONCURRENCY || 2),
+    // A recorder clip is assumed to run until the next one starts, at most this long
+    segmentMaxSeconds: Number(process.env.CCTV_SEGMENT_MAX_SECONDS || 3600)
   },
   CACHE: {
     maxSizeBytes: 1 * 1024 * 1024 * 1024, // 1GB limit
     cleanupThresholdBytes: 0.8 * 1024 * 1024 * 1024, // Start cleanup at 800MB
     checkIntervalMs: 5 * 60 * 1000 // Check every 5 minutes
   },
+  MOVEMENT: {
+    // Seconds without a read before a tag is considered gone (overridable per group via groupname.movement_gap_seconds)
+    defaultGapSeconds: Number(process.env.MOVEMENT_GAP_SECONDS || 900),
+    sweepIntervalMs: Number(process.env.MOVEMENT_SWEEP_INTERVAL_MS || 30000),
+    // Antennas at building exits: a tag last seen there is checked out (hist row with ret NULL)
+    exitAntennas: (process.env.MOVEMENT_EXIT_ANTENNAS || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean),
+    exitGapSeconds: Number(process.env.MOVEMENT_EXIT_GAP_SECONDS || 120),
+    groupCacheTtlMs: 60 * 1000
+  },
+  READERS: {
+    // Unknown reader MACs: 'off' (accept), 'reject' or 'quarantine'
+    strictMode: ['reject', 'quarantine'].includes(process.env.READER_STRICT_MODE)
+      ? process.env.READER_STRICT_MODE
+      : 'off',
+    cacheTtlMs: 30 * 1000,
+    // Seconds without a POST before a reader is reported offline
+    silentAfterSeconds: Number(process.env.READER_SILENT_SECONDS || 300),
+    heartbeatCheckIntervalMs: Number(process.env.READER_HEARTBEAT_CHECK_MS || 30000),
+    // Reader-side timestamps further than this from server time are replaced by server time
+    maxClockSkewSeconds: Number(process.env.READER_MAX_CLOCK_SKEW_SECONDS || 300),
+    // Ingestion authentication: 'off', 'key' (API key or HMAC) or 'hmac' (signed payloads only)
+    authMode: ['key', 'hmac'].includes(process.env.READER_AUTH) ? process.env.READER_AUTH : 'off',
+    // Signed payload timestamps older / newer than this are rejected
+    authMaxSkewSeconds: Number(process.env.READER_AUTH_MAX_SKEW_SECONDS || 300)
+  },
+  READ_LOG: {
+    // Every accepted read is appended to read_event
+    enabled: process.env.READ_LOG !== 'off',
+    // Daily partitions older than this are dropped
+    retentionDays: Number(process.env.READ_LOG_RETENTION_DAYS || 30),
+    partitionsAhead: 3,
+    maintenanceIntervalMs: 60 * 60 * 1000,
+    // Rows fetched per query when replaying
+    replayBatchSize: 5000
+  },
+  READ_BUFFER: {
+    // Repeated EPC/antenna reads within this window are written as one item upsert
+    windowMs: Number(process.env.READ_BUFFER_WINDOW_MS || 2000),
+    // Flush early once this many EPC/antenna entries are buffered
+    maxEntries: Number(process.env.READ_BUFFER_MAX_ENTRIES || 500),
+    // Failed flushes put their entries back in the buffer; dropped after this many
+    maxFlushAttempts: Number(process.env.READ_BUFFER_MAX_FLUSH_ATTEMPTS || 5)
+  },
+  WRITE_JOBS: {
+    // A claimed job not acknowledged by the writer in time goes back to pending
+    claimTimeoutSeconds: Number(process.env.WRITE_JOB_CLAIM_TIMEOUT_SECONDS || 60),
+    // A written tag not read back by any reader in time is marked failed
+    verifyTimeoutSeconds: Number(process.env.WRITE_JOB_VERIFY_TIMEOUT_SECONDS || 600),
+    // Claims per job (failed acks and claim timeouts) before it is failed
+    maxAttempts: Number(process.env.WRITE_JOB_MAX_ATTEMPTS || 3),
+    sweepIntervalMs: 15000,
+    // Group of encoded items created without a group
+    defaultGroupId: 5
+  },
+  CHECKOUTS: {
+    // How often open checkouts are checked against their expected return time
+    overdueCheckIntervalMs: Number(process.env.CHECKOUT_OVERDUE_CHECK_MS || 60000)
+  },
+  KITS: {
+    // Members of a kit depart / return over a few reads: completeness is
+    // computed this long after the last member movement
+    settleSeconds: Number(process.env.KIT_SETTLE_SECONDS || 60)
+  },
+  RULES: {
+    // How often items sitting in a rule's location are checked for "dwells"
+    dwellCheckIntervalMs: Number(process.env.RULES_DWELL_CHECK_MS || 60000),
+    // Rules and the item list they match against are reloaded this often
+    cacheTtlMs: 60000
+  },
+  WEBHOOKS: {
+    // Due deliveries are also sent as soon as an event is queued
+    pollIntervalMs: 5000,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+    // Attempts before a delivery is failed; retries wait retryBaseSeconds,
+    // doubled after each failure up to retryMaxSeconds
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+    retryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30),
+    retryMaxSeconds: 3600,
+    batchSize: 50,
+    // Deliveries queued per subscription; new events are dropped beyond it
+    maxPending: Number(process.env.WEBHOOK_MAX_PENDING || 10000),
+    // Delivered and failed deliveries are purged after this many days
+    logRetentionDays: Number(process.env.WEBHOOK_LOG_RETENTION_DAYS || 14),
+    cacheTtlMs: 60000
+  },
+  EVIDENCE: {
+    // /api/items/:id/evidence: longest range, and the clip cut around each
+    // departure / return by the cameras covering its antenna
+    maxRangeDays: Number(process.env.EVIDENCE_MAX_RANGE_DAYS || 31),
+    clipBeforeSeconds: 30,
+    clipAfterSeconds: 60,
+    maxClips: Number(process.env.EVIDENCE_MAX_CLIPS || 20),
+    maxReads: 50000
+  },
+  EPC: {
+    // New item EPCs: sgtin-96, grai-96 or giai-96 with a serial counter (epc_sequence)
+    scheme: process.env.EPC_SCHEME || 'sgtin-96',
+    // Defaults match the historical 300833B2DDD9014... prefix (SGTIN-96, filter 0)
+    companyPrefix: process.env.EPC_COMPANY_PREFIX || '0867360217',
+    itemReference: process.env.EPC_ITEM_REFERENCE || '005',
+    assetType: process.env.EPC_ASSET_TYPE || '',
+    filter: Number(process.env.EPC_FILTER || 0),
+    serialStart: Number(process.env.EPC_SERIAL_START || 1),
+    // JSON array of user-defined 96-bit layouts: [{ name, header, fields: [{ name, bits }] }]
+    userSchemes: process.env.EPC_USER_SCHEMES || '[]'
+  },
   DB: {
     host: process.env.DB_HOST || '127.0.0.1',
     user: process.env.DB_USER || 'actuauser',
@@ -66,6 +66,105 @@ const videoRequestDuration = new client.Histogram({
   registers: [register]
 });
 
+// === MÉTRIQUES RFID ===
+
+// Counter: Lectures RFID reçues des lecteurs (avant agrégation)
+const rfidReadsReceived = new client.Counter({
+  name: 'rfid_reads_received_total',
+  help: 'Total number of RFID reads received from readers, before aggregation',
+  registers: [register]
+});
+
+// Counter: Lignes item écrites par le buffer d'agrégation
+const rfidReadsWritten = new client.Counter({
+  name: 'rfid_reads_written_total',
+  help: 'Total number of aggregated item rows upserted by the read buffer',
+  registers: [register]
+});
+
+// Gauge: Ratio lectures reçues / lignes écrites
+const rfidReadAggregationRatio = new client.Gauge({
+  name: 'rfid_read_aggregation_ratio',
+  help: 'RFID reads received per item row written (higher means more duplicates collapsed)',
+  registers: [register]
+});
+
+// Gauge: Entrées EPC/antenne en attente dans le buffer
+const rfidReadBufferSize = new client.Gauge({
+  name: 'rfid_read_buffer_size',
+  help: 'Number of EPC/antenna entries waiting in the read buffer',
+  registers: [register]
+});
+
+// Counter: Échecs d'écriture du buffer
+const rfidReadFlushErrors = new client.Counter({
+  name: 'rfid_read_flush_errors_total',
+  help: 'Total number of failed read buffer flushes',
+  registers: [register]
+});
+
+// Counter: Entrées abandonnées après trop d'échecs d'écriture
+const rfidReadsDropped = new client.Counter({
+  name: 'rfid_reads_dropped_total',
+  help: 'Total number of buffered EPC/antenna entries dropped after repeated flush failures',
+  registers: [register]
+});
+
+// Counter: Lectures d'items archivés (corbeille)
+const rfidArchivedReads = new client.Counter({
+  name: 'rfid_archived_reads_total',
+  help: 'Total number of flushed reads of archived items',
+  registers: [register]
+});
+
+// Counter: POST lecteurs rejetés (authentification, MAC, lecteur inconnu)
+const rfidIngestRejected = new client.Counter({
+  name: 'rfid_ingest_rejected_total',
+  help: 'Total number of rejected RFID reader posts by reason',
+  labelNames: ['reason'], // missing_credentials, unknown_key, bad_key, bad_signature, stale_timestamp, replayed, mac_mismatch, ...
+  registers: [register]
+});
+
+// Counter: Transitions des jobs d'encodage RFID
+const rfidWriteJobs = new client.Counter({
+  name: 'rfid_write_jobs_total',
+  help: 'Total number of RFID write job transitions by resulting status',
+  labelNames: ['status'], // pending, claimed, written, verified, failed, cancelled
+  registers: [register]
+});
+
+// Counter: Événements des sorties de matériel (checkouts)
+const checkoutEvents = new client.Counter({
+  name: 'checkout_events_total',
+  help: 'Total number of equipment checkout events',
+  labelNames: ['event'], // created, updated, departed, item_returned, checked_in, returned, cancelled, overdue
+  registers: [register]
+});
+
+// Counter: Départs et retours de kits, par complétude
+const kitMovements = new client.Counter({
+  name: 'kit_movements_total',
+  help: 'Total number of kit departures and returns by completeness',
+  labelNames: ['movement', 'complete'], // departure | return, true | false
+  registers: [register]
+});
+
+// Counter: Violations des règles d'alerte (géofences, zones interdites)
+const ruleViolations = new client.Counter({
+  name: 'rule_violations_total',
+  help: 'Total number of alert rule violations',
+  labelNames: ['trigger', 'severity'], // enters | leaves | dwells, low | medium | high | critical
+  registers: [register]
+});
+
+// Counter: Tentatives de livraison des webhooks sortants
+const webhookDeliveries = new client.Counter({
+  name: 'webhook_deliveries_total',
+  help: 'Total number of outbound webhook delivery attempts by result',
+  labelNames: ['event', 'result'], // read | departure | return | alert | item_changed, delivered | retry | failed | dropped
+  registers: [register]
+});
+
 // Export des métriques et du registre
 module.exports = {
   register,
@@ -76,6 +175,19 @@ module.exports = {
     cctvCacheHits,
     cctvCacheMisses,
     cctvConcurrentRequests,
-    videoRequestDuration
+    videoRequestDuration,
+    rfidReadsReceived,
+    rfidReadsWritten,
+    rfidReadAggregationRatio,
+    rfidReadBufferSize,
+    rfidReadFlushErrors,
+    rfidReadsDropped,
+    rfidArchivedReads,
+    rfidIngestRejected,
+    rfidWriteJobs,
+    checkoutEvents,
+    kitMovements,
+    ruleViolations,
+    webhookDeliveries
   }
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { logger } = require('../logger');
+const { READERS } = require('../config/constants');
+const { metrics } = require('../metrics');
+const { readerKeys } = require('../services/readerKeys');
+const ApiResponse = require('../utils/responseFormatter');
+
+/**
+ * Reader authentication for the ingestion routes (READER_AUTH)
+ *
+ * - 'key': a per-reader API key, as "X-Reader-Key: <key_id>.<secret>",
+ *   "Authorization: Bearer <key_id>.<secret>" or HTTP Basic (key_id:secret),
+ *   or an HMAC signature as below
+ * - 'hmac': signature required: X-Reader-Key-Id, X-Reader-Timestamp (UTC
+ *   seconds) and X-Reader-Signature = hex HMAC-SHA256(secret, "<timestamp>.<raw body>").
+ *   Timestamps outside READER_AUTH_MAX_SKEW_SECONDS and signatures already
+ *   seen within that window are rejected.
+ * - 'off': no check
+ *
+ * Keys are issued and revoked through /api/readers/:id/keys, behind
+ * requireAdminToken whatever the mode.
+ */
+
+const REJECT_MESSAGES = {
+  missing_credentials: 'Reader authentication required',
+  signature_required: 'Signed payload required',
+  unknown_key: 'Unknown or revoked reader key',
+  bad_key: 'Invalid reader key',
+  stale_timestamp: 'Timestamp outside the allowed window',
+  bad_signature: 'Invalid signature',
+  replayed: 'Payload already received',
+  mac_mismatch: 'Reader key does not match the reader MAC address',
+  unregistered_reader: 'Unregistered reader'
+};
+
+// express.json / urlencoded verify hook: keeps the exact bytes for the HMAC
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Log, count and answer a rejected reader post
+ */
+const rejectPost = (req, res, reason, status = 401, details = {}) => {
+  metrics.rfidIngestRejected.inc({ reason });
+  logger.warn('Rejected reader post', {
+    reason,
+    endpoint: req.originalUrl,
+    ip: req.ip,
+    correlationId: req.correlationId,
+    ...details
+  });
+  return res.status(status).send({ error: REJECT_MESSAGES[reason] || 'Rejected', reason, ...details });
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Credentials from the request headers, or null
+ */
+const readCredentials = (req) => {
+  const signature = req.get('X-Reader-Signature');
+  if (signature) {
+    return {
+      type: 'hmac',
+      keyId: req.get('X-Reader-Key-Id'),
+      timestamp: req.get('X-Reader-Timestamp'),
+      signature: signature.replace(/^sha256=/i, '').toLowerCase()
+    };
+  }
+
+  const authorization = req.get('Authorization') || '';
+  let token = req.get('X-Reader-Key');
+  if (!token && /^Bearer /i.test(authorization)) {
+    token = authorization.slice(7).trim();
+  }
+  if (!token && /^Basic /i.test(authorization)) {
+    token = Buffer.from(authorization.slice(6).trim(), 'base64').toString().replace(':', '.');
+  }
+  if (!token || !token.includes('.')) return null;
+
+  const dot = token.indexOf('.');
+  return { type: 'key', keyId: token.slice(0, dot), secret: token.slice(dot + 1) };
+};
+
+// Signatures accepted within the timestamp window: signature -> expiry (UTC seconds)
+const seenSignatures = new Map();
+
+const rememberSignature = (signature, expiresAt, now) => {
+  if (seenSignatures.size >= 10000) {
+    for (const [seen, expiry] of seenSignatures) {
+      if (expiry < now) seenSignatures.delete(seen);
+    }
+  }
+  seenSignatures.set(signature, expiresAt);
+};
+
+/**
+ * Verify the reader credentials; sets req.readerAuth = { keyId, readerId, macAddress }
+ */
+const authenticateReader = async (req, res, next) => {
+  const mode = READERS.authMode;
+  if (mode === 'off') return next();
+
+  try {
+    const credentials = readCredentials(req);
+    if (!credentials) {
+      return rejectPost(req, res, 'missing_credentials');
+    }
+    if (mode === 'hmac' && credentials.type !== 'hmac') {
+      return rejectPost(req, res, 'signature_required');
+    }
+
+    const key = credentials.keyId ? await readerKeys.getKey(credentials.keyId) : null;
+    if (!key) {
+      return rejectPost(req, res, 'unknown_key', 401, { keyId: credentials.keyId || null });
+    }
+
+    if (credentials.type === 'key') {
+      if (!safeEqual(credentials.secret, key.secret)) {
+        return rejectPost(req, res, 'bad_key', 401, { keyId: key.keyId });
+      }
+    } else {
+      const now = Math.floor(Date.now() / 1000);
+      const timestamp = Number(credentials.timestamp);
+      if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > READERS.authMaxSkewSeconds) {
+        return rejectPost(req, res, 'stale_timestamp', 401, { keyId: key.keyId });
+      }
+
+      const expected = crypto.createHmac('sha256', key.secret)
+        .update(`${credentials.timestamp}.`)
+        .update(req.rawBody || '')
+        .digest('hex');
+      if (!safeEqual(credentials.signature, expected)) {
+        return rejectPost(req, res, 'bad_signature', 401, { keyId: key.keyId });
+      }
+
+      const seenUntil = seenSignatures.get(expected);
+      if (seenUntil !== undefined && seenUntil >= now) {
+        return rejectPost(req, res, 'replayed', 409, { keyId: key.keyId });
+      }
+      rememberSignature(expected, timestamp + READERS.authMaxSkewSeconds, now);
+    }
+
+    req.readerAuth = { keyId: key.keyId, readerId: key.readerId, macAddress: key.macAddress };
+    next();
+  } catch (error) {
+    logger.error('Reader authentication failed', { error: error.message, endpoint: req.originalUrl });
+    res.status(500).send({ error: 'Reader authentication failed' });
+  }
+};
+
+/**
+ * Guard for dashboard admin actions (reader keys, RFID write jobs):
+ * X-Admin-Token must match ADMIN_TOKEN (the token of DELETE /api/cctv/cache);
+ * refused when ADMIN_TOKEN is unset
+ */
+const requireAdminToken = (req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return ApiResponse.error(res, 403, 'Admin actions are disabled: ADMIN_TOKEN is not set', null, 'ADMIN_TOKEN_UNSET');
+  }
+  const given = req.headers['x-admin-token'];
+  if (!given || !safeEqual(given, token)) {
+    logger.warn('Rejected admin request', { endpoint: req.originalUrl, ip: req.ip });
+    return ApiResponse.error(res, 401, 'Invalid or missing admin token', null, 'ADMIN_TOKEN_REQUIRED');
+  }
+  next();
+};
+
+module.exports = {
+  authenticateReader,
+  captureRawBody,
+  rejectPost,
+  requireAdminToken
+};
@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { parseFieldOrder } = require('../utils/readerAdapters');
+const { CCTV, EVIDENCE } = require('../config/constants');
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -34,10 +36,55 @@ const validators = {
       .isInt({ min: 1 })
       .withMessage('Target timestamp must be a positive integer')
       .toInt(),
+    // Without camera, the cameras are ranked for the antenna
     query('camera')
-      .isInt({ min: 1, max: 6 })
-      .withMessage('Camera ID must be between 1 and 6')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Camera ID must be a positive integer')
+      .toInt(),
+    query('antenna')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 11 })
+      .withMessage('Antenna code must be 1 to 11 characters'),
+    query('mac_address')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('MAC address must be 1 to 64 characters')
+  ],
+
+  // Trimmed clip: from / to in recording time (UTC seconds)
+  cctvClipRequest: [
+    query('camera')
+      .isInt({ min: 1 })
+      .withMessage('Camera ID must be a positive integer')
+      .toInt(),
+    query('from')
+      .isInt({ min: 1 })
+      .withMessage('From must be a positive integer timestamp')
+      .toInt(),
+    query('to')
+      .isInt({ min: 1 })
+      .withMessage('To must be a positive integer timestamp')
       .toInt()
+      .custom((to, { req }) => to > Number(req.query.from) && to - Number(req.query.from) <= CCTV.clipMaxSeconds)
+      .withMessage(`To must be after from, at most ${CCTV.clipMaxSeconds} seconds later`)
+  ],
+
+  // Evidence bundle range, at most EVIDENCE.maxRangeDays
+  evidenceQuery: [
+    query('from')
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date'),
+    query('to')
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date')
+      .custom((to, { req }) => Date.parse(to) > Date.parse(req.query.from)
+        && Date.parse(to) - Date.parse(req.query.from) <= EVIDENCE.maxRangeDays * 86400000)
+      .withMessage(`To must be after from, at most ${EVIDENCE.maxRangeDays} days later`)
   ],
 
   // Video filename validation (for streaming)
@@ -69,6 +116,824 @@ const validators = {
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100')
       .toInt()
+  ],
+
+  locationFilter: [
+    query('location_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Location ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Movement history filters, sorting and pagination
+  historyQuery: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 5000 })
+      .withMessage('Limit must be between 1 and 5000')
+      .toInt(),
+    query('epc')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('EPC must be 1 to 64 characters'),
+    query('group_id')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Group ID must be a non-negative integer')
+      .toInt(),
+    query('antenna')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 11 })
+      .withMessage('Antenna must be 1 to 11 characters'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date'),
+    query('min_duration')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Minimum duration must be a non-negative number of seconds')
+      .toInt(),
+    query('sort')
+      .optional()
+      .isIn(['group', 'designation', 'depposix', 'retposix', 'antenna_dep', 'antenna_ret', 'inventory_code', 'delai'])
+      .withMessage('Invalid sort column'),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc')
+  ],
+
+  // Reader ingestion keys
+  readerKeyId: [
+    param('keyId')
+      .matches(/^rk_[0-9a-f]{16}$/)
+      .withMessage('Invalid reader key id')
+  ],
+
+  readerKeyBody: [
+    body('label')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Label must be at most 255 characters')
+  ],
+
+  // Raw read log query (/api/reads)
+  readsQuery: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 5000 })
+      .withMessage('Limit must be between 1 and 5000')
+      .toInt(),
+    query('epc')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('EPC must be 1 to 64 characters'),
+    query('antenna')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 11 })
+      .withMessage('Antenna must be 1 to 11 characters'),
+    query('mac_address')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('MAC address must be 1 to 64 characters'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date'),
+    query('min_rssi')
+      .optional()
+      .isFloat({ min: -128, max: 127 })
+      .withMessage('Minimum RSSI must be between -128 and 127 dBm')
+      .toFloat(),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc')
+  ],
+
+  // Replay of the read log through the movement logic
+  replayBody: [
+    body('from')
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date'),
+    body('to')
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date')
+      .custom((to, { req }) => Date.parse(to) > Date.parse(req.body.from))
+      .withMessage('To must be after from'),
+    body('epc')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('EPC must be 1 to 64 characters'),
+    body('dry_run')
+      .optional()
+      .isBoolean()
+      .withMessage('dry_run must be a boolean')
+      .toBoolean()
+  ],
+
+  // EPC codec
+  epcParam: [
+    param('epc')
+      .matches(/^(0x)?[0-9A-F]{1,128}$/i)
+      .withMessage('EPC must be hexadecimal')
+  ],
+
+  epcEncodeBody: [
+    body('scheme')
+      .isString()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('Scheme is required'),
+    body('fields')
+      .optional()
+      .isObject()
+      .withMessage('Fields must be an object')
+  ],
+
+  // RFID write job (mac_address is normalized by sanitizers.normalizeMacAddress)
+  writeJobBody: [
+    body('epc')
+      .isString()
+      .trim()
+      .customSanitizer(value => value.toUpperCase())
+      .matches(/^([0-9A-F]{4}){1,16}$/)
+      .withMessage('EPC must be hexadecimal, in 16-bit words (4 to 64 characters)'),
+    body('serial')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Serial must be at most 255 characters'),
+    body('designation')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Designation must be at most 255 characters'),
+    body('group_id')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Group ID must be a positive integer')
+      .toInt(),
+    body('mac_address')
+      .optional({ nullable: true })
+      .isString()
+      .matches(/^[0-9A-Z_]{1,64}$/i)
+      .withMessage('MAC address must be 1 to 64 letters, digits or separators')
+  ],
+
+  writeJobsQuery: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'claimed', 'written', 'verified', 'failed', 'cancelled'])
+      .withMessage('Invalid write job status'),
+    query('epc')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('EPC must be 1 to 64 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+      .toInt()
+  ],
+
+  writeJobAck: [
+    body('success')
+      .isBoolean()
+      .withMessage('success must be a boolean')
+      .toBoolean(),
+    body('error')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage('Error must be at most 255 characters')
+  ],
+
+  // Reader registry create / update (mac_address is normalized by sanitizers.normalizeMacAddress)
+  readerBody: (isUpdate = false) => [
+    (isUpdate ? body('mac_address').optional() : body('mac_address'))
+      .isString()
+      .matches(/^[0-9A-Z_]{1,64}$/i)
+      .withMessage('MAC address must be 1 to 64 letters, digits or separators'),
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Name must be at most 255 characters'),
+    body('location')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Location must be at most 255 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Description must be at most 2000 characters'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean')
+      .toBoolean(),
+    body('field_order')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .custom(value => parseFieldOrder(value) !== null)
+      .withMessage('Field order must be a comma-separated column list including antenna and epc'),
+    body('antennas')
+      .optional()
+      .isArray({ max: 64 })
+      .withMessage('Antennas must be an array'),
+    body('antennas.*.antenna')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 11 })
+      .withMessage('Antenna code must be 1 to 11 characters'),
+    body('antennas.*.label')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Antenna label must be 1 to 255 characters'),
+    body('antennas.*.location_id')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Antenna location must be a location ID')
+      .toInt()
+  ],
+
+  checkoutId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Checkout ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Checkout create / update: items come from item_ids, epcs and group_ids
+  checkoutBody: (isUpdate = false) => [
+    (isUpdate ? body('borrower').optional() : body('borrower'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Borrower must be 1 to 255 characters'),
+    body('job')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Job must be at most 255 characters'),
+    body('notes')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Notes must be at most 2000 characters'),
+    (isUpdate ? body('expected_return_at').optional() : body('expected_return_at'))
+      .isISO8601()
+      .withMessage('Expected return must be an ISO 8601 date'),
+    ...(isUpdate ? [] : [
+      body('item_ids')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('item_ids must be an array'),
+      body('item_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Item IDs must be positive integers')
+        .toInt(),
+      body('epcs')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('epcs must be an array'),
+      body('epcs.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('EPCs must be 1 to 255 characters'),
+      body('group_ids')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('group_ids must be an array'),
+      body('group_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Group IDs must be positive integers')
+        .toInt(),
+      body()
+        .custom(value => ['item_ids', 'epcs', 'group_ids'].some(field => value[field]?.length > 0))
+        .withMessage('At least one of item_ids, epcs or group_ids is required')
+    ])
+  ],
+
+  checkoutsQuery: [
+    query('status')
+      .optional()
+      .isIn(['open', 'returned', 'cancelled', 'overdue'])
+      .withMessage('Invalid checkout status'),
+    query('borrower')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Borrower must be 1 to 255 characters'),
+    query('epc')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('EPC must be 1 to 255 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+      .toInt()
+  ],
+
+  checkoutCheckIn: [
+    body('epcs')
+      .optional()
+      .isArray({ max: 500 })
+      .withMessage('epcs must be an array'),
+    body('epcs.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('EPCs must be 1 to 255 characters')
+  ]
+,
+
+  groupId: [
+    param('groupId')
+      .isInt({ min: 1 })
+      .withMessage('Group ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Group create / update (group_id is the number stored in item.group_id)
+  groupBody: (isUpdate = false) => [
+    ...(isUpdate ? [] : [
+      body('group_id')
+        .optional()
+        .isInt({ min: 1, max: 99999999999 })
+        .withMessage('Group ID must be a positive integer')
+        .toInt()
+    ]),
+    (isUpdate ? body('group_name').optional() : body('group_name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('Group name must be 1 to 64 characters'),
+    body('color')
+      .optional({ nullable: true })
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Color must be a #rrggbb hex color'),
+    body('icon')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 16 })
+      .withMessage('Icon must be at most 16 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+    body('movement_gap_seconds')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Movement gap must be a positive number of seconds')
+      .toInt()
+  ],
+
+  groupOrderBody: [
+    body('group_ids')
+      .isArray({ min: 1, max: 500 })
+      .withMessage('group_ids must be a non-empty array'),
+    body('group_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('Group IDs must be positive integers')
+      .toInt()
+  ],
+
+  // Archive / delete: items of the group move to reassign_to (body or query)
+  groupReassign: [
+    body('reassign_to')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('reassign_to must be a group ID')
+      .toInt(),
+    query('reassign_to')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('reassign_to must be a group ID')
+      .toInt()
+  ],
+
+  kitId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Kit ID must be a positive integer')
+      .toInt()
+  ],
+
+  kitItemId: [
+    param('itemId')
+      .isInt({ min: 1 })
+      .withMessage('Item ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Kit create / update (item_ids replaces the members on update)
+  kitBody: (isUpdate = false) => [
+    (isUpdate ? body('name').optional() : body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Name must be 1 to 255 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+    body('item_ids')
+      .optional()
+      .isArray({ max: 200 })
+      .withMessage('item_ids must be an array'),
+    body('item_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('Item IDs must be positive integers')
+      .toInt()
+  ],
+
+  locationId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Location ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Location create / update (parent_id null = top level)
+  locationBody: (isUpdate = false) => [
+    (isUpdate ? body('name').optional() : body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Name must be 1 to 255 characters'),
+    (isUpdate ? body('type').optional() : body('type'))
+      .isIn(['site', 'building', 'room', 'zone'])
+      .withMessage('Type must be site, building, room or zone'),
+    body('parent_id')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Parent must be a location ID')
+      .toInt(),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters')
+  ],
+
+  locationAntennasBody: [
+    body('antennas')
+      .isArray({ max: 64 })
+      .withMessage('Antennas must be an array'),
+    body('antennas.*.reader_id')
+      .isInt({ min: 1 })
+      .withMessage('Reader ID must be a positive integer')
+      .toInt(),
+    body('antennas.*.antenna')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 11 })
+      .withMessage('Antenna code must be 1 to 11 characters')
+  ],
+
+  ruleId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Rule ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Alert rule create / update (null clears subject, place and time window fields)
+  ruleBody: (isUpdate = false) => [
+    (isUpdate ? body('name').optional() : body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Name must be 1 to 255 characters'),
+    (isUpdate ? body('trigger_type').optional() : body('trigger_type'))
+      .isIn(['enters', 'leaves', 'dwells'])
+      .withMessage('Trigger must be enters, leaves or dwells'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean')
+      .toBoolean(),
+    body(['item_id', 'group_id', 'location_id', 'reader_id'])
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('item_id, group_id, location_id and reader_id must be positive integers')
+      .toInt(),
+    body('category')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Category must be at most 255 characters'),
+    body('antenna')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 11 })
+      .withMessage('Antenna code must be at most 11 characters'),
+    body('dwell_minutes')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 10080 })
+      .withMessage('Dwell must be between 1 and 10080 minutes')
+      .toInt(),
+    body(['active_from', 'active_to'])
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Active times must be HH:MM'),
+    body('active_days')
+      .optional({ nullable: true })
+      .isArray({ max: 7 })
+      .withMessage('Active days must be an array'),
+    body('active_days.*')
+      .isInt({ min: 1, max: 7 })
+      .withMessage('Active days must be 1 (Monday) to 7 (Sunday)')
+      .toInt(),
+    body('severity')
+      .optional()
+      .isIn(['low', 'medium', 'high', 'critical'])
+      .withMessage('Severity must be low, medium, high or critical')
+  ],
+
+  alertId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Alert ID must be a positive integer')
+      .toInt()
+  ],
+
+  alertFilters: [
+    query('acknowledged')
+      .optional()
+      .isBoolean()
+      .withMessage('acknowledged must be a boolean')
+      .toBoolean(),
+    query('epc')
+      .optional()
+      .isString()
+      .trim(),
+    query('rule_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Rule ID must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+      .toInt()
+  ],
+
+  alertAcknowledgeBody: [
+    body('acknowledged_by')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('acknowledged_by must be at most 255 characters'),
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Note must be at most 255 characters')
+  ],
+
+  webhookId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Webhook ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Webhook subscription create / update (secret only on create)
+  webhookBody: (isUpdate = false) => [
+    (isUpdate ? body('name').optional() : body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Name must be 1 to 255 characters'),
+    (isUpdate ? body('url').optional() : body('url'))
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .isLength({ max: 1024 })
+      .withMessage('URL must be an http(s) URL'),
+    (isUpdate ? body('events').optional() : body('events'))
+      .isArray({ min: 1, max: 6 })
+      .withMessage('Events must be a non-empty array'),
+    body('events.*')
+      .isIn(['read', 'departure', 'return', 'alert', 'item_changed', '*'])
+      .withMessage('Events must be read, departure, return, alert, item_changed or *'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean')
+      .toBoolean(),
+    ...(isUpdate ? [] : [
+      body('secret')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ min: 16, max: 64 })
+        .withMessage('Secret must be 16 to 64 characters')
+    ])
+  ],
+
+  webhookDeliveriesQuery: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'delivered', 'failed'])
+      .withMessage('Invalid delivery status'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+      .toInt()
+  ],
+
+  // Audit log filters and pagination
+  auditQuery: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+      .toInt(),
+    query('entity_type')
+      .optional()
+      .isIn(['item', 'group'])
+      .withMessage('Entity type must be item or group'),
+    query('entity_id')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('Entity ID must be 1 to 64 characters'),
+    query('action')
+      .optional()
+      .isIn(['create', 'update', 'delete'])
+      .withMessage('Action must be create, update or delete'),
+    query('actor')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Actor must be 1 to 255 characters'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date')
+  ],
+
+  cameraId: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Camera ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Camera create / update
+  cameraBody: (isUpdate = false) => [
+    (isUpdate ? body('name').optional() : body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1 to 100 characters'),
+    (isUpdate ? body('nvr_path').optional() : body('nvr_path'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 512 })
+      .withMessage('NVR path must be 1 to 512 characters'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean')
+      .toBoolean(),
+    body('sort_order')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Sort order must be a non-negative integer')
+      .toInt(),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters')
+  ],
+
+  // What a camera covers: reader antennas and / or locations
+  cameraCoverageBody: [
+    body('coverage')
+      .isArray({ max: 64 })
+      .withMessage('Coverage must be an array'),
+    body('coverage.*')
+      .custom(area => (area?.reader_id != null && area?.antenna != null) !== (area?.location_id != null))
+      .withMessage('Each coverage entry needs either reader_id and antenna, or location_id'),
+    body(['coverage.*.reader_id', 'coverage.*.location_id'])
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('reader_id and location_id must be positive integers')
+      .toInt(),
+    body('coverage.*.antenna')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 11 })
+      .withMessage('Antenna code must be 1 to 11 characters'),
+    body('coverage.*.priority')
+      .optional()
+      .isInt({ min: 1, max: 255 })
+      .withMessage('Priority must be an integer from 1 to 255')
+      .toInt(),
+    body('coverage.*.time_offset_seconds')
+      .optional()
+      .isInt({ min: -3600, max: 3600 })
+      .withMessage('Time offset must be an integer from -3600 to 3600 seconds')
+      .toInt()
+  ],
+
+  // Restore / purge of archived items
+  itemIdsBody: [
+    body('itemIds')
+      .isArray({ min: 1, max: 1000 })
+      .withMessage('itemIds must be a non-empty array'),
+    body('itemIds.*')
+      .isInt({ min: 1 })
+      .withMessage('Item IDs must be positive integers')
+      .toInt()
+  ],
+
+  kitItemsBody: [
+    body('item_ids')
+      .isArray({ min: 1, max: 200 })
+      .withMessage('item_ids must be a non-empty array'),
+    body('item_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('Item IDs must be positive integers')
+      .toInt()
   ]
 };
 
@@ -1,12 +1,9 @@
 const fs = require('fs');
 const path = require('path');
-// Polyfill fetch pour compatibilité Node <18
-// Note: Pour Node <18, assurez-vous d'utiliser node-fetch@2 (CJS) car v3 est ESM-only
-const fetchFn = globalThis.fetch || require('node-fetch');
 const onFinished = require('on-finished');
 const { videoMetadata } = require('../utils/videoTools');
-const { CCTV } = require('../config/constants');
-const { authenticate } = require('../utils/auth');
+const { cameras } = require('../services/cameras');
+const { getDriver } = require('../utils/nvrDrivers');
 const ApiResponse = require('../utils/responseFormatter');
 
 // Import des métriques pour l'observabilité
@@ -157,12 +154,15 @@ async function handleVideoDownload(req, res, filename, cachePath) {
   // (4) Enregistrer la promesse AVANT tout await (source of truth)
   let resolveDl, rejectDl;
   const inFlight = new Promise((res, rej) => (resolveDl = res, rejectDl = rej));
+  inFlight.catch(() => {}); // rejected with no request waiting on it
   downloadPromises.set(filename, { promise: inFlight, resolve: resolveDl, reject: rejectDl });
   
   // (5) Slot de téléchargement
   await downloadSemaphore.acquire();
   
   let ac, onClose, muxCtl, clientGone = false; // Déclaré hors du try pour être visible en finally
+  // Hors du try aussi: le catch s'en sert pour le log du timeout
+  const UPSTREAM_TIMEOUT_MS = parseInt(process.env.CCTV_UPSTREAM_TIMEOUT_MS || '60000', 10);
   try {
     // Extract camera ID and timestamp from filename
     const match = filename.match(/cam(\d+)_(\d+)_([a-f0-9]+)\.mp4/);
@@ -177,29 +177,23 @@ async function handleVideoDownload(req, res, filename, cachePath) {
       requestId: req.id 
     }, 'Starting CCTV video download');
     
-    // Get authentication token and stream video directly
-    const token = await authenticate();
+    // Open a session on the recorder and stream video directly
+    const driver = getDriver();
+    const session = await driver.authenticate();
     
     // Try to get metadata first, but don't fail if it doesn't exist
-    const metadata = videoMetadata.get(filename);
-    let url, params;
+    let video = videoMetadata.get(filename);
     
-    if (metadata) {
+    if (video) {
       // Use metadata if available
-      logger.info({ filename, metadataPath: metadata.path }, 'Using cached metadata for video');
-      url = `${CCTV.baseUrl}/cgi-bin/filemanager/utilRequest.cgi`;
-      params = new URLSearchParams({
-        func: 'get_viewer',
-        sid: token,
-        source_path: metadata.path,
-        source_file: metadata.filename
-      });
+      logger.info({ filename, metadataPath: video.path }, 'Using cached metadata for video');
     } else {
       // Fallback: find the video on CCTV server by searching through time folders
       logger.warn({ filename, cameraId }, 'No cached metadata, searching CCTV server');
       
-      if (!(cameraId in CCTV.cameras)) {
-        logger.error({ filename, cameraId, availableCameras: Object.keys(CCTV.cameras) }, 'Invalid camera ID');
+      const camera = await cameras.getEnabled(cameraId);
+      if (!camera) {
+        logger.error({ filename, cameraId }, 'Unknown or disabled camera');
         metrics.cctvDownloadErrors.labels('INVALID_CAMERA').inc();
         const errCam = Object.assign(new Error('Invalid camera ID'), { code: 'INVALID_CAMERA' });
         rejectDl(errCam);
@@ -207,48 +201,12 @@ async function handleVideoDownload(req, res, filename, cachePath) {
         return ApiResponse.notFound(res, 'Camera');
       }
       
-      const cameraPath = CCTV.cameras[cameraId];
-      const { formatDatePath } = require('../utils/cctvApi');
-      const { listVideosInPath } = require('../utils/cctvApi');
-      
-      // Calculate date and hour from timestamp
-      const { date, hour } = formatDatePath(timestamp);
-      
-      logger.debug({ filename, cameraId, path: `${cameraPath}/${date}/${hour}` }, 'Searching for video in CCTV path');
+      logger.debug({ filename, cameraId, path: camera.nvr_path, driver: driver.name }, 'Searching for video in CCTV path');
       
-      let foundVideo = null;
-      
-      // Try multiple hours around the timestamp (±1 hour)
-      for (let hourOffset = -1; hourOffset <= 1; hourOffset++) {
-        const searchDate = new Date(timestamp * 1000);
-        searchDate.setHours(searchDate.getHours() + hourOffset);
-        const searchHour = String(searchDate.getHours()).padStart(2, '0');
-        const searchDateStr = formatDatePath(Math.floor(searchDate.getTime() / 1000)).date;
-        
-        // Try normal folder first, then D folder
-        for (const folderSuffix of ['', 'D']) {
-          const datePath = `${searchDateStr}/${searchHour}${folderSuffix}`;
-          logger.debug({ filename, datePath, hourOffset }, 'Searching in CCTV path');
-          
-          const result = await listVideosInPath(cameraPath, datePath, token, cameraId);
-          
-          if (result.videos.length > 0) {
-            // Look for the exact video by timestamp (more tolerant matching)
-            foundVideo = result.videos.find(v => Math.abs(v.timestamp - timestamp) < 300); // Within 5 minutes
-            if (foundVideo) {
-              logger.info({ 
-                filename, 
-                foundFilename: foundVideo.filename, 
-                datePath, 
-                timestampDiff: Math.abs(foundVideo.timestamp - timestamp) 
-              }, 'Found video on CCTV server');
-              break;
-            }
-          }
-        }
-        
-        if (foundVideo) break;
-      }
+      // Search the hours around the timestamp (±1 hour)
+      const result = await driver.listClips(camera.nvr_path, timestamp - 3600, timestamp + 3600, session);
+      // Look for the exact video by timestamp (more tolerant matching)
+      const foundVideo = result.videos.find(v => Math.abs(v.timestamp - timestamp) < 300); // Within 5 minutes
       
       if (!foundVideo) {
         logger.warn({ filename, cameraId, timestamp, searchedHours: 3 }, 'Video not found on CCTV server after search');
@@ -259,22 +217,19 @@ async function handleVideoDownload(req, res, filename, cachePath) {
         return ApiResponse.notFound(res, 'Video not found on CCTV server');
       }
       
-      // Use found video metadata
-      url = `${CCTV.baseUrl}/cgi-bin/filemanager/utilRequest.cgi`;
-      params = new URLSearchParams({
-        func: 'get_viewer',
-        sid: token,
-        source_path: foundVideo.path,
-        source_file: foundVideo.filename
-      });
+      logger.info({ 
+        filename, 
+        foundFilename: foundVideo.filename, 
+        path: foundVideo.path, 
+        timestampDiff: Math.abs(foundVideo.timestamp - timestamp) 
+      }, 'Found video on CCTV server');
       
       // Cache the metadata for future requests
+      video = foundVideo;
       videoMetadata.set(filename, foundVideo);
     }
     
     // (6) Client separation + upstream timeout
-    const UPSTREAM_TIMEOUT_MS = parseInt(process.env.CCTV_UPSTREAM_TIMEOUT_MS || '60000', 10);
-    
     // Helper to create timeout controller independent of client
     function timeoutController(ms) {
       const ctl = new AbortController();
@@ -307,24 +262,23 @@ async function handleVideoDownload(req, res, filename, cachePath) {
       headers['X-Source'] = 'rfid-inventory';
     }
     
-    const response = await fetchFn(`${url}?${params}`, { 
-      signal: muxCtl.signal,
-      headers 
-    });
-    
-    if (!response.ok) {
+    let clip;
+    try {
+      clip = await driver.openClip(video, session, { signal: muxCtl.signal, headers });
+    } catch (err) {
+      if (err.code !== 'UPSTREAM_ERROR' && err.code !== 'VIDEO_NOT_FOUND') throw err;
       logger.error({ 
         filename, 
-        status: response.status, 
-        statusText: response.statusText,
-        url 
+        driver: driver.name,
+        code: err.code,
+        status: err.details?.status,
+        source: `${video.path}/${video.filename}` 
       }, 'Failed to fetch video from CCTV server');
-      metrics.cctvDownloadErrors.labels('UPSTREAM_ERROR').inc();
-      const err = new Error(`Failed to stream video: ${response.status}`);
-      err.code = 'UPSTREAM_ERROR';
+      metrics.cctvDownloadErrors.labels(err.code).inc();
       rejectDl(err);
       downloadPromises.delete(filename);
-      return ApiResponse.serviceUnavailable(res, 'Video streaming service', `HTTP ${response.status}`);
+      if (err.code === 'VIDEO_NOT_FOUND') return ApiResponse.notFound(res, 'Video not found on CCTV server');
+      return ApiResponse.serviceUnavailable(res, 'Video streaming service', `HTTP ${err.details?.status}`);
     }
     
     // *** MÉTRIQUES CRITIQUES: début de téléchargement ***
@@ -333,21 +287,14 @@ async function handleVideoDownload(req, res, filename, cachePath) {
     downloadTimer = metrics.cctvDownloadDuration.startTimer();
 
     // (7) Tee streaming: on envoie immédiatement au client ET on écrit en cache
-    logger.info({ filename, contentLength: response.headers.get('content-length') }, 'Starting tee streaming to client & cache');
+    logger.info({ filename, contentLength: clip.contentLength }, 'Starting tee streaming to client & cache');
     const fsp = require('fs/promises');
-    const { Readable } = require('node:stream');
     const tmp = cachePath + '.part';
 
-    // Prépare les flux (compat natif/node-fetch)
-    const nodeStream = (typeof response.body?.getReader === 'function')
-      ? Readable.fromWeb(response.body)
-      : response.body;
-
     // En-têtes HTTP pour que le client démarre la lecture tout de suite
     if (!res.headersSent) {
       res.setHeader('Content-Type', 'video/mp4');
-      const len = response.headers.get('content-length');
-      if (len) res.setHeader('Content-Length', len);
+      if (clip.contentLength) res.setHeader('Content-Length', clip.contentLength);
       res.setHeader('Accept-Ranges', 'none'); // évite les Range pendant le miss
       // cache côté navigateur (le fichier servi ici est immuable)
       res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
@@ -366,17 +313,25 @@ async function handleVideoDownload(req, res, filename, cachePath) {
 
     // Démarre la duplication: tee -> client & tee -> fichier
     // On NE bloque pas sur la fin côté client (il peut abandonner), mais on sécurise le cache.
-    const clientPipe = pipeline(tee, res).catch((e) => {
-      logger.debug({ filename, error: e.message }, 'Client pipeline ended (normal if client disconnects)');
+    // pipe, not pipeline: a client that leaves must not destroy the tee (and
+    // the cache write); an upstream failure still aborts the client response
+    tee.pipe(res);
+    tee.once('error', (e) => res.destroy(e));
+    res.on('error', (e) => logger.debug({ filename, error: e.message }, 'Client stream error'));
+    res.on('close', () => {
+      if (res.writableEnded) return;
+      tee.unpipe(res);
+      logger.debug({ filename }, 'Client left during download, caching continues');
     });
     const filePipe = pipeline(tee, fileOut).catch((e) => {
       logger.error({ filename, error: e.message }, 'File pipeline error');
       throw e; // Re-throw pour être attrapé par le catch principal
     });
+    filePipe.catch(() => {}); // awaited below, unless the source pipeline fails first
 
     // Source -> tee (démarre réellement le flux et donc l'envoi au client)
     // Use upstream timeout controller for fetch, not client signal
-    await pipeline(nodeStream, tee, { signal: muxCtl.signal });
+    await pipeline(clip.stream, tee, { signal: muxCtl.signal });
     // Assure que l'écriture fichier est terminée
     await filePipe;
 
@@ -415,13 +370,8 @@ async function handleVideoDownload(req, res, filename, cachePath) {
       upstreamTimeout
     }, 'Error during video download');
 
-    // Client disconnected → continue caching for future requests
-    if (clientGone && !upstreamTimeout) {
-      logger.info({ filename }, 'Client disconnected, continuing cache for future requests');
-      // Don't reject download promise - let cache complete for other clients
-      return;
-    }
-
+    // A client that left does not get here (the tee keeps caching without it):
+    // this download failed, waiting requests are told and the .part removed
     // Upstream timeout → abort everything
     if (upstreamTimeout) {
       logger.warn({ filename, timeout: UPSTREAM_TIMEOUT_MS }, 'CCTV upstream timeout');
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { ruleEngine } = require('../services/ruleEngine');
+
+const ALERT_ERRORS = {
+  NOT_FOUND: 404,
+  ALREADY_ACKNOWLEDGED: 409
+};
+
+const handleAlertError = (req, res, error, message) => {
+  if (ALERT_ERRORS[error.code]) {
+    return ApiResponse.error(res, ALERT_ERRORS[error.code], error.message, error.details, error.code);
+  }
+  logger.error(message, {
+    correlationId: req.correlationId,
+    id: req.params.id,
+    error: error.message,
+    stack: error.stack
+  });
+  return ApiResponse.databaseError(res, error);
+};
+
+/**
+ * Route: GET /api/alerts
+ * Rule violations, most recent first (?acknowledged=false for the open ones)
+ */
+router.get('/',
+  validators.alertFilters,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const list = await ruleEngine.listAlerts({
+      acknowledged: req.query.acknowledged,
+      epc: req.query.epc,
+      ruleId: req.query.rule_id,
+      limit: req.query.limit || 100
+    });
+    return ApiResponse.success(res, list, { count: list.length, endpoint: 'alerts' });
+  } catch (error) {
+    return handleAlertError(req, res, error, 'Failed to fetch alerts');
+  }
+});
+
+/**
+ * Route: POST /api/alerts/:id/acknowledge
+ * { acknowledged_by?, note? } - also clears the matching monitoring alert
+ */
+router.post('/:id/acknowledge',
+  validators.alertId,
+  validators.alertAcknowledgeBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const alert = await ruleEngine.acknowledge(req.params.id, {
+      by: req.body.acknowledged_by || null,
+      note: req.body.note || null
+    });
+    logger.info('Alert acknowledged', { correlationId: req.correlationId, id: alert.id, by: alert.acknowledged_by });
+    return ApiResponse.success(res, alert);
+  } catch (error) {
+    return handleAlertError(req, res, error, 'Failed to acknowledge alert');
+  }
+});
+
+module.exports = router;
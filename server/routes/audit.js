@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { toSqlDateTime } = require('../utils/timezoneUtils');
+
+/**
+ * Build the WHERE clause shared by the page and count queries
+ * @param {object} filters - Validated query parameters
+ * @returns {{ where: string, params: Array }}
+ */
+function buildAuditFilters(filters) {
+  const conditions = [];
+  const params = [];
+
+  for (const field of ['entity_type', 'entity_id', 'action', 'actor']) {
+    if (filters[field] !== undefined) {
+      conditions.push(`${field} = ?`);
+      params.push(filters[field]);
+    }
+  }
+  if (filters.from) {
+    conditions.push('occurred_at >= ?');
+    params.push(toSqlDateTime(Math.floor(Date.parse(filters.from) / 1000)));
+  }
+  if (filters.to) {
+    conditions.push('occurred_at <= ?');
+    params.push(toSqlDateTime(Math.floor(Date.parse(filters.to) / 1000)));
+  }
+
+  return { where: conditions.length ? conditions.join(' AND ') : '1 = 1', params };
+}
+
+const parseSnapshot = (value) => {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get audit log entries, newest first
+ *
+ * Filters: entity_type + entity_id (one row's history), action, actor,
+ * from / to (ISO 8601). Pagination: page + limit.
+ */
+router.get('/',
+  validators.auditQuery,
+  handleValidationErrors,
+  async (req, res) => {
+    const correlationId = req.correlationId;
+
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 100;
+      const offset = (page - 1) * limit;
+      const { where, params } = buildAuditFilters(req.query);
+
+      // limit / offset are validated integers (LIMIT placeholders break prepared statements on MySQL 8)
+      const query = `
+        SELECT id, DATE_FORMAT(occurred_at, '%Y-%m-%dT%H:%i:%sZ') as occurred_at, actor, ip_address, endpoint,
+          correlation_id, action, entity_type, entity_id, before_data, after_data
+        FROM audit_log
+        WHERE ${where}
+        ORDER BY occurred_at DESC, id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `;
+
+      const startTime = Date.now();
+      const [[rows], [countRows]] = await Promise.all([
+        pool.execute(query, params),
+        pool.execute(`SELECT COUNT(*) as total FROM audit_log WHERE ${where}`, params)
+      ]);
+      const queryTime = Date.now() - startTime;
+      const total = Number(countRows[0]?.total || 0);
+
+      const items = rows.map(({ before_data, after_data, ...entry }) => ({
+        ...entry,
+        before: parseSnapshot(before_data),
+        after: parseSnapshot(after_data)
+      }));
+
+      return ApiResponse.success(res, {
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }, {
+        count: items.length,
+        endpoint: 'audit',
+        queryTime: `${queryTime}ms`
+      });
+
+    } catch (error) {
+      logger.error('Error fetching audit log', {
+        correlationId,
+        error: error.message,
+        stack: error.stack
+      });
+      return ApiResponse.databaseError(res, error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { cameras } = require('../services/cameras');
+
+const CAMERA_ERRORS = {
+  NOT_FOUND: 404,
+  INVALID_CAMERA: 400,
+  COVERAGE_NOT_FOUND: 400,
+  NAME_TAKEN: 409
+};
+
+const handleCameraError = (req, res, error, message) => {
+  if (CAMERA_ERRORS[error.code]) {
+    return ApiResponse.error(res, CAMERA_ERRORS[error.code], error.message, error.details, error.code);
+  }
+  logger.error(message, {
+    correlationId: req.correlationId,
+    id: req.params.id,
+    error: error.message,
+    stack: error.stack
+  });
+  return ApiResponse.databaseError(res, error);
+};
+
+/**
+ * Route: GET /api/cameras
+ * Enabled cameras in grid order with what they cover (?include_disabled=true for all)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await cameras.list({ includeDisabled: req.query.include_disabled === 'true' });
+    return ApiResponse.success(res, list, { count: list.length, endpoint: 'cameras' });
+  } catch (error) {
+    return handleCameraError(req, res, error, 'Failed to fetch cameras');
+  }
+});
+
+router.get('/:id',
+  validators.cameraId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const camera = await cameras.get(req.params.id);
+    if (!camera) {
+      return ApiResponse.notFound(res, 'Camera');
+    }
+    return ApiResponse.success(res, camera);
+  } catch (error) {
+    return handleCameraError(req, res, error, 'Failed to fetch camera');
+  }
+});
+
+// Create a camera (placed last in the grid unless sort_order is given)
+router.post('/',
+  validators.cameraBody(),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const camera = await cameras.create({
+      name: req.body.name,
+      nvrPath: req.body.nvr_path,
+      enabled: req.body.enabled ?? true,
+      sortOrder: req.body.sort_order ?? null,
+      description: req.body.description || null
+    });
+    logger.info('Camera created', { correlationId: req.correlationId, id: camera.id, name: camera.name });
+    return ApiResponse.success(res, camera, { endpoint: 'cameras' }, 201);
+  } catch (error) {
+    return handleCameraError(req, res, error, 'Failed to create camera');
+  }
+});
+
+router.put('/:id',
+  validators.cameraId,
+  validators.cameraBody(true),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const camera = await cameras.update(req.params.id, {
+      name: req.body.name,
+      nvr_path: req.body.nvr_path,
+      enabled: req.body.enabled,
+      sort_order: req.body.sort_order,
+      description: req.body.description
+    });
+    logger.info('Camera updated', { correlationId: req.correlationId, id: camera.id, name: camera.name });
+    return ApiResponse.success(res, camera);
+  } catch (error) {
+    return handleCameraError(req, res, error, 'Failed to update camera');
+  }
+});
+
+router.delete('/:id',
+  validators.cameraId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await cameras.remove(req.params.id);
+    logger.info('Camera deleted', { correlationId: req.correlationId, id: req.params.id });
+    return ApiResponse.success(res, { id: req.params.id });
+  } catch (error) {
+    return handleCameraError(req, res, error, 'Failed to delete camera');
+  }
+});
+
+/**
+ * Route: PUT /api/cameras/:id/coverage
+ * Replace what a camera covers: { coverage: [{ reader_id, antenna } | { location_id }] }
+ */
+router.put('/:id/coverage',
+  validators.cameraId,
+  validators.cameraCoverageBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const camera = await cameras.setCoverage(req.params.id, req.body.coverage);
+    logger.info('Camera coverage updated', {
+      correlationId: req.correlationId,
+      id: camera.id,
+      coverage: camera.coverage.length
+    });
+    return ApiResponse.success(res, camera);
+  } catch (error) {
+    return handleCameraError(req, res, error, 'Failed to update camera coverage');
+  }
+});
+
+module.exports = router;
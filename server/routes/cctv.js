@@ -6,11 +6,26 @@ const { clearCache } = require('../utils/fileTools');
 const { validators, handleValidationErrors } = require('../middleware/validation');
 const ApiResponse = require('../utils/responseFormatter');
 const { logger, loggers } = require('../logger');
+const { cameras } = require('../services/cameras');
+const { clips } = require('../services/clips');
+
+const CLIP_ERRORS = {
+  NOT_FOUND: 404,
+  NO_FOOTAGE: 404,
+  FOOTAGE_GAP: 404,
+  VIDEO_NOT_FOUND: 404,
+  FFMPEG_FAILED: 502,
+  UPSTREAM_ERROR: 503,
+  FFMPEG_UNAVAILABLE: 503
+};
 
 // rate-limit for CCTV endpoints to protect backend
 const cctvLimiter = rateLimit({ windowMs: 60_000, max: 30, message: 'Too many requests, please slow down.' });
 
-// Main API endpoint to get videos - returns closest video immediately
+// Main API endpoint to get videos - returns closest video immediately.
+// Without camera, ranks the cameras for the antenna that read the tag
+// (?antenna=&mac_address=): cameras covering it by priority, then the others.
+// With camera and antenna, the camera's coverage time offset shifts the target.
 router.get('/videos', 
   // cctvLimiter, // Temporarily disabled for debugging
   validators.cctvVideoRequest, 
@@ -18,17 +33,47 @@ router.get('/videos',
   async (req, res) => {
   try {
     const targetTimestamp = parseInt(req.query.target, 10);
-    const cameraId = parseInt(req.query.camera, 10);
+    const { antenna, mac_address: macAddress } = req.query;
+
+    if (req.query.camera === undefined) {
+      if (isNaN(targetTimestamp) || !antenna) {
+        return ApiResponse.badRequest(res, 'Give a camera, or an antenna to rank the cameras');
+      }
+      const ranked = await cameras.rank({ antenna, macAddress });
+      logger.info('CCTV cameras ranked', {
+        correlationId: req.correlationId,
+        antenna,
+        macAddress,
+        relevant: ranked.filter(camera => camera.relevant).map(camera => camera.id)
+      });
+      return ApiResponse.success(res, {
+        target: targetTimestamp,
+        antenna,
+        cameras: ranked.map(camera => ({ ...camera, target: targetTimestamp + camera.time_offset_seconds }))
+      }, { count: ranked.length, endpoint: 'cctv/videos' });
+    }
 
+    const cameraId = parseInt(req.query.camera, 10);
     if (isNaN(targetTimestamp) || isNaN(cameraId)) {
       logger.warn('Invalid CCTV params', { target: req.query.target, camera: req.query.camera });
       return ApiResponse.badRequest(res, 'Invalid target or camera id');
     }
+
+    if (!(await cameras.getEnabled(cameraId))) {
+      logger.warn('Unknown or disabled camera', { cameraId, correlationId: req.correlationId });
+      return ApiResponse.notFound(res, 'Camera');
+    }
+
+    let recordingTimestamp = targetTimestamp;
+    if (antenna) {
+      const ranked = await cameras.rank({ antenna, macAddress });
+      recordingTimestamp += ranked.find(camera => camera.id === cameraId)?.time_offset_seconds ?? 0;
+    }
     
-    logger.info('CCTV video request', { cameraId, targetTimestamp, correlationId: req.correlationId });
+    logger.info('CCTV video request', { cameraId, targetTimestamp: recordingTimestamp, correlationId: req.correlationId });
     
     // Get videos for the camera
-    const result = await getVideosForCamera(targetTimestamp, cameraId, req.correlationId);
+    const result = await getVideosForCamera(recordingTimestamp, cameraId, req.correlationId);
     
     // Log camera status
     if (result.cameraAvailable) {
@@ -40,7 +85,7 @@ router.get('/videos',
     // Build response in required format
     const response = buildVideoResponse(
       result.videos, 
-      targetTimestamp, 
+      recordingTimestamp, 
       cameraId, 
       result.cameraAvailable, 
       result.cameraError
@@ -66,6 +111,39 @@ router.get('/videos',
   }
 });
 
+/**
+ * Route: GET /api/cctv/clip?camera=&from=&to=
+ * One MP4 of camera from..to (recording time, UTC seconds), trimmed and
+ * stitched across recorder clips by ffmpeg, kept in the video cache
+ */
+router.get('/clip',
+  cctvLimiter,
+  validators.cctvClipRequest,
+  handleValidationErrors,
+  async (req, res) => {
+  const { camera, from, to } = req.query;
+  try {
+    const clip = await clips.extract({ cameraId: camera, from, to });
+    logger.info('CCTV clip served', { correlationId: req.correlationId, camera, from, to, cached: clip.cached });
+    res.setHeader('Content-Disposition', `inline; filename="${clip.filename}"`);
+    return res.sendFile(clip.path, { maxAge: '365d', immutable: true });
+  } catch (error) {
+    if (CLIP_ERRORS[error.code]) {
+      logger.warn('CCTV clip unavailable', { correlationId: req.correlationId, camera, from, to, code: error.code });
+      return ApiResponse.error(res, CLIP_ERRORS[error.code], error.message, error.details, error.code);
+    }
+    logger.error('CCTV clip failed', {
+      correlationId: req.correlationId,
+      camera,
+      from,
+      to,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalError(res, error);
+  }
+});
+
 // Test endpoints for development only
 if (process.env.NODE_ENV !== 'production') {
 
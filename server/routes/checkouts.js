@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { checkouts } = require('../services/checkouts');
+
+const CHECKOUT_ERRORS = {
+  NOT_FOUND: 404,
+  ITEMS_NOT_FOUND: 400,
+  ALREADY_CHECKED_OUT: 409,
+  NOT_OPEN: 409
+};
+
+const handleCheckoutError = (req, res, error, message) => {
+  if (CHECKOUT_ERRORS[error.code]) {
+    return ApiResponse.error(res, CHECKOUT_ERRORS[error.code], error.message, error.details, error.code);
+  }
+  logger.error(message, {
+    correlationId: req.correlationId,
+    id: req.params.id,
+    error: error.message,
+    stack: error.stack
+  });
+  return ApiResponse.databaseError(res, error);
+};
+
+const toSeconds = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+/**
+ * Route: GET /api/checkouts
+ * Checkouts with their items, most recent first (status=overdue: open and late)
+ */
+router.get('/',
+  validators.checkoutsQuery,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const list = await checkouts.list({
+      status: req.query.status,
+      borrower: req.query.borrower,
+      epc: req.query.epc,
+      limit: req.query.limit || 100
+    });
+    return ApiResponse.success(res, list, { count: list.length, endpoint: 'checkouts' });
+  } catch (error) {
+    return handleCheckoutError(req, res, error, 'Failed to fetch checkouts');
+  }
+});
+
+router.get('/:id',
+  validators.checkoutId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const checkout = await checkouts.getCheckout(req.params.id);
+    if (!checkout) {
+      return ApiResponse.notFound(res, 'Checkout');
+    }
+    return ApiResponse.success(res, checkout);
+  } catch (error) {
+    return handleCheckoutError(req, res, error, 'Failed to fetch checkout');
+  }
+});
+
+/**
+ * Route: POST /api/checkouts
+ * { borrower, job, notes, expected_return_at, item_ids?, epcs?, group_ids? }
+ * group_ids checks out every item of the group (a whole kit)
+ */
+router.post('/',
+  validators.checkoutBody(),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { borrower, job, notes, expected_return_at: expectedReturnAt } = req.body;
+    const checkout = await checkouts.create({
+      borrower,
+      job: job || null,
+      notes: notes || null,
+      expectedReturnAt: toSeconds(expectedReturnAt),
+      itemIds: req.body.item_ids || [],
+      epcs: req.body.epcs || [],
+      groupIds: req.body.group_ids || []
+    });
+
+    logger.info('Checkout created', {
+      correlationId: req.correlationId,
+      id: checkout.id,
+      borrower,
+      items: checkout.items.length
+    });
+    return ApiResponse.success(res, checkout, { endpoint: 'checkouts' }, 201);
+  } catch (error) {
+    return handleCheckoutError(req, res, error, 'Failed to create checkout');
+  }
+});
+
+/**
+ * Route: PUT /api/checkouts/:id
+ * Borrower, job, notes or expected return of an open checkout
+ */
+router.put('/:id',
+  validators.checkoutId,
+  validators.checkoutBody(true),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { borrower, job, notes, expected_return_at: expectedReturnAt } = req.body;
+    const checkout = await checkouts.update(req.params.id, {
+      borrower,
+      job,
+      notes,
+      expectedReturnAt: expectedReturnAt === undefined ? undefined : toSeconds(expectedReturnAt)
+    });
+    return ApiResponse.success(res, checkout);
+  } catch (error) {
+    return handleCheckoutError(req, res, error, 'Failed to update checkout');
+  }
+});
+
+/**
+ * Route: POST /api/checkouts/:id/checkin
+ * Manual return: { epcs? } (every item still out when omitted)
+ */
+router.post('/:id/checkin',
+  validators.checkoutId,
+  validators.checkoutCheckIn,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const checkout = await checkouts.checkIn(req.params.id, req.body.epcs || []);
+    logger.info('Checkout checked in', { correlationId: req.correlationId, id: checkout.id, status: checkout.status });
+    return ApiResponse.success(res, checkout);
+  } catch (error) {
+    return handleCheckoutError(req, res, error, 'Failed to check in checkout');
+  }
+});
+
+router.post('/:id/cancel',
+  validators.checkoutId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const checkout = await checkouts.cancel(req.params.id);
+    logger.info('Checkout cancelled', { correlationId: req.correlationId, id: checkout.id });
+    return ApiResponse.success(res, checkout);
+  } catch (error) {
+    return handleCheckoutError(req, res, error, 'Failed to cancel checkout');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { decodeEpc, encodeEpc, listSchemes } = require('../utils/epcCodec');
+const { epcGenerator } = require('../services/epcGenerator');
+
+/**
+ * Supported schemes and the configuration used for new item EPCs
+ */
+router.get('/schemes', (req, res) => {
+  const { scheme, companyPrefix, itemReference, assetType, filter } = epcGenerator.options;
+  return ApiResponse.success(res, {
+    schemes: listSchemes(),
+    generator: { scheme, companyPrefix, itemReference, assetType, filter }
+  }, { endpoint: 'epc/schemes' });
+});
+
+/**
+ * Decode a hex EPC (unknown headers decode as raw)
+ */
+router.get('/decode/:epc',
+  validators.epcParam,
+  handleValidationErrors,
+  (req, res) => ApiResponse.success(res, decodeEpc(req.params.epc), { endpoint: 'epc/decode' })
+);
+
+/**
+ * Encode fields with a scheme: { scheme, fields: { companyPrefix, itemReference, serial, ... } }
+ */
+router.post('/encode',
+  validators.epcEncodeBody,
+  handleValidationErrors,
+  (req, res) => {
+    try {
+      const epc = encodeEpc(req.body.scheme, req.body.fields || {});
+      return ApiResponse.success(res, { epc, decoded: decodeEpc(epc) }, { endpoint: 'epc/encode' });
+    } catch (error) {
+      logger.debug('EPC encoding rejected', { correlationId: req.correlationId, error: error.message });
+      return ApiResponse.badRequest(res, error.message);
+    }
+  }
+);
+
+module.exports = router;
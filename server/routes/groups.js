@@ -1,26 +1,112 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
+const { validators, handleValidationErrors } = require('../middleware/validation');
 const ApiResponse = require('../utils/responseFormatter');
 const { logger } = require('../logger');
+const { movementEngine } = require('../services/movementEngine');
+const { auditLog, pick } = require('../services/audit');
 
-// Get all groups
+const GROUP_FIELDS = ['group_name', 'color', 'icon', 'description', 'movement_gap_seconds'];
+const AUDITED_FIELDS = ['group_id', ...GROUP_FIELDS, 'sort_order', 'archived_at'];
+
+const groupEntry = (action, before, after) => ({
+  action,
+  entityType: 'group',
+  entityId: (before || after).group_id,
+  before: before && pick(before, AUDITED_FIELDS),
+  after: after && pick(after, AUDITED_FIELDS)
+});
+
+// Items moved out of a group, as audit entries
+const movedItemEntries = (itemIds, fromGroupId, toGroupId) => itemIds.map(id => ({
+  action: 'update',
+  entityType: 'item',
+  entityId: id,
+  before: { group_id: String(fromGroupId) },
+  after: { group_id: String(toGroupId) }
+}));
+
+/**
+ * Load groups with their item count, in display order
+ * @param {object} options - { groupId: single group, includeArchived }
+ */
+async function fetchGroups({ groupId = null, includeArchived = false } = {}) {
+  const conditions = [];
+  const params = [];
+  if (groupId !== null) {
+    conditions.push('g.group_id = ?');
+    params.push(String(groupId));
+  } else if (!includeArchived) {
+    conditions.push('g.archived_at IS NULL');
+  }
+  const [groups] = await pool.execute(
+    `SELECT g.id, g.group_id, g.group_name, g.color, g.icon, g.description, g.sort_order, g.movement_gap_seconds,
+       DATE_FORMAT(g.archived_at, '%Y-%m-%d %H:%i:%s') as archived_at,
+       COUNT(i.id) as item_count
+     FROM groupname g
+     LEFT JOIN item i ON i.group_id = g.group_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     GROUP BY g.id
+     ORDER BY g.sort_order, CAST(g.group_id AS UNSIGNED)`,
+    params
+  );
+  return groups.map(group => ({ ...group, item_count: Number(group.item_count) }));
+}
+
+/**
+ * Run work(conn) in a transaction on a dedicated connection
+ */
+async function withTransaction(work) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Move a group's items to another, active group inside an open transaction
+ * @returns {number[]|null} Ids of the items moved, null when the target is not usable
+ */
+async function reassignItems(conn, fromGroupId, toGroupId) {
+  if (String(fromGroupId) === String(toGroupId)) return null;
+  const [targets] = await conn.execute(
+    'SELECT group_id FROM groupname WHERE group_id = ? AND archived_at IS NULL',
+    [String(toGroupId)]
+  );
+  if (targets.length === 0) return null;
+
+  const [items] = await conn.execute('SELECT id FROM item WHERE group_id = ?', [fromGroupId]);
+  await conn.execute('UPDATE item SET group_id = ? WHERE group_id = ?', [toGroupId, fromGroupId]);
+  return items.map(item => item.id);
+}
+
+const reassignTarget = (req) => req.body?.reassign_to ?? req.query.reassign_to ?? null;
+
+// Get all groups (?include_archived=true to list archived ones too)
 router.get('/', async (req, res) => {
   console.log('🎯 Groups route hit!');
   try {
-    const query = 'SELECT * FROM groupname ORDER BY group_id';
-    const [groups] = await pool.execute(query);
-    
+    const groups = await fetchGroups({ includeArchived: req.query.include_archived === 'true' });
+
     logger.info('Groups fetched successfully', {
       correlationId: req.correlationId,
       groupCount: groups.length
     });
-    
+
     return ApiResponse.success(res, groups, {
       count: groups.length,
       endpoint: 'groups'
     });
-    
+
   } catch (error) {
     logger.error('Failed to fetch groups', {
       correlationId: req.correlationId,
@@ -31,4 +117,274 @@ router.get('/', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Display order: { group_ids } first to last; groups not listed keep their position
+router.put('/order',
+  validators.groupOrderBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { group_ids: groupIds } = req.body;
+    const before = await fetchGroups({ includeArchived: true });
+    await withTransaction(async (conn) => {
+      for (const [index, groupId] of groupIds.entries()) {
+        await conn.execute('UPDATE groupname SET sort_order = ? WHERE group_id = ?', [index + 1, String(groupId)]);
+      }
+    });
+
+    logger.info('Groups reordered', { correlationId: req.correlationId, groupIds });
+
+    const groups = await fetchGroups({ includeArchived: true });
+    auditLog.record(req, groups.map(group =>
+      groupEntry('update', before.find(previous => previous.group_id === group.group_id) || group, group)
+    ));
+    return ApiResponse.success(res, groups, { count: groups.length, endpoint: 'groups' });
+  } catch (error) {
+    logger.error('Failed to reorder groups', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Get single group
+router.get('/:groupId',
+  validators.groupId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const [group] = await fetchGroups({ groupId: req.params.groupId });
+    if (!group) {
+      return ApiResponse.notFound(res, 'Group');
+    }
+    return ApiResponse.success(res, group, { endpoint: 'groups' });
+  } catch (error) {
+    logger.error('Failed to fetch group', {
+      correlationId: req.correlationId,
+      groupId: req.params.groupId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Create a group (group_id defaults to the next number, placed last)
+router.post('/',
+  validators.groupBody(),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { group_name, color = null, icon = null, description = null, movement_gap_seconds = null } = req.body;
+
+    const [[next]] = await pool.execute(
+      `SELECT COALESCE(MAX(CAST(group_id AS UNSIGNED)), 0) + 1 as group_id,
+         COALESCE(MAX(sort_order), 0) + 1 as sort_order
+       FROM groupname`
+    );
+    const groupId = req.body.group_id ?? Number(next.group_id);
+
+    await pool.execute(
+      `INSERT INTO groupname (group_id, group_name, color, icon, description, sort_order, movement_gap_seconds)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [String(groupId), group_name, color, icon || null, description || null, Number(next.sort_order), movement_gap_seconds]
+    );
+    movementEngine.invalidateGroups();
+
+    logger.info('Group created', {
+      correlationId: req.correlationId,
+      groupId,
+      groupName: group_name
+    });
+
+    const [group] = await fetchGroups({ groupId });
+    auditLog.record(req, [groupEntry('create', null, group)]);
+    return ApiResponse.success(res, group, { endpoint: 'groups' }, 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return ApiResponse.error(res, 409, 'Group ID already exists', null, 'CONFLICT');
+    }
+    logger.error('Failed to create group', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Rename, recolor, change icon / description / gap (only the fields sent)
+router.put('/:groupId',
+  validators.groupId,
+  validators.groupBody(true),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const fields = GROUP_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return ApiResponse.badRequest(res, 'No fields to update');
+    }
+
+    const [before] = await fetchGroups({ groupId });
+    const [result] = await pool.execute(
+      `UPDATE groupname SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE group_id = ?`,
+      [...fields.map(field => req.body[field] === '' ? null : req.body[field]), String(groupId)]
+    );
+    if (result.affectedRows === 0) {
+      return ApiResponse.notFound(res, 'Group');
+    }
+    movementEngine.invalidateGroups();
+
+    logger.info('Group updated', {
+      correlationId: req.correlationId,
+      groupId,
+      fields
+    });
+
+    const [group] = await fetchGroups({ groupId });
+    auditLog.record(req, [groupEntry('update', before, group)]);
+    return ApiResponse.success(res, group, { endpoint: 'groups' });
+  } catch (error) {
+    logger.error('Failed to update group', {
+      correlationId: req.correlationId,
+      groupId: req.params.groupId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Archive: hidden from selectors and the timeline; items optionally move to reassign_to
+router.post('/:groupId/archive',
+  validators.groupId,
+  validators.groupReassign,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const target = reassignTarget(req);
+
+    const [before] = await fetchGroups({ groupId });
+    const outcome = await withTransaction(async (conn) => {
+      const [result] = await conn.execute(
+        'UPDATE groupname SET archived_at = COALESCE(archived_at, UTC_TIMESTAMP()) WHERE group_id = ?',
+        [String(groupId)]
+      );
+      if (result.affectedRows === 0) return { found: false };
+      if (target === null) return { found: true, moved: [] };
+
+      const moved = await reassignItems(conn, groupId, target);
+      if (moved === null) throw Object.assign(new Error('Invalid reassignment group'), { code: 'BAD_TARGET' });
+      return { found: true, moved };
+    });
+    if (!outcome.found) {
+      return ApiResponse.notFound(res, 'Group');
+    }
+    if (outcome.moved.length > 0) movementEngine.invalidateItemGroups();
+
+    logger.info('Group archived', {
+      correlationId: req.correlationId,
+      groupId,
+      reassignedTo: target,
+      itemsMoved: outcome.moved.length
+    });
+
+    const [group] = await fetchGroups({ groupId });
+    auditLog.record(req, [groupEntry('update', before, group), ...movedItemEntries(outcome.moved, groupId, target)]);
+    return ApiResponse.success(res, { ...group, items_moved: outcome.moved.length }, { endpoint: 'groups' });
+  } catch (error) {
+    if (error.code === 'BAD_TARGET') {
+      return ApiResponse.badRequest(res, 'reassign_to must be another active group');
+    }
+    logger.error('Failed to archive group', {
+      correlationId: req.correlationId,
+      groupId: req.params.groupId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+router.post('/:groupId/restore',
+  validators.groupId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const [before] = await fetchGroups({ groupId });
+    const [result] = await pool.execute('UPDATE groupname SET archived_at = NULL WHERE group_id = ?', [String(groupId)]);
+    if (result.affectedRows === 0) {
+      return ApiResponse.notFound(res, 'Group');
+    }
+
+    logger.info('Group restored', { correlationId: req.correlationId, groupId });
+
+    const [group] = await fetchGroups({ groupId });
+    auditLog.record(req, [groupEntry('update', before, group)]);
+    return ApiResponse.success(res, group, { endpoint: 'groups' });
+  } catch (error) {
+    logger.error('Failed to restore group', {
+      correlationId: req.correlationId,
+      groupId: req.params.groupId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Delete a group; one that still has items needs reassign_to
+router.delete('/:groupId',
+  validators.groupId,
+  validators.groupReassign,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const target = reassignTarget(req);
+
+    const [group] = await fetchGroups({ groupId });
+    if (!group) {
+      return ApiResponse.notFound(res, 'Group');
+    }
+    if (group.item_count > 0 && target === null) {
+      return ApiResponse.error(res, 409, `Group has ${group.item_count} item(s): set reassign_to`, null, 'CONFLICT');
+    }
+
+    const moved = await withTransaction(async (conn) => {
+      const itemIds = target === null ? [] : await reassignItems(conn, groupId, target);
+      if (itemIds === null) throw Object.assign(new Error('Invalid reassignment group'), { code: 'BAD_TARGET' });
+      await conn.execute('DELETE FROM groupname WHERE group_id = ?', [String(groupId)]);
+      return itemIds;
+    });
+    movementEngine.invalidateGroups();
+    if (moved.length > 0) movementEngine.invalidateItemGroups();
+
+    logger.info('Group deleted', {
+      correlationId: req.correlationId,
+      groupId,
+      reassignedTo: target,
+      itemsMoved: moved.length
+    });
+
+    auditLog.record(req, [...movedItemEntries(moved, groupId, target), groupEntry('delete', group, null)]);
+    return ApiResponse.success(res, { group_id: group.group_id, items_moved: moved.length });
+  } catch (error) {
+    if (error.code === 'BAD_TARGET') {
+      return ApiResponse.badRequest(res, 'reassign_to must be another active group');
+    }
+    logger.error('Failed to delete group', {
+      correlationId: req.correlationId,
+      groupId: req.params.groupId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+module.exports = router;
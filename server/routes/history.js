@@ -4,110 +4,153 @@ const pool = require('../config/database');
 const { validators, handleValidationErrors } = require('../middleware/validation');
 const ApiResponse = require('../utils/responseFormatter');
 const { logger } = require('../logger');
+const { toSqlDateTime } = require('../utils/timezoneUtils');
+
+// Sortable columns (query value -> SQL expression), whitelisted by validators.historyQuery
+const SORT_COLUMNS = {
+  group: 'groupname.group_name',
+  designation: 'item.designation',
+  depposix: 'hist.dep',
+  retposix: 'hist.ret',
+  antenna_dep: 'hist.antenna_dep',
+  antenna_ret: 'hist.antenna_ret',
+  inventory_code: 'item.inventory_code',
+  delai: 'duration_seconds'
+};
+
+/**
+ * Build the WHERE clause shared by the page and count queries
+ * @param {object} filters - Validated query parameters
+ * @returns {{ where: string, params: Array }}
+ */
+function buildHistoryFilters(filters) {
+  const conditions = ['hist.dep IS NOT NULL', 'hist.ret IS NOT NULL'];
+  const params = [];
+
+  if (filters.epc) {
+    conditions.push('hist.epchist = ?');
+    params.push(filters.epc);
+  }
+
+  if (filters.group_id !== undefined) {
+    conditions.push('item.group_id = ?');
+    params.push(filters.group_id);
+  } else {
+    // Unregistered tags (group 9) are noise in the history
+    conditions.push('item.group_id <> 9');
+  }
+
+  if (filters.antenna) {
+    conditions.push('(hist.antenna_dep = ? OR hist.antenna_ret = ?)');
+    params.push(filters.antenna, filters.antenna);
+  }
+
+  // Date range: trips overlapping [from, to]
+  if (filters.from) {
+    conditions.push('hist.ret >= ?');
+    params.push(toSqlDateTime(Math.floor(Date.parse(filters.from) / 1000)));
+  }
+  if (filters.to) {
+    conditions.push('hist.dep <= ?');
+    params.push(toSqlDateTime(Math.floor(Date.parse(filters.to) / 1000)));
+  }
+
+  if (filters.min_duration) {
+    conditions.push('TIMESTAMPDIFF(SECOND, hist.dep, hist.ret) >= ?');
+    params.push(filters.min_duration);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
 
 /**
- * Get inventory history with optimized query
- * 
- * Original SQL from getHist() optimized:
- * - Added explicit JOINs instead of WHERE joins (better performance)
- * - Added pagination to avoid loading thousands of records
- * - Added optional filtering by group
- * - Kept original date formatting for compatibility
+ * Get movement history (closed trips) joined to item and group
+ *
+ * Filters: epc, group_id, antenna (departure or return), from / to (ISO 8601),
+ * min_duration (seconds). Sorting: sort + order. Pagination: page + limit.
  */
-router.get('/', 
-  validators.pagination, 
+router.get('/',
+  validators.historyQuery,
   handleValidationErrors,
   async (req, res) => {
     const correlationId = req.correlationId;
-    
+
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 100; // Default 100 records
-      const groupId = req.query.group_id ? parseInt(req.query.group_id) : null;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 100; // Default 100 records
       const offset = (page - 1) * limit;
+      const sort = req.query.sort || 'retposix';
+      const order = req.query.order === 'asc' ? 'ASC' : 'DESC';
+      const { where, params } = buildHistoryFilters(req.query);
 
       logger.info('Fetching inventory history', {
         correlationId,
         page,
         limit,
-        groupId
+        sort,
+        order,
+        filters: params.length
       });
 
-      // Simple working query first - test basic hist table access
-      let query = `
-        SELECT 
-          'Test Item' as designation,
-          'TEST001' as inventory_code,
-          DATE_FORMAT(dep, '%d/%m/%Y à %Hh %imin %ss') as dep,
-          DATE_FORMAT(ret, '%d/%m/%Y à %Hh %imin %ss') as ret,
-          UNIX_TIMESTAMP(dep) as depposix,
-          UNIX_TIMESTAMP(ret) as retposix,
-          antenna_dep,
-          antenna_ret,
-          'Test Group' as \`group\`,
-          'Test Group' as group_name,
-          1 as group_id
+      const from = `
         FROM hist
-        WHERE dep IS NOT NULL AND ret IS NOT NULL
+        INNER JOIN item ON item.epc = hist.epchist
+        LEFT JOIN groupname ON item.group_id = groupname.group_id
+        WHERE ${where}
       `;
 
-      const queryParams = [];
-
-      // Add group filter if specified
-      if (groupId) {
-        query += ' AND item.group_id = ?';
-        queryParams.push(groupId);
-      }
-
-      // Add ordering and pagination
-      query += ' ORDER BY hist.ret DESC LIMIT ? OFFSET ?';
-      queryParams.push(limit, offset);
+      // limit / offset are validated integers (LIMIT placeholders break prepared statements on MySQL 8)
+      const query = `
+        SELECT
+          hist.id,
+          hist.epchist as epc,
+          item.designation,
+          item.inventory_code,
+          DATE_FORMAT(CONVERT_TZ(hist.dep,'GMT','Europe/Paris'),'%d/%m/%Y à %Hh %imin %ss') as dep,
+          DATE_FORMAT(CONVERT_TZ(hist.ret,'GMT','Europe/Paris'),'%d/%m/%Y à %Hh %imin %ss') as ret,
+          UNIX_TIMESTAMP(hist.dep) as depposix,
+          UNIX_TIMESTAMP(hist.ret) as retposix,
+          hist.antenna_dep,
+          hist.antenna_ret,
+          TIME_FORMAT(TIMEDIFF(hist.ret, hist.dep), '%Hh %imin %ss') as delai,
+          TIMESTAMPDIFF(SECOND, hist.dep, hist.ret) as duration_seconds,
+          TIMESTAMPDIFF(SECOND, hist.ret, UTC_TIMESTAMP()) as days,
+          groupname.group_name as \`group\`,
+          groupname.group_name as group_name,
+          item.group_id
+        ${from}
+        ORDER BY ${SORT_COLUMNS[sort]} ${order}, hist.id ${order}
+        LIMIT ${limit} OFFSET ${offset}
+      `;
 
       const startTime = Date.now();
-      const [rows] = await pool.execute(query, queryParams);
+      const [[rows], [countRows]] = await Promise.all([
+        pool.execute(query, params),
+        pool.execute(`SELECT COUNT(*) as total ${from}`, params)
+      ]);
       const queryTime = Date.now() - startTime;
+      const total = Number(countRows[0]?.total || 0);
 
       logger.info('History query completed', {
         correlationId,
         recordCount: rows.length,
-        queryTime: `${queryTime}ms`,
-        groupFilter: groupId || 'all'
+        total,
+        queryTime: `${queryTime}ms`
       });
 
-      // Transform data to match frontend interface
-      const historyItems = rows.map(row => ({
-        designation: row.designation,
-        inventory_code: row.inventory_code,
-        dep: row.dep,
-        ret: row.ret,
-        depposix: row.depposix,
-        retposix: row.retposix,
-        antenna_dep: row.antenna_dep,
-        antenna_ret: row.antenna_ret,
-        delai: '01h30min00s', // Hardcoded for test
-        days: 0,
-        group: row.group,
-        group_name: row.group_name,
-        group_id: row.group_id
-      }));
-
-      // Simple count for test
-      const totalRecords = rows.length;
-
-      res.json(ApiResponse.success({
-        items: historyItems,
+      return ApiResponse.success(res, {
+        items: rows,
         pagination: {
           page,
           limit,
-          total: totalRecords,
-          pages: Math.ceil(totalRecords / limit)
-        },
-        meta: {
-          queryTime: `${queryTime}ms`,
-          recordCount: rows.length,
-          groupFilter: groupId || 'all'
+          total,
+          pages: Math.ceil(total / limit)
         }
-      }));
+      }, {
+        count: rows.length,
+        endpoint: 'history',
+        queryTime: `${queryTime}ms`
+      });
 
     } catch (error) {
       logger.error('Error fetching inventory history', {
@@ -115,14 +158,9 @@ router.get('/',
         error: error.message,
         stack: error.stack
       });
-
-      res.status(500).json(ApiResponse.error(
-        'Failed to fetch inventory history',
-        500,
-        process.env.NODE_ENV === 'development' ? error.stack : undefined
-      ));
+      return ApiResponse.databaseError(res, error);
     }
   }
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -2,224 +2,321 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
 const { logger } = require('../logger');
-const fetchFn = globalThis.fetch || require('node-fetch');
 const realtimeService = require('../services/realtimeService');
+const { movementEngine } = require('../services/movementEngine');
+const readerAdapters = require('../utils/readerAdapters');
+const { toSqlDateTime } = require('../utils/timezoneUtils');
+const { readerRegistry, normalizeMac } = require('../services/readerRegistry');
+const { readerHeartbeat } = require('../services/readerHeartbeat');
+const { readAggregator } = require('../services/readAggregator');
+const { readEventLog } = require('../services/readEventLog');
+const { writeJobs } = require('../services/writeJobs');
+const { ruleEngine } = require('../services/ruleEngine');
+const { webhooks } = require('../services/webhooks');
+const { READERS } = require('../config/constants');
+const { metrics } = require('../metrics');
+const { authenticateReader, captureRawBody, rejectPost } = require('../middleware/readerAuth');
 
 // Middleware to parse urlencoded bodies, as required by the /input endpoint
-router.use(express.urlencoded({ extended: true, limit: '2mb' }));
-router.use(express.json({ limit: '2mb' })); // safety for /input2 if app-level middleware change
+router.use(express.urlencoded({ extended: true, limit: '2mb', verify: captureRawBody }));
+router.use(express.json({ limit: '2mb', verify: captureRawBody })); // safety for /input2 if app-level middleware change
+
+// Stored in hist.epchist varchar(64) / hist.antenna_* varchar(11)
+const EPC_PATTERN = /^[0-9A-Za-z]{1,64}$/;
+const MAX_ANTENNA_LENGTH = 11;
 
 /**
- * Notifies the Flask webhook about an RFID update.
- * This function is asynchronous but we don't wait for its result (fire and forget).
- * @param {object} data - The data payload to send.
+ * Reader adapter registry: adapter name -> adapter (see utils/readerAdapters.js)
  */
-const notifyFlask = (data) => {
-  const webhookUrl = process.env.FLASK_WEBHOOK_URL || "http://127.0.0.1:5001/webhook/rfid";
-  const payload = JSON.stringify({
-    epc: data.epc,
-    reader_name: data.reader_name,
-    antenna: data.antenna,
-    mac_address: data.mac_address,
-    timestamp: new Date().toISOString(),
-    action: 'update'
-  });
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 1000); // 1s portable timeout
-  fetchFn(webhookUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: payload,
-    signal: ac.signal
-  })
-  .catch(err => {
-    logger.warn('Flask webhook notification failed', { error: err.message });
-  })
-  .finally(() => clearTimeout(timeout));
+const adapters = new Map();
+
+const registerAdapter = (adapter) => {
+  adapters.set(adapter.name, adapter);
+};
+
+registerAdapter(readerAdapters.impinj);
+registerAdapter(readerAdapters.chinaReader);
+registerAdapter(readerAdapters.llrp);
+registerAdapter(readerAdapters.zebraFx);
+registerAdapter(readerAdapters.mqttBridge);
+
+// Optional per-read signal values: invalid ones are dropped, not the read
+const toNumberInRange = (value, min, max) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
 };
 
 /**
- * Route: POST /api/input
- * Handles data from RFID readers in x-www-form-urlencoded format.
+ * Normalize and validate one parsed read
+ * @returns {object|null} { epc, antenna, macAddress, readerName, rssi, phase, channel, readerTimestamp }
+ *   or null if invalid
  */
-router.post('/input', async (req, res) => {
-  // évite les logs géants
-  const raw = req.body?.field_values || '';
-  const approxLines = String(raw).split(/\r?\n/).filter(Boolean).length;
-  logger.debug('Received /api/input', { lines: approxLines, headers: { 'content-type': req.headers['content-type'] } });
-  const { reader_name, mac_address, field_delim, field_values } = req.body || {};
-
-  if (!field_values) {
-    return res.status(400).send({ error: 'Missing field_values' });
-  }
-
-  const rows = String(field_values).trim().split(/\r?\n/).filter(Boolean);
-
-  // prepare statement once per request (light perf gain)
-  const sql = `
-    INSERT INTO item (mac_address, reader_name, epc, epc_timestamp, updated_at, antenna)
-    VALUES (?, ?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE 
-      mac_address=VALUES(mac_address), 
-      reader_name=VALUES(reader_name),
-      epc_timestamp=VALUES(epc_timestamp), 
-      updated_at=VALUES(updated_at), 
-      antenna=VALUES(antenna)
-  `;
-  let processed = 0, failed = 0;
-
-  // simple concurrency cap to avoid huge bursts
-  const CONCURRENCY = Number(process.env.INPUT_CONCURRENCY || 20);
-  let inFlight = 0;
-  const queue = [];
+const normalizeRead = (adapter, identity, read) => {
+  if (!read || read.epc === undefined || read.epc === null || read.epc === '') return null;
+  if (read.antenna === undefined || read.antenna === null || read.antenna === '') return null;
 
-  // timestamp commun à la requête (si ok pour ton besoin)
-  const nowUTC = new Date().toISOString().slice(0, 19).replace('T', ' ');
-
-  const runRow = async (row) => {
-    try {
-      const delim = field_delim ?? ',';
-      const resFields = row.split(delim);
-      if (resFields.length < 2) return;
-
-      const antenna = resFields[0].replace(/"/g, '');
-      const epc = resFields[1].replace(/"/g, '');
-      const macAddress = (mac_address || '').replace(/\\"/g, '');
-      const readerName = (reader_name || '').replace(/\\"/g, '');
-
-      await pool.execute(sql, [macAddress, readerName, epc, nowUTC, nowUTC, antenna]);
-      
-      // option: fire-and-forget pour réduire la latence d'ingestion
-      const publish = realtimeService.publishRFIDEvent({
-        epc, reader_name: readerName, antenna, mac_address: macAddress,
-        timestamp: nowUTC, endpoint: '/input'
-      });
-      publish.catch(e => logger.warn('publishRFIDEvent failed', { error: e.message, endpoint: '/input' }));
-      
-      notifyFlask({ epc, reader_name: readerName, antenna, mac_address: macAddress });
-      
-      logger.debug('RFID data processed via /input', { epc, readerName });
-      processed++;
-
-    } catch (error) {
-      logger.error('Failed to process /input row', { error: error.message, row });
-      failed++;
-    }
+  const epc = String(read.epc).trim();
+  const antenna = adapter.mapAntenna(String(read.antenna).trim());
+  if (!EPC_PATTERN.test(epc) || !antenna || antenna.length > MAX_ANTENNA_LENGTH) return null;
+
+  return {
+    epc,
+    antenna,
+    macAddress: String(read.macAddress || identity.macAddress || ''),
+    readerName: String(read.readerName || identity.readerName || ''),
+    rssi: toNumberInRange(read.rssi, -128, 127),
+    phase: toNumberInRange(read.phase, 0, 4096),
+    channel: toNumberInRange(read.channel, 0, 65535),
+    readerTimestamp: readerAdapters.parseReaderTimestamp(read.timestamp)
   };
+};
 
-  for (const row of rows) {
-    if (inFlight >= CONCURRENCY) {
-      await queue.shift();
-    }
-    const p = runRow(row).finally(() => { inFlight--; });
-    inFlight++;
-    queue.push(p);
+/**
+ * Heartbeat for every reader in the accepted reads; a POST without valid
+ * reads still counts for the reader that sent it
+ */
+const recordHeartbeats = (identity, reads, endpoint, at) => {
+  const beats = new Map();
+  for (const read of reads) {
+    // By name too: low-cost readers share a placeholder MAC
+    const key = `${read.macAddress}|${read.readerName}`;
+    const beat = beats.get(key) || { macAddress: read.macAddress, readerName: read.readerName, antennas: new Set() };
+    beat.antennas.add(read.antenna);
+    beats.set(key, beat);
+  }
+  if (beats.size === 0) {
+    beats.set('', { macAddress: identity.macAddress || '', readerName: identity.readerName, antennas: new Set() });
+  }
+  for (const { macAddress, readerName, antennas } of beats.values()) {
+    readerHeartbeat.record({ macAddress, readerName, endpoint, antennas: [...antennas], at });
+  }
+};
+
+/**
+ * Archived items keep their row, so the upsert only updates where they were
+ * seen: report those reads instead of letting the tag come back silently
+ */
+const reportArchivedReads = async (entries) => {
+  const epcs = [...new Set(entries.map(entry => entry.epc))];
+  const [items] = await pool.execute(
+    `SELECT id, epc, designation FROM item WHERE archived_at IS NOT NULL AND epc IN (${epcs.map(() => '?').join(',')})`,
+    epcs
+  );
+  for (const item of items) {
+    // Entries are sorted by lastSeen: the last one is the latest read
+    const { antenna, macAddress, readerName, lastSeen } = entries.filter(entry => entry.epc === item.epc).pop();
+    metrics.rfidArchivedReads.inc();
+    logger.warn('Archived item read', { itemId: item.id, epc: item.epc, antenna, macAddress });
+    realtimeService.publishSystemEvent('archived_item_read', {
+      item_id: item.id, epc: item.epc, designation: item.designation,
+      antenna, mac_address: macAddress, reader_name: readerName,
+      timestamp: new Date(lastSeen * 1000).toISOString()
+    }).catch(e => logger.warn('publishSystemEvent failed', { error: e.message }));
+  }
+};
+
+/**
+ * Once per flushed EPC/antenna entry: publish realtime and queue the "read" webhooks
+ */
+readAggregator.on('flush', (entries) => {
+  reportArchivedReads(entries).catch(error => logger.error('Failed to check archived reads', { error: error.message }));
+
+  for (const { epc, antenna, macAddress, readerName, endpoint, firstSeen, lastSeen, readCount } of entries) {
+    // option: fire-and-forget pour réduire la latence d'ingestion
+    const publish = realtimeService.publishRFIDEvent({
+      epc, reader_name: readerName, antenna, mac_address: macAddress,
+      timestamp: toSqlDateTime(lastSeen), first_seen: toSqlDateTime(firstSeen),
+      read_count: readCount, endpoint
+    });
+    publish.catch(e => logger.warn('publishRFIDEvent failed', { error: e.message, endpoint }));
+
+    webhooks.publish('read', {
+      epc, reader_name: readerName, antenna, mac_address: macAddress,
+      timestamp: new Date(lastSeen * 1000).toISOString(), first_seen: new Date(firstSeen * 1000).toISOString(),
+      read_count: readCount, endpoint
+    });
   }
-  await Promise.all(queue);
-  res.status(200).json({ ok: true, processed, failed });
 });
 
 /**
- * Route: POST /api/input2
- * Handles data from RFID readers in JSON format.
+ * Shared ingestion pipeline: parse with the adapter, validate, feed the
+ * movement engine and buffer each read for the batched item upsert
  */
-router.post('/input2', async (req, res) => {
-  logger.debug('Received /api/input2', { count: Array.isArray(req.body) ? req.body.length : 0,
+const ingest = async (adapter, req, res, endpoint) => {
+  let parsed, identity;
+  try {
+    identity = adapter.identify(req.body, req);
+    const options = {};
+    if (adapter.usesFieldOrder?.(req.body)) {
+      options.fieldOrder = await readerRegistry.getFieldOrder(identity.macAddress);
+    }
+    parsed = adapter.parse(req.body, req, options);
+  } catch (error) {
+    logger.warn('Rejected reader payload', { adapter: adapter.name, endpoint, error: error.message });
+    return res.status(400).send({ error: error.message });
+  }
+
+  // Reads without a reported MAC (MQTT bridge, placeholder MAC) are
+  // attributed to the authenticated reader
+  if (req.readerAuth && (!identity.macAddress || adapter.reportsMac === false)) {
+    identity.macAddress = req.readerAuth.macAddress;
+  }
+
+  const reads = [];
+  let skipped = 0;
+  for (const read of parsed) {
+    const normalized = normalizeRead(adapter, identity, read);
+    if (normalized) reads.push(normalized);
+    else skipped++;
+  }
+
+  logger.debug(`Received ${endpoint}`, { adapter: adapter.name, reads: reads.length, skipped,
     headers: { 'content-type': req.headers['content-type'] } });
-  const rows = req.body;
-
-  if (!Array.isArray(rows)) {
-    return res.status(400).send({ error: 'Expected a JSON array' });
-  }
-
-  let processed = 0, failed = 0;
-  const CONCURRENCY = Number(process.env.INPUT_CONCURRENCY || 20);
-  let inFlight = 0;
-  const queue = [];
-
-  const sql = `
-    INSERT INTO item (mac_address, antenna, epc, updated_at, reader_name, epc_timestamp)  
-    VALUES(?, ?, ?, ?, ?, ?) 
-    ON DUPLICATE KEY UPDATE  
-      mac_address=VALUES(mac_address),
-      antenna=VALUES(antenna), 
-      updated_at=VALUES(updated_at), 
-      reader_name=VALUES(reader_name), 
-      epc_timestamp=VALUES(epc_timestamp)
-  `;
-
-  const nowUTC = new Date().toISOString().slice(0, 19).replace('T', ' ');
-  const runRow = async (row) => {
-    try {
-      const { ant, epc, customcode } = row;
-      if (!ant || !epc || !customcode) return;
-
-      const antenna = 'B' + ant;
-      const readerName = customcode;
-      const macAddress = 'ChinaReaderMac';
-
-      await pool.execute(sql, [macAddress, antenna, epc, nowUTC, readerName, nowUTC]);
-
-      const publish = realtimeService.publishRFIDEvent({
-        epc, reader_name: readerName, antenna, mac_address: macAddress,
-        timestamp: nowUTC, endpoint: '/input2'
-      });
-      publish.catch(e => logger.warn('publishRFIDEvent failed', { error: e.message, endpoint: '/input2' }));
 
-      notifyFlask({ epc, reader_name: readerName, antenna, mac_address: macAddress });
+  // An authenticated reader may only post for its own MAC address
+  if (req.readerAuth) {
+    const macAddresses = reads.length ? reads.map(read => read.macAddress) : [identity.macAddress];
+    const foreign = [...new Set(macAddresses.filter(mac => normalizeMac(mac) !== req.readerAuth.macAddress))];
+    if (foreign.length > 0) {
+      return rejectPost(req, res, 'mac_mismatch', 403, { keyId: req.readerAuth.keyId, macAddresses: foreign });
+    }
+  }
 
-      logger.debug('RFID data processed via /input2', { epc, readerName });
-      processed++;
+  // timestamp commun à la requête (si ok pour ton besoin)
+  const now = new Date();
+  const nowUTC = now.toISOString().slice(0, 19).replace('T', ' ');
+  const nowSec = Math.floor(now.getTime() / 1000);
 
-    } catch (error) {
-      logger.error('Failed to process /input2 row', { error: error.message, row });
-      failed++;
+  // Strict mode: traffic from MACs missing from the reader table never reaches item
+  let rejected = 0, quarantined = 0, failed = 0;
+  const accepted = [];
+  if (readerRegistry.strictMode === 'off') {
+    accepted.push(...reads);
+  } else {
+    const unknown = [];
+    for (const read of reads) {
+      if (await readerRegistry.isKnown(read.macAddress)) accepted.push(read);
+      else unknown.push(read);
     }
-  };
 
-  for (const row of rows) {
-    if (inFlight >= CONCURRENCY) {
-      await queue.shift();
+    if (unknown.length > 0) {
+      logger.warn('Reads from unregistered reader', {
+        endpoint,
+        strictMode: readerRegistry.strictMode,
+        macAddresses: [...new Set(unknown.map(read => read.macAddress))],
+        reads: unknown.length
+      });
+    }
+
+    if (readerRegistry.strictMode === 'quarantine') {
+      for (const read of unknown) {
+        try {
+          await pool.execute(
+            'INSERT INTO reader_quarantine (mac_address, reader_name, epc, antenna, endpoint, received_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [read.macAddress, read.readerName, read.epc, read.antenna, endpoint, nowUTC]
+          );
+          quarantined++;
+        } catch (error) {
+          logger.error('Failed to quarantine read', { error: error.message, epc: read.epc });
+          failed++;
+        }
+      }
+    } else {
+      rejected = unknown.length;
+      if (accepted.length === 0 && rejected > 0) {
+        return rejectPost(req, res, 'unregistered_reader', 403, { rejected });
+      }
     }
-    const p = runRow(row).finally(() => { inFlight--; });
-    inFlight++;
-    queue.push(p);
   }
-  await Promise.all(queue);
-  res.status(200).json({ ok: true, processed, failed });
-});
 
-/**
- * Route: POST /api/rfid/write
- * Reçoit une demande de gravure RFID (UHF Gen2)
- */
-router.post('/rfid/write', async (req, res) => {
-  const { epc, mac_address, serial } = req.body || {};
-  
-  if (!epc || !mac_address || !serial) {
-    return res.status(400).json({ error: 'Missing epc, serial or mac_address' });
+  // Only readers that passed strict mode are tracked: an unknown or spoofed
+  // MAC must not end up with a reader_offline alert
+  const heartbeat = accepted.length > 0 || (reads.length === 0 &&
+    (readerRegistry.strictMode === 'off' || await readerRegistry.isKnown(identity.macAddress)));
+  if (heartbeat) {
+    recordHeartbeats(identity, accepted, endpoint, nowSec);
+  }
+
+  // The reader's own timestamp is used unless its clock is off
+  let skewed = 0;
+  for (const read of accepted) {
+    read.readAt = nowSec;
+    if (read.readerTimestamp === null) continue;
+    if (Math.abs(read.readerTimestamp - nowSec) > READERS.maxClockSkewSeconds) skewed++;
+    else read.readAt = read.readerTimestamp;
   }
 
-  // Log + future extension vers graveur UART
-  logger.info('Received RFID write request', { epc, serial, mac_address });
+  await readEventLog.record(accepted, endpoint, nowUTC);
+
+  // Item upsert, realtime publish and webhooks run once per EPC/antenna when the buffer flushes
+  for (const { epc, antenna, macAddress, readerName, readAt } of accepted) {
+    const timestamp = Math.floor(readAt);
+    readAggregator.add({ epc, antenna, macAddress, readerName, endpoint, timestamp });
+
+    // departures / returns / zone changes (never rejects)
+    movementEngine.processRead({ epc, antenna, timestamp });
+    // geofence / forbidden-zone alert rules (never rejects)
+    ruleEngine.processRead({ epc, antenna, macAddress, timestamp });
+    // read-back of a freshly encoded tag
+    writeJobs.confirmRead({ epc, antenna, macAddress, readAt });
+  }
+  if (skewed > 0) {
+    logger.warn('Reader clock skew, using server time', {
+      endpoint,
+      macAddress: identity.macAddress,
+      reads: skewed,
+      maxClockSkewSeconds: READERS.maxClockSkewSeconds
+    });
+  }
+  const processed = accepted.length;
+
+  res.status(200).json({ ok: true, processed, failed, skipped, rejected, quarantined });
+};
 
+/**
+ * Runs the pipeline for a route: an unexpected failure is logged and
+ * answered with a 500 instead of leaving the reader's request hanging
+ */
+const handleIngest = async (adapter, req, res, endpoint) => {
   try {
-    // Créer l'item dans la base avec valeurs par défaut pour affichage
-    await pool.execute(`
-      INSERT INTO item (epc, mac_address, serial_number, group_id, designation, brand, model, category, updated_at, epc_timestamp, antenna, reader_name, show_in_main)
-      VALUES (?, ?, ?, 5, 'Item gravé RFID', 'RFID Writer', 'UHF Gen2', 'RFID_WRITTEN', NOW(), NOW(), '0', 'RFID Writer WiFi', 1)
-      ON DUPLICATE KEY UPDATE 
-        mac_address=VALUES(mac_address), 
-        serial_number=VALUES(serial_number),
-        updated_at=VALUES(updated_at),
-        epc_timestamp=VALUES(epc_timestamp)
-    `, [epc, mac_address, serial]);
-
-    res.status(200).json({ success: true, message: 'RFID item written and registered', epc, serial });
+    await ingest(adapter, req, res, endpoint);
   } catch (error) {
-    logger.error('Error in /rfid/write', { error: error.message });
-    res.status(500).json({ success: false, error: error.message });
+    logger.error('Failed to ingest reader post', { adapter: adapter.name, endpoint, error: error.message, stack: error.stack });
+    if (!res.headersSent) res.status(500).send({ error: 'Failed to process reads' });
+  }
+};
+
+/**
+ * Route: POST /api/input
+ * Handles data from Impinj readers in x-www-form-urlencoded format.
+ */
+router.post('/input', authenticateReader, (req, res) => handleIngest(adapters.get('impinj'), req, res, '/input'));
+
+/**
+ * Route: POST /api/input2
+ * Handles data from the low-cost readers in JSON format.
+ */
+router.post('/input2', authenticateReader, (req, res) => handleIngest(adapters.get('china-reader'), req, res, '/input2'));
+
+/**
+ * Route: GET /api/input/adapters
+ * Lists the registered reader adapters.
+ */
+router.get('/input/adapters', (req, res) => {
+  res.json(Array.from(adapters.values()).map(({ name, description }) => ({ name, description })));
+});
+
+/**
+ * Route: POST /api/input/:adapter
+ * Handles data from any registered reader adapter (llrp, zebra-fx, mqtt, ...).
+ */
+router.post('/input/:adapter', authenticateReader, (req, res) => {
+  const adapter = adapters.get(req.params.adapter);
+  if (!adapter) {
+    return res.status(404).send({ error: `Unknown reader adapter: ${req.params.adapter}` });
   }
+  return handleIngest(adapter, req, res, `/input/${adapter.name}`);
 });
 
 module.exports = router;
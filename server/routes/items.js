@@ -5,23 +5,55 @@ const { validators, handleValidationErrors } = require('../middleware/validation
 const ApiResponse = require('../utils/responseFormatter');
 const { logger, loggers } = require('../logger');
 const { DatabaseService } = require('../utils/dbOptimizations');
+const { SQL_NORMALIZED_MAC } = require('../services/readerRegistry');
+const { epcGenerator } = require('../services/epcGenerator');
+const { decodeEpc } = require('../utils/epcCodec');
+const { locations } = require('../services/locations');
+const { webhooks } = require('../services/webhooks');
+const { movementEngine } = require('../services/movementEngine');
+const { auditLog, pick } = require('../services/audit');
+const { evidence } = require('../services/evidence');
 
 // Initialize database service
 const dbService = new DatabaseService(pool);
 
-// Get items with pagination and optimization
+// Item columns kept in the audit log (location fields change with every read)
+const AUDITED_FIELDS = ['id', 'epc', 'designation', 'brand', 'model', 'serial_number', 'inventory_code', 'category', 'group_id', 'archived_at'];
+
+/**
+ * Audited columns of items, before a change
+ */
+async function itemSnapshots(itemIds) {
+  if (itemIds.length === 0) return [];
+  const [rows] = await pool.execute(
+    `SELECT ${AUDITED_FIELDS.join(', ')} FROM item WHERE id IN (${itemIds.map(() => '?').join(',')})`,
+    itemIds
+  );
+  return rows;
+}
+
+// Get items with pagination and optimization (?location_id= includes sub-locations)
 router.get('/', 
   validators.pagination, 
+  validators.locationFilter,
   handleValidationErrors,
   async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 1000; // Default to 1000 to maintain compatibility
     const groupId = req.query.group_id ? parseInt(req.query.group_id) : null;
+    const locationId = req.query.location_id || null;
     
     let items, total;
     
-    if (groupId) {
+    if (locationId) {
+      const locationIds = await locations.subtreeIds(locationId);
+      if (!locationIds) {
+        return ApiResponse.notFound(res, 'Location');
+      }
+      items = await dbService.getItemsByLocations(locationIds, page, limit, req.correlationId);
+      total = items.length;
+    } else if (groupId) {
       // Get items by specific group
       items = await dbService.getItemsByGroup(groupId, page, limit, req.correlationId);
       // For group filtering, we'd need a separate count query, but for now use items length
@@ -33,13 +65,15 @@ router.get('/',
         limit < 1000 ? dbService.getItemCount(req.correlationId) : null // Only get count if pagination is used
       ]);
     }
+    items = await locations.annotate(items);
     
     logger.info('Items fetched successfully', {
       correlationId: req.correlationId,
       itemCount: items.length,
       page,
       limit,
-      groupId
+      groupId,
+      locationId
     });
     
     const meta = {
@@ -69,8 +103,104 @@ router.get('/',
   }
 });
 
+// Get items currently outside (open hist row: departed via an exit antenna, not back yet)
+router.get('/out', async (req, res) => {
+  try {
+    const query = `
+      SELECT
+        i.id,
+        i.epc,
+        i.designation,
+        i.inventory_code,
+        i.group_id,
+        g.group_name as \`group\`,
+        h.id as hist_id,
+        h.antenna_dep,
+        ra.label as antenna_dep_label,
+        DATE_FORMAT(CONVERT_TZ(h.dep, 'GMT', 'Europe/Paris'), '%d/%m/%Y à %Hh %imin %ss') as dep,
+        UNIX_TIMESTAMP(h.dep) as depposix,
+        TIMESTAMPDIFF(SECOND, h.dep, UTC_TIMESTAMP()) as seconds_out
+      FROM hist h
+      JOIN item i ON h.epchist = i.epc
+      LEFT JOIN groupname g ON i.group_id = g.group_id
+      LEFT JOIN reader r ON r.mac_address = ${SQL_NORMALIZED_MAC('i.mac_address')}
+      LEFT JOIN reader_antenna ra ON ra.reader_id = r.id AND ra.antenna = h.antenna_dep
+      WHERE h.ret IS NULL AND h.dep IS NOT NULL AND i.archived_at IS NULL
+      ORDER BY h.dep ASC
+    `;
+
+    const [rows] = await pool.execute(query);
+
+    logger.info('Items out fetched successfully', {
+      correlationId: req.correlationId,
+      itemCount: rows.length
+    });
+
+    return ApiResponse.success(res, rows, {
+      count: rows.length,
+      endpoint: 'items/out'
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch items out', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Trash: archived items, newest first; read_since_archived flags tags still being read
+router.get('/archived', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT
+        i.id,
+        i.epc,
+        i.designation,
+        i.brand,
+        i.model,
+        i.inventory_code,
+        i.category,
+        i.group_id,
+        g.group_name as \`group\`,
+        DATE_FORMAT(i.archived_at, '%Y-%m-%dT%H:%i:%sZ') as archived_at,
+        DATE_FORMAT(i.updated_at, '%Y-%m-%dT%H:%i:%sZ') as last_seen_at,
+        i.antenna,
+        i.updated_at > i.archived_at as read_since_archived
+      FROM item i
+      LEFT JOIN groupname g ON i.group_id = g.group_id
+      WHERE i.archived_at IS NOT NULL
+      ORDER BY i.archived_at DESC, i.id DESC
+    `);
+    const items = rows.map(row => ({ ...row, read_since_archived: Boolean(row.read_since_archived) }));
+
+    return ApiResponse.success(res, items, {
+      count: items.length,
+      endpoint: 'items/archived'
+    });
+  } catch (error) {
+    logger.error('Failed to fetch archived items', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Decoded EPC fields for display; null for EPCs that are not hexadecimal
+const safeDecodeEpc = (epc) => {
+  try {
+    return decodeEpc(epc);
+  } catch {
+    return null;
+  }
+};
+
 // Get single item by ID with optimization
-router.get('/:id', 
+router.get('/:id',
   validators.itemId, 
   handleValidationErrors,
   async (req, res) => {
@@ -92,7 +222,8 @@ router.get('/:id',
       itemId: id
     });
     
-    return ApiResponse.success(res, items[0], {
+    const [item] = await locations.annotate(items);
+    return ApiResponse.success(res, { ...item, epc_decoded: safeDecodeEpc(item.epc) }, {
       itemId: id,
       cached: true // Indicate this might be from cache
     });
@@ -108,6 +239,51 @@ router.get('/:id',
   }
 });
 
+/**
+ * Route: GET /api/items/:id/evidence?from=&to= (ISO 8601)
+ * ZIP of the item record, its movements, raw reads and camera clips of the
+ * range, with summary.html and a SHA-256 manifest (X-Evidence-Manifest-SHA256)
+ */
+router.get('/:id/evidence',
+  validators.itemId,
+  validators.evidenceQuery,
+  handleValidationErrors,
+  async (req, res) => {
+  const from = Math.floor(Date.parse(req.query.from) / 1000);
+  const to = Math.floor(Date.parse(req.query.to) / 1000);
+  try {
+    const bundle = await evidence.build({ itemId: req.params.id, from, to });
+    if (!bundle) {
+      return ApiResponse.notFound(res, 'Item');
+    }
+
+    logger.info('Evidence bundle exported', {
+      correlationId: req.correlationId,
+      itemId: req.params.id,
+      from,
+      to,
+      ...bundle.counts,
+      manifestSha256: bundle.manifestSha256
+    });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${bundle.filename}"`);
+    res.setHeader('X-Evidence-Manifest-SHA256', bundle.manifestSha256);
+    await evidence.write(bundle, res);
+    return res.end();
+  } catch (error) {
+    logger.error('Failed to export evidence bundle', {
+      correlationId: req.correlationId,
+      itemId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
 // Create new item
 router.post('/', async (req, res) => {
   try {
@@ -130,17 +306,11 @@ router.post('/', async (req, res) => {
       return ApiResponse.badRequest(res, 'Designation is required');
     }
 
-    // Generate unique EPC if not provided
+    // Generate unique EPC if not provided (configured scheme + serial counter)
     let finalEpc = epc;
     if (!finalEpc || finalEpc.trim() === '') {
-      const prefix = '300833B2DDD9014';
-      const randomHex = Array.from({ length: 9 }, () => 
-        Math.floor(Math.random() * 16).toString(16).toUpperCase()
-      ).join('');
-      finalEpc = prefix + randomHex;
-      console.log('🔍 Generated EPC:', finalEpc);
-    } else {
-      console.log('🔍 Using provided EPC:', finalEpc);
+      finalEpc = await epcGenerator.next();
+      logger.debug('Generated EPC', { correlationId: req.correlationId, epc: finalEpc });
     }
 
     const query = `
@@ -189,6 +359,8 @@ router.post('/', async (req, res) => {
       itemId,
       designation
     });
+    auditLog.record(req, [{ action: 'create', entityType: 'item', entityId: itemId, after: pick(createdItem[0], AUDITED_FIELDS) }]);
+    webhooks.publish('item_changed', { action: 'created', item_ids: [itemId], item: createdItem[0] });
 
     return ApiResponse.success(res, createdItem[0], {
       itemId,
@@ -196,6 +368,14 @@ router.post('/', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      const [archived] = await pool.execute('SELECT id FROM item WHERE epc = ? AND archived_at IS NOT NULL', [String(req.body.epc || '').trim()])
+        .catch(() => [[]]);
+      const message = archived.length > 0
+        ? 'An archived item has this EPC: restore it from the trash'
+        : 'An item with this EPC already exists';
+      return ApiResponse.error(res, 409, message, archived.length > 0 ? { itemId: archived[0].id } : null, 'CONFLICT');
+    }
     logger.error('Failed to create item', {
       correlationId: req.correlationId,
       error: error.message,
@@ -205,7 +385,7 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Bulk delete items
+// Bulk delete items: they go to the trash (archived_at) and keep their history
 router.delete('/bulk', async (req, res) => {
   try {
     console.log('🗑️ Bulk delete request:', JSON.stringify(req.body, null, 2));
@@ -222,16 +402,22 @@ router.delete('/bulk', async (req, res) => {
       return ApiResponse.badRequest(res, 'All itemIds must be valid integers');
     }
 
+    const before = await itemSnapshots(validIds);
     const placeholders = validIds.map(() => '?').join(',');
-    const deleteQuery = `DELETE FROM item WHERE id IN (${placeholders})`;
+    const archiveQuery = `UPDATE item SET archived_at = UTC_TIMESTAMP() WHERE id IN (${placeholders}) AND archived_at IS NULL`;
     
-    const [result] = await pool.execute(deleteQuery, validIds);
+    const [result] = await pool.execute(archiveQuery, validIds);
+    const after = await itemSnapshots(validIds);
+    auditLog.record(req, before.map(item => ({
+      action: 'update', entityType: 'item', entityId: item.id, before: item, after: after.find(row => row.id === item.id)
+    })));
     
     logger.info('Bulk delete completed', {
       correlationId: req.correlationId,
       deletedCount: result.affectedRows,
       requestedCount: validIds.length
     });
+    webhooks.publish('item_changed', { action: 'archived', item_ids: validIds.map(Number) });
 
     return ApiResponse.success(res, {
       deletedCount: result.affectedRows,
@@ -248,6 +434,87 @@ router.delete('/bulk', async (req, res) => {
   }
 });
 
+// Restore archived items
+router.post('/restore',
+  validators.itemIdsBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    const before = await itemSnapshots(itemIds);
+    const [result] = await pool.execute(
+      `UPDATE item SET archived_at = NULL WHERE id IN (${itemIds.map(() => '?').join(',')}) AND archived_at IS NOT NULL`,
+      itemIds
+    );
+    auditLog.record(req, before.map(item => ({
+      action: 'update', entityType: 'item', entityId: item.id, before: item, after: { ...item, archived_at: null }
+    })));
+
+    logger.info('Items restored', {
+      correlationId: req.correlationId,
+      restoredCount: result.affectedRows,
+      requestedCount: itemIds.length
+    });
+    webhooks.publish('item_changed', { action: 'restored', item_ids: itemIds });
+
+    return ApiResponse.success(res, {
+      restoredCount: result.affectedRows,
+      requestedCount: itemIds.length
+    });
+  } catch (error) {
+    logger.error('Failed to restore items', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Permanently delete archived items (active items have to go to the trash first); 409 while alert rules use them
+router.delete('/purge',
+  validators.itemIdsBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    const archived = (await itemSnapshots(itemIds)).filter(item => item.archived_at !== null);
+    if (archived.length === 0) {
+      return ApiResponse.success(res, { purgedCount: 0, requestedCount: itemIds.length });
+    }
+
+    const archivedIds = archived.map(item => item.id);
+    const [result] = await pool.execute(
+      `DELETE FROM item WHERE id IN (${archivedIds.map(() => '?').join(',')}) AND archived_at IS NOT NULL`,
+      archivedIds
+    );
+    auditLog.record(req, archived.map(item => ({ action: 'delete', entityType: 'item', entityId: item.id, before: item })));
+
+    logger.info('Archived items purged', {
+      correlationId: req.correlationId,
+      purgedCount: result.affectedRows,
+      requestedCount: itemIds.length
+    });
+    webhooks.publish('item_changed', { action: 'deleted', item_ids: archivedIds.map(Number) });
+
+    return ApiResponse.success(res, {
+      purgedCount: result.affectedRows,
+      requestedCount: itemIds.length
+    });
+  } catch (error) {
+    // alert_rule.item_id (ON DELETE RESTRICT)
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return ApiResponse.error(res, 409, 'Items are used by alert rules', null, 'IN_USE');
+    }
+    logger.error('Failed to purge items', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
 // Bulk update group
 router.patch('/bulk/group', async (req, res) => {
   try {
@@ -268,10 +535,15 @@ router.patch('/bulk/group', async (req, res) => {
       return ApiResponse.badRequest(res, 'All itemIds must be valid integers');
     }
 
+    const before = await itemSnapshots(validIds);
     const placeholders = validIds.map(() => '?').join(',');
     const updateQuery = `UPDATE item SET group_id = ?, updated_at = NOW() WHERE id IN (${placeholders})`;
     
     const [result] = await pool.execute(updateQuery, [groupId, ...validIds]);
+    movementEngine.invalidateItemGroups(before.map(item => item.epc));
+    auditLog.record(req, before.map(item => ({
+      action: 'update', entityType: 'item', entityId: item.id, before: item, after: { ...item, group_id: groupId }
+    })));
     
     logger.info('Bulk group update completed', {
       correlationId: req.correlationId,
@@ -279,6 +551,7 @@ router.patch('/bulk/group', async (req, res) => {
       requestedCount: validIds.length,
       newGroupId: groupId
     });
+    webhooks.publish('item_changed', { action: 'updated', item_ids: validIds.map(Number), changes: { group_id: groupId } });
 
     return ApiResponse.success(res, {
       updatedCount: result.affectedRows,
@@ -316,10 +589,14 @@ router.patch('/bulk/category', async (req, res) => {
       return ApiResponse.badRequest(res, 'All itemIds must be valid integers');
     }
 
+    const before = await itemSnapshots(validIds);
     const placeholders = validIds.map(() => '?').join(',');
     const updateQuery = `UPDATE item SET category = ?, updated_at = NOW() WHERE id IN (${placeholders})`;
     
     const [result] = await pool.execute(updateQuery, [category.trim(), ...validIds]);
+    auditLog.record(req, before.map(item => ({
+      action: 'update', entityType: 'item', entityId: item.id, before: item, after: { ...item, category: category.trim() }
+    })));
     
     logger.info('Bulk category update completed', {
       correlationId: req.correlationId,
@@ -327,6 +604,7 @@ router.patch('/bulk/category', async (req, res) => {
       requestedCount: validIds.length,
       newCategory: category.trim()
     });
+    webhooks.publish('item_changed', { action: 'updated', item_ids: validIds.map(Number), changes: { category: category.trim() } });
 
     return ApiResponse.success(res, {
       updatedCount: result.affectedRows,
@@ -371,6 +649,7 @@ router.patch('/:id', async (req, res) => {
       SET ${setClause}, updated_at = NOW() 
       WHERE id = ?
     `;
+    const [before] = await itemSnapshots([itemId]);
 
     const [result] = await pool.execute(updateQuery, values);
     
@@ -389,6 +668,8 @@ router.patch('/:id', async (req, res) => {
     if (rows.length === 0) {
       return res.status(404).json({ error: 'Updated item not found' });
     }
+    auditLog.record(req, [{ action: 'update', entityType: 'item', entityId: itemId, before, after: pick(rows[0], AUDITED_FIELDS) }]);
+    webhooks.publish('item_changed', { action: 'updated', item_ids: [itemId], item: rows[0] });
 
     return ApiResponse.success(res, rows[0]);
   } catch (error) {
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { kits } = require('../services/kits');
+
+const KIT_ERRORS = {
+  NOT_FOUND: 404,
+  ITEMS_NOT_FOUND: 400,
+  ITEM_IN_KIT: 409,
+  NAME_TAKEN: 409
+};
+
+const handleKitError = (req, res, error, message) => {
+  if (KIT_ERRORS[error.code]) {
+    return ApiResponse.error(res, KIT_ERRORS[error.code], error.message, error.details, error.code);
+  }
+  logger.error(message, {
+    correlationId: req.correlationId,
+    id: req.params.id,
+    error: error.message,
+    stack: error.stack
+  });
+  return ApiResponse.databaseError(res, error);
+};
+
+/**
+ * Route: GET /api/kits
+ * Kits with status (in | out | partial), member and present counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await kits.list();
+    return ApiResponse.success(res, list, { count: list.length, endpoint: 'kits' });
+  } catch (error) {
+    return handleKitError(req, res, error, 'Failed to fetch kits');
+  }
+});
+
+/**
+ * Route: GET /api/kits/:id
+ * Kit with its members and whether each one is currently present
+ */
+router.get('/:id',
+  validators.kitId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const kit = await kits.getKit(req.params.id);
+    if (!kit) {
+      return ApiResponse.notFound(res, 'Kit');
+    }
+    return ApiResponse.success(res, kit);
+  } catch (error) {
+    return handleKitError(req, res, error, 'Failed to fetch kit');
+  }
+});
+
+router.post('/',
+  validators.kitBody(),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const kit = await kits.create({
+      name: req.body.name,
+      description: req.body.description || null,
+      itemIds: req.body.item_ids || []
+    });
+    logger.info('Kit created', { correlationId: req.correlationId, id: kit.id, name: kit.name, items: kit.item_count });
+    return ApiResponse.success(res, kit, { endpoint: 'kits' }, 201);
+  } catch (error) {
+    return handleKitError(req, res, error, 'Failed to create kit');
+  }
+});
+
+router.put('/:id',
+  validators.kitId,
+  validators.kitBody(true),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const kit = await kits.update(req.params.id, {
+      name: req.body.name,
+      description: req.body.description,
+      itemIds: req.body.item_ids
+    });
+    logger.info('Kit updated', { correlationId: req.correlationId, id: kit.id, items: kit.item_count });
+    return ApiResponse.success(res, kit);
+  } catch (error) {
+    return handleKitError(req, res, error, 'Failed to update kit');
+  }
+});
+
+router.delete('/:id',
+  validators.kitId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await kits.remove(req.params.id);
+    logger.info('Kit deleted', { correlationId: req.correlationId, id: req.params.id });
+    return ApiResponse.success(res, { id: req.params.id });
+  } catch (error) {
+    return handleKitError(req, res, error, 'Failed to delete kit');
+  }
+});
+
+/**
+ * Route: POST /api/kits/:id/items
+ * Add members: { item_ids }
+ */
+router.post('/:id/items',
+  validators.kitId,
+  validators.kitItemsBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const kit = await kits.addItems(req.params.id, req.body.item_ids);
+    return ApiResponse.success(res, kit);
+  } catch (error) {
+    return handleKitError(req, res, error, 'Failed to add kit items');
+  }
+});
+
+router.delete('/:id/items/:itemId',
+  validators.kitId,
+  validators.kitItemId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const kit = await kits.removeItem(req.params.id, req.params.itemId);
+    return ApiResponse.success(res, kit);
+  } catch (error) {
+    return handleKitError(req, res, error, 'Failed to remove kit item');
+  }
+});
+
+module.exports = router;
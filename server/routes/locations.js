@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { locations } = require('../services/locations');
+const { readerRegistry } = require('../services/readerRegistry');
+
+const LOCATION_ERRORS = {
+  NOT_FOUND: 404,
+  PARENT_NOT_FOUND: 400,
+  READER_NOT_FOUND: 400,
+  INVALID_HIERARCHY: 400,
+  NAME_TAKEN: 409,
+  HAS_CHILDREN: 409,
+  IN_USE: 409
+};
+
+const handleLocationError = (req, res, error, message) => {
+  if (LOCATION_ERRORS[error.code]) {
+    return ApiResponse.error(res, LOCATION_ERRORS[error.code], error.message, error.details, error.code);
+  }
+  logger.error(message, {
+    correlationId: req.correlationId,
+    id: req.params.id,
+    error: error.message,
+    stack: error.stack
+  });
+  return ApiResponse.databaseError(res, error);
+};
+
+/**
+ * Route: GET /api/locations
+ * Whole tree, parents before children, with path ("Site > Building > Room"),
+ * depth and mapped antennas
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await locations.list();
+    return ApiResponse.success(res, list, { count: list.length, endpoint: 'locations' });
+  } catch (error) {
+    return handleLocationError(req, res, error, 'Failed to fetch locations');
+  }
+});
+
+router.get('/:id',
+  validators.locationId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const location = await locations.get(req.params.id);
+    if (!location) {
+      return ApiResponse.notFound(res, 'Location');
+    }
+    return ApiResponse.success(res, location);
+  } catch (error) {
+    return handleLocationError(req, res, error, 'Failed to fetch location');
+  }
+});
+
+router.post('/',
+  validators.locationBody(),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const location = await locations.create({
+      name: req.body.name,
+      type: req.body.type,
+      parentId: req.body.parent_id ?? null,
+      description: req.body.description || null
+    });
+    logger.info('Location created', { correlationId: req.correlationId, id: location.id, path: location.path });
+    return ApiResponse.success(res, location, { endpoint: 'locations' }, 201);
+  } catch (error) {
+    return handleLocationError(req, res, error, 'Failed to create location');
+  }
+});
+
+// Rename, retype or move (parent_id) a location
+router.put('/:id',
+  validators.locationId,
+  validators.locationBody(true),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const location = await locations.update(req.params.id, {
+      name: req.body.name,
+      type: req.body.type,
+      parent_id: req.body.parent_id,
+      description: req.body.description
+    });
+    logger.info('Location updated', { correlationId: req.correlationId, id: location.id, path: location.path });
+    return ApiResponse.success(res, location);
+  } catch (error) {
+    return handleLocationError(req, res, error, 'Failed to update location');
+  }
+});
+
+// Delete a location without sub-locations (its antennas become unmapped)
+router.delete('/:id',
+  validators.locationId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await locations.remove(req.params.id);
+    logger.info('Location deleted', { correlationId: req.correlationId, id: req.params.id });
+    return ApiResponse.success(res, { id: req.params.id });
+  } catch (error) {
+    return handleLocationError(req, res, error, 'Failed to delete location');
+  }
+});
+
+/**
+ * Route: PUT /api/locations/:id/antennas
+ * Replace the antennas mapped to a location: { antennas: [{ reader_id, antenna }] }
+ */
+router.put('/:id/antennas',
+  validators.locationId,
+  validators.locationAntennasBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const location = await locations.setAntennas(req.params.id, req.body.antennas);
+    readerRegistry.invalidate();
+    logger.info('Location antennas updated', {
+      correlationId: req.correlationId,
+      id: location.id,
+      antennas: location.antennas.length
+    });
+    return ApiResponse.success(res, location);
+  } catch (error) {
+    return handleLocationError(req, res, error, 'Failed to update location antennas');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,467 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { validators, sanitizers, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { readerRegistry, normalizeMac } = require('../services/readerRegistry');
+const { readerHeartbeat } = require('../services/readerHeartbeat');
+const { readerKeys, generateKey } = require('../services/readerKeys');
+const { requireAdminToken } = require('../middleware/readerAuth');
+const { locations } = require('../services/locations');
+
+const READER_FIELDS = ['mac_address', 'name', 'location', 'description', 'enabled', 'field_order'];
+
+/**
+ * Load readers with their antenna labels
+ * @param {number|null} id - Single reader id, or null for all
+ */
+async function fetchReaders(id = null) {
+  const [readers] = await pool.execute(
+    `SELECT id, mac_address, name, location, description, enabled, field_order,
+       DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') as created_at,
+       DATE_FORMAT(updated_at, '%Y-%m-%d %H:%i:%s') as updated_at
+     FROM reader
+     ${id ? 'WHERE id = ?' : ''}
+     ORDER BY name, id`,
+    id ? [id] : []
+  );
+  if (readers.length === 0) return readers;
+
+  const [antennas] = await pool.execute(
+    `SELECT reader_id, antenna, label, location_id FROM reader_antenna
+     ${id ? 'WHERE reader_id = ?' : ''}
+     ORDER BY antenna`,
+    id ? [id] : []
+  );
+
+  return readers.map(reader => ({
+    ...reader,
+    enabled: Boolean(reader.enabled),
+    antennas: antennas
+      .filter(a => a.reader_id === reader.id)
+      .map(({ antenna, label, location_id }) => ({ antenna, label, location_id }))
+  }));
+}
+
+/**
+ * Run work(conn) in a transaction on a dedicated connection
+ */
+async function withTransaction(work) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Replace a reader's antenna labels inside an open transaction
+ * (an antenna sent without location_id keeps its current location)
+ */
+async function replaceAntennas(conn, readerId, antennas) {
+  const [current] = await conn.execute('SELECT antenna, location_id FROM reader_antenna WHERE reader_id = ?', [readerId]);
+  const locationOf = new Map(current.map(row => [String(row.antenna), row.location_id]));
+
+  await conn.execute('DELETE FROM reader_antenna WHERE reader_id = ?', [readerId]);
+  for (const { antenna, label, location_id } of antennas) {
+    await conn.execute(
+      'INSERT INTO reader_antenna (reader_id, antenna, label, location_id) VALUES (?, ?, ?, ?)',
+      [readerId, antenna, label, location_id !== undefined ? location_id : locationOf.get(String(antenna)) ?? null]
+    );
+  }
+}
+
+// Get all readers
+router.get('/', async (req, res) => {
+  try {
+    const readers = await fetchReaders();
+
+    logger.info('Readers fetched successfully', {
+      correlationId: req.correlationId,
+      readerCount: readers.length
+    });
+
+    return ApiResponse.success(res, readers, {
+      count: readers.length,
+      endpoint: 'readers',
+      strictMode: readerRegistry.strictMode
+    });
+  } catch (error) {
+    logger.error('Failed to fetch readers', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Last POST per reader and antenna, with online / offline state
+router.get('/status', async (req, res) => {
+  try {
+    const registered = new Map((await fetchReaders()).map(reader => [normalizeMac(reader.mac_address), reader]));
+
+    const status = readerHeartbeat.getStatus().map(beat => {
+      const reader = registered.get(beat.key);
+      const labels = new Map((reader?.antennas || []).map(a => [a.antenna, a.label]));
+      return {
+        ...beat,
+        registered: Boolean(reader),
+        reader_id: reader?.id ?? null,
+        name: reader?.name || beat.reader_name,
+        location: reader?.location ?? null,
+        antennas: beat.antennas.map(antenna => ({ ...antenna, label: labels.get(antenna.antenna) || null }))
+      };
+    });
+
+    return ApiResponse.success(res, status, {
+      count: status.length,
+      online: status.filter(reader => reader.online).length,
+      silentAfterSeconds: readerHeartbeat.options.silentAfterSeconds,
+      endpoint: 'readers/status'
+    });
+  } catch (error) {
+    logger.error('Failed to fetch reader status', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Unknown MACs held back by READER_STRICT_MODE=quarantine, one row per MAC
+router.get('/quarantine', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT mac_address,
+        MAX(reader_name) as reader_name,
+        COUNT(*) as read_count,
+        COUNT(DISTINCT epc) as epc_count,
+        DATE_FORMAT(MIN(received_at), '%Y-%m-%d %H:%i:%s') as first_seen,
+        DATE_FORMAT(MAX(received_at), '%Y-%m-%d %H:%i:%s') as last_seen
+      FROM reader_quarantine
+      GROUP BY mac_address
+      ORDER BY last_seen DESC
+    `);
+
+    return ApiResponse.success(res, rows, {
+      count: rows.length,
+      endpoint: 'readers/quarantine'
+    });
+  } catch (error) {
+    logger.error('Failed to fetch reader quarantine', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Clear quarantined reads (all, or one MAC with ?mac_address=)
+router.delete('/quarantine', async (req, res) => {
+  try {
+    const mac = req.query.mac_address;
+    const [result] = mac
+      ? await pool.execute('DELETE FROM reader_quarantine WHERE mac_address = ?', [mac])
+      : await pool.execute('DELETE FROM reader_quarantine');
+
+    logger.info('Reader quarantine cleared', {
+      correlationId: req.correlationId,
+      macAddress: mac || 'all',
+      deletedCount: result.affectedRows
+    });
+
+    return ApiResponse.success(res, { deletedCount: result.affectedRows });
+  } catch (error) {
+    logger.error('Failed to clear reader quarantine', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Get single reader
+router.get('/:id',
+  validators.itemId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const [reader] = await fetchReaders(req.params.id);
+    if (!reader) {
+      return ApiResponse.notFound(res, 'Reader');
+    }
+    return ApiResponse.success(res, reader, { endpoint: 'readers' });
+  } catch (error) {
+    logger.error('Failed to fetch reader', {
+      correlationId: req.correlationId,
+      readerId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Register a reader
+router.post('/',
+  sanitizers.normalizeMacAddress,
+  validators.readerBody(),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const {
+      mac_address, name = '', location = null, description = null, enabled = true,
+      field_order = null, antennas = []
+    } = req.body;
+
+    const readerId = await withTransaction(async (conn) => {
+      const [result] = await conn.execute(
+        `INSERT INTO reader (mac_address, name, location, description, enabled, field_order, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+        [mac_address, name, location, description, enabled ? 1 : 0, field_order]
+      );
+      await replaceAntennas(conn, result.insertId, antennas);
+      return result.insertId;
+    });
+    readerRegistry.invalidate();
+    locations.invalidate();
+
+    logger.info('Reader registered', {
+      correlationId: req.correlationId,
+      readerId,
+      macAddress: mac_address
+    });
+
+    const [reader] = await fetchReaders(readerId);
+    return ApiResponse.success(res, reader, { endpoint: 'readers' }, 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return ApiResponse.error(res, 409, 'Reader already registered', null, 'CONFLICT');
+    }
+    logger.error('Failed to register reader', {
+      correlationId: req.correlationId,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Update a reader (only the fields sent; antennas are replaced when present)
+router.put('/:id',
+  validators.itemId,
+  sanitizers.normalizeMacAddress,
+  validators.readerBody(true),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = READER_FIELDS.filter(field => req.body[field] !== undefined);
+
+    const updated = await withTransaction(async (conn) => {
+      const [result] = await conn.execute(
+        `UPDATE reader SET ${fields.map(field => `${field} = ?, `).join('')}updated_at = UTC_TIMESTAMP() WHERE id = ?`,
+        [...fields.map(field => field === 'enabled' ? (req.body.enabled ? 1 : 0) : req.body[field]), id]
+      );
+      if (result.affectedRows > 0 && Array.isArray(req.body.antennas)) {
+        await replaceAntennas(conn, id, req.body.antennas);
+      }
+      return result.affectedRows > 0;
+    });
+    if (!updated) {
+      return ApiResponse.notFound(res, 'Reader');
+    }
+    readerRegistry.invalidate();
+    locations.invalidate();
+    readerKeys.invalidate();
+
+    logger.info('Reader updated', {
+      correlationId: req.correlationId,
+      readerId: id,
+      fields
+    });
+
+    const [reader] = await fetchReaders(id);
+    return ApiResponse.success(res, reader, { endpoint: 'readers' });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return ApiResponse.error(res, 409, 'Reader already registered', null, 'CONFLICT');
+    }
+    logger.error('Failed to update reader', {
+      correlationId: req.correlationId,
+      readerId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// List a reader's ingestion keys (secrets are never returned again)
+router.get('/:id/keys',
+  validators.itemId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const [keys] = await pool.execute(
+      `SELECT key_id, label,
+         DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') as created_at,
+         DATE_FORMAT(revoked_at, '%Y-%m-%d %H:%i:%s') as revoked_at
+       FROM reader_key
+       WHERE reader_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [req.params.id]
+    );
+
+    return ApiResponse.success(res, keys, {
+      count: keys.length,
+      active: keys.filter(key => !key.revoked_at).length,
+      endpoint: 'readers/keys'
+    });
+  } catch (error) {
+    logger.error('Failed to fetch reader keys', {
+      correlationId: req.correlationId,
+      readerId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Issue an ingestion key (X-Admin-Token); the secret is only returned here
+router.post('/:id/keys',
+  requireAdminToken,
+  validators.itemId,
+  validators.readerKeyBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [reader] = await fetchReaders(id);
+    if (!reader) {
+      return ApiResponse.notFound(res, 'Reader');
+    }
+
+    const { keyId, secret } = generateKey();
+    const label = req.body.label || null;
+    await pool.execute(
+      'INSERT INTO reader_key (reader_id, key_id, secret, label, created_at) VALUES (?, ?, ?, ?, UTC_TIMESTAMP())',
+      [id, keyId, secret, label]
+    );
+    readerKeys.invalidate();
+
+    logger.info('Reader key issued', {
+      correlationId: req.correlationId,
+      readerId: id,
+      macAddress: reader.mac_address,
+      keyId
+    });
+
+    return ApiResponse.success(res, {
+      key_id: keyId,
+      secret,
+      label,
+      mac_address: reader.mac_address
+    }, { endpoint: 'readers/keys' }, 201);
+  } catch (error) {
+    logger.error('Failed to issue reader key', {
+      correlationId: req.correlationId,
+      readerId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Revoke an ingestion key (X-Admin-Token)
+router.delete('/:id/keys/:keyId',
+  requireAdminToken,
+  validators.itemId,
+  validators.readerKeyId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    const [result] = await pool.execute(
+      'UPDATE reader_key SET revoked_at = UTC_TIMESTAMP() WHERE reader_id = ? AND key_id = ? AND revoked_at IS NULL',
+      [id, keyId]
+    );
+    if (result.affectedRows === 0) {
+      return ApiResponse.notFound(res, 'Reader key');
+    }
+    readerKeys.invalidate();
+
+    logger.info('Reader key revoked', {
+      correlationId: req.correlationId,
+      readerId: id,
+      keyId
+    });
+
+    return ApiResponse.success(res, { key_id: keyId, revoked: true });
+  } catch (error) {
+    logger.error('Failed to revoke reader key', {
+      correlationId: req.correlationId,
+      readerId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+// Delete a reader, its antenna labels and keys; 409 while alert rules use it
+router.delete('/:id',
+  validators.itemId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await withTransaction(async (conn) => {
+      await conn.execute('DELETE FROM reader_antenna WHERE reader_id = ?', [id]);
+      await conn.execute('DELETE FROM reader_key WHERE reader_id = ?', [id]);
+      const [deleted] = await conn.execute('DELETE FROM reader WHERE id = ?', [id]);
+      return deleted;
+    });
+    if (result.affectedRows === 0) {
+      return ApiResponse.notFound(res, 'Reader');
+    }
+    readerRegistry.invalidate();
+    locations.invalidate();
+    readerKeys.invalidate();
+
+    logger.info('Reader deleted', {
+      correlationId: req.correlationId,
+      readerId: id
+    });
+
+    return ApiResponse.success(res, { deletedCount: result.affectedRows });
+  } catch (error) {
+    // alert_rule.reader_id (ON DELETE RESTRICT)
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return ApiResponse.error(res, 409, 'Reader is used by alert rules', null, 'IN_USE');
+    }
+    logger.error('Failed to delete reader', {
+      correlationId: req.correlationId,
+      readerId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.databaseError(res, error);
+  }
+});
+
+module.exports = router;
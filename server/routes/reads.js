@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { toSqlDateTime } = require('../utils/timezoneUtils');
+const { replayReads, isReplayRunning } = require('../services/readReplay');
+
+// Without from or epc, only the last day is searched (partition pruning)
+const DEFAULT_WINDOW_SECONDS = 24 * 60 * 60;
+
+const isoToSeconds = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+/**
+ * Build the WHERE clause shared by the page and count queries
+ * @param {object} filters - Validated query parameters
+ * @returns {{ where: string, params: Array }}
+ */
+function buildReadFilters(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.epc) {
+    conditions.push('epc = ?');
+    params.push(filters.epc);
+  }
+
+  if (filters.antenna) {
+    conditions.push('antenna = ?');
+    params.push(filters.antenna);
+  }
+
+  if (filters.mac_address) {
+    conditions.push('mac_address = ?');
+    params.push(filters.mac_address);
+  }
+
+  const from = filters.from
+    ? isoToSeconds(filters.from)
+    : (filters.epc ? null : Math.floor(Date.now() / 1000) - DEFAULT_WINDOW_SECONDS);
+  if (from !== null) {
+    conditions.push('read_at >= ?');
+    params.push(toSqlDateTime(from));
+  }
+  if (filters.to) {
+    conditions.push('read_at < ?');
+    params.push(toSqlDateTime(isoToSeconds(filters.to)));
+  }
+
+  if (filters.min_rssi !== undefined) {
+    conditions.push('rssi >= ?');
+    params.push(filters.min_rssi);
+  }
+
+  return { where: conditions.length ? conditions.join(' AND ') : '1 = 1', params };
+}
+
+/**
+ * Get individual reads from the read log
+ *
+ * Filters: epc, antenna, mac_address, from / to (ISO 8601, default last 24h
+ * unless an EPC is given), min_rssi. Pagination: page + limit, order by read_at.
+ */
+router.get('/',
+  validators.readsQuery,
+  handleValidationErrors,
+  async (req, res) => {
+    const correlationId = req.correlationId;
+
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 500;
+      const offset = (page - 1) * limit;
+      const order = req.query.order === 'asc' ? 'ASC' : 'DESC';
+      const { where, params } = buildReadFilters(req.query);
+
+      // limit / offset are validated integers (LIMIT placeholders break prepared statements on MySQL 8)
+      const query = `
+        SELECT id, epc, antenna, mac_address, reader_name, rssi, phase, channel, endpoint,
+          DATE_FORMAT(read_at, '%Y-%m-%dT%H:%i:%s.%fZ') as read_at,
+          DATE_FORMAT(reader_timestamp, '%Y-%m-%dT%H:%i:%s.%fZ') as reader_timestamp,
+          DATE_FORMAT(received_at, '%Y-%m-%dT%H:%i:%sZ') as received_at
+        FROM read_event
+        WHERE ${where}
+        ORDER BY read_at ${order}, id ${order}
+        LIMIT ${limit} OFFSET ${offset}
+      `;
+
+      const startTime = Date.now();
+      const [[rows], [countRows]] = await Promise.all([
+        pool.execute(query, params),
+        pool.execute(`SELECT COUNT(*) as total FROM read_event WHERE ${where}`, params)
+      ]);
+      const queryTime = Date.now() - startTime;
+      const total = Number(countRows[0]?.total || 0);
+
+      logger.info('Read log query completed', {
+        correlationId,
+        recordCount: rows.length,
+        total,
+        queryTime: `${queryTime}ms`
+      });
+
+      return ApiResponse.success(res, {
+        items: rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }, {
+        count: rows.length,
+        endpoint: 'reads',
+        queryTime: `${queryTime}ms`
+      });
+
+    } catch (error) {
+      logger.error('Error fetching read log', {
+        correlationId,
+        error: error.message,
+        stack: error.stack
+      });
+      return ApiResponse.databaseError(res, error);
+    }
+  }
+);
+
+/**
+ * Replay a time range of the read log through the movement logic
+ * Rebuilds hist for the range, or returns the events only with dry_run.
+ */
+router.post('/replay',
+  validators.replayBody,
+  handleValidationErrors,
+  async (req, res) => {
+    const correlationId = req.correlationId;
+
+    if (isReplayRunning()) {
+      return ApiResponse.error(res, 409, 'A replay is already running', null, 'CONFLICT');
+    }
+
+    try {
+      const { from, to, epc, dry_run: dryRun = false } = req.body;
+
+      logger.info('Read replay requested', { correlationId, from, to, epc, dryRun });
+
+      const result = await replayReads({
+        from: isoToSeconds(from),
+        to: isoToSeconds(to),
+        epc: epc || null,
+        dryRun
+      });
+
+      return ApiResponse.success(res, result, { endpoint: 'reads/replay' });
+    } catch (error) {
+      if (error.code === 'REPLAY_RUNNING') {
+        return ApiResponse.error(res, 409, error.message, null, 'CONFLICT');
+      }
+      logger.error('Read replay failed', {
+        correlationId,
+        error: error.message,
+        stack: error.stack
+      });
+      return ApiResponse.databaseError(res, error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const { validators, sanitizers, handleValidationErrors } = require('../middleware/validation');
+const { authenticateReader, rejectPost, requireAdminToken } = require('../middleware/readerAuth');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { writeJobs } = require('../services/writeJobs');
+const { normalizeMac } = require('../services/readerRegistry');
+
+const JOB_ERRORS = {
+  NOT_FOUND: 404,
+  JOB_ACTIVE: 409,
+  NOT_CLAIMED: 409,
+  NOT_CANCELLABLE: 409,
+  NOT_RETRYABLE: 409
+};
+
+const handleJobError = (req, res, error, message) => {
+  if (JOB_ERRORS[error.code]) {
+    return ApiResponse.error(res, JOB_ERRORS[error.code], error.message, null, error.code);
+  }
+  logger.error(message, {
+    correlationId: req.correlationId,
+    id: req.params.id,
+    error: error.message,
+    stack: error.stack
+  });
+  return ApiResponse.databaseError(res, error);
+};
+
+/**
+ * Writer MAC for the device endpoints: the authenticated reader's, or the one
+ * given (mac_address query / body) when READER_AUTH is off
+ */
+const writerMac = (req, res) => {
+  const given = req.body?.mac_address || req.query.mac_address;
+  if (req.readerAuth) {
+    if (given && normalizeMac(given) !== req.readerAuth.macAddress) {
+      rejectPost(req, res, 'mac_mismatch', 403, { keyId: req.readerAuth.keyId, macAddresses: [given] });
+      return null;
+    }
+    return req.readerAuth.macAddress;
+  }
+  if (!given) {
+    ApiResponse.badRequest(res, 'Missing mac_address');
+    return null;
+  }
+  return given;
+};
+
+/**
+ * Route: POST /api/rfid/write
+ * Queue an encoding job (UHF Gen2) for a writer; mac_address pins it to one
+ * writer, otherwise the first writer polling takes it. Dashboard action:
+ * X-Admin-Token, like cancel and retry
+ */
+router.post('/',
+  requireAdminToken,
+  sanitizers.normalizeMacAddress,
+  validators.writeJobBody,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { epc, serial, designation, group_id: groupId, mac_address: macAddress } = req.body;
+    const job = await writeJobs.create({
+      epc,
+      serialNumber: serial || null,
+      designation: designation || null,
+      groupId: groupId ?? null,
+      macAddress: macAddress || null
+    });
+
+    logger.info('RFID write job queued', { correlationId: req.correlationId, id: job.id, epc, macAddress });
+    return ApiResponse.success(res, job, { endpoint: 'rfid/write' }, 202);
+  } catch (error) {
+    return handleJobError(req, res, error, 'Failed to queue RFID write job');
+  }
+});
+
+/**
+ * Route: GET /api/rfid/write/jobs
+ * Jobs by status (most recent first) for the dashboard
+ */
+router.get('/jobs',
+  validators.writeJobsQuery,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const jobs = await writeJobs.list({
+      status: req.query.status,
+      epc: req.query.epc,
+      limit: req.query.limit || 100
+    });
+    return ApiResponse.success(res, jobs, { count: jobs.length, endpoint: 'rfid/write/jobs' });
+  } catch (error) {
+    return handleJobError(req, res, error, 'Failed to fetch RFID write jobs');
+  }
+});
+
+router.get('/jobs/:id',
+  validators.itemId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const job = await writeJobs.getJob(req.params.id);
+    if (!job) {
+      return ApiResponse.notFound(res, 'Write job');
+    }
+    return ApiResponse.success(res, job);
+  } catch (error) {
+    return handleJobError(req, res, error, 'Failed to fetch RFID write job');
+  }
+});
+
+router.post('/jobs/:id/cancel',
+  requireAdminToken,
+  validators.itemId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const job = await writeJobs.cancel(req.params.id);
+    logger.info('RFID write job cancelled', { correlationId: req.correlationId, id: job.id, epc: job.epc });
+    return ApiResponse.success(res, job);
+  } catch (error) {
+    return handleJobError(req, res, error, 'Failed to cancel RFID write job');
+  }
+});
+
+router.post('/jobs/:id/retry',
+  requireAdminToken,
+  validators.itemId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const job = await writeJobs.retry(req.params.id);
+    logger.info('RFID write job requeued', { correlationId: req.correlationId, id: job.id, epc: job.epc });
+    return ApiResponse.success(res, job);
+  } catch (error) {
+    return handleJobError(req, res, error, 'Failed to retry RFID write job');
+  }
+});
+
+/**
+ * Route: GET /api/rfid/write/next
+ * Writer polling: claims and returns its next job, 204 when there is none.
+ * The writer must acknowledge within WRITE_JOB_CLAIM_TIMEOUT_SECONDS.
+ */
+router.get('/next', authenticateReader, async (req, res) => {
+  const mac = writerMac(req, res);
+  if (!mac) return;
+
+  try {
+    const job = await writeJobs.claimNext(mac);
+    if (!job) {
+      return res.status(204).end();
+    }
+    return ApiResponse.success(res, job, { endpoint: 'rfid/write/next' });
+  } catch (error) {
+    return handleJobError(req, res, error, 'Failed to claim RFID write job');
+  }
+});
+
+/**
+ * Route: POST /api/rfid/write/jobs/:id/ack
+ * Writer result: { success: true } or { success: false, error }
+ */
+router.post('/jobs/:id/ack',
+  authenticateReader,
+  validators.itemId,
+  validators.writeJobAck,
+  handleValidationErrors,
+  async (req, res) => {
+  const mac = writerMac(req, res);
+  if (!mac) return;
+
+  try {
+    const job = await writeJobs.acknowledge(req.params.id, mac, {
+      success: req.body.success,
+      error: req.body.error
+    });
+    logger.info('RFID write job acknowledged', {
+      correlationId: req.correlationId,
+      id: job.id,
+      epc: job.epc,
+      status: job.status,
+      writer: mac
+    });
+    return ApiResponse.success(res, job);
+  } catch (error) {
+    return handleJobError(req, res, error, 'Failed to acknowledge RFID write job');
+  }
+});
+
+module.exports = router;
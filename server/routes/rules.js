@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { ruleEngine } = require('../services/ruleEngine');
+
+const RULE_ERRORS = {
+  NOT_FOUND: 404,
+  INVALID_RULE: 400,
+  INVALID_REFERENCE: 400
+};
+
+const handleRuleError = (req, res, error, message) => {
+  if (RULE_ERRORS[error.code]) {
+    return ApiResponse.error(res, RULE_ERRORS[error.code], error.message, error.details, error.code);
+  }
+  logger.error(message, {
+    correlationId: req.correlationId,
+    id: req.params.id,
+    error: error.message,
+    stack: error.stack
+  });
+  return ApiResponse.databaseError(res, error);
+};
+
+// Body fields of a rule, undefined when not sent
+const ruleFields = (body) => ({
+  name: body.name,
+  enabled: body.enabled,
+  item_id: body.item_id,
+  group_id: body.group_id,
+  category: body.category,
+  location_id: body.location_id,
+  reader_id: body.reader_id,
+  antenna: body.antenna,
+  trigger_type: body.trigger_type,
+  dwell_minutes: body.dwell_minutes,
+  active_from: body.active_from,
+  active_to: body.active_to,
+  active_days: body.active_days,
+  severity: body.severity
+});
+
+/**
+ * Route: GET /api/rules
+ * Alert rules, enabled or not
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await ruleEngine.listRules();
+    return ApiResponse.success(res, list, { count: list.length, endpoint: 'rules' });
+  } catch (error) {
+    return handleRuleError(req, res, error, 'Failed to fetch rules');
+  }
+});
+
+router.get('/:id',
+  validators.ruleId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const rule = await ruleEngine.getRule(req.params.id);
+    if (!rule) {
+      return ApiResponse.notFound(res, 'Rule');
+    }
+    return ApiResponse.success(res, rule);
+  } catch (error) {
+    return handleRuleError(req, res, error, 'Failed to fetch rule');
+  }
+});
+
+/**
+ * Route: POST /api/rules
+ * { name, trigger_type: enters | leaves | dwells, location_id | antenna (+ reader_id),
+ *   item_id?, group_id?, category?, dwell_minutes?, active_from?, active_to? (HH:MM, local),
+ *   active_days? ([1..7], 1 = Monday), severity? }
+ */
+router.post('/',
+  validators.ruleBody(),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const rule = await ruleEngine.createRule(ruleFields(req.body));
+    logger.info('Rule created', { correlationId: req.correlationId, id: rule.id, name: rule.name });
+    return ApiResponse.success(res, rule, { endpoint: 'rules' }, 201);
+  } catch (error) {
+    return handleRuleError(req, res, error, 'Failed to create rule');
+  }
+});
+
+router.put('/:id',
+  validators.ruleId,
+  validators.ruleBody(true),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const rule = await ruleEngine.updateRule(req.params.id, ruleFields(req.body));
+    logger.info('Rule updated', { correlationId: req.correlationId, id: rule.id, enabled: rule.enabled });
+    return ApiResponse.success(res, rule);
+  } catch (error) {
+    return handleRuleError(req, res, error, 'Failed to update rule');
+  }
+});
+
+// Delete a rule (its alerts are kept, detached)
+router.delete('/:id',
+  validators.ruleId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await ruleEngine.removeRule(req.params.id);
+    logger.info('Rule deleted', { correlationId: req.correlationId, id: req.params.id });
+    return ApiResponse.success(res, { id: req.params.id });
+  } catch (error) {
+    return handleRuleError(req, res, error, 'Failed to delete rule');
+  }
+});
+
+module.exports = router;
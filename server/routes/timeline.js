@@ -3,37 +3,18 @@ const router = express.Router();
 const pool = require('../config/database');
 const { logger } = require('../logger');
 
-// Helper function to get icon for group
-function getGroupIcon(groupName) {
-  const icons = {
-    'ENG1': '📹',
-    'ENG2': '🎥', 
-    'ENG3': '📺',
-    'ENG4': '🎬',
-    'SPARE': '📦',
-    'LiveU': '📡',
-    'FS7': '🎦',
-    'Accessoires': '🔧',
-    'ZZ_Not_Reg': '❓',
-    'LUMIERES': '💡',
-    'KITSON': '🎧',
-    'DATAS': '💾',
-    'Alpha7s': '📷',
-    'ZZ_LOST': '❌'
-  };
-  return icons[groupName] || '📁';
-}
-
 // Get tree structure for timeline groups (like original /api/tree)
 router.get('/tree', async (req, res) => {
   try {
-    // Fetch real groups from database
-    const query = `SELECT group_id, group_name, color FROM groupname ORDER BY group_id`;
+    // Fetch real groups from database (archived ones only while they still hold items)
+    const query = `SELECT group_id, group_name, color, icon FROM groupname
+      WHERE archived_at IS NULL OR EXISTS (SELECT 1 FROM item WHERE item.group_id = groupname.group_id AND item.archived_at IS NULL)
+      ORDER BY sort_order, CAST(group_id AS UNSIGNED)`;
     const [rows] = await pool.execute(query);
     
     const treeElements = rows.map(row => ({
       key: row.group_id.toString(),
-      label: `${getGroupIcon(row.group_name)} ${row.group_name}`,
+      label: `${row.icon || '📁'} ${row.group_name}`,
       parent: null,
       open: true,
       color: row.color
@@ -104,6 +85,7 @@ router.get('/treehist', async (req, res) => {
       LEFT JOIN groupname g ON i.group_id = g.group_id
       WHERE h.dep >= ${intervalClause}
         AND i.group_id != 9
+        AND i.archived_at IS NULL
       ORDER BY h.dep DESC
       ${limitClause}
     `;
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const { validators, handleValidationErrors } = require('../middleware/validation');
+const ApiResponse = require('../utils/responseFormatter');
+const { logger } = require('../logger');
+const { webhooks } = require('../services/webhooks');
+
+const WEBHOOK_ERRORS = {
+  NOT_FOUND: 404
+};
+
+const handleWebhookError = (req, res, error, message) => {
+  if (WEBHOOK_ERRORS[error.code]) {
+    return ApiResponse.error(res, WEBHOOK_ERRORS[error.code], error.message, error.details, error.code);
+  }
+  logger.error(message, {
+    correlationId: req.correlationId,
+    id: req.params.id,
+    error: error.message,
+    stack: error.stack
+  });
+  return ApiResponse.databaseError(res, error);
+};
+
+/**
+ * Route: GET /api/webhooks
+ * Subscriptions (without their secret)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await webhooks.list();
+    return ApiResponse.success(res, list, { count: list.length, endpoint: 'webhooks' });
+  } catch (error) {
+    return handleWebhookError(req, res, error, 'Failed to fetch webhooks');
+  }
+});
+
+router.get('/:id',
+  validators.webhookId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const webhook = await webhooks.get(req.params.id);
+    if (!webhook) {
+      return ApiResponse.notFound(res, 'Webhook');
+    }
+    return ApiResponse.success(res, webhook);
+  } catch (error) {
+    return handleWebhookError(req, res, error, 'Failed to fetch webhook');
+  }
+});
+
+/**
+ * Route: POST /api/webhooks
+ * { name, url, events: [read | departure | return | alert | item_changed | *], enabled?, secret? }
+ * The signing secret is returned once, in this response
+ */
+router.post('/',
+  validators.webhookBody(),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const webhook = await webhooks.create({
+      name: req.body.name,
+      url: req.body.url,
+      events: req.body.events,
+      enabled: req.body.enabled ?? true,
+      secret: req.body.secret || null
+    });
+    logger.info('Webhook created', { correlationId: req.correlationId, id: webhook.id, url: webhook.url, events: webhook.events });
+    return ApiResponse.success(res, webhook, { endpoint: 'webhooks' }, 201);
+  } catch (error) {
+    return handleWebhookError(req, res, error, 'Failed to create webhook');
+  }
+});
+
+router.put('/:id',
+  validators.webhookId,
+  validators.webhookBody(true),
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const webhook = await webhooks.update(req.params.id, {
+      name: req.body.name,
+      url: req.body.url,
+      events: req.body.events,
+      enabled: req.body.enabled
+    });
+    logger.info('Webhook updated', { correlationId: req.correlationId, id: webhook.id, enabled: webhook.enabled });
+    return ApiResponse.success(res, webhook);
+  } catch (error) {
+    return handleWebhookError(req, res, error, 'Failed to update webhook');
+  }
+});
+
+// Delete a subscription with its delivery log (pending deliveries are dropped)
+router.delete('/:id',
+  validators.webhookId,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await webhooks.remove(req.params.id);
+    logger.info('Webhook deleted', { correlationId: req.correlationId, id: req.params.id });
+    return ApiResponse.success(res, { id: req.params.id });
+  } catch (error) {
+    return handleWebhookError(req, res, error, 'Failed to delete webhook');
+  }
+});
+
+/**
+ * Route: GET /api/webhooks/:id/deliveries
+ * Delivery log, most recent first: status, attempts, last response / error, next retry
+ */
+router.get('/:id/deliveries',
+  validators.webhookId,
+  validators.webhookDeliveriesQuery,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const deliveries = await webhooks.listDeliveries(req.params.id, {
+      status: req.query.status,
+      limit: req.query.limit || 100
+    });
+    return ApiResponse.success(res, deliveries, { count: deliveries.length, endpoint: 'webhooks' });
+  } catch (error) {
+    return handleWebhookError(req, res, error, 'Failed to fetch webhook deliveries');
+  }
+});
+
+module.exports = router;
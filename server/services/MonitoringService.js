@@ -355,15 +355,18 @@ class MonitoringService {
 
   /**
    * Create an alert
+   * @param {object} data - Alert details (data.severity overrides the type's severity)
+   * @param {string} key - Optional subject (e.g. reader MAC) so one type can have several active alerts
    */
-  createAlert(type, data) {
-    const existingAlert = this.metrics.alerts.active.find(alert => alert.type === type);
+  createAlert(type, data, key = null) {
+    const existingAlert = this.metrics.alerts.active.find(alert => alert.type === type && alert.key === key);
     
     if (!existingAlert) {
       const alert = {
         id: `${type}_${Date.now()}`,
         type,
-        severity: this.getAlertSeverity(type),
+        key,
+        severity: data?.severity || this.getAlertSeverity(type),
         message: this.getAlertMessage(type, data),
         data,
         createdAt: new Date().toISOString(),
@@ -379,6 +382,25 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Resolve an active alert (moves it to alerts.resolved)
+   * @returns {object|null} The resolved alert, or null if none was active
+   */
+  resolveAlert(type, key = null) {
+    const index = this.metrics.alerts.active.findIndex(alert => alert.type === type && alert.key === key);
+    if (index === -1) return null;
+
+    const [alert] = this.metrics.alerts.active.splice(index, 1);
+    alert.resolvedAt = new Date().toISOString();
+    this.metrics.alerts.resolved.push(alert);
+    if (this.metrics.alerts.resolved.length > 500) {
+      this.metrics.alerts.resolved.shift();
+    }
+
+    logger.info(`✅ Alert resolved: ${alert.message}`, { id: alert.id, type, key });
+    return alert;
+  }
+
   /**
    * Get alert severity
    */
@@ -387,7 +409,9 @@ class MonitoringService {
       high_response_time: 'medium',
       high_error_rate: 'high',
       high_memory_usage: 'high',
-      database_connection_failed: 'critical'
+      database_connection_failed: 'critical',
+      reader_offline: 'high',
+      rule_violation: 'high'
     };
     
     return severityMap[type] || 'medium';
@@ -401,7 +425,9 @@ class MonitoringService {
       high_response_time: `High response time detected: ${Math.round(data.current)}ms (threshold: ${data.threshold}ms)`,
       high_error_rate: `High error rate detected: ${Math.round(data.current * 100)}% (threshold: ${Math.round(data.threshold * 100)}%)`,
       high_memory_usage: `High memory usage detected: ${Math.round(data.current * 100)}%`,
-      database_connection_failed: 'Database connection failed'
+      database_connection_failed: 'Database connection failed',
+      reader_offline: `RFID reader ${data.readerName || data.macAddress} silent for ${data.silentSeconds}s`,
+      rule_violation: data.message
     };
     
     return messages[type] || `Alert: ${type}`;
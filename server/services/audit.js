@@ -0,0 +1,105 @@
+const pool = require('../config/database');
+const { logger } = require('../logger');
+
+// Sent by the frontend (operator name) or set by an authenticating reverse proxy;
+// percent-encoded since header values are not UTF-8
+const ACTOR_HEADER = 'X-User';
+
+const decodeActor = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const pick = (row, fields) => Object.fromEntries(fields.filter(field => field in row).map(field => [field, row[field]]));
+
+// null / undefined are one "no value"; numbers and numeric strings compare equal
+const sameValue = (a, b) => (a ?? null) === null ? (b ?? null) === null : (b ?? null) !== null && String(a) === String(b);
+
+/**
+ * Fields whose value differs between two snapshots of a row
+ */
+const changedFields = (before, after) =>
+  [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter(field => !sameValue(before?.[field], after?.[field]));
+
+/**
+ * Inventory audit trail (audit_log)
+ *
+ * Routes call record() once their change is committed, with a snapshot of
+ * each row before and / or after it. Updates keep only the fields that
+ * changed and are skipped when nothing did.
+ */
+class AuditLog {
+  /**
+   * Who / where of a request
+   * @returns {object} { actor, ipAddress, endpoint, correlationId }
+   */
+  context(req) {
+    const actor = decodeActor(req.get(ACTOR_HEADER) || '').trim().slice(0, 255);
+    return {
+      actor: actor || null,
+      ipAddress: req.ip || req.socket?.remoteAddress || null,
+      endpoint: `${req.method} ${req.baseUrl}${req.path}`.slice(0, 255),
+      correlationId: req.correlationId || null
+    };
+  }
+
+  /**
+   * Record the changes made by a request (never rejects: they are already made)
+   * @param {Request} req - Express request
+   * @param {Array} entries - [{ action: create | update | delete, entityType, entityId, before, after }]
+   * @returns {Promise<number>} Rows written
+   */
+  async record(req, entries) {
+    const rows = [];
+    for (const entry of entries) {
+      if (entry.action !== 'update') {
+        rows.push(entry);
+        continue;
+      }
+      const fields = changedFields(entry.before, entry.after);
+      if (fields.length > 0) {
+        rows.push({ ...entry, before: pick(entry.before, fields), after: pick(entry.after, fields) });
+      }
+    }
+    if (rows.length === 0) return 0;
+
+    const { actor, ipAddress, endpoint, correlationId } = this.context(req);
+    try {
+      await pool.execute(
+        `INSERT INTO audit_log
+           (occurred_at, actor, ip_address, endpoint, correlation_id, action, entity_type, entity_id, before_data, after_data)
+         VALUES ${rows.map(() => '(UTC_TIMESTAMP(3), ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        rows.flatMap(row => [
+          actor, ipAddress, endpoint, correlationId, row.action, row.entityType, String(row.entityId),
+          row.before ? JSON.stringify(row.before) : null,
+          row.after ? JSON.stringify(row.after) : null
+        ])
+      );
+      return rows.length;
+    } catch (error) {
+      logger.error('Failed to write audit log', {
+        correlationId,
+        endpoint,
+        actor,
+        entries: rows.length,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+}
+
+// Create singleton instance
+const auditLog = new AuditLog();
+
+module.exports = {
+  AuditLog,
+  auditLog,
+  pick,
+  changedFields,
+  ACTOR_HEADER
+};
@@ -0,0 +1,251 @@
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const { READERS } = require('../config/constants');
+const { normalizeMac } = require('./readerRegistry');
+const { locations } = require('./locations');
+
+const CAMERA_FIELDS = ['name', 'nvr_path', 'enabled', 'sort_order', 'description'];
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const cameraError = (message, code, details = null) => Object.assign(new Error(message), { code, details });
+
+/**
+ * Camera registry (camera / camera_coverage)
+ *
+ * Cached like the location tree: every CCTV request resolves its camera
+ * here, so the table is read once per cacheTtlMs or after a change made
+ * through this service. A camera covers reader antennas and / or locations,
+ * each with a priority (1 = best view) and a time offset between the read
+ * and the recording, used to rank the cameras of the antenna that read a tag.
+ */
+class CameraRegistry {
+  constructor(options = {}) {
+    this.options = {
+      cacheTtlMs: READERS.cacheTtlMs,
+      ...options
+    };
+    // id -> { id, name, nvr_path, enabled, sort_order, description, created_at, updated_at, coverage: [] }
+    this.cameras = new Map();
+    // Coverage with the reader MAC, for ranking: [{ camera_id, mac_address, antenna, location_id, priority, time_offset_seconds }]
+    this.areas = [];
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async load() {
+    const [rows] = await pool.execute(
+      `SELECT id, name, nvr_path, enabled, sort_order, description,
+         DATE_FORMAT(created_at, '%Y-%m-%dT%H:%i:%sZ') as created_at,
+         DATE_FORMAT(updated_at, '%Y-%m-%dT%H:%i:%sZ') as updated_at
+       FROM camera
+       ORDER BY sort_order, id`
+    );
+    const [coverage] = await pool.execute(
+      `SELECT cc.camera_id, cc.reader_id, r.name as reader_name, r.mac_address, cc.antenna, cc.location_id,
+         cc.priority, cc.time_offset_seconds
+       FROM camera_coverage cc
+       LEFT JOIN reader r ON r.id = cc.reader_id
+       ORDER BY cc.priority, cc.id`
+    );
+
+    const next = new Map(rows.map(row => [row.id, { ...row, enabled: Boolean(row.enabled), coverage: [] }]));
+    for (const { camera_id: cameraId, mac_address: macAddress, ...area } of coverage) {
+      next.get(cameraId)?.coverage.push(area);
+    }
+
+    this.cameras = next;
+    this.areas = coverage.filter(area => next.has(area.camera_id));
+    this.loadedAt = Date.now();
+  }
+
+  async refresh() {
+    if (Date.now() - this.loadedAt <= this.options.cacheTtlMs) return;
+    if (!this.loading) {
+      this.loading = this.load()
+        .catch(error => {
+          // Keep the previous snapshot; retry after the TTL
+          this.loadedAt = Date.now();
+          logger.warn('Failed to load cameras', { error: error.message });
+        })
+        .finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Cameras in grid order
+   * @param {object} options - { includeDisabled }
+   */
+  async list({ includeDisabled = false } = {}) {
+    await this.refresh();
+    return [...this.cameras.values()].filter(camera => includeDisabled || camera.enabled);
+  }
+
+  async get(id) {
+    await this.refresh();
+    return this.cameras.get(Number(id)) || null;
+  }
+
+  /**
+   * A camera that can be viewed, or null (unknown or disabled)
+   */
+  async getEnabled(id) {
+    const camera = await this.get(id);
+    return camera?.enabled ? camera : null;
+  }
+
+  /**
+   * Enabled cameras for the antenna that read a tag: those covering it
+   * (directly, or through its location and the location's ancestors) by
+   * priority, then the others in grid order. Without a MAC address (hist
+   * keeps only the antenna code) the antenna is matched on every reader.
+   * @param {object} source - { antenna, macAddress }
+   * @returns {Promise<Array>} [{ id, name, relevant, priority, time_offset_seconds }]
+   */
+  async rank({ antenna, macAddress = null }) {
+    await Promise.all([this.refresh(), locations.refresh()]);
+    const mac = macAddress ? normalizeMac(macAddress) : null;
+    const locationIds = new Set(mac ? locations.locationIdsOf(mac, antenna) : locations.locationIdsOfAntenna(antenna));
+    const covers = (area) => (area.location_id != null
+      ? locationIds.has(area.location_id)
+      : area.antenna === antenna && (!mac || normalizeMac(area.mac_address) === mac));
+
+    const ranked = [...this.cameras.values()]
+      .filter(camera => camera.enabled)
+      .map(camera => {
+        // areas are ordered by priority: the first match is the best
+        const best = this.areas.find(area => area.camera_id === camera.id && covers(area));
+        return {
+          id: camera.id,
+          name: camera.name,
+          relevant: Boolean(best),
+          priority: best ? best.priority : null,
+          time_offset_seconds: best ? best.time_offset_seconds : 0
+        };
+      });
+    // Stable sort keeps grid order among equals
+    return ranked.sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity));
+  }
+
+  async create({ name, nvrPath, enabled = true, sortOrder = null, description = null }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO camera (name, nvr_path, enabled, sort_order, description, created_at, updated_at)
+         SELECT ?, ?, ?, COALESCE(?, MAX(sort_order) + 1, 1), ?, UTC_TIMESTAMP(), UTC_TIMESTAMP() FROM camera`,
+        [name, nvrPath, enabled ? 1 : 0, sortOrder, description]
+      );
+      this.invalidate();
+      return this.get(result.insertId);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw cameraError(`Camera "${name}" already exists`, 'NAME_TAKEN');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename, move, enable / disable a camera (only the fields given)
+   */
+  async update(id, changes) {
+    const fields = CAMERA_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+      throw cameraError('No fields to update', 'INVALID_CAMERA');
+    }
+    const values = fields.map(field => {
+      if (field === 'enabled') return changes.enabled ? 1 : 0;
+      return changes[field] === '' ? null : changes[field];
+    });
+
+    let result;
+    try {
+      [result] = await pool.execute(
+        `UPDATE camera SET ${[...fields.map(field => `${field} = ?`), 'updated_at = UTC_TIMESTAMP()'].join(', ')} WHERE id = ?`,
+        [...values, id]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw cameraError(`Camera "${changes.name}" already exists`, 'NAME_TAKEN');
+      }
+      throw error;
+    }
+    if (result.affectedRows === 0) {
+      throw cameraError(`Camera ${id} not found`, 'NOT_FOUND');
+    }
+    this.invalidate();
+    return this.get(id);
+  }
+
+  async remove(id) {
+    const [result] = await pool.execute('DELETE FROM camera WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      throw cameraError(`Camera ${id} not found`, 'NOT_FOUND');
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Replace what a camera covers: [{ reader_id, antenna } | { location_id }],
+   * each with an optional priority and time_offset_seconds
+   */
+  async setCoverage(id, coverage) {
+    this.invalidate();
+    if (!(await this.get(id))) {
+      throw cameraError(`Camera ${id} not found`, 'NOT_FOUND');
+    }
+
+    const readerIds = [...new Set(coverage.filter(area => area.reader_id != null).map(area => area.reader_id))];
+    const locationIds = [...new Set(coverage.filter(area => area.location_id != null).map(area => area.location_id))];
+    const missing = {};
+    if (readerIds.length > 0) {
+      const [readers] = await pool.execute(`SELECT id FROM reader WHERE id IN (${placeholders(readerIds)})`, readerIds);
+      const known = new Set(readers.map(reader => reader.id));
+      const unknown = readerIds.filter(readerId => !known.has(readerId));
+      if (unknown.length > 0) missing.reader_ids = unknown;
+    }
+    if (locationIds.length > 0) {
+      const [rows] = await pool.execute(`SELECT id FROM location WHERE id IN (${placeholders(locationIds)})`, locationIds);
+      const known = new Set(rows.map(location => location.id));
+      const unknown = locationIds.filter(locationId => !known.has(locationId));
+      if (unknown.length > 0) missing.location_ids = unknown;
+    }
+    if (Object.keys(missing).length > 0) {
+      throw cameraError('Unknown reader(s) or location(s)', 'COVERAGE_NOT_FOUND', missing);
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.execute('DELETE FROM camera_coverage WHERE camera_id = ?', [id]);
+      for (const area of coverage) {
+        await conn.execute(
+          `INSERT IGNORE INTO camera_coverage (camera_id, reader_id, antenna, location_id, priority, time_offset_seconds)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [id, area.reader_id ?? null, area.antenna ?? null, area.location_id ?? null, area.priority ?? 1, area.time_offset_seconds ?? 0]
+        );
+      }
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+
+    this.invalidate();
+    return this.get(id);
+  }
+}
+
+// Create singleton instance
+const cameras = new CameraRegistry();
+
+module.exports = {
+  CameraRegistry,
+  cameras
+};
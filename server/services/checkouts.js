@@ -0,0 +1,416 @@
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const realtimeService = require('./realtimeService');
+const { movementEngine } = require('./movementEngine');
+const { metrics } = require('../metrics');
+const { CHECKOUTS } = require('../config/constants');
+const { toSqlDateTime } = require('../utils/timezoneUtils');
+
+const CHECKOUT_COLUMNS = `
+  c.id, c.borrower, c.job, c.notes, c.status,
+  DATE_FORMAT(c.expected_return_at, '%Y-%m-%dT%H:%i:%sZ') as expected_return_at,
+  DATE_FORMAT(c.returned_at, '%Y-%m-%dT%H:%i:%sZ') as returned_at,
+  DATE_FORMAT(c.overdue_notified_at, '%Y-%m-%dT%H:%i:%sZ') as overdue_notified_at,
+  DATE_FORMAT(c.created_at, '%Y-%m-%dT%H:%i:%sZ') as created_at,
+  DATE_FORMAT(c.updated_at, '%Y-%m-%dT%H:%i:%sZ') as updated_at,
+  (c.status = 'open' AND c.expected_return_at < UTC_TIMESTAMP()) as overdue
+`;
+
+const LINE_COLUMNS = `
+  ci.id, ci.checkout_id, ci.epc, ci.group_id, ci.hist_id, ci.antenna_dep, ci.antenna_ret,
+  DATE_FORMAT(ci.departed_at, '%Y-%m-%dT%H:%i:%sZ') as departed_at,
+  DATE_FORMAT(ci.returned_at, '%Y-%m-%dT%H:%i:%sZ') as returned_at,
+  i.id as item_id, i.designation, i.serial_number
+`;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const checkoutError = (message, code, details = null) => Object.assign(new Error(message), { code, details });
+
+/**
+ * Equipment checkouts: items (or whole groups) handed to a borrower for a job
+ *
+ * A checkout is open until every item is back, either read again after an
+ * RFID departure (movement engine 'return') or checked in by hand. Departures
+ * of its EPCs are attached to it (hist row included at exit antennas).
+ * Open checkouts past expected_return_at publish one checkout_overdue event.
+ * Emits 'checkout' ({ id, event, ... }) on every change.
+ */
+class CheckoutService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      overdueCheckIntervalMs: CHECKOUTS.overdueCheckIntervalMs,
+      engine: movementEngine,
+      ...options
+    };
+
+    this.overdueInterval = null;
+    this.onDeparture = (event) => this.attachDeparture(event)
+      .catch(error => logger.warn('Checkout departure not recorded', { error: error.message, epc: event.epc }));
+    this.onReturn = (event) => this.attachReturn(event)
+      .catch(error => logger.warn('Checkout return not recorded', { error: error.message, epc: event.epc }));
+  }
+
+  start() {
+    const { engine } = this.options;
+    engine.on('departure', this.onDeparture);
+    engine.on('return', this.onReturn);
+    if (!this.overdueInterval) {
+      this.overdueInterval = setInterval(() => {
+        this.checkOverdue().catch(error => logger.warn('Checkout overdue check failed', { error: error.message }));
+      }, this.options.overdueCheckIntervalMs);
+      this.overdueInterval.unref?.();
+    }
+  }
+
+  stop() {
+    const { engine } = this.options;
+    engine.off('departure', this.onDeparture);
+    engine.off('return', this.onReturn);
+    if (this.overdueInterval) clearInterval(this.overdueInterval);
+    this.overdueInterval = null;
+  }
+
+  async getCheckout(id) {
+    const [rows] = await pool.execute(`SELECT ${CHECKOUT_COLUMNS} FROM checkout c WHERE c.id = ?`, [id]);
+    if (rows.length === 0) return null;
+    const [checkout] = await this.withItems(rows);
+    return checkout;
+  }
+
+  async withItems(checkouts) {
+    if (checkouts.length === 0) return checkouts;
+    const ids = checkouts.map(checkout => checkout.id);
+    const [lines] = await pool.execute(
+      `SELECT ${LINE_COLUMNS}
+       FROM checkout_item ci
+       LEFT JOIN item i ON i.epc = ci.epc
+       WHERE ci.checkout_id IN (${placeholders(ids)})
+       ORDER BY ci.id ASC`,
+      ids
+    );
+    return checkouts.map(checkout => ({
+      ...checkout,
+      overdue: Boolean(checkout.overdue),
+      items: lines.filter(line => line.checkout_id === checkout.id)
+    }));
+  }
+
+  /**
+   * Most recent checkouts first
+   * @param {object} filters - { status (open | returned | cancelled | overdue), borrower, epc, limit }
+   */
+  async list({ status, borrower, epc, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status === 'overdue') {
+      conditions.push("c.status = 'open' AND c.expected_return_at < UTC_TIMESTAMP()");
+    } else if (status) {
+      conditions.push('c.status = ?');
+      params.push(status);
+    }
+    if (borrower) {
+      conditions.push('c.borrower LIKE ?');
+      params.push(`%${borrower}%`);
+    }
+    if (epc) {
+      conditions.push('EXISTS (SELECT 1 FROM checkout_item ci WHERE ci.checkout_id = c.id AND ci.epc = ?)');
+      params.push(epc);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    // limit is a validated integer (LIMIT placeholders break prepared statements on MySQL 8)
+    const [rows] = await pool.execute(
+      `SELECT ${CHECKOUT_COLUMNS} FROM checkout c ${where} ORDER BY c.id DESC LIMIT ${Number(limit)}`,
+      params
+    );
+    return this.withItems(rows);
+  }
+
+  /**
+   * Items to check out, from item ids, EPCs and whole groups
+   * @returns {Array} [{ epc, group_id (set for group members) }]
+   */
+  async resolveItems({ itemIds = [], epcs = [], groupIds = [] }) {
+    const byEpc = new Map();
+
+    if (groupIds.length > 0) {
+      const [rows] = await pool.execute(
+        `SELECT epc, group_id FROM item WHERE archived_at IS NULL AND group_id IN (${placeholders(groupIds)})`,
+        groupIds
+      );
+      const empty = groupIds.filter(groupId => !rows.some(row => String(row.group_id) === String(groupId)));
+      if (empty.length > 0) {
+        throw checkoutError('No items in group', 'ITEMS_NOT_FOUND', { groupIds: empty });
+      }
+      for (const row of rows) byEpc.set(row.epc, { epc: row.epc, group_id: row.group_id });
+    }
+
+    if (itemIds.length > 0) {
+      const [rows] = await pool.execute(`SELECT id, epc FROM item WHERE id IN (${placeholders(itemIds)})`, itemIds);
+      const missing = itemIds.filter(id => !rows.some(row => String(row.id) === String(id)));
+      if (missing.length > 0) {
+        throw checkoutError('Unknown items', 'ITEMS_NOT_FOUND', { itemIds: missing });
+      }
+      for (const row of rows) if (!byEpc.has(row.epc)) byEpc.set(row.epc, { epc: row.epc, group_id: null });
+    }
+
+    if (epcs.length > 0) {
+      const [rows] = await pool.execute(`SELECT epc FROM item WHERE epc IN (${placeholders(epcs)})`, epcs);
+      const missing = epcs.filter(epc => !rows.some(row => row.epc === epc));
+      if (missing.length > 0) {
+        throw checkoutError('Unknown EPCs', 'ITEMS_NOT_FOUND', { epcs: missing });
+      }
+      for (const row of rows) if (!byEpc.has(row.epc)) byEpc.set(row.epc, { epc: row.epc, group_id: null });
+    }
+
+    return [...byEpc.values()];
+  }
+
+  /**
+   * Open a checkout
+   * @param {object} checkout - { borrower, job, notes, expectedReturnAt (UTC seconds), itemIds, epcs, groupIds }
+   */
+  async create({ borrower, job = null, notes = null, expectedReturnAt, itemIds, epcs, groupIds }) {
+    const lines = await this.resolveItems({ itemIds, epcs, groupIds });
+    if (lines.length === 0) {
+      throw checkoutError('A checkout needs at least one item', 'ITEMS_NOT_FOUND');
+    }
+
+    const lineEpcs = lines.map(line => line.epc);
+    const conn = await pool.getConnection();
+    let id;
+    try {
+      await conn.beginTransaction();
+      // Lock the items first: a concurrent checkout of the same items waits
+      // here and then sees this one's lines
+      await conn.execute(`SELECT id FROM item WHERE epc IN (${placeholders(lineEpcs)}) FOR UPDATE`, lineEpcs);
+      const [taken] = await conn.execute(
+        `SELECT ci.epc, ci.checkout_id, c.borrower
+         FROM checkout_item ci
+         JOIN checkout c ON c.id = ci.checkout_id
+         WHERE c.status = 'open' AND ci.returned_at IS NULL AND ci.epc IN (${placeholders(lineEpcs)})`,
+        lineEpcs
+      );
+      if (taken.length > 0) {
+        const ids = [...new Set(taken.map(row => row.checkout_id))].join(', ');
+        throw checkoutError(`${taken.length} item(s) already checked out (checkout ${ids})`, 'ALREADY_CHECKED_OUT', { items: taken });
+      }
+
+      const [result] = await conn.execute(
+        `INSERT INTO checkout (borrower, job, notes, status, expected_return_at, created_at, updated_at)
+         VALUES (?, ?, ?, 'open', ?, UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+        [borrower, job, notes, toSqlDateTime(expectedReturnAt)]
+      );
+      id = result.insertId;
+
+      // Items already gone (checkout recorded after the fact) keep their departure
+      const values = lines.map(line => {
+        const state = this.options.engine.getState(line.epc);
+        const departed = state && !state.present && state.departedAt;
+        return [
+          id, line.epc, line.group_id,
+          departed ? state.openHistId : null,
+          departed ? toSqlDateTime(state.departedAt) : null,
+          departed ? state.antennaDep : null
+        ];
+      });
+      await conn.execute(
+        `INSERT INTO checkout_item (checkout_id, epc, group_id, hist_id, departed_at, antenna_dep)
+         VALUES ${values.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+        values.flat()
+      );
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+
+    this.changed({ id, event: 'created', borrower, job, items: lines.length });
+    return this.getCheckout(id);
+  }
+
+  async requireOpen(id) {
+    const checkout = await this.getCheckout(id);
+    if (!checkout) {
+      throw checkoutError(`Checkout ${id} not found`, 'NOT_FOUND');
+    }
+    if (checkout.status !== 'open') {
+      throw checkoutError(`Checkout ${id} is ${checkout.status}`, 'NOT_OPEN');
+    }
+    return checkout;
+  }
+
+  /**
+   * Change borrower, job, notes or expected return of an open checkout;
+   * a new expected return time re-arms the overdue notification
+   */
+  async update(id, { borrower, job, notes, expectedReturnAt }) {
+    await this.requireOpen(id);
+    const sets = [];
+    const params = [];
+    for (const [column, value] of [['borrower', borrower], ['job', job], ['notes', notes]]) {
+      if (value !== undefined) {
+        sets.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (expectedReturnAt !== undefined) {
+      sets.push('expected_return_at = ?', 'overdue_notified_at = NULL');
+      params.push(toSqlDateTime(expectedReturnAt));
+    }
+    if (sets.length > 0) {
+      await pool.execute(
+        `UPDATE checkout SET ${sets.join(', ')}, updated_at = UTC_TIMESTAMP() WHERE id = ?`,
+        [...params, id]
+      );
+      this.changed({ id, event: 'updated' });
+    }
+    return this.getCheckout(id);
+  }
+
+  /**
+   * Check items in by hand (all items still out when epcs is empty)
+   */
+  async checkIn(id, epcs = []) {
+    await this.requireOpen(id);
+    const filter = epcs.length ? ` AND epc IN (${placeholders(epcs)})` : '';
+    const [result] = await pool.execute(
+      `UPDATE checkout_item SET returned_at = UTC_TIMESTAMP()
+       WHERE checkout_id = ? AND returned_at IS NULL${filter}`,
+      [id, ...epcs]
+    );
+    if (result.affectedRows > 0) {
+      this.changed({ id, event: 'checked_in', items: result.affectedRows });
+      await this.closeIfComplete(id);
+    }
+    return this.getCheckout(id);
+  }
+
+  async cancel(id) {
+    await this.requireOpen(id);
+    await pool.execute(
+      "UPDATE checkout SET status = 'cancelled', updated_at = UTC_TIMESTAMP() WHERE id = ? AND status = 'open'",
+      [id]
+    );
+    this.changed({ id, event: 'cancelled' });
+    return this.getCheckout(id);
+  }
+
+  /**
+   * Close the checkout once every item is back
+   */
+  async closeIfComplete(id) {
+    const [result] = await pool.execute(
+      `UPDATE checkout SET status = 'returned', returned_at = UTC_TIMESTAMP(), updated_at = UTC_TIMESTAMP()
+       WHERE id = ? AND status = 'open'
+         AND NOT EXISTS (SELECT 1 FROM checkout_item WHERE checkout_id = ? AND returned_at IS NULL)`,
+      [id, id]
+    );
+    if (result.affectedRows > 0) {
+      this.changed({ id, event: 'returned' });
+    }
+  }
+
+  /**
+   * Movement engine departure: attach it to the open checkout holding the EPC.
+   * With exit antennas configured, only departures through an exit count.
+   */
+  async attachDeparture({ epc, antenna, departedAt, exit, histId = null }) {
+    if (!exit && this.options.engine.exitAntennas?.size > 0) return;
+
+    const [lines] = await pool.execute(
+      `SELECT ci.id, ci.checkout_id, c.borrower
+       FROM checkout_item ci
+       JOIN checkout c ON c.id = ci.checkout_id
+       WHERE ci.epc = ? AND c.status = 'open' AND ci.departed_at IS NULL AND ci.returned_at IS NULL
+       LIMIT 1`,
+      [epc]
+    );
+    if (lines.length === 0) return;
+
+    const [line] = lines;
+    await pool.execute(
+      'UPDATE checkout_item SET departed_at = ?, antenna_dep = ?, hist_id = ? WHERE id = ?',
+      [toSqlDateTime(departedAt), antenna, histId, line.id]
+    );
+    this.changed({ id: line.checkout_id, event: 'departed', epc, borrower: line.borrower, antenna });
+  }
+
+  /**
+   * Movement engine return: the item is back, the checkout closes with its last item
+   */
+  async attachReturn({ epc, antenna, returnedAt }) {
+    const [lines] = await pool.execute(
+      `SELECT ci.id, ci.checkout_id, c.borrower
+       FROM checkout_item ci
+       JOIN checkout c ON c.id = ci.checkout_id
+       WHERE ci.epc = ? AND c.status = 'open' AND ci.departed_at IS NOT NULL AND ci.returned_at IS NULL
+       LIMIT 1`,
+      [epc]
+    );
+    if (lines.length === 0) return;
+
+    const [line] = lines;
+    await pool.execute(
+      'UPDATE checkout_item SET returned_at = ?, antenna_ret = ? WHERE id = ?',
+      [toSqlDateTime(returnedAt), antenna, line.id]
+    );
+    this.changed({ id: line.checkout_id, event: 'item_returned', epc, borrower: line.borrower, antenna });
+    await this.closeIfComplete(line.checkout_id);
+  }
+
+  /**
+   * Publish checkout_overdue once for every open checkout past its expected return
+   * @param {number} now - UTC seconds (defaults to the wall clock)
+   * @returns {number} Checkouts flagged
+   */
+  async checkOverdue(now = Math.floor(Date.now() / 1000)) {
+    const [rows] = await pool.execute(
+      `SELECT c.id, c.borrower, c.job,
+              DATE_FORMAT(c.expected_return_at, '%Y-%m-%dT%H:%i:%sZ') as expected_return_at,
+              SUM(ci.returned_at IS NULL) as items_out
+       FROM checkout c
+       JOIN checkout_item ci ON ci.checkout_id = c.id
+       WHERE c.status = 'open' AND c.overdue_notified_at IS NULL AND c.expected_return_at < ?
+       GROUP BY c.id, c.borrower, c.job, c.expected_return_at`,
+      [toSqlDateTime(now)]
+    );
+
+    for (const row of rows) {
+      const event = {
+        id: row.id,
+        borrower: row.borrower,
+        job: row.job,
+        expectedReturnAt: row.expected_return_at,
+        itemsOut: Number(row.items_out)
+      };
+      await pool.execute('UPDATE checkout SET overdue_notified_at = ? WHERE id = ?', [toSqlDateTime(now), row.id]);
+      metrics.checkoutEvents.inc({ event: 'overdue' });
+      logger.warn('Checkout overdue', event);
+      this.emit('overdue', event);
+      realtimeService.publishSystemEvent('checkout_overdue', event)
+        .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type: 'checkout_overdue' }));
+    }
+    return rows.length;
+  }
+
+  changed(event) {
+    metrics.checkoutEvents.inc({ event: event.event });
+    logger.info('Checkout changed', event);
+    this.emit('checkout', event);
+    realtimeService.publishSystemEvent('checkout', event)
+      .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type: 'checkout' }));
+  }
+}
+
+// Create singleton instance
+const checkouts = new CheckoutService();
+
+module.exports = {
+  CheckoutService,
+  checkouts
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const { logger } = require('../logger');
+const { CCTV } = require('../config/constants');
+const { cameras } = require('./cameras');
+const { getDriver } = require('../utils/nvrDrivers');
+
+const CACHE_DIR = path.join(__dirname, '..', '..', 'static', 'cache', 'videos');
+
+const STDERR_TAIL = 2000; // characters of ffmpeg output kept for errors
+const GAP_TOLERANCE_SECONDS = 2; // between the end of a recorder clip and the next one
+
+const clipError = (message, code, details = null) => Object.assign(new Error(message), { code, details });
+
+/**
+ * Trimmed CCTV clips (GET /api/cctv/clip)
+ *
+ * extract() cuts from..to (UTC seconds, recording time) of one camera out
+ * of the recorder clips of the CCTV_DRIVER: the clips overlapping the range
+ * are copied to a temporary folder (read in place when the driver has them
+ * locally), then ffmpeg concatenates them (concat demuxer), seeks to `from`
+ * and keeps to - from seconds without re-encoding, so the cut lands on the
+ * keyframe before `from`. A recorder clip is listed as lasting until the
+ * next one starts (at most segmentMaxSeconds); ffprobe then measures it, and
+ * a gap in the recording fails the clip (FOOTAGE_GAP) rather than being
+ * stitched over. At most `concurrency` clips are cut at once.
+ * Results live in the video cache as clip<camera>_<from>_<to>.mp4 (cleaned
+ * up with the other cached videos); concurrent requests for the same clip
+ * share one extraction.
+ */
+class ClipExtractor {
+  constructor(options = {}) {
+    this.options = {
+      ffmpegPath: CCTV.ffmpegPath,
+      ffprobePath: CCTV.ffprobePath,
+      timeoutMs: CCTV.clipTimeoutMs,
+      segmentMaxSeconds: CCTV.segmentMaxSeconds,
+      concurrency: CCTV.clipConcurrency,
+      cacheDir: CACHE_DIR,
+      ...options
+    };
+    // cache filename -> extraction promise
+    this.inFlight = new Map();
+    // Extraction slots: running count and queued starts
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  static filename(cameraId, from, to) {
+    return `clip${cameraId}_${from}_${to}.mp4`;
+  }
+
+  /**
+   * Cached (or freshly cut) clip of a camera
+   * @returns {Promise<{ path: string, filename: string, cached: boolean }>}
+   */
+  async extract({ cameraId, from, to }) {
+    const camera = await cameras.getEnabled(cameraId);
+    if (!camera) {
+      throw clipError('Camera not found', 'NOT_FOUND');
+    }
+
+    const filename = ClipExtractor.filename(cameraId, from, to);
+    const cachePath = path.join(this.options.cacheDir, filename);
+    try {
+      await fs.promises.access(cachePath);
+      return { path: cachePath, filename, cached: true };
+    } catch {
+      // not cut yet
+    }
+
+    if (!this.inFlight.has(filename)) {
+      const extraction = this.withSlot(() => this.cut(camera, from, to, cachePath))
+        .finally(() => this.inFlight.delete(filename));
+      this.inFlight.set(filename, extraction);
+    }
+    await this.inFlight.get(filename);
+    return { path: cachePath, filename, cached: false };
+  }
+
+  async withSlot(work) {
+    if (this.running >= this.options.concurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.running++;
+    try {
+      return await work();
+    } finally {
+      this.running--;
+      this.waiting.shift()?.();
+    }
+  }
+
+  // Recorder clips overlapping from..to, in order
+  async segments(camera, from, to, driver, session) {
+    const listing = await driver.listClips(camera.nvr_path, from - this.options.segmentMaxSeconds, to, session);
+    if (!listing.cameraAvailable) {
+      throw clipError('Camera recordings unavailable', 'UPSTREAM_ERROR', { error: listing.error });
+    }
+    const { videos } = listing;
+    return videos.filter((video, i) => {
+      const next = videos[i + 1];
+      const end = Math.min(next ? next.timestamp : Infinity, video.timestamp + this.options.segmentMaxSeconds);
+      return video.timestamp < to && end > from;
+    });
+  }
+
+  async cut(camera, from, to, cachePath) {
+    const started = Date.now();
+    const driver = getDriver();
+    const session = await driver.authenticate();
+    const segments = await this.segments(camera, from, to, driver, session);
+    if (segments.length === 0) {
+      throw clipError('No recording for this period', 'NO_FOOTAGE', { camera: camera.id, from, to });
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cctv-clip-'));
+    try {
+      const files = [];
+      for (const [i, video] of segments.entries()) {
+        if (driver.localFile) {
+          files.push(await driver.localFile(video));
+          continue;
+        }
+        const file = path.join(workDir, `segment${i}.mp4`);
+        const clip = await driver.openClip(video, session);
+        await pipeline(clip.stream, fs.createWriteStream(file));
+        files.push(file);
+      }
+      await this.checkGaps(segments, files, from, to);
+
+      const listFile = path.join(workDir, 'segments.txt');
+      const quote = (file) => `'${file.replace(/'/g, "'\\''")}'`;
+      await fs.promises.writeFile(listFile, files.map(file => `file ${quote(file)}\n`).join(''));
+
+      const start = Math.max(from, segments[0].timestamp);
+      const partPath = `${cachePath}.part`;
+      await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+      await this.runFfmpeg([
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-f', 'concat', '-safe', '0',
+        '-ss', String(start - segments[0].timestamp),
+        '-i', listFile,
+        '-t', String(to - start),
+        '-c', 'copy',
+        '-movflags', '+faststart',
+        '-f', 'mp4', partPath
+      ]);
+      // Atomic commit, like the cached recorder clips
+      await fs.promises.rename(partPath, cachePath);
+
+      logger.info('CCTV clip extracted', {
+        camera: camera.id,
+        from,
+        to,
+        segments: segments.length,
+        durationMs: Date.now() - started
+      });
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+      await fs.promises.rm(`${cachePath}.part`, { force: true });
+    }
+  }
+
+  /**
+   * Fails with FOOTAGE_GAP when a recorder clip ends before the next one
+   * starts within from..to: concat would join them and shift what follows
+   */
+  async checkGaps(segments, files, from, to) {
+    const gaps = [];
+    for (let i = 0; i < segments.length - 1; i++) {
+      const end = segments[i].timestamp + await this.probeDuration(files[i]);
+      const next = segments[i + 1].timestamp;
+      if (next - end > GAP_TOLERANCE_SECONDS && end < to && next > from) {
+        gaps.push({ from: Math.floor(end), to: next });
+      }
+    }
+    if (gaps.length > 0) {
+      throw clipError('The recording has gaps in this period', 'FOOTAGE_GAP', { gaps });
+    }
+  }
+
+  // Length of a recorder clip in seconds
+  async probeDuration(file) {
+    const output = await this.run('ffprobe', this.options.ffprobePath, [
+      '-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', file
+    ]);
+    const duration = parseFloat(output);
+    if (!Number.isFinite(duration)) {
+      throw clipError('ffprobe returned no duration', 'FFMPEG_FAILED', { file, output: output.slice(0, STDERR_TAIL) });
+    }
+    return duration;
+  }
+
+  runFfmpeg(args) {
+    return this.run('ffmpeg', this.options.ffmpegPath, args);
+  }
+
+  /**
+   * Run ffmpeg or ffprobe, killed after timeoutMs
+   * @returns {Promise<string>} stdout
+   */
+  run(tool, binary, args) {
+    return new Promise((resolve, reject) => {
+      let stdout = '';
+      let stderr = '';
+      let spawnFailed = false;
+      const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      // Not spawn's timeout option: its timer outlives a spawn that fails (ENOENT)
+      const timer = setTimeout(() => child.kill('SIGKILL'), this.options.timeoutMs);
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-STDERR_TAIL); });
+      child.on('error', error => {
+        clearTimeout(timer);
+        spawnFailed = true;
+        if (error.code === 'ENOENT') {
+          reject(clipError(`${tool} is not installed`, 'FFMPEG_UNAVAILABLE', { path: binary }));
+        } else {
+          reject(error);
+        }
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (spawnFailed) {
+          return; // already rejected by 'error'
+        }
+        if (code === 0) {
+          resolve(stdout);
+          return;
+        }
+        logger.error(`${tool} failed`, { code, signal, stderr });
+        reject(clipError(
+          signal ? `${tool} stopped (${signal})` : `${tool} exited with code ${code}`,
+          'FFMPEG_FAILED',
+          { code, signal, stderr }
+        ));
+      });
+    });
+  }
+}
+
+const clips = new ClipExtractor();
+
+module.exports = {
+  ClipExtractor,
+  clips
+};
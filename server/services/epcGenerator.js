@@ -0,0 +1,92 @@
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const { EPC } = require('../config/constants');
+const { encodeEpc, defineScheme, maxSerial } = require('../utils/epcCodec');
+
+// User-defined layouts from EPC_USER_SCHEMES (decoding only)
+try {
+  for (const definition of JSON.parse(EPC.userSchemes)) {
+    defineScheme(definition);
+  }
+} catch (error) {
+  logger.warn('Ignoring invalid EPC_USER_SCHEMES', { error: error.message });
+}
+
+/**
+ * EPCs for new items: configured scheme and company prefix, with a serial
+ * taken from the epc_sequence counter. Serials already present in item
+ * (e.g. older random EPCs) are skipped, so the result is unused.
+ */
+class EpcGenerator {
+  constructor(options = {}) {
+    this.options = {
+      scheme: EPC.scheme,
+      companyPrefix: EPC.companyPrefix,
+      itemReference: EPC.itemReference,
+      assetType: EPC.assetType,
+      filter: EPC.filter,
+      serialStart: EPC.serialStart,
+      maxAttempts: 100,
+      ...options
+    };
+  }
+
+  fields(serial) {
+    const { scheme, companyPrefix, itemReference, assetType, filter } = this.options;
+    if (scheme === 'giai-96') {
+      return { filter, companyPrefix, assetReference: String(serial) };
+    }
+    if (scheme === 'grai-96') {
+      return { filter, companyPrefix, assetType, serial: String(serial) };
+    }
+    return { filter, companyPrefix, itemReference, serial: String(serial) };
+  }
+
+  // One counter per scheme + company prefix + reference
+  get sequenceName() {
+    const { scheme, companyPrefix, itemReference, assetType } = this.options;
+    const reference = scheme === 'sgtin-96' ? itemReference : scheme === 'grai-96' ? assetType : '';
+    return `${scheme}:${companyPrefix}.${reference}`;
+  }
+
+  /**
+   * Atomically take the next serial (LAST_INSERT_ID(expr) is returned as insertId)
+   */
+  async nextSerial() {
+    const [result] = await pool.execute(
+      `INSERT INTO epc_sequence (name, last_value) VALUES (?, LAST_INSERT_ID(?))
+       ON DUPLICATE KEY UPDATE last_value = LAST_INSERT_ID(last_value + 1)`,
+      [this.sequenceName, this.options.serialStart]
+    );
+    return Number(result.insertId);
+  }
+
+  /**
+   * Next unused EPC (hex)
+   */
+  async next() {
+    const limit = Number(maxSerial(this.options.scheme, this.options));
+
+    for (let attempt = 0; attempt < this.options.maxAttempts; attempt++) {
+      const serial = await this.nextSerial();
+      if (serial > limit) {
+        throw new Error(`EPC serial range exhausted for ${this.sequenceName}`);
+      }
+
+      const epc = encodeEpc(this.options.scheme, this.fields(serial));
+      const [existing] = await pool.execute('SELECT id FROM item WHERE epc = ? LIMIT 1', [epc]);
+      if (existing.length === 0) return epc;
+
+      logger.debug('Generated EPC already in use, skipping serial', { epc, serial });
+    }
+    throw new Error(`No unused EPC found after ${this.options.maxAttempts} serials`);
+  }
+}
+
+// Create singleton instance
+const epcGenerator = new EpcGenerator();
+
+module.exports = {
+  EpcGenerator,
+  epcGenerator
+};
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const { EVIDENCE } = require('../config/constants');
+const { cameras } = require('./cameras');
+const { clips } = require('./clips');
+const { ZipWriter } = require('../utils/zipWriter');
+const { crc32: computeCrc32 } = require('../utils/crc32');
+const { toSqlDateTime, utcToLocalDate } = require('../utils/timezoneUtils');
+
+const MANIFEST = 'manifest.sha256';
+
+const EVENT_LABELS = { departure: 'Départ', return: 'Retour' };
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const toSeconds = (iso) => (iso ? Math.floor(Date.parse(iso) / 1000) : null);
+
+const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// dd/mm/yyyy hh:mm:ss in local time, like the history page
+const formatLocal = (timestamp) => {
+  if (timestamp === null || timestamp === undefined) return '—';
+  const date = utcToLocalDate(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Size, CRC-32 (for the ZIP) and SHA-256 of a file in one read
+async function digestFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let crc32 = 0;
+  let size = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    crc32 = computeCrc32(chunk, crc32);
+    size += chunk.length;
+  }
+  return { sha256: hash.digest('hex'), crc32, size };
+}
+
+/**
+ * Evidence bundles (GET /api/items/:id/evidence)
+ *
+ * build() gathers, for one item and a time range: the item record, its hist
+ * movements overlapping the range (open ones included), its raw reads from
+ * read_event, and a clip of each departure / return in the range from every
+ * camera covering the antenna (clipBeforeSeconds before to clipAfterSeconds
+ * after the read, shifted by the coverage time offset, at most maxClips).
+ * A clip that cannot be cut is listed as missing rather than failing the
+ * bundle. write() streams it as a ZIP with an HTML summary and a
+ * sha256sum-style manifest of every other file.
+ */
+class EvidenceBundler {
+  constructor(options = {}) {
+    this.options = {
+      clipBeforeSeconds: EVIDENCE.clipBeforeSeconds,
+      clipAfterSeconds: EVIDENCE.clipAfterSeconds,
+      maxClips: EVIDENCE.maxClips,
+      maxReads: EVIDENCE.maxReads,
+      clips,
+      ...options
+    };
+  }
+
+  async item(itemId) {
+    const [rows] = await pool.execute(
+      `SELECT i.*, g.group_name as \`group\`
+       FROM item i
+       LEFT JOIN groupname g ON i.group_id = g.group_id
+       WHERE i.id = ?`,
+      [itemId]
+    );
+    return rows[0] || null;
+  }
+
+  async movements(epc, from, to) {
+    const [rows] = await pool.execute(
+      `SELECT id, epchist as epc,
+         DATE_FORMAT(dep, '%Y-%m-%dT%H:%i:%sZ') as dep,
+         DATE_FORMAT(ret, '%Y-%m-%dT%H:%i:%sZ') as ret,
+         antenna_dep, antenna_ret
+       FROM hist
+       WHERE epchist = ? AND dep <= ? AND (ret IS NULL OR ret >= ?)
+       ORDER BY dep, id`,
+      [epc, toSqlDateTime(to), toSqlDateTime(from)]
+    );
+    return rows.map(row => ({ ...row, depposix: toSeconds(row.dep), retposix: toSeconds(row.ret) }));
+  }
+
+  // Raw reads, oldest first; truncated after maxReads
+  async reads(epc, from, to) {
+    // maxReads is an integer setting (LIMIT placeholders break prepared statements on MySQL 8)
+    const [rows] = await pool.execute(
+      `SELECT id, epc, antenna, mac_address, reader_name, rssi, phase, channel, endpoint,
+         DATE_FORMAT(read_at, '%Y-%m-%dT%H:%i:%s.%fZ') as read_at,
+         DATE_FORMAT(reader_timestamp, '%Y-%m-%dT%H:%i:%s.%fZ') as reader_timestamp,
+         DATE_FORMAT(received_at, '%Y-%m-%dT%H:%i:%sZ') as received_at
+       FROM read_event
+       WHERE epc = ? AND read_at >= ? AND read_at < ?
+       ORDER BY read_at, id
+       LIMIT ${this.options.maxReads + 1}`,
+      [epc, toSqlDateTime(from), toSqlDateTime(to)]
+    );
+    return { reads: rows.slice(0, this.options.maxReads), truncated: rows.length > this.options.maxReads };
+  }
+
+  // Departures / returns in the range, once per camera covering their antenna
+  async moments(movements, from, to) {
+    const events = movements.flatMap(movement => [
+      { movement, event: 'departure', at: movement.depposix, antenna: movement.antenna_dep },
+      { movement, event: 'return', at: movement.retposix, antenna: movement.antenna_ret }
+    ]).filter(({ at, antenna }) => at !== null && at >= from && at <= to && antenna);
+
+    const moments = [];
+    for (const { movement, event, at, antenna } of events) {
+      const ranked = await cameras.rank({ antenna });
+      for (const camera of ranked.filter(candidate => candidate.relevant)) {
+        const start = at + camera.time_offset_seconds;
+        moments.push({
+          hist_id: movement.id,
+          event,
+          at,
+          antenna,
+          camera: { id: camera.id, name: camera.name },
+          from: start - this.options.clipBeforeSeconds,
+          to: start + this.options.clipAfterSeconds
+        });
+      }
+    }
+    return moments;
+  }
+
+  /**
+   * Everything of the bundle, clips cut and hashed (null for an unknown item)
+   * @returns {Promise<{ item, filename, entries: Array, manifestSha256: string, counts: object }|null>}
+   */
+  async build({ itemId, from, to, generatedAt = new Date() }) {
+    const item = await this.item(itemId);
+    if (!item) return null;
+
+    const movements = await this.movements(item.epc, from, to);
+    const { reads, truncated } = await this.reads(item.epc, from, to);
+    const moments = await this.moments(movements, from, to);
+
+    const clipFiles = [];
+    const clipIndex = [];
+    for (const [i, moment] of moments.entries()) {
+      const name = `clips/hist${moment.hist_id}_${moment.event}_cam${moment.camera.id}.mp4`;
+      if (i >= this.options.maxClips) {
+        clipIndex.push({ ...moment, file: null, error: 'MAX_CLIPS' });
+        continue;
+      }
+      try {
+        const clip = await this.options.clips.extract({ cameraId: moment.camera.id, from: moment.from, to: moment.to });
+        const digest = await digestFile(clip.path);
+        clipFiles.push({ name, path: clip.path, ...digest });
+        clipIndex.push({ ...moment, file: name, error: null });
+      } catch (error) {
+        logger.warn('Evidence clip unavailable', { itemId, camera: moment.camera.id, from: moment.from, code: error.code, error: error.message });
+        clipIndex.push({ ...moment, file: null, error: error.code || 'CLIP_FAILED' });
+      }
+    }
+
+    const bundle = { item, from, to, generatedAt, movements, reads, truncated, clips: clipIndex };
+    const documents = [
+      { name: 'item.json', data: json(item) },
+      { name: 'movements.json', data: json(movements) },
+      { name: 'reads.json', data: json(reads) },
+      { name: 'clips.json', data: json(clipIndex) },
+      { name: 'summary.html', data: this.summary(bundle) }
+    ].map(entry => ({ ...entry, sha256: sha256(entry.data) }));
+
+    const files = [...documents, ...clipFiles];
+    const manifest = files.map(entry => `${entry.sha256}  ${entry.name}\n`).join('');
+    const day = new Date(from * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+
+    return {
+      item,
+      filename: `evidence-item${item.id}-${day}.zip`,
+      entries: [...files, { name: MANIFEST, data: manifest }],
+      manifestSha256: sha256(manifest),
+      counts: { movements: movements.length, reads: reads.length, clips: clipFiles.length, missingClips: clipIndex.length - clipFiles.length }
+    };
+  }
+
+  async write(bundle, output) {
+    const zip = new ZipWriter(output);
+    for (const entry of bundle.entries) {
+      if (entry.path) await zip.addFile(entry.name, entry.path, entry);
+      else await zip.addBuffer(entry.name, entry.data);
+    }
+    await zip.finish();
+  }
+
+  summary({ item, from, to, generatedAt, movements, reads, truncated, clips: clipIndex }) {
+    const row = (cells) => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+    const table = (headers, rows, empty) => (rows.length === 0
+      ? `<p class="empty">${escapeHtml(empty)}</p>`
+      : `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`
+        + `<tbody>${rows.join('')}</tbody></table>`);
+
+    const readTimes = reads.map(read => toSeconds(read.read_at));
+    const antennas = Object.entries(reads.reduce((counts, read) => {
+      counts[read.antenna] = (counts[read.antenna] || 0) + 1;
+      return counts;
+    }, {}));
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<title>Dossier de preuve — ${escapeHtml(item.designation)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #f3f3f3; }
+  .empty, footer { color: #666; }
+</style>
+</head>
+<body>
+<h1>Dossier de preuve — ${escapeHtml(item.designation)}</h1>
+<p>Période du ${escapeHtml(formatLocal(from))} au ${escapeHtml(formatLocal(to))}, généré le ${escapeHtml(formatLocal(Math.floor(generatedAt.getTime() / 1000)))}.</p>
+
+<h2>Objet</h2>
+${table(['Champ', 'Valeur'], [
+    ['Désignation', item.designation],
+    ['Code inventaire', item.inventory_code],
+    ['EPC', item.epc],
+    ['Marque / modèle', `${item.brand ?? ''} ${item.model ?? ''}`.trim()],
+    ['N° de série', item.serial_number],
+    ['Catégorie', item.category],
+    ['Groupe', item.group],
+    ['Dernière antenne', item.antenna],
+    ['Archivé', item.archived_at ? 'oui' : 'non']
+  ].map(row), '')}
+
+<h2>Mouvements (${movements.length})</h2>
+${table(['#', 'Départ', 'Antenne', 'Retour', 'Antenne'], movements.map(movement => row([
+    movement.id,
+    formatLocal(movement.depposix),
+    movement.antenna_dep,
+    movement.retposix === null ? 'non revenu' : formatLocal(movement.retposix),
+    movement.antenna_ret
+  ])), 'Aucun mouvement sur la période.')}
+
+<h2>Lectures (${reads.length}${truncated ? ', tronquées' : ''})</h2>
+${reads.length === 0 ? '<p class="empty">Aucune lecture sur la période.</p>' : `<p>Première le ${escapeHtml(formatLocal(readTimes[0]))}, dernière le ${escapeHtml(formatLocal(readTimes[readTimes.length - 1]))}. Détail dans reads.json.</p>
+${table(['Antenne', 'Lectures'], antennas.map(row), '')}`}
+
+<h2>Vidéos (${clipIndex.filter(clip => clip.file).length})</h2>
+${table(['Mouvement', 'Événement', 'Caméra', 'Début', 'Fin', 'Fichier'], clipIndex.map(clip => row([
+    clip.hist_id,
+    EVENT_LABELS[clip.event],
+    clip.camera.name,
+    formatLocal(clip.from),
+    formatLocal(clip.to),
+    clip.file || `indisponible (${clip.error})`
+  ])), 'Aucune caméra ne couvre les antennes de ces mouvements.')}
+
+<footer>Empreinte SHA-256 de chaque fichier dans ${MANIFEST} (vérification : sha256sum -c ${MANIFEST}).</footer>
+</body>
+</html>
+`;
+  }
+}
+
+const evidence = new EvidenceBundler();
+
+module.exports = {
+  EvidenceBundler,
+  evidence
+};
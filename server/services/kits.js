@@ -0,0 +1,357 @@
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const realtimeService = require('./realtimeService');
+const { movementEngine } = require('./movementEngine');
+const { metrics } = require('../metrics');
+const { KITS } = require('../config/constants');
+
+const KIT_COLUMNS = `
+  k.id, k.name, k.description, k.status, k.missing_count,
+  DATE_FORMAT(k.status_changed_at, '%Y-%m-%dT%H:%i:%sZ') as status_changed_at,
+  DATE_FORMAT(k.created_at, '%Y-%m-%dT%H:%i:%sZ') as created_at,
+  DATE_FORMAT(k.updated_at, '%Y-%m-%dT%H:%i:%sZ') as updated_at
+`;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const kitError = (message, code, details = null) => Object.assign(new Error(message), { code, details });
+
+// "2 BATTERY, 1 Lens 24-70": members counted by category, or designation when uncategorized
+const describeMembers = (members) => {
+  const counts = new Map();
+  for (const member of members) {
+    const label = member.category && member.category !== 'No Type' ? member.category : member.designation || member.epc;
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  return [...counts].map(([label, count]) => `${count} ${label}`).join(', ');
+};
+
+/**
+ * Kits: items that must travel together (camera body, lenses, batteries...)
+ *
+ * Member departures and returns from the movement engine are collected for
+ * settleSeconds (members are not all read at the same moment), then the kit
+ * is evaluated:
+ * - departure (kit in or partial -> out): members left behind are reported
+ * - return (kit out or partial -> in | partial): members still away are
+ *   reported and published as kit_incomplete_return
+ * Emits 'kit' with every evaluated movement.
+ */
+class KitService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      settleSeconds: KITS.settleSeconds,
+      engine: movementEngine,
+      ...options
+    };
+
+    // epc -> kit id, reloaded on every membership change
+    this.kitByEpc = new Map();
+    // kit id -> { timer, movement }
+    this.pending = new Map();
+    this.ready = Promise.resolve();
+    this.onDeparture = (event) => this.memberMoved('departure', event);
+    this.onReturn = (event) => this.memberMoved('return', event);
+  }
+
+  start() {
+    const { engine } = this.options;
+    engine.on('departure', this.onDeparture);
+    engine.on('return', this.onReturn);
+    this.ready = this.hydrate();
+    return this.ready;
+  }
+
+  stop() {
+    const { engine } = this.options;
+    engine.off('departure', this.onDeparture);
+    engine.off('return', this.onReturn);
+    for (const { timer } of this.pending.values()) clearTimeout(timer);
+    this.pending.clear();
+  }
+
+  async hydrate() {
+    try {
+      const [rows] = await pool.execute('SELECT ki.kit_id, i.epc FROM kit_item ki JOIN item i ON i.id = ki.item_id');
+      this.kitByEpc = new Map(rows.map(row => [row.epc, row.kit_id]));
+      logger.info('Kit members loaded', { members: this.kitByEpc.size });
+    } catch (error) {
+      logger.warn('Kit members could not be loaded', { error: error.message });
+    }
+  }
+
+  /**
+   * Reload members after a kit or membership change
+   */
+  invalidate() {
+    this.ready = this.hydrate();
+    return this.ready;
+  }
+
+  /**
+   * Movement of a kit member: (re)start the kit's settle timer
+   */
+  memberMoved(movement, { epc }) {
+    const kitId = this.kitByEpc.get(epc);
+    if (kitId === undefined) return;
+
+    const previous = this.pending.get(kitId);
+    if (previous) clearTimeout(previous.timer);
+    const timer = setTimeout(() => {
+      this.pending.delete(kitId);
+      this.evaluate(kitId, movement)
+        .catch(error => logger.warn('Kit evaluation failed', { kitId, movement, error: error.message }));
+    }, this.options.settleSeconds * 1000);
+    timer.unref?.();
+    this.pending.set(kitId, { timer, movement });
+  }
+
+  isPresent(epc) {
+    return this.options.engine.getState(epc)?.present === true;
+  }
+
+  async getMembers(kitId) {
+    const [rows] = await pool.execute(
+      `SELECT i.id, i.epc, i.designation, i.category, i.group_id
+       FROM kit_item ki
+       JOIN item i ON i.id = ki.item_id
+       WHERE ki.kit_id = ?
+       ORDER BY i.designation, i.id`,
+      [kitId]
+    );
+    return rows.map(row => {
+      const state = this.options.engine.getState(row.epc);
+      return { ...row, present: state?.present === true, departed_at: state?.departedAt ?? null };
+    });
+  }
+
+  /**
+   * Completeness of a kit after its members moved
+   * @param {string} movement - 'departure' | 'return'
+   * @returns {object|null} Kit movement event, null when the kit status does not change
+   */
+  async evaluate(kitId, movement) {
+    const [kits] = await pool.execute('SELECT id, name, status FROM kit WHERE id = ?', [kitId]);
+    if (kits.length === 0) return null;
+    const [kit] = kits;
+
+    const members = await this.getMembers(kitId);
+    const present = members.filter(member => member.present);
+    const away = members.filter(member => !member.present);
+
+    let missing;
+    let status;
+    if (movement === 'departure') {
+      if (kit.status === 'out' || away.length === 0) return null;
+      missing = present;
+      status = 'out';
+    } else {
+      if (kit.status === 'in' || present.length === 0) return null;
+      missing = away;
+      status = missing.length > 0 ? 'partial' : 'in';
+    }
+
+    await pool.execute(
+      'UPDATE kit SET status = ?, missing_count = ?, status_changed_at = UTC_TIMESTAMP() WHERE id = ?',
+      [status, missing.length, kitId]
+    );
+
+    const complete = missing.length === 0;
+    const verb = movement === 'departure' ? 'departed' : 'returned';
+    const event = {
+      kitId,
+      name: kit.name,
+      movement,
+      status,
+      complete,
+      members: members.length,
+      missing: missing.map(({ id, epc, designation, category }) => ({ id, epc, designation, category })),
+      summary: complete
+        ? `${kit.name} kit ${verb} complete`
+        : `${kit.name} kit ${verb} missing ${describeMembers(missing)}`
+    };
+
+    metrics.kitMovements.inc({ movement, complete: String(complete) });
+    this.emit('kit', event);
+    realtimeService.publishSystemEvent(`kit_${movement}`, event)
+      .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type: `kit_${movement}` }));
+
+    if (movement === 'return' && !complete) {
+      logger.warn('Kit returned incomplete', { kitId, name: kit.name, missing: event.missing.length, summary: event.summary });
+      realtimeService.publishSystemEvent('kit_incomplete_return', event)
+        .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type: 'kit_incomplete_return' }));
+    } else {
+      logger.info('Kit movement', { kitId, name: kit.name, movement, summary: event.summary });
+    }
+    return event;
+  }
+
+  /**
+   * All kits with member and present counts
+   */
+  async list() {
+    const [rows] = await pool.execute(
+      `SELECT ${KIT_COLUMNS}, COUNT(ki.item_id) as item_count
+       FROM kit k
+       LEFT JOIN kit_item ki ON ki.kit_id = k.id
+       GROUP BY k.id
+       ORDER BY k.name`
+    );
+    const presentCounts = new Map();
+    for (const [epc, kitId] of this.kitByEpc) {
+      if (this.isPresent(epc)) presentCounts.set(kitId, (presentCounts.get(kitId) || 0) + 1);
+    }
+    return rows.map(row => ({ ...row, item_count: Number(row.item_count), present_count: presentCounts.get(row.id) || 0 }));
+  }
+
+  async getKit(id) {
+    const [rows] = await pool.execute(`SELECT ${KIT_COLUMNS} FROM kit k WHERE k.id = ?`, [id]);
+    if (rows.length === 0) return null;
+    const items = await this.getMembers(id);
+    return {
+      ...rows[0],
+      item_count: items.length,
+      present_count: items.filter(item => item.present).length,
+      items
+    };
+  }
+
+  async requireKit(id) {
+    const [rows] = await pool.execute('SELECT id FROM kit WHERE id = ?', [id]);
+    if (rows.length === 0) {
+      throw kitError(`Kit ${id} not found`, 'NOT_FOUND');
+    }
+  }
+
+  /**
+   * Items must exist and not belong to another kit
+   */
+  async checkItems(itemIds, kitId = null) {
+    if (itemIds.length === 0) return;
+    const [found] = await pool.execute(`SELECT id FROM item WHERE id IN (${placeholders(itemIds)})`, itemIds);
+    const missing = itemIds.filter(id => !found.some(row => String(row.id) === String(id)));
+    if (missing.length > 0) {
+      throw kitError('Unknown items', 'ITEMS_NOT_FOUND', { itemIds: missing });
+    }
+    const [taken] = await pool.execute(
+      `SELECT item_id, kit_id FROM kit_item WHERE item_id IN (${placeholders(itemIds)}) AND kit_id <> ?`,
+      [...itemIds, kitId ?? 0]
+    );
+    if (taken.length > 0) {
+      const kits = [...new Set(taken.map(row => row.kit_id))].join(', ');
+      throw kitError(`${taken.length} item(s) already in another kit (kit ${kits})`, 'ITEM_IN_KIT', { items: taken });
+    }
+  }
+
+  async withTransaction(work) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const result = await work(conn);
+      await conn.commit();
+      return result;
+    } catch (error) {
+      await conn.rollback();
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw kitError('A kit with this name already exists', 'NAME_TAKEN');
+      }
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  async insertMembers(conn, kitId, itemIds) {
+    if (itemIds.length === 0) return;
+    await conn.execute(
+      `INSERT IGNORE INTO kit_item (kit_id, item_id) VALUES ${itemIds.map(() => '(?, ?)').join(', ')}`,
+      itemIds.flatMap(itemId => [kitId, itemId])
+    );
+  }
+
+  /**
+   * @param {object} kit - { name, description, itemIds }
+   */
+  async create({ name, description = null, itemIds = [] }) {
+    await this.checkItems(itemIds);
+    const id = await this.withTransaction(async (conn) => {
+      const [result] = await conn.execute(
+        `INSERT INTO kit (name, description, status, created_at, updated_at)
+         VALUES (?, ?, 'in', UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+        [name, description]
+      );
+      await this.insertMembers(conn, result.insertId, itemIds);
+      return result.insertId;
+    });
+    await this.invalidate();
+    return this.getKit(id);
+  }
+
+  /**
+   * Rename / describe a kit; itemIds, when given, replaces the members
+   */
+  async update(id, { name, description, itemIds }) {
+    await this.requireKit(id);
+    if (itemIds) await this.checkItems(itemIds, id);
+
+    await this.withTransaction(async (conn) => {
+      const sets = [];
+      const params = [];
+      for (const [column, value] of [['name', name], ['description', description]]) {
+        if (value !== undefined) {
+          sets.push(`${column} = ?`);
+          params.push(value);
+        }
+      }
+      await conn.execute(
+        `UPDATE kit SET ${[...sets, 'updated_at = UTC_TIMESTAMP()'].join(', ')} WHERE id = ?`,
+        [...params, id]
+      );
+      if (itemIds) {
+        await conn.execute('DELETE FROM kit_item WHERE kit_id = ?', [id]);
+        await this.insertMembers(conn, id, itemIds);
+      }
+    });
+    await this.invalidate();
+    return this.getKit(id);
+  }
+
+  async addItems(id, itemIds) {
+    await this.requireKit(id);
+    await this.checkItems(itemIds, id);
+    await this.withTransaction(conn => this.insertMembers(conn, id, itemIds));
+    await this.invalidate();
+    return this.getKit(id);
+  }
+
+  async removeItem(id, itemId) {
+    await this.requireKit(id);
+    const [result] = await pool.execute('DELETE FROM kit_item WHERE kit_id = ? AND item_id = ?', [id, itemId]);
+    if (result.affectedRows === 0) {
+      throw kitError(`Item ${itemId} is not in kit ${id}`, 'NOT_FOUND');
+    }
+    await this.invalidate();
+    return this.getKit(id);
+  }
+
+  async remove(id) {
+    const [result] = await pool.execute('DELETE FROM kit WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      throw kitError(`Kit ${id} not found`, 'NOT_FOUND');
+    }
+    const pending = this.pending.get(id);
+    if (pending) clearTimeout(pending.timer);
+    this.pending.delete(id);
+    await this.invalidate();
+  }
+}
+
+// Create singleton instance
+const kits = new KitService();
+
+module.exports = {
+  KitService,
+  kits
+};
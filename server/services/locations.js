@@ -0,0 +1,337 @@
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const { READERS } = require('../config/constants');
+const { normalizeMac } = require('./readerRegistry');
+
+// A location's parent must be of a broader type
+const LOCATION_TYPES = ['site', 'building', 'room', 'zone'];
+
+const LOCATION_FIELDS = ['name', 'type', 'parent_id', 'description'];
+
+const PATH_SEPARATOR = ' > ';
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const locationError = (message, code, details = null) => Object.assign(new Error(message), { code, details });
+
+/**
+ * Location tree (site > building > room > zone) and the antennas mapped to it
+ *
+ * The whole tree is cached (it is small and read on every item list) and
+ * reloaded after cacheTtlMs or any change made through this service.
+ * Items are located by the antenna that last read them:
+ * reader_antenna.location_id, resolved here into a name and a full path.
+ */
+class LocationService {
+  constructor(options = {}) {
+    this.options = {
+      cacheTtlMs: READERS.cacheTtlMs,
+      ...options
+    };
+    // id -> { id, parent_id, name, type, description, created_at, updated_at, path, depth, children: [ids], antennas: [] }
+    this.locations = new Map();
+    // normalized mac:antenna -> location id
+    this.antennaLocations = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async load() {
+    const [rows] = await pool.execute(
+      `SELECT id, parent_id, name, type, description,
+         DATE_FORMAT(created_at, '%Y-%m-%dT%H:%i:%sZ') as created_at,
+         DATE_FORMAT(updated_at, '%Y-%m-%dT%H:%i:%sZ') as updated_at
+       FROM location
+       ORDER BY name, id`
+    );
+    const [antennas] = await pool.execute(
+      `SELECT ra.location_id, ra.reader_id, r.name as reader_name, r.mac_address, ra.antenna, ra.label
+       FROM reader_antenna ra
+       JOIN reader r ON r.id = ra.reader_id
+       WHERE ra.location_id IS NOT NULL
+       ORDER BY r.name, ra.antenna`
+    );
+
+    const next = new Map(rows.map(row => [row.id, { ...row, path: null, depth: 0, children: [], antennas: [] }]));
+    for (const location of next.values()) {
+      next.get(location.parent_id)?.children.push(location.id);
+    }
+    const antennaLocations = new Map();
+    for (const { location_id: locationId, mac_address: macAddress, ...antenna } of antennas) {
+      next.get(locationId)?.antennas.push(antenna);
+      antennaLocations.set(`${normalizeMac(macAddress)}:${antenna.antenna}`, locationId);
+    }
+    const walk = (location, parent) => {
+      location.path = parent ? `${parent.path}${PATH_SEPARATOR}${location.name}` : location.name;
+      location.depth = parent ? parent.depth + 1 : 0;
+      for (const childId of location.children) walk(next.get(childId), location);
+    };
+    for (const location of next.values()) {
+      if (!next.has(location.parent_id)) walk(location, null);
+    }
+
+    this.locations = next;
+    this.antennaLocations = antennaLocations;
+    this.loadedAt = Date.now();
+  }
+
+  async refresh() {
+    if (Date.now() - this.loadedAt <= this.options.cacheTtlMs) return;
+    if (!this.loading) {
+      this.loading = this.load()
+        .catch(error => {
+          // Keep the previous snapshot; retry after the TTL
+          this.loadedAt = Date.now();
+          logger.warn('Failed to load locations', { error: error.message });
+        })
+        .finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  format(location) {
+    const { children, ...rest } = location;
+    return { ...rest, child_count: children.length };
+  }
+
+  /**
+   * Every location, depth-first in tree order (parents before their children)
+   */
+  async list() {
+    await this.refresh();
+    const ordered = [];
+    const visit = (location) => {
+      ordered.push(this.format(location));
+      for (const childId of location.children) visit(this.locations.get(childId));
+    };
+    for (const location of this.locations.values()) {
+      if (!this.locations.has(location.parent_id)) visit(location);
+    }
+    return ordered;
+  }
+
+  async get(id) {
+    await this.refresh();
+    const location = this.locations.get(id);
+    return location ? this.format(location) : null;
+  }
+
+  /**
+   * Ids of a location and all its sub-locations, or null when it does not exist
+   */
+  async subtreeIds(id) {
+    await this.refresh();
+    if (!this.locations.has(id)) return null;
+    const ids = [];
+    const visit = (locationId) => {
+      ids.push(locationId);
+      for (const childId of this.locations.get(locationId).children) visit(childId);
+    };
+    visit(id);
+    return ids;
+  }
+
+  /**
+   * Location of a reader antenna and its ancestors (zone first, site last),
+   * empty when the antenna is not mapped. Uses the loaded tree: call refresh() first.
+   */
+  locationIdsOf(macAddress, antenna) {
+    const ids = [];
+    let location = this.locations.get(this.antennaLocations.get(`${normalizeMac(macAddress)}:${antenna}`));
+    for (; location; location = this.locations.get(location.parent_id)) ids.push(location.id);
+    return ids;
+  }
+
+  /**
+   * Same for an antenna code on any reader (hist only keeps the code):
+   * every location it is mapped to, with their ancestors
+   */
+  locationIdsOfAntenna(antenna) {
+    const ids = new Set();
+    for (const [key, locationId] of this.antennaLocations) {
+      if (key.slice(key.lastIndexOf(':') + 1) !== antenna) continue;
+      let location = this.locations.get(locationId);
+      for (; location; location = this.locations.get(location.parent_id)) ids.add(location.id);
+    }
+    return [...ids];
+  }
+
+  /**
+   * Add location_name, location_type and location_path to rows carrying a
+   * location_id (items joined to reader_antenna). Returns new objects, rows
+   * may come from the query cache.
+   */
+  async annotate(rows) {
+    await this.refresh();
+    return rows.map(row => {
+      const location = this.locations.get(row.location_id);
+      return {
+        ...row,
+        location_id: location ? location.id : null,
+        location_name: location?.name ?? null,
+        location_type: location?.type ?? null,
+        location_path: location?.path ?? null
+      };
+    });
+  }
+
+  /**
+   * Check a parent / type pair: the parent exists, is of a broader type and
+   * (when moving an existing location) is not inside it
+   */
+  checkPlacement(id, type, parentId) {
+    if (parentId === null) return;
+    const parent = this.locations.get(parentId);
+    if (!parent) {
+      throw locationError(`Parent location ${parentId} not found`, 'PARENT_NOT_FOUND');
+    }
+    if (LOCATION_TYPES.indexOf(parent.type) >= LOCATION_TYPES.indexOf(type)) {
+      throw locationError(`A ${type} cannot be inside a ${parent.type}`, 'INVALID_HIERARCHY');
+    }
+    for (let ancestor = parent; ancestor; ancestor = this.locations.get(ancestor.parent_id)) {
+      if (ancestor.id === id) {
+        throw locationError('A location cannot be moved inside itself', 'INVALID_HIERARCHY');
+      }
+    }
+  }
+
+  async create({ name, type, parentId = null, description = null }) {
+    this.invalidate();
+    await this.refresh();
+    this.checkPlacement(null, type, parentId);
+
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO location (parent_id, name, type, description, created_at, updated_at)
+         VALUES (?, ?, ?, ?, UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+        [parentId, name, type, description]
+      );
+      this.invalidate();
+      return this.get(result.insertId);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw locationError(`"${name}" already exists at this level`, 'NAME_TAKEN');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename, describe, retype or move a location (only the fields given)
+   */
+  async update(id, changes) {
+    this.invalidate();
+    await this.refresh();
+    const location = this.locations.get(id);
+    if (!location) {
+      throw locationError(`Location ${id} not found`, 'NOT_FOUND');
+    }
+
+    const type = changes.type ?? location.type;
+    const parentId = changes.parent_id !== undefined ? changes.parent_id : location.parent_id;
+    this.checkPlacement(id, type, parentId);
+    const narrowest = location.children
+      .map(childId => LOCATION_TYPES.indexOf(this.locations.get(childId).type))
+      .reduce((min, rank) => Math.min(min, rank), LOCATION_TYPES.length);
+    if (LOCATION_TYPES.indexOf(type) >= narrowest) {
+      throw locationError(`A ${type} cannot contain its current sub-locations`, 'INVALID_HIERARCHY');
+    }
+
+    const fields = LOCATION_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length > 0) {
+      try {
+        await pool.execute(
+          `UPDATE location SET ${[...fields.map(field => `${field} = ?`), 'updated_at = UTC_TIMESTAMP()'].join(', ')} WHERE id = ?`,
+          [...fields.map(field => changes[field] === '' ? null : changes[field]), id]
+        );
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+          throw locationError(`"${changes.name ?? location.name}" already exists at this level`, 'NAME_TAKEN');
+        }
+        throw error;
+      }
+    }
+    this.invalidate();
+    return this.get(id);
+  }
+
+  /**
+   * Delete a leaf location; its antennas become unmapped
+   */
+  async remove(id) {
+    this.invalidate();
+    await this.refresh();
+    const location = this.locations.get(id);
+    if (!location) {
+      throw locationError(`Location ${id} not found`, 'NOT_FOUND');
+    }
+    if (location.children.length > 0) {
+      throw locationError(`Location has ${location.children.length} sub-location(s)`, 'HAS_CHILDREN');
+    }
+    try {
+      await pool.execute('DELETE FROM location WHERE id = ?', [id]);
+    } catch (error) {
+      if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+        throw locationError('Location is used by alert rules', 'IN_USE');
+      }
+      throw error;
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Replace the antennas mapped to a location: [{ reader_id, antenna }].
+   * Antennas without a reader_antenna row yet get one labelled with their code;
+   * an antenna mapped elsewhere moves here.
+   */
+  async setAntennas(id, antennas) {
+    if (!(await this.get(id))) {
+      throw locationError(`Location ${id} not found`, 'NOT_FOUND');
+    }
+
+    const readerIds = [...new Set(antennas.map(antenna => antenna.reader_id))];
+    if (readerIds.length > 0) {
+      const [readers] = await pool.execute(`SELECT id FROM reader WHERE id IN (${placeholders(readerIds)})`, readerIds);
+      const known = new Set(readers.map(reader => reader.id));
+      const missing = readerIds.filter(readerId => !known.has(readerId));
+      if (missing.length > 0) {
+        throw locationError('Unknown reader(s)', 'READER_NOT_FOUND', { reader_ids: missing });
+      }
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.execute('UPDATE reader_antenna SET location_id = NULL WHERE location_id = ?', [id]);
+      for (const { reader_id: readerId, antenna } of antennas) {
+        await conn.execute(
+          `INSERT INTO reader_antenna (reader_id, antenna, label, location_id) VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE location_id = VALUES(location_id)`,
+          [readerId, antenna, antenna, id]
+        );
+      }
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+
+    this.invalidate();
+    return this.get(id);
+  }
+}
+
+// Create singleton instance
+const locations = new LocationService();
+
+module.exports = {
+  LocationService,
+  locations,
+  LOCATION_TYPES
+};
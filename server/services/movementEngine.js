@@ -0,0 +1,382 @@
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const realtimeService = require('./realtimeService');
+const { MOVEMENT } = require('../config/constants');
+const { toSqlDateTime, fromSqlDateTime } = require('../utils/timezoneUtils');
+
+/**
+ * Zone-transition engine
+ * Replaces the tr_historique trigger: keeps per-EPC state in memory and emits
+ * departure / return / zone_change events as reads come in from /api/input*.
+ *
+ * - departure: tag not read for longer than its group's gap threshold
+ *   (shorter at exit antennas, where an open hist row with ret NULL is written)
+ * - return: tag read again after a departure (writes or closes the hist row)
+ * - zone_change: tag read on another antenna while still present
+ */
+class MovementEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      defaultGapSeconds: MOVEMENT.defaultGapSeconds,
+      sweepIntervalMs: MOVEMENT.sweepIntervalMs,
+      groupCacheTtlMs: MOVEMENT.groupCacheTtlMs,
+      exitAntennas: MOVEMENT.exitAntennas,
+      exitGapSeconds: MOVEMENT.exitGapSeconds,
+      // Replay dry-runs: compute events without writing hist
+      persist: true,
+      // Replays: no movement_* system events
+      publish: true,
+      ...options
+    };
+    this.exitAntennas = new Set((this.options.exitAntennas || []).map(String));
+
+    // epc -> { antenna, lastSeen, groupId, present, departedAt, antennaDep, openHistId }
+    this.states = new Map();
+    // epc -> promise chain, so reads of one tag are applied in order
+    this.chains = new Map();
+    // epc -> group_id of its item
+    this.itemGroups = new Map();
+    this.groupGaps = new Map();
+    this.groupGapsLoadedAt = 0;
+    this.sweepInterval = null;
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * Load current item state and start the departure sweep
+   */
+  start() {
+    this.ready = this.hydrate();
+    if (!this.sweepInterval) {
+      this.sweepInterval = setInterval(() => {
+        this.sweep().catch(err => {
+          logger.error('Movement sweep error', { error: err.message });
+        });
+      }, this.options.sweepIntervalMs);
+      this.sweepInterval.unref?.();
+    }
+    return this.ready;
+  }
+
+  stop() {
+    if (this.sweepInterval) clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+  }
+
+  /**
+   * Seed per-EPC state from the item table so a restart does not lose track
+   * of which tags were present and where. Tags whose gap already elapsed are
+   * seeded as departed at their last read, without events: the departure
+   * happened while the server was down, the next read counts as a return
+   */
+  async hydrate(now = Math.floor(Date.now() / 1000)) {
+    try {
+      const [rows] = await pool.execute(`
+        SELECT epc, antenna, group_id,
+          DATE_FORMAT(updated_at, '%Y-%m-%d %H:%i:%s') AS last_seen
+        FROM item
+        WHERE updated_at IS NOT NULL
+      `);
+      let stale = 0;
+      for (const row of rows) {
+        if (!this.itemGroups.has(row.epc)) this.itemGroups.set(row.epc, row.group_id);
+        const lastSeen = fromSqlDateTime(row.last_seen);
+        if (lastSeen === null || this.states.has(row.epc)) continue;
+        const state = {
+          antenna: row.antenna,
+          lastSeen,
+          groupId: row.group_id,
+          present: true,
+          departedAt: null,
+          antennaDep: null,
+          openHistId: null
+        };
+        if (now - lastSeen > await this.getStateGapSeconds(state)) {
+          state.present = false;
+          state.departedAt = lastSeen;
+          state.antennaDep = row.antenna;
+          stale++;
+        }
+        this.states.set(row.epc, state);
+      }
+
+      const out = await this.loadOpenRows();
+      logger.info('Movement engine hydrated', { tags: this.states.size, stale, out });
+    } catch (error) {
+      logger.warn('Movement engine hydration failed, starting empty', { error: error.message });
+    }
+  }
+
+  /**
+   * Link tags still checked out (open hist row) to their row
+   * @param {boolean} markDeparted - Mark those tags not present (hydrate); false
+   *   after a replay rebuilt hist, where only departed tags are relinked
+   * @returns {number} Open rows
+   */
+  async loadOpenRows(markDeparted = true) {
+    const [openRows] = await pool.execute(`
+      SELECT id, epchist, antenna_dep,
+        DATE_FORMAT(dep, '%Y-%m-%d %H:%i:%s') AS dep
+      FROM hist
+      WHERE ret IS NULL AND dep IS NOT NULL
+      ORDER BY id
+    `);
+    const open = new Set();
+    for (const row of openRows) {
+      const state = this.states.get(row.epchist);
+      if (!state || (!markDeparted && state.present)) continue;
+      state.present = false;
+      state.departedAt = fromSqlDateTime(row.dep);
+      state.antennaDep = row.antenna_dep;
+      state.openHistId = row.id;
+      open.add(row.epchist);
+    }
+    // Rows deleted since (replay): the return will insert a new row
+    for (const [epc, state] of this.states) {
+      if (state.openHistId && !open.has(epc)) state.openHistId = null;
+    }
+    return openRows.length;
+  }
+
+  /**
+   * Gap threshold (seconds) for a group, from groupname.movement_gap_seconds
+   */
+  async getGapSeconds(groupId) {
+    if (Date.now() - this.groupGapsLoadedAt > this.options.groupCacheTtlMs) {
+      this.groupGapsLoadedAt = Date.now();
+      try {
+        const [rows] = await pool.execute(
+          'SELECT group_id, movement_gap_seconds FROM groupname WHERE movement_gap_seconds IS NOT NULL'
+        );
+        this.groupGaps = new Map(rows.map(r => [String(r.group_id), Number(r.movement_gap_seconds)]));
+      } catch (error) {
+        logger.warn('Failed to load group gap thresholds', { error: error.message });
+      }
+    }
+    return this.groupGaps.get(String(groupId)) || this.options.defaultGapSeconds;
+  }
+
+  /**
+   * Reload group gap thresholds on next use (group edited through /api/groups)
+   */
+  invalidateGroups() {
+    this.groupGapsLoadedAt = 0;
+  }
+
+  /**
+   * Group of the item carrying a tag, null when no item has it yet
+   */
+  async getItemGroupId(epc) {
+    if (this.itemGroups.has(epc)) return this.itemGroups.get(epc);
+    try {
+      const [rows] = await pool.execute('SELECT group_id FROM item WHERE epc = ?', [epc]);
+      // Not cached when missing: the next buffer flush creates the item
+      if (rows.length === 0) return null;
+      this.itemGroups.set(epc, rows[0].group_id);
+      return rows[0].group_id;
+    } catch (error) {
+      logger.warn('Failed to load item group', { epc, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Reload item groups on next use (items moved to another group)
+   * @param {string[]} [epcs] - Tags of the moved items, all tags when omitted
+   */
+  invalidateItemGroups(epcs) {
+    if (!epcs) this.itemGroups.clear();
+    else epcs.forEach(epc => this.itemGroups.delete(epc));
+  }
+
+  isExitAntenna(antenna) {
+    return this.exitAntennas.has(String(antenna));
+  }
+
+  /**
+   * Gap threshold for a tag: its group's, capped by MOVEMENT_EXIT_GAP_SECONDS
+   * when it was last seen on an exit antenna
+   */
+  async getStateGapSeconds(state) {
+    const gap = await this.getGapSeconds(state.groupId);
+    return this.isExitAntenna(state.antenna) ? Math.min(gap, this.options.exitGapSeconds) : gap;
+  }
+
+  /**
+   * Run work for one tag once the work already queued for it is done
+   * (reads, sweep departures)
+   */
+  enqueue(epc, work) {
+    const previous = this.chains.get(epc) || Promise.resolve();
+    const result = previous.then(work);
+    const next = result
+      .catch(() => {})
+      .finally(() => {
+        if (this.chains.get(epc) === next) this.chains.delete(epc);
+      });
+    this.chains.set(epc, next);
+    return result;
+  }
+
+  /**
+   * Feed one read into the engine
+   * @param {object} read - { epc, antenna, timestamp (UTC seconds), groupId? }
+   *   groupId defaults to the group of the tag's item
+   */
+  processRead(read) {
+    return this.enqueue(read.epc, () => this.applyRead(read)).catch(error => {
+      logger.error('Movement engine failed to apply read', { error: error.message, epc: read.epc });
+    });
+  }
+
+  async applyRead({ epc, antenna, timestamp, groupId }) {
+    await this.ready;
+    const state = this.states.get(epc);
+    groupId = groupId ?? await this.getItemGroupId(epc);
+
+    if (!state) {
+      // First sighting of this tag - nothing to compare against
+      this.states.set(epc, {
+        antenna, lastSeen: timestamp, groupId,
+        present: true, departedAt: null, antennaDep: null, openHistId: null
+      });
+      return;
+    }
+
+    if (groupId !== null) state.groupId = groupId;
+    // Late or duplicate reads must not move the clock backwards
+    if (timestamp < state.lastSeen) return;
+
+    if (state.present) {
+      const gap = await this.getStateGapSeconds(state);
+      if (timestamp - state.lastSeen > gap) {
+        // Sweep did not run in between (restart, replay): depart now, then return
+        await this.depart(epc, state);
+      }
+    }
+
+    if (!state.present) {
+      await this.returnTag(epc, state, antenna, timestamp);
+    } else if (state.antenna !== antenna) {
+      this.emitEvent('zone_change', {
+        epc,
+        from: state.antenna,
+        to: antenna,
+        at: timestamp,
+        groupId: state.groupId
+      });
+    }
+
+    state.antenna = antenna;
+    state.lastSeen = timestamp;
+  }
+
+  /**
+   * Mark every present tag whose gap has elapsed as departed
+   * @param {number} now - UTC seconds (defaults to the wall clock)
+   */
+  async sweep(now = Math.floor(Date.now() / 1000)) {
+    await this.ready;
+    let departed = 0;
+    const due = async (epc, state) => {
+      if (!state.present) return false;
+      state.groupId = (await this.getItemGroupId(epc)) ?? state.groupId;
+      return now - state.lastSeen > await this.getStateGapSeconds(state);
+    };
+    for (const [epc, state] of this.states) {
+      if (!await due(epc, state)) continue;
+      // In the tag's chain: a read during the hist INSERT must see openHistId
+      const gone = await this.enqueue(epc, async () => {
+        if (!await due(epc, state)) return false;
+        await this.depart(epc, state);
+        return true;
+      });
+      if (gone) departed++;
+    }
+    if (departed > 0) {
+      logger.debug('Movement sweep completed', { departed });
+    }
+    return departed;
+  }
+
+  async depart(epc, state) {
+    state.present = false;
+    state.departedAt = state.lastSeen;
+    state.antennaDep = state.antenna;
+
+    const exit = this.isExitAntenna(state.antenna);
+    if (exit && this.options.persist) {
+      // Checked out: open the movement record now, closed on the next read
+      const [result] = await pool.execute(
+        'INSERT INTO hist (epchist, dep, antenna_dep) VALUES (?, ?, ?)',
+        [epc, toSqlDateTime(state.departedAt), state.antennaDep]
+      );
+      state.openHistId = result.insertId;
+    }
+
+    this.emitEvent('departure', {
+      epc,
+      antenna: state.antenna,
+      departedAt: state.lastSeen,
+      groupId: state.groupId,
+      exit,
+      // Open hist row (exit antennas only)
+      histId: state.openHistId
+    });
+  }
+
+  async returnTag(epc, state, antenna, timestamp) {
+    const event = {
+      epc,
+      antennaDep: state.antennaDep,
+      antenna,
+      departedAt: state.departedAt,
+      returnedAt: timestamp,
+      durationSeconds: timestamp - state.departedAt,
+      groupId: state.groupId
+    };
+
+    let closed = false;
+    if (this.options.persist && state.openHistId) {
+      const [result] = await pool.execute(
+        'UPDATE hist SET ret = ?, antenna_ret = ? WHERE id = ?',
+        [toSqlDateTime(timestamp), antenna, state.openHistId]
+      );
+      // 0 rows: the open row was rebuilt by a replay
+      closed = result.affectedRows > 0;
+    }
+    if (this.options.persist && !closed) {
+      await pool.execute(
+        'INSERT INTO hist (epchist, dep, ret, antenna_dep, antenna_ret) VALUES (?, ?, ?, ?, ?)',
+        [epc, toSqlDateTime(state.departedAt), toSqlDateTime(timestamp), state.antennaDep, antenna]
+      );
+    }
+
+    state.present = true;
+    state.departedAt = null;
+    state.antennaDep = null;
+    state.openHistId = null;
+    this.emitEvent('return', event);
+  }
+
+  emitEvent(type, data) {
+    this.emit(type, data);
+    if (!this.options.publish) return;
+    realtimeService.publishSystemEvent(`movement_${type}`, data)
+      .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type }));
+  }
+
+  getState(epc) {
+    return this.states.get(epc) || null;
+  }
+}
+
+// Create singleton instance
+const movementEngine = new MovementEngine();
+
+module.exports = {
+  MovementEngine,
+  movementEngine
+};
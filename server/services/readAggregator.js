@@ -0,0 +1,200 @@
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const { READ_BUFFER } = require('../config/constants');
+const { metrics } = require('../metrics');
+const { toSqlDateTime } = require('../utils/timezoneUtils');
+
+/**
+ * Read aggregator
+ * Buffers reads from /api/input* and collapses repeated EPC/antenna reads
+ * within a window into one entry (first seen, last seen, read count). Each
+ * flush writes every entry in a single multi-row item upsert, then emits
+ * 'flush' with the written entries. Entries of a failed upsert go back into
+ * the buffer for the next flush, up to READ_BUFFER_MAX_FLUSH_ATTEMPTS.
+ */
+class ReadAggregator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      windowMs: READ_BUFFER.windowMs,
+      maxEntries: READ_BUFFER.maxEntries,
+      maxFlushAttempts: READ_BUFFER.maxFlushAttempts,
+      ...options
+    };
+
+    // `${epc}|${antenna}` -> { epc, antenna, macAddress, readerName, endpoint, firstSeen, lastSeen, readCount, attempts? }
+    this.buffer = new Map();
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+    this.readsReceived = 0;
+    this.rowsWritten = 0;
+  }
+
+  /**
+   * Buffer one read; the window starts with the first read after a flush
+   * @param {object} read - { epc, antenna, macAddress, readerName, endpoint, timestamp (UTC seconds) }
+   * @returns {boolean} true if the read opened a new EPC/antenna entry
+   */
+  add({ epc, antenna, macAddress, readerName, endpoint, timestamp }) {
+    const key = `${epc}|${antenna}`;
+    const entry = this.buffer.get(key);
+    this.readsReceived++;
+    metrics.rfidReadsReceived.inc();
+
+    if (entry) {
+      entry.firstSeen = Math.min(entry.firstSeen, timestamp);
+      entry.lastSeen = Math.max(entry.lastSeen, timestamp);
+      entry.readCount++;
+      entry.macAddress = macAddress;
+      entry.readerName = readerName;
+      entry.endpoint = endpoint;
+    } else {
+      this.buffer.set(key, {
+        epc, antenna, macAddress, readerName, endpoint,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+        readCount: 1
+      });
+    }
+    metrics.rfidReadBufferSize.set(this.buffer.size);
+
+    if (this.buffer.size >= this.options.maxEntries) {
+      this.flush().catch(() => {});
+    } else {
+      this.scheduleFlush();
+    }
+    return !entry;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    // write() already logged a failed flush
+    this.flushTimer = setTimeout(() => this.flush().catch(() => {}), this.options.windowMs);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the buffered entries; flushes run one after the other
+   * @returns {Promise<number>} Number of item rows written
+   */
+  flush() {
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const entries = Array.from(this.buffer.values());
+    this.buffer = new Map();
+    metrics.rfidReadBufferSize.set(0);
+
+    const run = this.flushing.then(() => this.write(entries));
+    this.flushing = run.catch(() => {});
+    return run;
+  }
+
+  async write(entries) {
+    if (entries.length === 0) return 0;
+
+    // item is unique on epc: the latest antenna of a tag has to be written last
+    entries.sort((a, b) => a.lastSeen - b.lastSeen);
+
+    const placeholders = entries.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const params = entries.flatMap(entry => [
+      entry.macAddress,
+      entry.readerName,
+      entry.epc,
+      toSqlDateTime(entry.lastSeen),
+      toSqlDateTime(entry.lastSeen),
+      entry.antenna,
+      toSqlDateTime(entry.firstSeen),
+      entry.readCount
+    ]);
+
+    try {
+      await pool.execute(`
+        INSERT INTO item (mac_address, reader_name, epc, epc_timestamp, updated_at, antenna, first_seen, read_count)
+        VALUES ${placeholders}
+        ON DUPLICATE KEY UPDATE
+          mac_address=VALUES(mac_address),
+          reader_name=VALUES(reader_name),
+          epc_timestamp=VALUES(epc_timestamp),
+          updated_at=VALUES(updated_at),
+          antenna=VALUES(antenna),
+          first_seen=COALESCE(first_seen, VALUES(first_seen)),
+          read_count=read_count + VALUES(read_count)
+      `, params);
+    } catch (error) {
+      metrics.rfidReadFlushErrors.inc();
+      const dropped = this.requeue(entries);
+      logger.error('Failed to flush read buffer', {
+        error: error.message,
+        entries: entries.length,
+        reads: entries.reduce((sum, entry) => sum + entry.readCount, 0),
+        dropped
+      });
+      throw error;
+    }
+
+    this.rowsWritten += entries.length;
+    metrics.rfidReadsWritten.inc(entries.length);
+    metrics.rfidReadAggregationRatio.set(this.getRatio());
+    logger.debug('Read buffer flushed', { entries: entries.length, ratio: this.getRatio() });
+
+    this.emit('flush', entries);
+    return entries.length;
+  }
+
+  /**
+   * Put the entries of a failed upsert back into the buffer, merged with the
+   * reads received since; entries out of attempts are dropped
+   * @returns {number} Entries dropped
+   */
+  requeue(entries) {
+    let dropped = 0;
+    for (const entry of entries) {
+      const attempts = (entry.attempts || 0) + 1;
+      if (attempts >= this.options.maxFlushAttempts) {
+        dropped++;
+        continue;
+      }
+      const key = `${entry.epc}|${entry.antenna}`;
+      const newer = this.buffer.get(key);
+      if (newer) {
+        newer.firstSeen = Math.min(newer.firstSeen, entry.firstSeen);
+        newer.lastSeen = Math.max(newer.lastSeen, entry.lastSeen);
+        newer.readCount += entry.readCount;
+        newer.attempts = Math.max(newer.attempts || 0, attempts);
+      } else {
+        this.buffer.set(key, { ...entry, attempts });
+      }
+    }
+    if (dropped > 0) metrics.rfidReadsDropped.inc(dropped);
+    metrics.rfidReadBufferSize.set(this.buffer.size);
+    if (this.buffer.size > 0) this.scheduleFlush();
+    return dropped;
+  }
+
+  /**
+   * Reads received per item row written since start
+   */
+  getRatio() {
+    return this.rowsWritten > 0 ? this.readsReceived / this.rowsWritten : 0;
+  }
+
+  /**
+   * Flush what is left, for shutdown (no retry after that one)
+   */
+  stop() {
+    return this.flush().catch(() => 0).finally(() => {
+      if (this.flushTimer) clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    });
+  }
+}
+
+// Create singleton instance
+const readAggregator = new ReadAggregator();
+
+module.exports = {
+  ReadAggregator,
+  readAggregator
+};
@@ -0,0 +1,157 @@
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const { READ_LOG } = require('../config/constants');
+
+// MySQL TO_DAYS('1970-01-01')
+const TO_DAYS_EPOCH = 719528;
+
+/**
+ * MySQL TO_DAYS() of a UTC timestamp (seconds)
+ */
+const toDays = (seconds) => Math.floor(seconds / 86400) + TO_DAYS_EPOCH;
+
+// datetime(3) in UTC
+const toSqlDateTimeMs = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 23).replace('T', ' ');
+
+// Daily partition name for a TO_DAYS() value, e.g. p20261018
+const partitionName = (days) => `p${new Date((days - TO_DAYS_EPOCH) * 86400000).toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+/**
+ * Append-only log of individual reads (read_event)
+ * Written once per POST by the ingestion routes. The table is partitioned by
+ * day on read_at: maintain() adds the partitions ahead and drops those past
+ * READ_LOG_RETENTION_DAYS.
+ */
+class ReadEventLog {
+  constructor(options = {}) {
+    this.options = {
+      enabled: READ_LOG.enabled,
+      retentionDays: READ_LOG.retentionDays,
+      partitionsAhead: READ_LOG.partitionsAhead,
+      maintenanceIntervalMs: READ_LOG.maintenanceIntervalMs,
+      ...options
+    };
+    this.maintenanceInterval = null;
+  }
+
+  start() {
+    const ready = this.maintain();
+    if (!this.maintenanceInterval) {
+      this.maintenanceInterval = setInterval(() => this.maintain(), this.options.maintenanceIntervalMs);
+      this.maintenanceInterval.unref?.();
+    }
+    return ready;
+  }
+
+  stop() {
+    if (this.maintenanceInterval) clearInterval(this.maintenanceInterval);
+    this.maintenanceInterval = null;
+  }
+
+  /**
+   * Append reads, one multi-row insert (failure does not fail the POST)
+   * @param {Array} reads - { epc, antenna, macAddress, readerName, rssi, phase, channel, readerTimestamp, readAt }
+   * @param {string} endpoint - Ingestion route
+   * @param {string} receivedAt - Server time, SQL datetime UTC
+   * @returns {Promise<number>} Rows written
+   */
+  async record(reads, endpoint, receivedAt) {
+    if (!this.options.enabled || reads.length === 0) return 0;
+
+    try {
+      await pool.execute(`
+        INSERT INTO read_event (read_at, epc, antenna, mac_address, reader_name, rssi, phase, channel, reader_timestamp, received_at, endpoint)
+        VALUES ${reads.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+      `, reads.flatMap(read => [
+        toSqlDateTimeMs(read.readAt), read.epc, read.antenna, read.macAddress, read.readerName,
+        read.rssi, read.phase, read.channel,
+        read.readerTimestamp === null ? null : toSqlDateTimeMs(read.readerTimestamp),
+        receivedAt, endpoint
+      ]));
+      return reads.length;
+    } catch (error) {
+      logger.error('Failed to record read events', { error: error.message, endpoint, reads: reads.length });
+      return 0;
+    }
+  }
+
+  /**
+   * Create the daily partitions ahead and apply retention (never rejects)
+   */
+  async maintain(now = Math.floor(Date.now() / 1000)) {
+    try {
+      const [rows] = await pool.execute(`
+        SELECT PARTITION_NAME as name, PARTITION_DESCRIPTION as bound
+        FROM information_schema.PARTITIONS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'read_event' AND PARTITION_NAME IS NOT NULL
+      `);
+      if (rows.length === 0) {
+        // Not partitioned: retention falls back to DELETE
+        return { created: 0, dropped: 0, deleted: await this.purgeRows(now) };
+      }
+      const created = await this.addPartitions(rows, now);
+      const dropped = await this.dropPartitions(rows, now);
+      if (created || dropped) {
+        logger.info('Read event partitions maintained', { created, dropped });
+      }
+      return { created, dropped, deleted: 0 };
+    } catch (error) {
+      logger.error('Read event maintenance failed', { error: error.message });
+      return { created: 0, dropped: 0, deleted: 0 };
+    }
+  }
+
+  /**
+   * One partition per day up to partitionsAhead, split off p_future
+   */
+  async addPartitions(rows, now) {
+    const bounds = rows.filter(row => row.bound !== 'MAXVALUE').map(row => Number(row.bound));
+    const highest = bounds.length ? Math.max(...bounds) : toDays(now);
+    const target = toDays(now) + this.options.partitionsAhead + 1;
+    if (highest >= target) return 0;
+
+    const partitions = [];
+    for (let bound = Math.max(highest, toDays(now)) + 1; bound <= target; bound++) {
+      partitions.push(`PARTITION ${partitionName(bound - 1)} VALUES LESS THAN (${bound})`);
+    }
+    await pool.execute(`
+      ALTER TABLE read_event REORGANIZE PARTITION p_future INTO (
+        ${partitions.join(',\n        ')},
+        PARTITION p_future VALUES LESS THAN MAXVALUE
+      )
+    `);
+    return partitions.length;
+  }
+
+  /**
+   * Drop the daily partitions entirely older than retentionDays
+   */
+  async dropPartitions(rows, now) {
+    const cutoff = toDays(now) - this.options.retentionDays;
+    const expired = rows
+      .filter(row => row.bound !== 'MAXVALUE' && Number(row.bound) <= cutoff)
+      .map(row => row.name);
+    if (expired.length === 0) return 0;
+
+    await pool.execute(`ALTER TABLE read_event DROP PARTITION ${expired.join(', ')}`);
+    return expired.length;
+  }
+
+  async purgeRows(now) {
+    const [result] = await pool.execute(
+      'DELETE FROM read_event WHERE read_at < ?',
+      [toSqlDateTimeMs(now - this.options.retentionDays * 86400)]
+    );
+    return result.affectedRows;
+  }
+}
+
+// Create singleton instance
+const readEventLog = new ReadEventLog();
+
+module.exports = {
+  ReadEventLog,
+  readEventLog,
+  toDays,
+  partitionName
+};
@@ -0,0 +1,194 @@
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const realtimeService = require('./realtimeService');
+const { READERS } = require('../config/constants');
+const { normalizeMac, SQL_NORMALIZED_MAC } = require('./readerRegistry');
+const { CHINA_READER_MAC } = require('../utils/readerAdapters');
+
+const PLACEHOLDER_MAC = normalizeMac(CHINA_READER_MAC);
+
+/**
+ * Heartbeat key of a reader: its normalized MAC, or its name when it has no
+ * MAC of its own (the low-cost readers all post the placeholder MAC, and
+ * one without a name cannot be told apart: null)
+ */
+const heartbeatKey = (macAddress, readerName) => {
+  const mac = normalizeMac(macAddress);
+  if (mac === PLACEHOLDER_MAC && !readerName) return null;
+  return mac && mac !== PLACEHOLDER_MAC ? mac : `name:${readerName || 'unknown'}`;
+};
+
+/**
+ * Reader heartbeat tracker
+ * Records the last POST per reader and antenna from /api/input*, and reports
+ * readers that go silent (reader_offline) or come back (reader_online) through
+ * MonitoringService alerts and system:events.
+ */
+class ReaderHeartbeat extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      silentAfterSeconds: READERS.silentAfterSeconds,
+      checkIntervalMs: READERS.heartbeatCheckIntervalMs,
+      ...options
+    };
+
+    // heartbeatKey -> { macAddress, readerName, endpoint, lastSeen, online, antennas: Map(antenna -> lastSeen) }
+    this.readers = new Map();
+    this.monitoringService = null;
+    this.checkInterval = null;
+    // Silence is measured from here at the earliest, so a restart does not alert at once
+    this.startedAt = Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * Seed registered readers and start the silence check
+   * @param {MonitoringService} monitoringService - Instance receiving reader_offline alerts
+   */
+  start(monitoringService = null) {
+    this.monitoringService = monitoringService;
+    this.startedAt = Math.floor(Date.now() / 1000);
+    const ready = this.hydrate();
+    if (!this.checkInterval) {
+      this.checkInterval = setInterval(() => this.check(), this.options.checkIntervalMs);
+      this.checkInterval.unref?.();
+    }
+    return ready;
+  }
+
+  stop() {
+    if (this.checkInterval) clearInterval(this.checkInterval);
+    this.checkInterval = null;
+  }
+
+  /**
+   * Track every enabled registered reader, so one that never posts after a
+   * restart is still reported. Last seen comes from item.updated_at.
+   */
+  async hydrate() {
+    try {
+      const [rows] = await pool.execute(`
+        SELECT r.mac_address, r.name, UNIX_TIMESTAMP(MAX(i.updated_at)) as last_seen
+        FROM reader r
+        LEFT JOIN item i ON r.mac_address = ${SQL_NORMALIZED_MAC('i.mac_address')}
+        WHERE r.enabled = 1
+        GROUP BY r.id, r.mac_address, r.name
+      `);
+      for (const row of rows) {
+        const key = normalizeMac(row.mac_address);
+        // The placeholder stands for every low-cost reader, tracked by name once they post
+        if (key === PLACEHOLDER_MAC || this.readers.has(key)) continue;
+        this.readers.set(key, {
+          macAddress: row.mac_address,
+          readerName: row.name,
+          endpoint: null,
+          lastSeen: Number(row.last_seen) || 0,
+          online: true,
+          antennas: new Map()
+        });
+      }
+      logger.info('Reader heartbeat hydrated', { readers: this.readers.size });
+    } catch (error) {
+      logger.warn('Reader heartbeat hydration failed, starting empty', { error: error.message });
+    }
+  }
+
+  /**
+   * Record a POST from a reader
+   * @param {object} beat - { macAddress, readerName, endpoint, antennas: string[], at (UTC seconds) }
+   */
+  record({ macAddress, readerName, endpoint, antennas = [], at = Math.floor(Date.now() / 1000) }) {
+    const key = heartbeatKey(macAddress, readerName);
+    if (!key) return;
+    let state = this.readers.get(key);
+    if (!state) {
+      state = { macAddress, readerName, endpoint, lastSeen: at, online: true, antennas: new Map() };
+      this.readers.set(key, state);
+    }
+
+    const wasOffline = !state.online;
+    const silentSeconds = at - Math.max(state.lastSeen, this.startedAt);
+    state.macAddress = macAddress || state.macAddress;
+    state.readerName = readerName || state.readerName;
+    state.endpoint = endpoint;
+    state.lastSeen = Math.max(state.lastSeen, at);
+    state.online = true;
+    for (const antenna of antennas) {
+      state.antennas.set(String(antenna), at);
+    }
+
+    if (wasOffline) {
+      this.report('reader_online', key, state, silentSeconds);
+    }
+  }
+
+  /**
+   * Report readers silent for longer than silentAfterSeconds
+   * @returns {number} Number of readers that just went offline
+   */
+  check(now = Math.floor(Date.now() / 1000)) {
+    let wentOffline = 0;
+    for (const [key, state] of this.readers) {
+      const since = Math.max(state.lastSeen, this.startedAt);
+      if (state.online && now - since > this.options.silentAfterSeconds) {
+        state.online = false;
+        this.report('reader_offline', key, state, now - since);
+        wentOffline++;
+      }
+    }
+    return wentOffline;
+  }
+
+  report(type, key, state, silentSeconds) {
+    const data = {
+      key,
+      macAddress: state.macAddress,
+      readerName: state.readerName,
+      endpoint: state.endpoint,
+      lastSeen: state.lastSeen ? new Date(state.lastSeen * 1000).toISOString() : null,
+      silentSeconds,
+      silentAfterSeconds: this.options.silentAfterSeconds
+    };
+
+    if (type === 'reader_offline') {
+      logger.warn('RFID reader went silent', data);
+      this.monitoringService?.createAlert('reader_offline', data, key);
+    } else {
+      logger.info('RFID reader recovered', data);
+      this.monitoringService?.resolveAlert('reader_offline', key);
+    }
+
+    this.emit(type, data);
+    realtimeService.publishSystemEvent(type, data)
+      .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type }));
+  }
+
+  /**
+   * Status of every tracked reader, keyed by normalized MAC (or name)
+   */
+  getStatus(now = Math.floor(Date.now() / 1000)) {
+    return Array.from(this.readers, ([key, state]) => ({
+      key,
+      mac_address: state.macAddress,
+      reader_name: state.readerName,
+      endpoint: state.endpoint,
+      online: state.online,
+      last_seen: state.lastSeen ? new Date(state.lastSeen * 1000).toISOString() : null,
+      seconds_since: state.lastSeen ? now - state.lastSeen : null,
+      antennas: Array.from(state.antennas, ([antenna, lastSeen]) => ({
+        antenna,
+        last_seen: new Date(lastSeen * 1000).toISOString(),
+        seconds_since: now - lastSeen
+      }))
+    }));
+  }
+}
+
+// Create singleton instance
+const readerHeartbeat = new ReaderHeartbeat();
+
+module.exports = {
+  ReaderHeartbeat,
+  readerHeartbeat
+};
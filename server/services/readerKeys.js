@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const { READERS } = require('../config/constants');
+const { normalizeMac } = require('./readerRegistry');
+
+/**
+ * New key id + secret pair; the secret is only shown once, at issue time
+ */
+const generateKey = () => ({
+  keyId: `rk_${crypto.randomBytes(8).toString('hex')}`,
+  secret: crypto.randomBytes(32).toString('base64url')
+});
+
+/**
+ * Active reader keys cache for the ingestion hot path
+ * One reader may hold several keys (rotation); revoked keys are not loaded.
+ */
+class ReaderKeyStore {
+  constructor(options = {}) {
+    this.options = {
+      cacheTtlMs: READERS.cacheTtlMs,
+      ...options
+    };
+    // key id -> { keyId, secret, readerId, macAddress (normalized) }
+    this.keys = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async load() {
+    const [rows] = await pool.execute(`
+      SELECT k.key_id, k.secret, k.reader_id, r.mac_address
+      FROM reader_key k
+      INNER JOIN reader r ON r.id = k.reader_id
+      WHERE k.revoked_at IS NULL AND r.enabled = 1
+    `);
+    this.keys = new Map(rows.map(row => [row.key_id, {
+      keyId: row.key_id,
+      secret: row.secret,
+      readerId: row.reader_id,
+      macAddress: normalizeMac(row.mac_address)
+    }]));
+    this.loadedAt = Date.now();
+  }
+
+  async refresh() {
+    if (Date.now() - this.loadedAt <= this.options.cacheTtlMs) return;
+    if (!this.loading) {
+      this.loading = this.load()
+        .catch(error => {
+          // Keep the previous snapshot; retry after the TTL
+          this.loadedAt = Date.now();
+          logger.warn('Failed to load reader keys', { error: error.message });
+        })
+        .finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Active key by id, or null
+   */
+  async getKey(keyId) {
+    await this.refresh();
+    return this.keys.get(keyId) || null;
+  }
+
+  /**
+   * Drop the cache after a key is issued or revoked
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+}
+
+// Create singleton instance
+const readerKeys = new ReaderKeyStore();
+
+module.exports = {
+  ReaderKeyStore,
+  readerKeys,
+  generateKey
+};
@@ -0,0 +1,119 @@
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const { READERS } = require('../config/constants');
+const { parseFieldOrder } = require('../utils/readerAdapters');
+
+/**
+ * Normalize a MAC address the way the reader table stores it
+ * (uppercase, no ':' or '-'), e.g. '00:16:25:12:ab:cd' -> '00162512ABCD'
+ */
+const normalizeMac = (mac) => String(mac ?? '').toUpperCase().replace(/[:-]/g, '');
+
+// Same normalization in SQL, for joining item.mac_address to reader.mac_address
+const SQL_NORMALIZED_MAC = (column) => `REPLACE(REPLACE(UPPER(${column}), ':', ''), '-', '')`;
+
+/**
+ * Registered readers cache for the ingestion hot path
+ * Knows which MACs are registered (and enabled) and their antenna labels
+ */
+class ReaderRegistry {
+  constructor(options = {}) {
+    this.options = {
+      cacheTtlMs: READERS.cacheTtlMs,
+      strictMode: READERS.strictMode,
+      ...options
+    };
+    // normalized mac -> { id, name, location, enabled, fieldOrder, antennas: Map(antenna -> label) }
+    this.readers = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * 'off' (accept everything), 'reject' or 'quarantine' unknown MACs
+   */
+  get strictMode() {
+    return this.options.strictMode;
+  }
+
+  async load() {
+    const [readers] = await pool.execute('SELECT id, mac_address, name, location, enabled, field_order FROM reader');
+    const [antennas] = await pool.execute('SELECT reader_id, antenna, label FROM reader_antenna');
+
+    const byId = new Map();
+    const next = new Map();
+    for (const reader of readers) {
+      const entry = {
+        ...reader,
+        enabled: Boolean(reader.enabled),
+        fieldOrder: parseFieldOrder(reader.field_order),
+        antennas: new Map()
+      };
+      byId.set(reader.id, entry);
+      next.set(normalizeMac(reader.mac_address), entry);
+    }
+    for (const antenna of antennas) {
+      byId.get(antenna.reader_id)?.antennas.set(String(antenna.antenna), antenna.label);
+    }
+
+    this.readers = next;
+    this.loadedAt = Date.now();
+  }
+
+  async refresh() {
+    if (Date.now() - this.loadedAt <= this.options.cacheTtlMs) return;
+    if (!this.loading) {
+      this.loading = this.load()
+        .catch(error => {
+          // Keep the previous snapshot; retry after the TTL
+          this.loadedAt = Date.now();
+          logger.warn('Failed to load reader registry', { error: error.message });
+        })
+        .finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Registered and enabled reader for a MAC, or null
+   */
+  async getReader(mac) {
+    await this.refresh();
+    const reader = this.readers.get(normalizeMac(mac));
+    return reader && reader.enabled ? reader : null;
+  }
+
+  async isKnown(mac) {
+    return (await this.getReader(mac)) !== null;
+  }
+
+  async getAntennaLabel(mac, antenna) {
+    const reader = await this.getReader(mac);
+    return reader?.antennas.get(String(antenna)) || null;
+  }
+
+  /**
+   * Registered CSV column order of a reader, or null for the adapter default
+   */
+  async getFieldOrder(mac) {
+    const reader = await this.getReader(mac);
+    return reader?.fieldOrder || null;
+  }
+
+  /**
+   * Drop the cache after a CRUD change so ingestion sees it immediately
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+}
+
+// Create singleton instance
+const readerRegistry = new ReaderRegistry();
+
+module.exports = {
+  ReaderRegistry,
+  readerRegistry,
+  normalizeMac,
+  SQL_NORMALIZED_MAC
+};
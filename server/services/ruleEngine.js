@@ -0,0 +1,544 @@
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const realtimeService = require('./realtimeService');
+const { movementEngine } = require('./movementEngine');
+const { locations } = require('./locations');
+const { normalizeMac } = require('./readerRegistry');
+const { metrics } = require('../metrics');
+const { RULES } = require('../config/constants');
+const { toSqlDateTime, utcToLocalDate } = require('../utils/timezoneUtils');
+
+const RULE_COLUMNS = `
+  r.id, r.name, r.enabled, r.item_id, r.group_id, r.category, r.location_id, r.reader_id, r.antenna,
+  r.trigger_type, r.dwell_minutes,
+  TIME_FORMAT(r.active_from, '%H:%i') as active_from,
+  TIME_FORMAT(r.active_to, '%H:%i') as active_to,
+  r.active_days, r.severity,
+  DATE_FORMAT(r.created_at, '%Y-%m-%dT%H:%i:%sZ') as created_at,
+  DATE_FORMAT(r.updated_at, '%Y-%m-%dT%H:%i:%sZ') as updated_at
+`;
+
+const ALERT_COLUMNS = `
+  a.id, a.rule_id, a.rule_name, a.trigger_type, a.severity, a.epc, a.item_id, a.mac_address, a.antenna,
+  a.location_id, a.message, a.acknowledged_by, a.acknowledge_note,
+  DATE_FORMAT(a.triggered_at, '%Y-%m-%dT%H:%i:%sZ') as triggered_at,
+  DATE_FORMAT(a.acknowledged_at, '%Y-%m-%dT%H:%i:%sZ') as acknowledged_at,
+  i.designation
+`;
+
+const RULE_FIELDS = [
+  'name', 'enabled', 'item_id', 'group_id', 'category', 'location_id', 'reader_id', 'antenna',
+  'trigger_type', 'dwell_minutes', 'active_from', 'active_to', 'active_days', 'severity'
+];
+
+const ruleError = (message, code, details = null) => Object.assign(new Error(message), { code, details });
+
+// 'HH:MM' -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// '1,2,3,4,5' -> [1, 2, 3, 4, 5] (ISO weekdays, 1 = Monday), null = every day
+const parseDays = (value) => (value ? String(value).split(',').map(Number) : null);
+
+/**
+ * Whether a rule is armed at a time: inside its active_from - active_to
+ * window (local time, may wrap midnight) on one of its active_days.
+ * After midnight, a wrapping window belongs to the day it opened.
+ * @param {object} rule - { active_from, active_to, active_days }
+ * @param {number} at - UTC seconds
+ */
+const isArmed = (rule, at) => {
+  const local = utcToLocalDate(at);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  let day = local.getUTCDay() || 7;
+
+  if (rule.active_from && rule.active_to) {
+    const from = toMinutes(rule.active_from);
+    const to = toMinutes(rule.active_to);
+    if (from <= to) {
+      if (minutes < from || minutes >= to) return false;
+    } else {
+      if (minutes >= to && minutes < from) return false;
+      if (minutes < to) day = day === 1 ? 7 : day - 1;
+    }
+  }
+  const days = parseDays(rule.active_days);
+  return !days || days.includes(day);
+};
+
+/**
+ * Rule subject: item, group and category all have to match when set;
+ * a rule without subject applies to every tag, known or not
+ */
+const matchesSubject = (rule, item) => {
+  if (rule.item_id === null && rule.group_id === null && rule.category === null) return true;
+  if (!item) return false;
+  return (rule.item_id === null || String(item.id) === String(rule.item_id))
+    && (rule.group_id === null || String(item.group_id) === String(rule.group_id))
+    && (rule.category === null || item.category === rule.category);
+};
+
+const formatRule = (rule) => ({
+  ...rule,
+  enabled: Boolean(rule.enabled),
+  active_days: parseDays(rule.active_days)
+});
+
+/**
+ * Alert rules: geofences and forbidden zones
+ *
+ * Every ingested read moves its EPC to a position (reader + antenna). When
+ * the position changes, rules whose subject matches the item are checked:
+ * - enters: the new position is in the rule's place, the previous one was not
+ * - leaves: the reverse, including a movement engine departure
+ * - dwells: the item stays in the place longer than dwell_minutes (checked
+ *   every dwellCheckIntervalMs)
+ * A place is a location (with its sub-locations) or an antenna. Violations
+ * inside the rule's time window are stored in alert, published as
+ * rule_violation system events and raised as MonitoringService alerts until
+ * acknowledged. Emits 'violation' with each alert.
+ */
+class RuleEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      dwellCheckIntervalMs: RULES.dwellCheckIntervalMs,
+      cacheTtlMs: RULES.cacheTtlMs,
+      engine: movementEngine,
+      locations,
+      ...options
+    };
+
+    // Enabled rules, and the items they match against (epc -> { id, group_id, category, designation })
+    this.rules = [];
+    this.items = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+    // epc -> { macAddress, antenna } of the last read; removed on departure
+    this.positions = new Map();
+    // `${ruleId}:${epc}` -> { since, notified } for dwells rules
+    this.dwelling = new Map();
+    // Per-EPC promise chain (reads of one tag are evaluated in order)
+    this.chains = new Map();
+    this.monitoringService = null;
+    this.dwellInterval = null;
+    this.ready = Promise.resolve();
+    this.onDeparture = ({ epc, departedAt }) => this.enqueue(epc, () => this.applyDeparture(epc, departedAt));
+  }
+
+  /**
+   * @param {MonitoringService} monitoringService - Instance receiving rule_violation alerts
+   */
+  start(monitoringService = null) {
+    this.monitoringService = monitoringService;
+    this.options.engine.on('departure', this.onDeparture);
+    this.ready = this.hydrate();
+    if (!this.dwellInterval) {
+      this.dwellInterval = setInterval(() => {
+        this.checkDwell().catch(error => logger.warn('Rule dwell check failed', { error: error.message }));
+      }, this.options.dwellCheckIntervalMs);
+      this.dwellInterval.unref?.();
+    }
+    return this.ready;
+  }
+
+  stop() {
+    this.options.engine.off('departure', this.onDeparture);
+    if (this.dwellInterval) clearInterval(this.dwellInterval);
+    this.dwellInterval = null;
+  }
+
+  /**
+   * Last known position of every tag, so a restart does not re-trigger "enters"
+   */
+  async hydrate() {
+    try {
+      const [rows] = await pool.execute('SELECT epc, mac_address, antenna FROM item WHERE antenna IS NOT NULL');
+      for (const row of rows) {
+        if (!this.positions.has(row.epc)) {
+          this.positions.set(row.epc, { macAddress: row.mac_address, antenna: String(row.antenna) });
+        }
+      }
+      logger.info('Rule engine positions loaded', { tags: this.positions.size });
+    } catch (error) {
+      logger.warn('Rule engine hydration failed, starting empty', { error: error.message });
+    }
+  }
+
+  async load() {
+    const [rules] = await pool.execute(
+      `SELECT ${RULE_COLUMNS}, rd.mac_address as reader_mac
+       FROM alert_rule r
+       LEFT JOIN reader rd ON rd.id = r.reader_id
+       WHERE r.enabled = 1`
+    );
+    let items = [];
+    if (rules.length > 0) {
+      [items] = await pool.execute('SELECT id, epc, group_id, category, designation FROM item');
+    }
+
+    this.rules = rules.map(rule => ({ ...rule, readerMac: rule.reader_mac ? normalizeMac(rule.reader_mac) : null }));
+    this.items = new Map(items.map(item => [item.epc, item]));
+    this.loadedAt = Date.now();
+  }
+
+  async refresh() {
+    if (Date.now() - this.loadedAt <= this.options.cacheTtlMs) return;
+    if (!this.loading) {
+      this.loading = this.load()
+        .catch(error => {
+          // Keep the previous rules; retry after the TTL
+          this.loadedAt = Date.now();
+          logger.warn('Failed to load alert rules', { error: error.message });
+        })
+        .finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  enqueue(epc, work) {
+    const previous = this.chains.get(epc) || Promise.resolve();
+    const next = previous
+      .then(work)
+      .catch(error => {
+        logger.error('Rule engine failed to evaluate read', { error: error.message, epc });
+      })
+      .finally(() => {
+        if (this.chains.get(epc) === next) this.chains.delete(epc);
+      });
+    this.chains.set(epc, next);
+    return next;
+  }
+
+  /**
+   * Feed one accepted read (never rejects)
+   * @param {object} read - { epc, antenna, macAddress, timestamp (UTC seconds) }
+   */
+  processRead(read) {
+    return this.enqueue(read.epc, () => this.applyRead(read));
+  }
+
+  async applyRead({ epc, antenna, macAddress, timestamp }) {
+    await this.ready;
+    const previous = this.positions.get(epc) || null;
+    const current = { macAddress, antenna: String(antenna) };
+    this.positions.set(epc, current);
+    if (previous && previous.antenna === current.antenna && normalizeMac(previous.macAddress) === normalizeMac(macAddress)) {
+      return [];
+    }
+    return this.transition(epc, previous, current, timestamp);
+  }
+
+  async applyDeparture(epc, departedAt) {
+    await this.ready;
+    const previous = this.positions.get(epc);
+    if (!previous) return [];
+    this.positions.delete(epc);
+    return this.transition(epc, previous, null, departedAt);
+  }
+
+  inScope(rule, position) {
+    if (!position) return false;
+    if (rule.location_id) {
+      return this.options.locations.locationIdsOf(position.macAddress, position.antenna).includes(rule.location_id);
+    }
+    if (position.antenna !== rule.antenna) return false;
+    return !rule.readerMac || normalizeMac(position.macAddress) === rule.readerMac;
+  }
+
+  /**
+   * Check the rules for a tag moving from one position to another (null = gone)
+   * @returns {Array} Alerts raised
+   */
+  async transition(epc, from, to, at) {
+    await this.refresh();
+    if (this.rules.length === 0) return [];
+    await this.options.locations.refresh();
+
+    const item = this.items.get(epc) || null;
+    const raised = [];
+    for (const rule of this.rules) {
+      if (!matchesSubject(rule, item)) continue;
+      const wasIn = this.inScope(rule, from);
+      const isIn = this.inScope(rule, to);
+      if (wasIn === isIn) continue;
+
+      if (rule.trigger_type === 'dwells') {
+        const key = `${rule.id}:${epc}`;
+        if (isIn) this.dwelling.set(key, { since: at, notified: false });
+        else this.dwelling.delete(key);
+      } else if ((rule.trigger_type === 'enters') === isIn && isArmed(rule, at)) {
+        raised.push(await this.violate(rule, epc, item, isIn ? to : from, at));
+      }
+    }
+    return raised;
+  }
+
+  /**
+   * Raise dwells rules for tags in their place for longer than dwell_minutes.
+   * A tag already there when the rule is loaded (restart, new rule) is timed
+   * from its first check.
+   * @param {number} now - UTC seconds (defaults to the wall clock)
+   * @returns {number} Alerts raised
+   */
+  async checkDwell(now = Math.floor(Date.now() / 1000)) {
+    await this.ready;
+    await this.refresh();
+    const rules = this.rules.filter(rule => rule.trigger_type === 'dwells');
+    if (rules.length === 0) {
+      this.dwelling.clear();
+      return 0;
+    }
+    await this.options.locations.refresh();
+
+    let raised = 0;
+    for (const rule of rules) {
+      for (const [epc, position] of this.positions) {
+        const key = `${rule.id}:${epc}`;
+        const item = this.items.get(epc) || null;
+        if (!matchesSubject(rule, item) || !this.inScope(rule, position)) {
+          this.dwelling.delete(key);
+          continue;
+        }
+        let dwell = this.dwelling.get(key);
+        if (!dwell) {
+          dwell = { since: now, notified: false };
+          this.dwelling.set(key, dwell);
+        }
+        if (dwell.notified || now - dwell.since < rule.dwell_minutes * 60 || !isArmed(rule, now)) continue;
+
+        dwell.notified = true;
+        await this.violate(rule, epc, item, position, now, now - dwell.since);
+        raised++;
+      }
+    }
+    return raised;
+  }
+
+  /**
+   * Store, log and publish a violation
+   */
+  async violate(rule, epc, item, position, at, dwellSeconds = null) {
+    const { locations: locationService } = this.options;
+    const [locationId = null] = locationService.locationIdsOf(position.macAddress, position.antenna);
+    const place = rule.location_id
+      ? (await locationService.get(rule.location_id))?.path || `location ${rule.location_id}`
+      : `antenna ${rule.antenna}`;
+    const subject = item?.designation && item.designation !== 'No_Des' ? item.designation : epc;
+    const verbs = {
+      enters: 'entered',
+      leaves: 'left',
+      dwells: `stayed ${Math.round(dwellSeconds / 60)} min in`
+    };
+    const message = `${rule.name}: ${subject} ${verbs[rule.trigger_type]} ${place}`;
+
+    const [result] = await pool.execute(
+      `INSERT INTO alert (rule_id, rule_name, trigger_type, severity, epc, item_id, mac_address, antenna, location_id, message, triggered_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [rule.id, rule.name, rule.trigger_type, rule.severity, epc, item?.id ?? null,
+        position.macAddress || null, position.antenna, locationId, message, toSqlDateTime(at)]
+    );
+
+    const alert = {
+      id: result.insertId,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      trigger: rule.trigger_type,
+      severity: rule.severity,
+      epc,
+      itemId: item?.id ?? null,
+      macAddress: position.macAddress || null,
+      antenna: position.antenna,
+      locationId,
+      message,
+      triggeredAt: new Date(at * 1000).toISOString()
+    };
+    metrics.ruleViolations.inc({ trigger: rule.trigger_type, severity: rule.severity });
+    logger.warn('Alert rule violated', alert);
+    this.monitoringService?.createAlert('rule_violation', alert, `alert:${alert.id}`);
+    this.emit('violation', alert);
+    realtimeService.publishSystemEvent('rule_violation', alert)
+      .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type: 'rule_violation' }));
+    return alert;
+  }
+
+  // --- Rules CRUD ---
+
+  async listRules() {
+    const [rows] = await pool.execute(`SELECT ${RULE_COLUMNS} FROM alert_rule r ORDER BY r.name, r.id`);
+    return rows.map(formatRule);
+  }
+
+  async getRule(id) {
+    const [rows] = await pool.execute(`SELECT ${RULE_COLUMNS} FROM alert_rule r WHERE r.id = ?`, [id]);
+    return rows.length ? formatRule(rows[0]) : null;
+  }
+
+  /**
+   * A rule needs a place (location or antenna), dwell_minutes for dwells,
+   * and both ends of its time window or none
+   */
+  checkRule(rule) {
+    if (!rule.location_id && !rule.antenna) {
+      throw ruleError('A rule needs a location_id or an antenna', 'INVALID_RULE');
+    }
+    if (rule.location_id && rule.antenna) {
+      throw ruleError('A rule applies to a location_id or an antenna, not both', 'INVALID_RULE');
+    }
+    if (rule.reader_id && !rule.antenna) {
+      throw ruleError('reader_id needs an antenna', 'INVALID_RULE');
+    }
+    if (rule.trigger_type === 'dwells' && !rule.dwell_minutes) {
+      throw ruleError('A dwells rule needs dwell_minutes', 'INVALID_RULE');
+    }
+    if (Boolean(rule.active_from) !== Boolean(rule.active_to)) {
+      throw ruleError('Set both active_from and active_to, or neither', 'INVALID_RULE');
+    }
+  }
+
+  // API values -> columns ('' clears a field, active_days array -> '1,2,3')
+  toColumns(changes) {
+    const fields = RULE_FIELDS.filter(field => changes[field] !== undefined);
+    const values = fields.map(field => {
+      const value = changes[field] === '' ? null : changes[field];
+      if (field === 'active_days') return value && value.length ? [...new Set(value)].sort().join(',') : null;
+      if (field === 'group_id') return value === null ? null : String(value);
+      if (field === 'enabled') return value ? 1 : 0;
+      return value;
+    });
+    return { fields, values };
+  }
+
+  async saveRule(id, changes) {
+    const { fields, values } = this.toColumns(changes);
+    try {
+      if (id === null) {
+        const [result] = await pool.execute(
+          `INSERT INTO alert_rule (${fields.join(', ')}, created_at, updated_at)
+           VALUES (${fields.map(() => '?').join(', ')}, UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+          values
+        );
+        return result.insertId;
+      }
+      await pool.execute(
+        `UPDATE alert_rule SET ${[...fields.map(field => `${field} = ?`), 'updated_at = UTC_TIMESTAMP()'].join(', ')} WHERE id = ?`,
+        [...values, id]
+      );
+      return id;
+    } catch (error) {
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        throw ruleError('Unknown item, location or reader', 'INVALID_REFERENCE');
+      }
+      throw error;
+    }
+  }
+
+  forget(ruleId) {
+    for (const key of this.dwelling.keys()) {
+      if (key.startsWith(`${ruleId}:`)) this.dwelling.delete(key);
+    }
+    this.invalidate();
+  }
+
+  async createRule(rule) {
+    this.checkRule(rule);
+    const id = await this.saveRule(null, rule);
+    this.invalidate();
+    return this.getRule(id);
+  }
+
+  /**
+   * Change a rule (only the fields given); dwell timers of the rule restart
+   */
+  async updateRule(id, changes) {
+    const existing = await this.getRule(id);
+    if (!existing) {
+      throw ruleError(`Rule ${id} not found`, 'NOT_FOUND');
+    }
+    const defined = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    this.checkRule({ ...existing, ...defined });
+    await this.saveRule(id, defined);
+    this.forget(id);
+    return this.getRule(id);
+  }
+
+  async removeRule(id) {
+    const [result] = await pool.execute('DELETE FROM alert_rule WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      throw ruleError(`Rule ${id} not found`, 'NOT_FOUND');
+    }
+    this.forget(id);
+  }
+
+  // --- Alerts ---
+
+  /**
+   * Most recent alerts first
+   * @param {object} filters - { acknowledged (true | false), epc, ruleId, limit }
+   */
+  async listAlerts({ acknowledged, epc, ruleId, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (acknowledged !== undefined) {
+      conditions.push(acknowledged ? 'a.acknowledged_at IS NOT NULL' : 'a.acknowledged_at IS NULL');
+    }
+    if (epc) {
+      conditions.push('a.epc = ?');
+      params.push(epc);
+    }
+    if (ruleId) {
+      conditions.push('a.rule_id = ?');
+      params.push(ruleId);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    // limit is a validated integer (LIMIT placeholders break prepared statements on MySQL 8)
+    const [rows] = await pool.execute(
+      `SELECT ${ALERT_COLUMNS} FROM alert a LEFT JOIN item i ON i.id = a.item_id ${where} ORDER BY a.id DESC LIMIT ${Number(limit)}`,
+      params
+    );
+    return rows;
+  }
+
+  async getAlert(id) {
+    const [rows] = await pool.execute(`SELECT ${ALERT_COLUMNS} FROM alert a LEFT JOIN item i ON i.id = a.item_id WHERE a.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Acknowledge an alert: it leaves the active monitoring alerts
+   */
+  async acknowledge(id, { by = null, note = null } = {}) {
+    const alert = await this.getAlert(id);
+    if (!alert) {
+      throw ruleError(`Alert ${id} not found`, 'NOT_FOUND');
+    }
+    if (alert.acknowledged_at) {
+      throw ruleError(`Alert ${id} already acknowledged`, 'ALREADY_ACKNOWLEDGED');
+    }
+    await pool.execute(
+      `UPDATE alert SET acknowledged_at = UTC_TIMESTAMP(), acknowledged_by = ?, acknowledge_note = ?
+       WHERE id = ? AND acknowledged_at IS NULL`,
+      [by, note, id]
+    );
+    this.monitoringService?.resolveAlert('rule_violation', `alert:${id}`);
+    realtimeService.publishSystemEvent('alert_acknowledged', { id, by })
+      .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type: 'alert_acknowledged' }));
+    return this.getAlert(id);
+  }
+}
+
+// Create singleton instance
+const ruleEngine = new RuleEngine();
+
+module.exports = {
+  RuleEngine,
+  ruleEngine,
+  isArmed
+};
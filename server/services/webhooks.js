@@ -0,0 +1,452 @@
+/* global globalThis */
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const fetchFn = globalThis.fetch || require('node-fetch');
+const { movementEngine } = require('./movementEngine');
+const { ruleEngine } = require('./ruleEngine');
+const { metrics } = require('../metrics');
+const { WEBHOOKS } = require('../config/constants');
+const { toSqlDateTime } = require('../utils/timezoneUtils');
+
+const WEBHOOK_EVENTS = ['read', 'departure', 'return', 'alert', 'item_changed'];
+
+const WEBHOOK_COLUMNS = `
+  id, name, url, event_types, enabled,
+  DATE_FORMAT(created_at, '%Y-%m-%dT%H:%i:%sZ') as created_at,
+  DATE_FORMAT(updated_at, '%Y-%m-%dT%H:%i:%sZ') as updated_at
+`;
+
+const DELIVERY_COLUMNS = `
+  id, webhook_id, event_type, payload, status, attempts, response_status, error, duration_ms,
+  DATE_FORMAT(created_at, '%Y-%m-%dT%H:%i:%sZ') as created_at,
+  DATE_FORMAT(next_attempt_at, '%Y-%m-%dT%H:%i:%sZ') as next_attempt_at,
+  DATE_FORMAT(delivered_at, '%Y-%m-%dT%H:%i:%sZ') as delivered_at
+`;
+
+const webhookError = (message, code) => Object.assign(new Error(message), { code });
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<body>", sent as X-Webhook-Signature: sha256=<hex>
+ */
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const formatWebhook = ({ event_types: eventTypes, ...webhook }) => ({
+  ...webhook,
+  enabled: Boolean(webhook.enabled),
+  events: eventTypes.split(',')
+});
+
+/**
+ * Outbound webhooks (webhook / webhook_delivery)
+ *
+ * publish() queues one delivery per enabled subscription to the event type;
+ * the queue is durable (a restart resumes pending deliveries) and drained
+ * right away, then every pollIntervalMs for retries. A delivery is a POST of
+ * { id, type, created_at, data } signed with the subscription secret; any
+ * non-2xx response, network error or timeout is retried after
+ * retryBaseSeconds * 2^(attempt - 1) (capped at retryMaxSeconds) until
+ * maxAttempts, then failed.
+ * Each subscription has its own queue, sent in order and drained apart from
+ * the others: a delivery waiting for its retry holds back the ones queued
+ * after it, so a dead receiver costs one timeout per retry and does not
+ * slow the others down. A subscription with maxPending deliveries queued
+ * drops new events until it catches up.
+ * Movement engine departures / returns and rule violations are published
+ * from start(); reads and item changes by their routes.
+ */
+class WebhookService {
+  constructor(options = {}) {
+    this.options = {
+      pollIntervalMs: WEBHOOKS.pollIntervalMs,
+      timeoutMs: WEBHOOKS.timeoutMs,
+      maxAttempts: WEBHOOKS.maxAttempts,
+      retryBaseSeconds: WEBHOOKS.retryBaseSeconds,
+      retryMaxSeconds: WEBHOOKS.retryMaxSeconds,
+      batchSize: WEBHOOKS.batchSize,
+      maxPending: WEBHOOKS.maxPending,
+      logRetentionDays: WEBHOOKS.logRetentionDays,
+      cacheTtlMs: WEBHOOKS.cacheTtlMs,
+      engine: movementEngine,
+      rules: ruleEngine,
+      ...options
+    };
+
+    // Enabled subscriptions: [{ id, events }]
+    this.subscriptions = [];
+    // webhook id -> deliveries pending (recounted on load)
+    this.pending = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+    this.scanning = null;
+    this.kicked = false;
+    // webhook id -> running drain of its queue; ids kicked during their drain
+    this.drains = new Map();
+    this.redrain = new Set();
+    this.purgedAt = 0;
+    this.pollInterval = null;
+    this.onDeparture = (event) => this.publish('departure', event);
+    this.onReturn = (event) => this.publish('return', event);
+    this.onViolation = (alert) => this.publish('alert', alert);
+  }
+
+  start() {
+    this.options.engine.on('departure', this.onDeparture);
+    this.options.engine.on('return', this.onReturn);
+    this.options.rules.on('violation', this.onViolation);
+    if (!this.pollInterval) {
+      this.pollInterval = setInterval(() => {
+        this.kick();
+        this.purge().catch(error => logger.warn('Webhook log purge failed', { error: error.message }));
+      }, this.options.pollIntervalMs);
+      this.pollInterval.unref?.();
+    }
+    // Deliveries left pending by a restart
+    return this.kick();
+  }
+
+  stop() {
+    this.options.engine.off('departure', this.onDeparture);
+    this.options.engine.off('return', this.onReturn);
+    this.options.rules.off('violation', this.onViolation);
+    if (this.pollInterval) clearInterval(this.pollInterval);
+    this.pollInterval = null;
+  }
+
+  async load() {
+    const [rows] = await pool.execute('SELECT id, event_types FROM webhook WHERE enabled = 1');
+    const [counts] = await pool.execute(
+      "SELECT webhook_id, COUNT(*) AS pending FROM webhook_delivery WHERE status = 'pending' GROUP BY webhook_id"
+    );
+    this.subscriptions = rows.map(row => ({ id: row.id, events: row.event_types.split(',') }));
+    this.pending = new Map(counts.map(row => [row.webhook_id, Number(row.pending)]));
+    this.loadedAt = Date.now();
+  }
+
+  async refresh() {
+    if (Date.now() - this.loadedAt <= this.options.cacheTtlMs) return;
+    if (!this.loading) {
+      this.loading = this.load()
+        .catch(error => {
+          // Keep the previous subscriptions; retry after the TTL
+          this.loadedAt = Date.now();
+          logger.warn('Failed to load webhooks', { error: error.message });
+        })
+        .finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Queue an event for every subscription to its type (never rejects)
+   * @param {string} type - One of WEBHOOK_EVENTS
+   * @param {object} data - Event payload
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async publish(type, data) {
+    try {
+      await this.refresh();
+      const subscribed = this.subscriptions.filter(subscription =>
+        subscription.events.includes('*') || subscription.events.includes(type));
+      const targets = subscribed.filter(subscription => (this.pending.get(subscription.id) || 0) < this.options.maxPending);
+      if (targets.length < subscribed.length) {
+        metrics.webhookDeliveries.inc({ event: type, result: 'dropped' }, subscribed.length - targets.length);
+        logger.warn('Webhook queue full, event dropped', {
+          type,
+          webhookIds: subscribed.filter(subscription => !targets.includes(subscription)).map(subscription => subscription.id),
+          maxPending: this.options.maxPending
+        });
+      }
+      if (targets.length === 0) return 0;
+
+      const payload = JSON.stringify({ id: crypto.randomUUID(), type, created_at: new Date().toISOString(), data });
+      await pool.execute(
+        `INSERT INTO webhook_delivery (webhook_id, event_type, payload, status, next_attempt_at, created_at)
+         VALUES ${targets.map(() => "(?, ?, ?, 'pending', UTC_TIMESTAMP(), UTC_TIMESTAMP())").join(', ')}`,
+        targets.flatMap(target => [target.id, type, payload])
+      );
+      targets.forEach(target => this.pending.set(target.id, (this.pending.get(target.id) || 0) + 1));
+      this.kick();
+      return targets.length;
+    } catch (error) {
+      logger.warn('Webhook event not queued', { error: error.message, type });
+      return 0;
+    }
+  }
+
+  /**
+   * Drain the queues whose next delivery is due; a call during a scan makes
+   * it go round once more
+   * @returns {Promise} Settles when the queues drained by this scan are done
+   */
+  kick() {
+    this.kicked = true;
+    if (!this.scanning) {
+      this.scanning = (async () => {
+        while (this.kicked) {
+          this.kicked = false;
+          for (const webhookId of await this.dueSubscriptions()) this.drain(webhookId);
+        }
+      })()
+        .catch(error => logger.warn('Webhook delivery run failed', { error: error.message }))
+        .finally(() => { this.scanning = null; });
+    }
+    return this.scanning.then(() => Promise.all(this.drains.values()));
+  }
+
+  /**
+   * Enabled subscriptions whose oldest pending delivery is due (disabled
+   * ones keep theirs pending)
+   * @returns {number[]} Webhook ids
+   */
+  async dueSubscriptions() {
+    const [rows] = await pool.execute(
+      `SELECT d.webhook_id
+       FROM webhook_delivery d
+       JOIN webhook w ON w.id = d.webhook_id
+       WHERE d.id IN (SELECT MIN(id) FROM webhook_delivery WHERE status = 'pending' GROUP BY webhook_id)
+         AND d.next_attempt_at <= UTC_TIMESTAMP() AND w.enabled = 1`
+    );
+    return rows.map(row => row.webhook_id);
+  }
+
+  /**
+   * Send a subscription's queue in order, apart from the other subscriptions
+   */
+  drain(webhookId) {
+    if (this.drains.has(webhookId)) {
+      this.redrain.add(webhookId);
+      return;
+    }
+    const run = (async () => {
+      do {
+        this.redrain.delete(webhookId);
+        while (await this.deliverBatch(webhookId)) {
+          // full batch sent, more may be queued
+        }
+      } while (this.redrain.has(webhookId));
+    })()
+      .catch(error => logger.warn('Webhook delivery run failed', { webhookId, error: error.message }))
+      .finally(() => this.drains.delete(webhookId));
+    this.drains.set(webhookId, run);
+  }
+
+  /**
+   * Next deliveries of one subscription, oldest first, until one is not due
+   * or has to be retried
+   * @returns {boolean} Whether a full batch went out (more may be waiting)
+   */
+  async deliverBatch(webhookId) {
+    // batchSize is an integer option (LIMIT placeholders break prepared statements on MySQL 8)
+    const [rows] = await pool.execute(
+      `SELECT d.id, d.webhook_id, d.event_type, d.payload, d.attempts, w.url, w.secret,
+         d.next_attempt_at <= UTC_TIMESTAMP() AS due
+       FROM webhook_delivery d
+       JOIN webhook w ON w.id = d.webhook_id
+       WHERE d.webhook_id = ? AND d.status = 'pending' AND w.enabled = 1
+       ORDER BY d.id
+       LIMIT ${Number(this.options.batchSize)}`,
+      [webhookId]
+    );
+    for (const delivery of rows) {
+      if (!delivery.due || await this.attempt(delivery) === 'retry') return false;
+    }
+    return rows.length === this.options.batchSize;
+  }
+
+  /**
+   * POST one delivery and record the outcome
+   * @returns {string} delivered | retry | failed
+   */
+  async attempt(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const ac = new AbortController();
+    const timeout = setTimeout(() => ac.abort(), this.options.timeoutMs);
+    let responseStatus = null;
+    let error = null;
+    try {
+      const response = await fetchFn(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'actinvent-webhooks',
+          'X-Webhook-Id': String(delivery.webhook_id),
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(delivery.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        signal: ac.signal
+      });
+      responseStatus = response.status;
+      const text = await response.text();
+      if (!response.ok) error = `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`;
+    } catch (err) {
+      error = err.name === 'AbortError' ? `Timed out after ${this.options.timeoutMs} ms` : err.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const attempts = delivery.attempts + 1;
+    const durationMs = Date.now() - started;
+    if (!error) {
+      await pool.execute(
+        `UPDATE webhook_delivery
+         SET status = 'delivered', attempts = ?, response_status = ?, error = NULL, duration_ms = ?,
+             next_attempt_at = NULL, delivered_at = UTC_TIMESTAMP(), updated_at = UTC_TIMESTAMP()
+         WHERE id = ?`,
+        [attempts, responseStatus, durationMs, delivery.id]
+      );
+      metrics.webhookDeliveries.inc({ event: delivery.event_type, result: 'delivered' });
+      this.settled(delivery.webhook_id);
+      return 'delivered';
+    }
+
+    const result = attempts >= this.options.maxAttempts ? 'failed' : 'retry';
+    const delay = Math.min(this.options.retryBaseSeconds * 2 ** (attempts - 1), this.options.retryMaxSeconds);
+    await pool.execute(
+      `UPDATE webhook_delivery
+       SET status = ?, attempts = ?, response_status = ?, error = ?, duration_ms = ?,
+           next_attempt_at = ?, updated_at = UTC_TIMESTAMP()
+       WHERE id = ?`,
+      [result === 'failed' ? 'failed' : 'pending', attempts, responseStatus, error.slice(0, 255), durationMs,
+        result === 'failed' ? null : toSqlDateTime(timestamp + delay), delivery.id]
+    );
+    metrics.webhookDeliveries.inc({ event: delivery.event_type, result });
+    if (result === 'failed') this.settled(delivery.webhook_id);
+    logger.warn(result === 'failed' ? 'Webhook delivery failed' : 'Webhook delivery will be retried', {
+      id: delivery.id,
+      webhookId: delivery.webhook_id,
+      event: delivery.event_type,
+      attempts,
+      error,
+      retryInSeconds: result === 'failed' ? null : delay
+    });
+    return result;
+  }
+
+  // One pending delivery less for a subscription
+  settled(webhookId) {
+    const pending = this.pending.get(webhookId) || 0;
+    if (pending > 0) this.pending.set(webhookId, pending - 1);
+  }
+
+  /**
+   * Drop delivered / failed deliveries older than logRetentionDays (once an hour)
+   */
+  async purge() {
+    if (Date.now() - this.purgedAt < 3600 * 1000) return 0;
+    this.purgedAt = Date.now();
+    const [result] = await pool.execute(
+      `DELETE FROM webhook_delivery
+       WHERE status <> 'pending' AND created_at < UTC_TIMESTAMP() - INTERVAL ${Number(this.options.logRetentionDays)} DAY`
+    );
+    if (result.affectedRows > 0) {
+      logger.info('Webhook deliveries purged', { deleted: result.affectedRows });
+    }
+    return result.affectedRows;
+  }
+
+  // --- Subscriptions ---
+
+  async list() {
+    const [rows] = await pool.execute(`SELECT ${WEBHOOK_COLUMNS} FROM webhook ORDER BY name, id`);
+    return rows.map(formatWebhook);
+  }
+
+  async get(id) {
+    const [rows] = await pool.execute(`SELECT ${WEBHOOK_COLUMNS} FROM webhook WHERE id = ?`, [id]);
+    return rows.length ? formatWebhook(rows[0]) : null;
+  }
+
+  /**
+   * Subscribe a URL to event types; the secret is generated unless given and
+   * only returned here
+   * @param {object} webhook - { name, url, events, enabled, secret }
+   */
+  async create({ name, url, events, enabled = true, secret = null }) {
+    const key = secret || newSecret();
+    const [result] = await pool.execute(
+      `INSERT INTO webhook (name, url, secret, event_types, enabled, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+      [name, url, key, [...new Set(events)].join(','), enabled ? 1 : 0]
+    );
+    this.invalidate();
+    return { ...(await this.get(result.insertId)), secret: key };
+  }
+
+  /**
+   * Change a subscription (only the fields given)
+   * @param {object} changes - { name, url, events, enabled }
+   */
+  async update(id, { name, url, events, enabled }) {
+    const changes = {
+      name,
+      url,
+      event_types: events === undefined ? undefined : [...new Set(events)].join(','),
+      enabled: enabled === undefined ? undefined : (enabled ? 1 : 0)
+    };
+    const fields = Object.keys(changes).filter(field => changes[field] !== undefined);
+    const [result] = await pool.execute(
+      `UPDATE webhook SET ${[...fields.map(field => `${field} = ?`), 'updated_at = UTC_TIMESTAMP()'].join(', ')} WHERE id = ?`,
+      [...fields.map(field => changes[field]), id]
+    );
+    if (result.affectedRows === 0) {
+      throw webhookError(`Webhook ${id} not found`, 'NOT_FOUND');
+    }
+    this.invalidate();
+    return this.get(id);
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   */
+  async remove(id) {
+    const [result] = await pool.execute('DELETE FROM webhook WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      throw webhookError(`Webhook ${id} not found`, 'NOT_FOUND');
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Delivery log of a subscription, most recent first
+   * @param {object} filters - { status, limit }
+   */
+  async listDeliveries(webhookId, { status, limit = 100 } = {}) {
+    if (!(await this.get(webhookId))) {
+      throw webhookError(`Webhook ${webhookId} not found`, 'NOT_FOUND');
+    }
+    const params = [webhookId];
+    let where = 'WHERE webhook_id = ?';
+    if (status) {
+      where += ' AND status = ?';
+      params.push(status);
+    }
+    // limit is a validated integer (LIMIT placeholders break prepared statements on MySQL 8)
+    const [rows] = await pool.execute(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_delivery ${where} ORDER BY id DESC LIMIT ${Number(limit)}`,
+      params
+    );
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+}
+
+// Create singleton instance
+const webhooks = new WebhookService();
+
+module.exports = {
+  WebhookService,
+  webhooks,
+  WEBHOOK_EVENTS,
+  sign
+};
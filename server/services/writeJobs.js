@@ -0,0 +1,355 @@
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const { logger } = require('../logger');
+const realtimeService = require('./realtimeService');
+const { metrics } = require('../metrics');
+const { WRITE_JOBS } = require('../config/constants');
+const { normalizeMac } = require('./readerRegistry');
+const { toSqlDateTime } = require('../utils/timezoneUtils');
+
+// Jobs that still hold their EPC: a second job for the same EPC is refused
+const ACTIVE_STATUSES = ['pending', 'claimed', 'written'];
+
+const JOB_COLUMNS = `
+  id, epc, serial_number, designation, group_id, mac_address, writer_mac, status, attempts, error, verified_by,
+  DATE_FORMAT(created_at, '%Y-%m-%dT%H:%i:%sZ') as created_at,
+  DATE_FORMAT(claimed_at, '%Y-%m-%dT%H:%i:%sZ') as claimed_at,
+  DATE_FORMAT(written_at, '%Y-%m-%dT%H:%i:%sZ') as written_at,
+  DATE_FORMAT(verified_at, '%Y-%m-%dT%H:%i:%sZ') as verified_at,
+  DATE_FORMAT(updated_at, '%Y-%m-%dT%H:%i:%sZ') as updated_at
+`;
+
+const jobError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * RFID encoding jobs (write_job)
+ *
+ * pending -> claimed (writer fetched it from /api/rfid/write/next)
+ *         -> written (writer acknowledged success, item registered)
+ *         -> verified (next read of the EPC by any reader)
+ * A failed ack or a claim left unacknowledged goes back to pending until
+ * maxAttempts, then failed; a written tag not read back in time is failed.
+ * Emits 'job' ({ id, epc, status }) on every transition.
+ */
+class WriteJobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      claimTimeoutSeconds: WRITE_JOBS.claimTimeoutSeconds,
+      verifyTimeoutSeconds: WRITE_JOBS.verifyTimeoutSeconds,
+      maxAttempts: WRITE_JOBS.maxAttempts,
+      sweepIntervalMs: WRITE_JOBS.sweepIntervalMs,
+      ...options
+    };
+
+    // epc -> job id, written and waiting for a read
+    this.awaitingRead = new Map();
+    this.sweepInterval = null;
+  }
+
+  start() {
+    const ready = this.hydrate();
+    if (!this.sweepInterval) {
+      this.sweepInterval = setInterval(() => {
+        this.sweep().catch(error => logger.warn('Write job sweep failed', { error: error.message }));
+      }, this.options.sweepIntervalMs);
+      this.sweepInterval.unref?.();
+    }
+    return ready;
+  }
+
+  stop() {
+    if (this.sweepInterval) clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+  }
+
+  /**
+   * Reload jobs written before a restart so their verification still happens
+   */
+  async hydrate() {
+    try {
+      const [rows] = await pool.execute("SELECT id, epc FROM write_job WHERE status = 'written'");
+      this.awaitingRead = new Map(rows.map(row => [row.epc, row.id]));
+      logger.info('Write jobs hydrated', { awaitingRead: this.awaitingRead.size });
+    } catch (error) {
+      logger.warn('Write job hydration failed, starting empty', { error: error.message });
+    }
+  }
+
+  async getJob(id) {
+    const [rows] = await pool.execute(`SELECT ${JOB_COLUMNS} FROM write_job WHERE id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Most recent jobs first
+   * @param {object} filters - { status, epc, limit }
+   */
+  async list({ status, epc, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (epc) {
+      conditions.push('epc = ?');
+      params.push(epc);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    // limit is a validated integer (LIMIT placeholders break prepared statements on MySQL 8)
+    const [rows] = await pool.execute(
+      `SELECT ${JOB_COLUMNS} FROM write_job ${where} ORDER BY id DESC LIMIT ${Number(limit)}`,
+      params
+    );
+    return rows;
+  }
+
+  /**
+   * Queue an encoding job
+   * @param {object} job - { epc, serialNumber, designation, groupId, macAddress (writer, null = any) }
+   */
+  async create({ epc, serialNumber = null, designation = null, groupId = null, macAddress = null }) {
+    const [active] = await pool.execute(
+      `SELECT id FROM write_job WHERE epc = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')}) LIMIT 1`,
+      [epc, ...ACTIVE_STATUSES]
+    );
+    if (active.length > 0) {
+      throw jobError(`EPC ${epc} already has an active write job (${active[0].id})`, 'JOB_ACTIVE');
+    }
+
+    const [result] = await pool.execute(
+      `INSERT INTO write_job (epc, serial_number, designation, group_id, mac_address, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 'pending', UTC_TIMESTAMP(), UTC_TIMESTAMP())`,
+      [epc, serialNumber, designation, groupId, macAddress ? normalizeMac(macAddress) : null]
+    );
+    this.changed({ id: result.insertId, epc, status: 'pending' });
+    return this.getJob(result.insertId);
+  }
+
+  /**
+   * Oldest pending job for this writer, now claimed by it; null when idle
+   */
+  async claimNext(macAddress) {
+    const writer = normalizeMac(macAddress);
+    const [candidates] = await pool.execute(
+      `SELECT id, epc FROM write_job
+       WHERE status = 'pending' AND (mac_address IS NULL OR mac_address = ?)
+       ORDER BY id ASC
+       LIMIT 5`,
+      [writer]
+    );
+
+    // Another writer may claim the same row in between: only the UPDATE that
+    // still finds it pending wins
+    for (const candidate of candidates) {
+      const [result] = await pool.execute(
+        `UPDATE write_job
+         SET status = 'claimed', writer_mac = ?, attempts = attempts + 1, error = NULL,
+           claimed_at = UTC_TIMESTAMP(), updated_at = UTC_TIMESTAMP()
+         WHERE id = ? AND status = 'pending'`,
+        [writer, candidate.id]
+      );
+      if (result.affectedRows > 0) {
+        this.changed({ id: candidate.id, epc: candidate.epc, status: 'claimed', writer });
+        return this.getJob(candidate.id);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Writer result for a claimed job
+   * @param {number} id - Job id
+   * @param {string} macAddress - Writer reporting the result
+   * @param {object} result - { success, error }
+   */
+  async acknowledge(id, macAddress, { success, error = null }) {
+    const writer = normalizeMac(macAddress);
+    const job = await this.getJob(id);
+    if (!job) {
+      throw jobError('Write job not found', 'NOT_FOUND');
+    }
+    if (job.status !== 'claimed' || job.writer_mac !== writer) {
+      throw jobError(`Write job ${id} is not claimed by this writer (status ${job.status})`, 'NOT_CLAIMED');
+    }
+
+    if (success) {
+      const [result] = await pool.execute(
+        `UPDATE write_job SET status = 'written', written_at = UTC_TIMESTAMP(), updated_at = UTC_TIMESTAMP()
+         WHERE id = ? AND status = 'claimed'`,
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        throw jobError(`Write job ${id} is no longer claimed`, 'NOT_CLAIMED');
+      }
+      await this.registerItem(job, writer);
+      this.awaitingRead.set(job.epc, job.id);
+      this.changed({ id: job.id, epc: job.epc, status: 'written', writer });
+    } else {
+      await this.release(job, error || 'Write failed');
+    }
+    return this.getJob(id);
+  }
+
+  /**
+   * Back to pending for another attempt, or failed once maxAttempts is reached
+   */
+  async release(job, reason) {
+    const status = job.attempts >= this.options.maxAttempts ? 'failed' : 'pending';
+    const [result] = await pool.execute(
+      `UPDATE write_job SET status = ?, error = ?, updated_at = UTC_TIMESTAMP()
+       WHERE id = ? AND status = 'claimed'`,
+      [status, String(reason).slice(0, 255), job.id]
+    );
+    if (result.affectedRows > 0) {
+      this.changed({ id: job.id, epc: job.epc, status, error: reason });
+    }
+  }
+
+  /**
+   * The encoded tag becomes an inventory item, shown on the dashboard until read back
+   */
+  async registerItem(job, writer) {
+    await pool.execute(`
+      INSERT INTO item (epc, mac_address, serial_number, group_id, designation, brand, model, category, updated_at, epc_timestamp, antenna, reader_name, show_in_main)
+      VALUES (?, ?, ?, ?, ?, 'RFID Writer', 'UHF Gen2', 'RFID_WRITTEN', UTC_TIMESTAMP(), UTC_TIMESTAMP(), '0', 'RFID Writer WiFi', 1)
+      ON DUPLICATE KEY UPDATE
+        mac_address=VALUES(mac_address),
+        serial_number=COALESCE(VALUES(serial_number), serial_number),
+        updated_at=VALUES(updated_at),
+        epc_timestamp=VALUES(epc_timestamp)
+    `, [
+      job.epc,
+      writer,
+      job.serial_number,
+      job.group_id ?? WRITE_JOBS.defaultGroupId,
+      job.designation || 'Item gravé RFID'
+    ]);
+  }
+
+  /**
+   * Ingestion hot path: a read of a written EPC verifies its job
+   * @param {object} read - Normalized read { epc, antenna, macAddress, readAt }
+   * @returns {boolean} Whether the read verified a job
+   */
+  confirmRead(read) {
+    const id = this.awaitingRead.get(read.epc);
+    if (id === undefined) return false;
+    this.awaitingRead.delete(read.epc);
+
+    this.verify(id, read).catch(error => {
+      // Retry on the next read
+      this.awaitingRead.set(read.epc, id);
+      logger.warn('Write job verification failed', { id, epc: read.epc, error: error.message });
+    });
+    return true;
+  }
+
+  async verify(id, read) {
+    const verifiedBy = `${normalizeMac(read.macAddress)}#${read.antenna}`;
+    const [result] = await pool.execute(
+      `UPDATE write_job SET status = 'verified', verified_at = ?, verified_by = ?, updated_at = UTC_TIMESTAMP()
+       WHERE id = ? AND status = 'written'`,
+      [toSqlDateTime(Math.floor(read.readAt || Date.now() / 1000)), verifiedBy, id]
+    );
+    if (result.affectedRows > 0) {
+      this.changed({ id, epc: read.epc, status: 'verified', verifiedBy });
+    }
+  }
+
+  /**
+   * Cancel a job the writer has not written yet
+   */
+  async cancel(id) {
+    const job = await this.getJob(id);
+    if (!job) {
+      throw jobError('Write job not found', 'NOT_FOUND');
+    }
+    const [result] = await pool.execute(
+      `UPDATE write_job SET status = 'cancelled', updated_at = UTC_TIMESTAMP()
+       WHERE id = ? AND status IN ('pending', 'claimed')`,
+      [id]
+    );
+    if (result.affectedRows === 0) {
+      throw jobError(`Write job ${id} can no longer be cancelled (status ${job.status})`, 'NOT_CANCELLABLE');
+    }
+    this.changed({ id: job.id, epc: job.epc, status: 'cancelled' });
+    return this.getJob(id);
+  }
+
+  /**
+   * Requeue a failed or cancelled job with a fresh attempt count
+   */
+  async retry(id) {
+    const job = await this.getJob(id);
+    if (!job) {
+      throw jobError('Write job not found', 'NOT_FOUND');
+    }
+    const [active] = await pool.execute(
+      `SELECT id FROM write_job WHERE epc = ? AND id <> ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')}) LIMIT 1`,
+      [job.epc, id, ...ACTIVE_STATUSES]
+    );
+    if (active.length > 0) {
+      throw jobError(`EPC ${job.epc} already has an active write job (${active[0].id})`, 'JOB_ACTIVE');
+    }
+    const [result] = await pool.execute(
+      `UPDATE write_job SET status = 'pending', attempts = 0, error = NULL, writer_mac = NULL, updated_at = UTC_TIMESTAMP()
+       WHERE id = ? AND status IN ('failed', 'cancelled')`,
+      [id]
+    );
+    if (result.affectedRows === 0) {
+      throw jobError(`Write job ${id} cannot be retried (status ${job.status})`, 'NOT_RETRYABLE');
+    }
+    this.changed({ id: job.id, epc: job.epc, status: 'pending' });
+    return this.getJob(id);
+  }
+
+  /**
+   * Release claims the writer never acknowledged and fail tags never read back
+   * @param {number} now - UTC seconds
+   */
+  async sweep(now = Math.floor(Date.now() / 1000)) {
+    const [claimed] = await pool.execute(
+      "SELECT id, epc, attempts FROM write_job WHERE status = 'claimed' AND claimed_at < ?",
+      [toSqlDateTime(now - this.options.claimTimeoutSeconds)]
+    );
+    for (const job of claimed) {
+      await this.release(job, 'Writer did not acknowledge');
+    }
+
+    const [unread] = await pool.execute(
+      "SELECT id, epc FROM write_job WHERE status = 'written' AND written_at < ?",
+      [toSqlDateTime(now - this.options.verifyTimeoutSeconds)]
+    );
+    for (const job of unread) {
+      const [result] = await pool.execute(
+        `UPDATE write_job SET status = 'failed', error = 'Not read back after writing', updated_at = UTC_TIMESTAMP()
+         WHERE id = ? AND status = 'written'`,
+        [job.id]
+      );
+      if (this.awaitingRead.get(job.epc) === job.id) this.awaitingRead.delete(job.epc);
+      if (result.affectedRows > 0) {
+        this.changed({ id: job.id, epc: job.epc, status: 'failed', error: 'Not read back after writing' });
+      }
+    }
+
+    return { released: claimed.length, unverified: unread.length };
+  }
+
+  changed(event) {
+    metrics.rfidWriteJobs.inc({ status: event.status });
+    logger.info('Write job status changed', event);
+    this.emit('job', event);
+    realtimeService.publishSystemEvent('write_job', event)
+      .catch(e => logger.warn('publishSystemEvent failed', { error: e.message, type: 'write_job' }));
+  }
+}
+
+// Create singleton instance
+const writeJobs = new WriteJobQueue();
+
+module.exports = {
+  WriteJobQueue,
+  writeJobs
+};
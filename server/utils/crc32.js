@@ -0,0 +1,34 @@
+/**
+ * CRC-32 (IEEE 802.3, as in ZIP and gzip), table-driven
+ *
+ * zlib.crc32 only exists from Node 20.15 / 22.2; this runs on Node 18.
+ * Pass the previous result to continue over several chunks:
+ *   crc32(second, crc32(first)) === crc32(Buffer.concat([first, second]))
+ */
+
+const TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  TABLE[n] = c >>> 0;
+}
+
+/**
+ * @param {Buffer|string} data - strings are read as UTF-8
+ * @param {number} [value=0] - CRC of the data before this chunk
+ * @returns {number} unsigned 32-bit CRC
+ */
+function crc32(data, value = 0) {
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  let crc = (value ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = {
+  crc32
+};
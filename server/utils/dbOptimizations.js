@@ -1,5 +1,11 @@
 const { LRUCache } = require('lru-cache');
 const { logger } = require('../logger');
+const { SQL_NORMALIZED_MAC } = require('../services/readerRegistry');
+
+// Human antenna name from the reader registry (reader table stores normalized MACs)
+const ANTENNA_LABEL_JOIN = `
+        LEFT JOIN reader r ON r.mac_address = ${SQL_NORMALIZED_MAC('i.mac_address')}
+        LEFT JOIN reader_antenna ra ON ra.reader_id = r.id AND ra.antenna = i.antenna`;
 
 // Query result cache with TTL
 const queryCache = new LRUCache({
@@ -38,10 +44,14 @@ const optimizedQueries = {
           TIMESTAMPDIFF(SECOND, i.updated_at, NOW()) as sec, 
           DATE_FORMAT(CONVERT_TZ(i.updated_at,'GMT','Europe/Paris'), '%d/%m/%Y à %Hh%imin%ss') as heure, 
           UNIX_TIMESTAMP(i.updated_at) as updated_atposix, 
-          g.group_name as 'group' 
+          g.group_name as 'group',
+          ra.label as antenna_label,
+          ra.location_id
         FROM item i
         INNER JOIN groupname g ON i.group_id = g.group_id
-        WHERE i.group_id <> 9 
+        ${ANTENNA_LABEL_JOIN}
+        WHERE i.group_id <> 9
+          AND i.archived_at IS NULL
         ORDER BY i.updated_at DESC
         LIMIT ? OFFSET ?
       `,
@@ -59,6 +69,7 @@ const optimizedQueries = {
         FROM item i
         INNER JOIN groupname g ON i.group_id = g.group_id
         WHERE i.group_id <> 9
+          AND i.archived_at IS NULL
       `,
       params: []
     };
@@ -84,12 +95,16 @@ const optimizedQueries = {
           i.antenna, 
           i.group_id, 
           i.designation, 
+          DATE_FORMAT(i.archived_at, '%Y-%m-%dT%H:%i:%sZ') as archived_at,
           TIMESTAMPDIFF(SECOND, i.updated_at, NOW()) as sec, 
           DATE_FORMAT(CONVERT_TZ(i.updated_at,'GMT','Europe/Paris'), '%d/%m/%Y à %Hh%imin%ss') as heure, 
           UNIX_TIMESTAMP(i.updated_at) as updated_atposix, 
-          g.group_name as 'group' 
+          g.group_name as 'group',
+          ra.label as antenna_label,
+          ra.location_id
         FROM item i
         INNER JOIN groupname g ON i.group_id = g.group_id
+        ${ANTENNA_LABEL_JOIN}
         WHERE i.id = ?
       `,
       params: [id]
@@ -121,15 +136,60 @@ const optimizedQueries = {
           TIMESTAMPDIFF(SECOND, i.updated_at, NOW()) as sec, 
           DATE_FORMAT(CONVERT_TZ(i.updated_at,'GMT','Europe/Paris'), '%d/%m/%Y à %Hh%imin%ss') as heure, 
           UNIX_TIMESTAMP(i.updated_at) as updated_atposix, 
-          g.group_name as 'group' 
+          g.group_name as 'group',
+          ra.label as antenna_label,
+          ra.location_id
         FROM item i
         INNER JOIN groupname g ON i.group_id = g.group_id
+        ${ANTENNA_LABEL_JOIN}
         WHERE i.group_id = ?
+          AND i.archived_at IS NULL
         ORDER BY i.category, i.designation, i.model, i.antenna, i.updated_at ASC
         LIMIT ? OFFSET ?
       `,
       params: [groupId, limit, offset]
     };
+  },
+
+  /**
+   * Get items last read on an antenna mapped to one of the locations
+   */
+  getItemsByLocations: (locationIds, page = 1, limit = 1000) => {
+    const offset = (page - 1) * limit;
+
+    return {
+      sql: `
+        SELECT 
+          i.id,
+          i.mac_address, 
+          i.brand, 
+          i.model, 
+          i.serial_number, 
+          i.epc, 
+          i.image, 
+          i.inventory_code, 
+          i.category, 
+          i.updated_at, 
+          i.antenna, 
+          i.group_id, 
+          i.designation, 
+          TIMESTAMPDIFF(SECOND, i.updated_at, NOW()) as sec, 
+          DATE_FORMAT(CONVERT_TZ(i.updated_at,'GMT','Europe/Paris'), '%d/%m/%Y à %Hh%imin%ss') as heure, 
+          UNIX_TIMESTAMP(i.updated_at) as updated_atposix, 
+          g.group_name as 'group',
+          ra.label as antenna_label,
+          ra.location_id
+        FROM item i
+        INNER JOIN groupname g ON i.group_id = g.group_id
+        ${ANTENNA_LABEL_JOIN}
+        WHERE i.group_id <> 9
+          AND i.archived_at IS NULL
+          AND ra.location_id IN (${locationIds.map(() => '?').join(', ')})
+        ORDER BY i.updated_at DESC
+        LIMIT ? OFFSET ?
+      `,
+      params: [...locationIds, limit, offset]
+    };
   }
 };
 
@@ -274,6 +334,22 @@ class DatabaseService {
     );
   }
 
+  /**
+   * Get items located in any of the locations (a location and its sub-locations)
+   */
+  async getItemsByLocations(locationIds, page = 1, limit = 1000, correlationId = null) {
+    const query = optimizedQueries.getItemsByLocations(locationIds, page, limit);
+    const cacheKey = `items:location:${locationIds.join(',')}:${page}:${limit}`;
+
+    return await this.executeQuery(
+      cacheKey,
+      query.sql,
+      query.params,
+      correlationId,
+      true
+    );
+  }
+
   /**
    * Clear cache for items (useful after updates)
    */
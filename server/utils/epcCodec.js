@@ -0,0 +1,306 @@
+/* global BigInt */
+
+/**
+ * EPC codec (GS1 EPC Tag Data Standard, 96-bit binary encodings)
+ *
+ * - sgtin-96 (header 0x30): trade item + serial, e.g. urn:epc:id:sgtin:0614141.812345.6789
+ * - grai-96 (header 0x33): returnable asset type + serial
+ * - giai-96 (header 0x34): individual asset reference
+ * - user-defined 96-bit layouts registered with defineScheme() (header + named fields)
+ * - anything else decodes as raw (urn:epc:raw:<bits>.x<hex>)
+ *
+ * Numbers that may exceed 2^53 (serials, asset references) are returned as
+ * decimal strings.
+ */
+
+const EPC_BITS = 96;
+
+// partition -> [company prefix bits, digits, reference bits, digits] (TDS tables 14-6, 14-12, 14-15)
+const PARTITIONS = {
+  sgtin: [[40, 12, 4, 1], [37, 11, 7, 2], [34, 10, 10, 3], [30, 9, 14, 4], [27, 8, 17, 5], [24, 7, 20, 6], [20, 6, 24, 7]],
+  grai: [[40, 12, 4, 0], [37, 11, 7, 1], [34, 10, 10, 2], [30, 9, 14, 3], [27, 8, 17, 4], [24, 7, 20, 5], [20, 6, 24, 6]],
+  giai: [[40, 12, 42, 13], [37, 11, 45, 14], [34, 10, 48, 15], [30, 9, 52, 16], [27, 8, 55, 17], [24, 7, 58, 18], [20, 6, 62, 19]]
+};
+
+const SERIAL_BITS = 38;
+
+const maxValue = (bits) => (1n << BigInt(bits)) - 1n;
+
+/**
+ * Non-negative integer (number or decimal string) as BigInt, checked against a bit width
+ */
+const toBigInt = (value, bits, name) => {
+  const text = String(value ?? '');
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  const number = BigInt(text);
+  if (number > maxValue(bits)) {
+    throw new Error(`${name} does not fit in ${bits} bits`);
+  }
+  return number;
+};
+
+/**
+ * Concatenate [value, bits] pairs (most significant first) into a 96-bit value
+ */
+const pack = (parts) => parts.reduce((acc, [value, bits]) => (acc << BigInt(bits)) | BigInt(value), 0n);
+
+/**
+ * Extract `bits` bits starting `offset` bits from the most significant end
+ */
+const extract = (value, offset, bits, width = EPC_BITS) =>
+  (value >> BigInt(width - offset - bits)) & maxValue(bits);
+
+const toHex = (value, bits = EPC_BITS) => value.toString(16).toUpperCase().padStart(bits / 4, '0');
+
+const digits = (value, length) => value.toString().padStart(length, '0');
+
+/**
+ * GS1 mod-10 check digit for a GTIN without its check digit
+ */
+const gs1CheckDigit = (body) => {
+  const sum = [...body].reverse().reduce((acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const partitionFor = (table, companyPrefix) => {
+  const text = String(companyPrefix ?? '');
+  const partition = table.findIndex(([, cpDigits]) => cpDigits === text.length);
+  if (!/^\d+$/.test(text) || partition < 0) {
+    throw new Error('Company prefix must be 6 to 12 digits');
+  }
+  return partition;
+};
+
+const checkFilter = (filter) => {
+  const value = Number(filter ?? 0);
+  if (!Number.isInteger(value) || value < 0 || value > 7) {
+    throw new Error('Filter must be 0 to 7');
+  }
+  return value;
+};
+
+/**
+ * Company prefix + reference scheme (sgtin-96, grai-96, giai-96)
+ */
+const gs1Scheme = ({ name, header, table, referenceName, referenceLabel, hasSerial, toUri, extras = () => ({}) }) => ({
+  name,
+  header,
+
+  encode(fields) {
+    const filter = checkFilter(fields.filter);
+    const partition = partitionFor(table, fields.companyPrefix);
+    const [cpBits, , refBits, refDigits] = table[partition];
+    const reference = String(fields[referenceName] ?? '');
+
+    // sgtin / grai references keep leading zeros, so their length is fixed;
+    // giai asset references are plain integers
+    if (hasSerial ? !new RegExp(`^\\d{${refDigits}}$`).test(reference) : !/^(0|[1-9]\d*)$/.test(reference)) {
+      throw new Error(hasSerial
+        ? `${referenceLabel} must be ${refDigits} digits with a ${fields.companyPrefix.length}-digit company prefix`
+        : `${referenceLabel} must be an integer without leading zeros`);
+    }
+
+    const parts = [
+      [header, 8],
+      [filter, 3],
+      [partition, 3],
+      [toBigInt(fields.companyPrefix, cpBits, 'Company prefix'), cpBits],
+      [toBigInt(reference || '0', refBits, referenceLabel), refBits]
+    ];
+    if (hasSerial) {
+      const serial = String(fields.serial ?? '');
+      if (!/^(0|[1-9]\d*)$/.test(serial)) {
+        throw new Error('Serial must be an integer without leading zeros');
+      }
+      parts.push([toBigInt(serial, SERIAL_BITS, 'Serial'), SERIAL_BITS]);
+    }
+    return pack(parts);
+  },
+
+  decode(value) {
+    const filter = Number(extract(value, 8, 3));
+    const partition = Number(extract(value, 11, 3));
+    if (partition >= table.length) {
+      throw new Error(`Invalid ${name} partition ${partition}`);
+    }
+    const [cpBits, cpDigits, refBits, refDigits] = table[partition];
+    const companyPrefix = extract(value, 14, cpBits);
+    const reference = extract(value, 14 + cpBits, refBits);
+    if (companyPrefix >= 10n ** BigInt(cpDigits) || (hasSerial && reference >= 10n ** BigInt(refDigits))) {
+      throw new Error(`Invalid ${name} company prefix or reference`);
+    }
+
+    const decoded = {
+      filter,
+      partition,
+      companyPrefix: digits(companyPrefix, cpDigits),
+      [referenceName]: hasSerial ? (refDigits ? digits(reference, refDigits) : '') : reference.toString()
+    };
+    if (hasSerial) {
+      decoded.serial = extract(value, 14 + cpBits + refBits, SERIAL_BITS).toString();
+    }
+    return { ...decoded, ...extras(decoded), uri: toUri(decoded), tagUri: `urn:epc:tag:${name}:${filter}.${toUri(decoded).split(':').pop()}` };
+  }
+});
+
+const SCHEMES = new Map();
+
+const registerScheme = (scheme) => {
+  for (const existing of SCHEMES.values()) {
+    if (existing.header === scheme.header && existing.name !== scheme.name) {
+      throw new Error(`EPC header 0x${scheme.header.toString(16)} is already used by ${existing.name}`);
+    }
+  }
+  SCHEMES.set(scheme.name, scheme);
+  return scheme;
+};
+
+registerScheme(gs1Scheme({
+  name: 'sgtin-96',
+  header: 0x30,
+  table: PARTITIONS.sgtin,
+  referenceName: 'itemReference',
+  referenceLabel: 'Item reference',
+  hasSerial: true,
+  toUri: (d) => `urn:epc:id:sgtin:${d.companyPrefix}.${d.itemReference}.${d.serial}`,
+  // indicator digit + company prefix + rest of the item reference + check digit
+  extras: (d) => {
+    const body = d.itemReference.slice(0, 1) + d.companyPrefix + d.itemReference.slice(1);
+    return { gtin: body + gs1CheckDigit(body) };
+  }
+}));
+
+registerScheme(gs1Scheme({
+  name: 'grai-96',
+  header: 0x33,
+  table: PARTITIONS.grai,
+  referenceName: 'assetType',
+  referenceLabel: 'Asset type',
+  hasSerial: true,
+  toUri: (d) => `urn:epc:id:grai:${d.companyPrefix}.${d.assetType}.${d.serial}`
+}));
+
+registerScheme(gs1Scheme({
+  name: 'giai-96',
+  header: 0x34,
+  table: PARTITIONS.giai,
+  referenceName: 'assetReference',
+  referenceLabel: 'Asset reference',
+  hasSerial: false,
+  toUri: (d) => `urn:epc:id:giai:${d.companyPrefix}.${d.assetReference}`
+}));
+
+/**
+ * Register a user-defined 96-bit layout: an 8-bit header followed by named
+ * unsigned fields filling the remaining 88 bits
+ * @param {object} definition - { name, header, fields: [{ name, bits }] }
+ */
+const defineScheme = ({ name, header, fields }) => {
+  const headerValue = typeof header === 'string' ? parseInt(header, 16) : header;
+  if (!name || !Number.isInteger(headerValue) || headerValue < 0 || headerValue > 0xff) {
+    throw new Error('A scheme needs a name and an 8-bit header');
+  }
+  const total = (fields || []).reduce((sum, field) => sum + field.bits, 0);
+  if (!Array.isArray(fields) || fields.some(field => !field.name || !(field.bits > 0)) || total !== EPC_BITS - 8) {
+    throw new Error(`Scheme ${name} fields must fill ${EPC_BITS - 8} bits`);
+  }
+
+  return registerScheme({
+    name,
+    header: headerValue,
+    userDefined: true,
+    encode: (values) => pack([
+      [headerValue, 8],
+      ...fields.map(field => [toBigInt(values[field.name] ?? 0, field.bits, field.name), field.bits])
+    ]),
+    decode(value) {
+      let offset = 8;
+      const decoded = {};
+      for (const field of fields) {
+        decoded[field.name] = extract(value, offset, field.bits).toString();
+        offset += field.bits;
+      }
+      return decoded;
+    }
+  });
+};
+
+const normalizeHex = (epc) => {
+  const hex = String(epc ?? '').trim().replace(/^0x/i, '').toUpperCase();
+  if (!/^[0-9A-F]+$/.test(hex)) {
+    throw new Error('EPC must be hexadecimal');
+  }
+  return hex;
+};
+
+const rawDecode = (hex, error = null) => ({
+  scheme: 'raw',
+  hex,
+  bits: hex.length * 4,
+  uri: `urn:epc:raw:${hex.length * 4}.x${hex}`,
+  ...(error ? { error } : {})
+});
+
+/**
+ * Decode an EPC (hex); unknown headers or lengths decode as raw
+ * @param {string} epc - Hex EPC as read from the tag
+ * @returns {object} { scheme, hex, uri, ...scheme fields }
+ */
+const decodeEpc = (epc) => {
+  const hex = normalizeHex(epc);
+  if (hex.length !== EPC_BITS / 4) return rawDecode(hex);
+
+  const value = BigInt(`0x${hex}`);
+  const header = Number(extract(value, 0, 8));
+  const scheme = [...SCHEMES.values()].find(candidate => candidate.header === header);
+  if (!scheme) return rawDecode(hex);
+
+  try {
+    return { scheme: scheme.name, hex, ...scheme.decode(value) };
+  } catch (error) {
+    return rawDecode(hex, error.message);
+  }
+};
+
+/**
+ * Encode fields with a scheme ('raw' takes { hex })
+ * @returns {string} 24-character hex EPC
+ */
+const encodeEpc = (schemeName, fields = {}) => {
+  if (schemeName === 'raw') {
+    const hex = normalizeHex(fields.hex);
+    if (hex.length % 4 !== 0) {
+      throw new Error('Raw EPC must be whole 16-bit words');
+    }
+    return hex;
+  }
+  const scheme = SCHEMES.get(schemeName);
+  if (!scheme) {
+    throw new Error(`Unknown EPC scheme: ${schemeName}`);
+  }
+  return toHex(scheme.encode(fields));
+};
+
+/**
+ * Largest serial (or asset reference) a scheme can hold for these fields
+ */
+const maxSerial = (schemeName, fields = {}) => {
+  if (schemeName === 'giai-96') {
+    const [, , refBits] = PARTITIONS.giai[partitionFor(PARTITIONS.giai, fields.companyPrefix)];
+    return maxValue(refBits).toString();
+  }
+  return maxValue(SERIAL_BITS).toString();
+};
+
+const listSchemes = () => ['raw', ...SCHEMES.keys()];
+
+module.exports = {
+  decodeEpc,
+  encodeEpc,
+  defineScheme,
+  listSchemes,
+  maxSerial,
+  gs1CheckDigit
+};
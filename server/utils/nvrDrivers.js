@@ -0,0 +1,320 @@
+/**
+ * NVR drivers: where camera recordings come from
+ *
+ * CCTV_DRIVER selects one driver for every camera (camera.nvr_path is read
+ * by that driver). Each driver describes one kind of recorder:
+ * - authenticate(): session passed to the other calls (null when unused)
+ * - listClips(cameraPath, from, to, session): clips recorded in the hours
+ *   spanning from..to (UTC seconds), sorted by time:
+ *   { videos: [{ filename, timestamp, path }], cameraAvailable, error }
+ *   (never throws: an unreachable recorder is cameraAvailable = false)
+ * - openClip(video, session, { signal, headers }): { stream, contentLength }
+ *   of one listed clip; throws with code VIDEO_NOT_FOUND or UPSTREAM_ERROR
+ * - localFile(video) (optional): path of a listed clip on this machine, read
+ *   in place by /api/cctv/clip instead of copied; throws like openClip
+ *
+ * Recordings are named in local time (see timezoneUtils), like the QNAP
+ * folders. The directory and http-index drivers find clips with
+ * CCTV_FILENAME_PATTERN, e.g. '{YYYY}-{MM}-{DD}/*_{YYYY}{MM}{DD}_{hh}{mm}{ss}.mp4'
+ * (folders may use the date tokens, * matches anything within a name).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { CCTV } = require('../config/constants');
+const { authenticate } = require('./auth');
+const { formatDatePath, listVideosInPath } = require('./cctvApi');
+const { utcToLocalDate, localDateToUTC } = require('./timezoneUtils');
+
+const PATTERN_TOKENS = ['YYYY', 'MM', 'DD', 'hh', 'mm', 'ss'];
+const REQUIRED_TOKENS = ['YYYY', 'MM', 'DD', 'hh', 'mm'];
+
+const LIST_TIMEOUT_MS = 10000; // per folder, like the QNAP listing
+
+const nvrError = (message, code, details = null) => Object.assign(new Error(message), { code, details });
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Local date parts of a UTC timestamp, by pattern token
+const localParts = (timestamp) => {
+  const date = utcToLocalDate(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    hh: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+};
+
+/**
+ * Compile a filename pattern such as '{YYYY}-{MM}-{DD}/CH01_{YYYY}{MM}{DD}{hh}{mm}{ss}.mp4'
+ * @returns {{ folderFor: function(number): string, parse: function(string): number|null }}
+ *   folderFor(timestamp) is the folder holding the clips of that hour ('' for
+ *   a flat folder), parse(filename) the UTC start of a clip or null
+ */
+function compileFilenamePattern(pattern) {
+  const slash = pattern.lastIndexOf('/');
+  const folder = slash >= 0 ? pattern.slice(0, slash) : '';
+  const tokens = [];
+  const source = pattern.slice(slash + 1).split(/(\{[A-Za-z]+\}|\*)/).map(part => {
+    if (part === '*') return '.*?';
+    const token = part.match(/^\{([A-Za-z]+)\}$/)?.[1];
+    if (!token) return escapeRegExp(part);
+    if (!PATTERN_TOKENS.includes(token)) {
+      throw new Error(`Unknown token {${token}} in CCTV filename pattern`);
+    }
+    tokens.push(token);
+    return token === 'YYYY' ? '(\\d{4})' : '(\\d{2})';
+  }).join('');
+  const missing = REQUIRED_TOKENS.filter(token => !tokens.includes(token));
+  if (missing.length > 0) {
+    throw new Error(`CCTV filename pattern needs ${missing.map(token => `{${token}}`).join(', ')}`);
+  }
+  const regex = new RegExp(`^${source}$`);
+
+  return {
+    folderFor(timestamp) {
+      const parts = localParts(timestamp);
+      return folder.replace(/\{([A-Za-z]+)\}/g, (match, token) => parts[token] ?? match);
+    },
+    parse(filename) {
+      const match = filename.match(regex);
+      if (!match) return null;
+      const value = Object.fromEntries(tokens.map((token, i) => [token, Number(match[i + 1])]));
+      return localDateToUTC(value.YYYY, value.MM - 1, value.DD, value.hh, value.mm, value.ss || 0);
+    }
+  };
+}
+
+// Start of each UTC hour from the hour of `from` to the hour of `to`
+const hoursBetween = (from, to) => {
+  const hours = [];
+  for (let hour = Math.floor(from / 3600) * 3600; hour <= to; hour += 3600) hours.push(hour);
+  return hours;
+};
+
+/**
+ * Clips of the hours spanning from..to, without duplicates, sorted by time
+ */
+const finishListing = (videos, from, to) => {
+  const start = Math.floor(from / 3600) * 3600;
+  const end = (Math.floor(to / 3600) + 1) * 3600;
+  return videos
+    .filter((video, index, self) => index === self.findIndex(other => other.filename === video.filename && other.path === video.path))
+    .filter(video => video.timestamp >= start && video.timestamp < end)
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Folders of a pattern-based recorder to list for from..to, with the clips' parent path
+const patternFolders = (pattern, cameraPath, from, to) => [...new Set(hoursBetween(from, to).map(hour => pattern.folderFor(hour)))]
+  .map(folder => [cameraPath.replace(/\/+$/, ''), folder].filter(Boolean).join('/'));
+
+const basicAuthHeaders = () => (CCTV.password
+  ? { Authorization: `Basic ${Buffer.from(`${CCTV.login}:${CCTV.password}`).toString('base64')}` }
+  : {});
+
+/**
+ * QNAP File Station (authLogin.cgi / utilRequest.cgi): nvr_path is the
+ * recording folder, holding <date>/<hour> folders, or <date>/<hour>D
+ * folders depending on the recording mode
+ */
+const qnap = {
+  name: 'qnap',
+  description: 'QNAP File Station API (CCTV_BASE_URL, CCTV_LOGIN, CCTV_PASSWORD)',
+  authenticate,
+  async listClips(cameraPath, from, to, token) {
+    let videos = [];
+    let cameraAvailable = true;
+    let error = null;
+    for (const hour of hoursBetween(from, to)) {
+      const { date, hour: hourPath } = formatDatePath(hour);
+      // Normal folder first, then the D folder
+      for (const folderSuffix of ['', 'D']) {
+        const result = await listVideosInPath(cameraPath, `${date}/${hourPath}${folderSuffix}`, token);
+        if (!result.cameraAvailable) {
+          cameraAvailable = false;
+          error = result.error;
+        }
+        videos = videos.concat(result.videos);
+        if (result.videos.length > 0) break;
+      }
+    }
+    return { videos: finishListing(videos, from, to), cameraAvailable, error };
+  },
+  async openClip(video, token, { signal, headers = {} } = {}) {
+    const params = new URLSearchParams({
+      func: 'get_viewer',
+      sid: token,
+      source_path: video.path,
+      source_file: video.filename
+    });
+    const response = await fetch(`${CCTV.baseUrl}/cgi-bin/filemanager/utilRequest.cgi?${params}`, { signal, headers });
+    if (!response.ok) {
+      throw nvrError(`Failed to stream video: ${response.status}`, 'UPSTREAM_ERROR', { status: response.status });
+    }
+    return { stream: response.body, contentLength: response.headers.get('content-length') };
+  }
+};
+
+/**
+ * Local or NFS directory of MP4 files: nvr_path is relative to
+ * CCTV_DIRECTORY_ROOT, clips are found with CCTV_FILENAME_PATTERN
+ */
+const directory = {
+  name: 'directory',
+  description: 'Local or NFS directory of MP4 files (CCTV_DIRECTORY_ROOT, CCTV_FILENAME_PATTERN)',
+  authenticate: async () => null,
+  resolve(...parts) {
+    const root = path.resolve(CCTV.directoryRoot);
+    const absolute = path.resolve(root, ...parts.map(part => String(part).replace(/^\/+/, '')));
+    if (absolute !== root && !absolute.startsWith(root + path.sep)) {
+      throw nvrError('Path outside CCTV_DIRECTORY_ROOT', 'VIDEO_NOT_FOUND');
+    }
+    return absolute;
+  },
+  async listClips(cameraPath, from, to) {
+    try {
+      await fs.promises.access(this.resolve(cameraPath));
+      const pattern = compileFilenamePattern(CCTV.filenamePattern);
+      const videos = [];
+      for (const folder of patternFolders(pattern, cameraPath, from, to)) {
+        let names;
+        try {
+          names = await fs.promises.readdir(this.resolve(folder));
+        } catch (error) {
+          if (error.code === 'ENOENT') continue; // nothing recorded that hour
+          throw error;
+        }
+        for (const filename of names) {
+          const timestamp = pattern.parse(filename);
+          if (timestamp !== null) videos.push({ filename, timestamp, path: folder });
+        }
+      }
+      return { videos: finishListing(videos, from, to), cameraAvailable: true, error: null };
+    } catch (error) {
+      return {
+        videos: [],
+        cameraAvailable: false,
+        error: error.code === 'ENOENT' ? 'Camera folder not found' : error.message
+      };
+    }
+  },
+  async openClip(video) {
+    const file = this.resolve(video.path, video.filename);
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw nvrError('Video not found on CCTV server', 'VIDEO_NOT_FOUND');
+      throw error;
+    }
+    return { stream: fs.createReadStream(file), contentLength: String(stat.size) };
+  },
+  async localFile(video) {
+    const file = this.resolve(video.path, video.filename);
+    try {
+      await fs.promises.access(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw nvrError('Video not found on CCTV server', 'VIDEO_NOT_FOUND');
+      throw error;
+    }
+    return file;
+  }
+};
+
+/**
+ * Generic HTTP index: CCTV_BASE_URL + nvr_path + folder lists the clips as
+ * an HTML index page (nginx / Apache autoindex) or a JSON array of names or
+ * { name | filename | href } objects; clips are fetched next to it.
+ * Basic authentication with CCTV_LOGIN / CCTV_PASSWORD when a password is set.
+ */
+const httpIndex = {
+  name: 'http-index',
+  description: 'HTTP directory index of MP4 files (CCTV_BASE_URL, CCTV_FILENAME_PATTERN)',
+  authenticate: async () => null,
+  url(...parts) {
+    const relative = parts.join('/').split('/').filter(Boolean).map(encodeURIComponent).join('/');
+    return `${CCTV.baseUrl.replace(/\/+$/, '')}/${relative}`;
+  },
+  async listNames(folder) {
+    const response = await fetch(`${this.url(folder)}/`, {
+      headers: basicAuthHeaders(),
+      timeout: LIST_TIMEOUT_MS
+    });
+    if (response.status === 404) return [];
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const body = await response.text();
+    let entries;
+    try {
+      entries = JSON.parse(body);
+    } catch {
+      entries = [...body.matchAll(/href\s*=\s*"([^"]+)"/gi)].map(match => match[1]);
+    }
+    if (!Array.isArray(entries)) throw new Error('Unexpected index format');
+    return entries
+      .map(entry => (typeof entry === 'string' ? entry : entry?.name || entry?.filename || entry?.href || ''))
+      .map(href => {
+        try {
+          return decodeURIComponent(href.split(/[?#]/)[0].split('/').filter(Boolean).pop() || '');
+        } catch {
+          return '';
+        }
+      });
+  },
+  async listClips(cameraPath, from, to) {
+    try {
+      const pattern = compileFilenamePattern(CCTV.filenamePattern);
+      const videos = [];
+      for (const folder of patternFolders(pattern, cameraPath, from, to)) {
+        for (const filename of await this.listNames(folder)) {
+          const timestamp = pattern.parse(filename);
+          if (timestamp !== null) videos.push({ filename, timestamp, path: folder });
+        }
+      }
+      return { videos: finishListing(videos, from, to), cameraAvailable: true, error: null };
+    } catch (error) {
+      return { videos: [], cameraAvailable: false, error: error.message || 'Camera connection failed' };
+    }
+  },
+  async openClip(video, session, { signal, headers = {} } = {}) {
+    const response = await fetch(this.url(video.path, video.filename), {
+      signal,
+      headers: { ...headers, ...basicAuthHeaders() }
+    });
+    if (response.status === 404) throw nvrError('Video not found on CCTV server', 'VIDEO_NOT_FOUND');
+    if (!response.ok) {
+      throw nvrError(`Failed to stream video: ${response.status}`, 'UPSTREAM_ERROR', { status: response.status });
+    }
+    return { stream: response.body, contentLength: response.headers.get('content-length') };
+  }
+};
+
+const NVR_DRIVERS = {
+  [qnap.name]: qnap,
+  [directory.name]: directory,
+  [httpIndex.name]: httpIndex
+};
+
+/**
+ * Driver selected by CCTV_DRIVER
+ */
+function getDriver() {
+  const driver = NVR_DRIVERS[CCTV.driver];
+  if (!driver) {
+    throw new Error(`Unknown CCTV_DRIVER "${CCTV.driver}" (${Object.keys(NVR_DRIVERS).join(', ')})`);
+  }
+  return driver;
+}
+
+module.exports = {
+  NVR_DRIVERS,
+  compileFilenamePattern,
+  getDriver,
+  qnap,
+  directory,
+  httpIndex
+};
@@ -0,0 +1,250 @@
+/**
+ * RFID reader protocol adapters
+ *
+ * Each adapter describes one reader family for the ingestion pipeline in
+ * routes/input.js:
+ * - parse(body, req, options): list of raw reads
+ *   { epc, antenna, readerName?, macAddress?, rssi?, phase?, channel?, timestamp? }
+ *   (throws on a malformed payload -> 400); options.fieldOrder is the
+ *   registered column order of the reader, for CSV payloads
+ * - identify(body, req): default reader identity { macAddress, readerName }
+ * - mapAntenna(antenna): antenna label stored in item.antenna / hist
+ * - usesFieldOrder(body) (optional): true when parse() needs the registered
+ *   column order of the reader
+ *
+ * Read-level readerName / macAddress override the identity, for payloads that
+ * mix several readers.
+ */
+
+const stripQuotes = (value) => String(value ?? '').replace(/\\?"/g, '');
+
+/**
+ * Column names accepted in a field order, with the reader-side aliases
+ * (Impinj Speedway Connect field_names, LLRP parameter names)
+ */
+const READ_FIELD_ALIASES = {
+  antenna: ['antenna', 'antenna_port', 'ant'],
+  epc: ['epc'],
+  rssi: ['rssi', 'peak_rssi'],
+  timestamp: ['timestamp', 'first_seen_timestamp', 'last_seen_timestamp'],
+  phase: ['phase', 'phase_angle'],
+  channel: ['channel', 'channel_index']
+};
+
+const DEFAULT_FIELD_ORDER = ['antenna', 'epc'];
+
+/**
+ * Parse a column order such as 'antenna_port,epc,peak_rssi,first_seen_timestamp'
+ * Unknown columns map to null and are ignored.
+ * @returns {Array<string|null>|null} Canonical field per column, or null if antenna or epc is missing
+ */
+const parseFieldOrder = (spec) => {
+  if (!spec) return null;
+  const columns = (Array.isArray(spec) ? spec : String(spec).split(','))
+    .map(column => stripQuotes(column).trim().toLowerCase())
+    .map(column => Object.keys(READ_FIELD_ALIASES).find(field => READ_FIELD_ALIASES[field].includes(column)) || null);
+  return columns.includes('antenna') && columns.includes('epc') ? columns : null;
+};
+
+/**
+ * Reader-side timestamp to UTC seconds (fractional)
+ * Accepts epoch seconds, milliseconds or microseconds (LLRP, Impinj) and ISO strings (Zebra)
+ * @returns {number|null}
+ */
+const parseReaderTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (Number.isFinite(number)) {
+    if (number <= 0) return null;
+    if (number >= 1e14) return number / 1e6;
+    if (number >= 1e11) return number / 1e3;
+    return number;
+  }
+  const parsed = Date.parse(String(value));
+  return Number.isNaN(parsed) ? null : parsed / 1000;
+};
+
+/**
+ * Impinj Speedway / R700 "field_values" CSV (x-www-form-urlencoded), one line
+ * per read. Column order comes from field_names when the reader sends it,
+ * else from the registered reader, else "antenna,epc".
+ */
+const impinj = {
+  name: 'impinj',
+  description: 'Impinj field_values CSV (x-www-form-urlencoded)',
+  usesFieldOrder: (body) => !body?.field_names,
+  parse(body, req, options = {}) {
+    const { field_delim, field_names, field_values } = body || {};
+    if (!field_values) {
+      throw new Error('Missing field_values');
+    }
+    const order = field_names ? parseFieldOrder(field_names) : options.fieldOrder || DEFAULT_FIELD_ORDER;
+    if (!order) {
+      throw new Error('field_names must include antenna and epc');
+    }
+    const delim = field_delim ?? ',';
+    return String(field_values).trim().split(/\r?\n/).filter(Boolean)
+      .map(row => row.split(delim))
+      .filter(fields => fields.length >= 2)
+      .map(fields => {
+        const read = {};
+        order.forEach((field, i) => {
+          if (field && fields[i] !== undefined) read[field] = stripQuotes(fields[i]);
+        });
+        return read;
+      });
+  },
+  identify(body) {
+    return {
+      macAddress: stripQuotes(body?.mac_address),
+      readerName: stripQuotes(body?.reader_name)
+    };
+  },
+  mapAntenna: (antenna) => String(antenna)
+};
+
+// MAC reported for every low-cost reader: they are told apart by customcode
+const CHINA_READER_MAC = 'ChinaReaderMac';
+
+/**
+ * Low-cost UHF reader JSON array: [{ ant, epc, customcode }]
+ * customcode carries the reader name, the MAC is not reported
+ */
+const chinaReader = {
+  name: 'china-reader',
+  description: 'JSON array of { ant, epc, customcode }',
+  parse(body) {
+    if (!Array.isArray(body)) {
+      throw new Error('Expected a JSON array');
+    }
+    return body
+      .filter(row => row && row.ant && row.epc && row.customcode)
+      .map(row => ({ antenna: row.ant, epc: row.epc, readerName: row.customcode, rssi: row.rssi }));
+  },
+  identify: () => ({ macAddress: CHINA_READER_MAC, readerName: '' }),
+  // Placeholder MAC: an authenticated post is attributed to its key's reader
+  reportsMac: false,
+  mapAntenna: (antenna) => 'B' + antenna
+};
+
+/**
+ * LLRP RO_ACCESS_REPORT forwarded as JSON by an LLRP-to-HTTP bridge:
+ * { ReaderID, MACAddress, TagReportData: [{ EPC_96 | EPCData, AntennaID,
+ *   PeakRSSI?, ChannelIndex?, FirstSeenTimestampUTC? (microseconds), ImpinjRFPhaseAngle? }] }
+ * (the report may also be wrapped in { RO_ACCESS_REPORT: {...} })
+ */
+const llrp = {
+  name: 'llrp',
+  description: 'LLRP RO_ACCESS_REPORT JSON (LLRP-over-HTTP bridge)',
+  parse(body) {
+    const report = body?.RO_ACCESS_REPORT || body;
+    const tags = report?.TagReportData;
+    if (!Array.isArray(tags)) {
+      throw new Error('Missing TagReportData array');
+    }
+    return tags.map(tag => ({
+      epc: tag.EPC_96 ?? tag.EPCData?.EPC ?? tag.EPCData,
+      antenna: tag.AntennaID,
+      rssi: tag.PeakRSSI,
+      channel: tag.ChannelIndex,
+      phase: tag.ImpinjRFPhaseAngle,
+      timestamp: tag.FirstSeenTimestampUTC ?? tag.LastSeenTimestampUTC
+    }));
+  },
+  identify(body) {
+    const report = body?.RO_ACCESS_REPORT || body;
+    return {
+      macAddress: report?.MACAddress || '',
+      readerName: report?.ReaderID || report?.ReaderName || ''
+    };
+  },
+  mapAntenna: (antenna) => String(antenna)
+};
+
+/**
+ * Zebra FX7500 / FX9600 HTTP POST events (IoT Connector format):
+ * [{ type: 'SIMPLE', timestamp, hostName?, data: { idHex, antenna, MAC?, peakRssi?, phase?, channel? } }]
+ */
+const zebraFx = {
+  name: 'zebra-fx',
+  description: 'Zebra FX-series JSON tag events',
+  parse(body) {
+    const events = Array.isArray(body) ? body : [body];
+    if (events.some(event => !event || typeof event.data !== 'object' || event.data === null)) {
+      throw new Error('Expected Zebra tag events with a data object');
+    }
+    return events
+      .filter(event => !event.type || event.type === 'SIMPLE' || event.type === 'CUSTOM')
+      .map(event => ({
+        epc: event.data.idHex,
+        antenna: event.data.antenna,
+        macAddress: event.data.MAC,
+        readerName: event.hostName,
+        rssi: event.data.peakRssi,
+        phase: event.data.phase,
+        channel: event.data.channel,
+        timestamp: event.timestamp
+      }));
+  },
+  identify: (body, req) => ({
+    macAddress: req.query.mac || '',
+    readerName: req.query.reader || 'Zebra FX'
+  }),
+  mapAntenna: (antenna) => 'Z' + antenna
+};
+
+/**
+ * Generic MQTT message forwarded over HTTP by a broker bridge:
+ * { topic: 'rfid/<reader>/...', payload: { epc, antenna } | [{ epc, antenna }] | '<json>' }
+ * Reads may carry rssi, phase, channel and timestamp.
+ * The reader name is the second topic segment unless the payload names it.
+ */
+const mqttBridge = {
+  name: 'mqtt',
+  description: 'Generic MQTT-bridged JSON ({ topic, payload })',
+  parse(body) {
+    if (!body || typeof body.topic !== 'string') {
+      throw new Error('Missing MQTT topic');
+    }
+    let payload = body.payload;
+    if (typeof payload === 'string') {
+      try {
+        payload = JSON.parse(payload);
+      } catch (error) {
+        throw new Error('MQTT payload is not valid JSON');
+      }
+    }
+    const reads = Array.isArray(payload) ? payload : payload?.reads || [payload];
+    return reads.filter(Boolean).map(read => ({
+      epc: read.epc,
+      antenna: read.antenna ?? read.ant,
+      readerName: read.reader,
+      macAddress: read.mac,
+      rssi: read.rssi,
+      phase: read.phase,
+      channel: read.channel,
+      timestamp: read.timestamp
+    }));
+  },
+  identify(body) {
+    const segments = String(body.topic).split('/');
+    return {
+      macAddress: '',
+      readerName: segments[1] || segments[0]
+    };
+  },
+  mapAntenna: (antenna) => String(antenna)
+};
+
+module.exports = {
+  READ_FIELD_ALIASES,
+  DEFAULT_FIELD_ORDER,
+  parseFieldOrder,
+  parseReaderTimestamp,
+  CHINA_READER_MAC,
+  impinj,
+  chinaReader,
+  llrp,
+  zebraFx,
+  mqttBridge
+};
@@ -95,11 +95,34 @@ function localDateToUTC(year, month, day, hour = 0, minute = 0, second = 0) {
   return cestToUTC(localTimestamp);
 }
 
+/**
+ * Formats a UTC timestamp as a MySQL DATETIME string ('YYYY-MM-DD HH:MM:SS', UTC)
+ * Same format the RFID input routes write into item.updated_at
+ * @param {number} utcTimestamp - UTC timestamp in seconds
+ * @returns {string} - DATETIME string in UTC
+ */
+function toSqlDateTime(utcTimestamp) {
+  return new Date(utcTimestamp * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parses a MySQL DATETIME string stored in UTC back to a UTC timestamp
+ * @param {string} sqlDateTime - DATETIME string ('YYYY-MM-DD HH:MM:SS')
+ * @returns {number|null} - UTC timestamp in seconds, null if unparseable
+ */
+function fromSqlDateTime(sqlDateTime) {
+  if (!sqlDateTime) return null;
+  const ms = Date.parse(String(sqlDateTime).replace(' ', 'T') + 'Z');
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
 module.exports = {
   isDST,
   getTimezoneOffset,
   utcToCEST,
   cestToUTC,
   utcToLocalDate,
-  localDateToUTC
+  localDateToUTC,
+  toSqlDateTime,
+  fromSqlDateTime
 };
\ No newline at end of file
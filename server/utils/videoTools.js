@@ -1,11 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 const { LRUCache } = require('lru-cache');
-const { CCTV } = require('../config/constants');
-const { authenticate } = require('./auth');
-const { formatDatePath, listVideosInPath } = require('./cctvApi');
+const { cameras } = require('../services/cameras');
+const { getDriver } = require('./nvrDrivers');
 const { getDirectorySize, cleanupCache } = require('./fileTools');
-const { utcToLocalDate } = require('./timezoneUtils');
 
 // Store video metadata for on-demand downloads with LRU cache
 const videoMetadata = new LRUCache({
@@ -32,65 +30,30 @@ function hashString(str) {
 }
 
 // Main function to get videos for a camera and timestamp
+// (clips of the hour before to the hour after the target, from the CCTV_DRIVER recorder)
 async function getVideosForCamera(targetTimestamp, cameraId) {
   console.log(`🎯 Getting videos for camera ${cameraId}, target: ${targetTimestamp}`);
   console.log(`📅 Target timestamp: ${targetTimestamp} (${new Date(targetTimestamp * 1000).toISOString()})`);
   
-  if (!(cameraId in CCTV.cameras)) {
+  const camera = await cameras.getEnabled(cameraId);
+  if (!camera) {
     throw new Error('Invalid camera ID');
   }
 
-  const token = await authenticate();
-  console.log(`🔐 Auth token: ${token ? 'OK' : 'FAILED'}`);
-  
-  const cameraPath = CCTV.cameras[cameraId];
-  console.log(`📹 Camera path: ${cameraPath}`);
-  
-  let allVideos = [];
-  let cameraAvailable = true;
-  let cameraError = null;
-
-  // Try multiple hours around the target (using local time)
-  for (let hourOffset = -1; hourOffset <= 1; hourOffset++) {
-    const testDate = utcToLocalDate(targetTimestamp);
-    testDate.setHours(testDate.getHours() + hourOffset);
-    const testHour = String(testDate.getHours()).padStart(2, '0');
-    const testDateStr = formatDatePath(targetTimestamp + (hourOffset * 3600)).date;
-
-    console.log(`⏰ Testing hour offset ${hourOffset}: ${testDateStr}/${testHour}`);
-
-    // Try normal folder first, then D folder (CRITICAL: Folder D rule)
-    for (const folderSuffix of ['', 'D']) {
-      const datePath = `${testDateStr}/${testHour}${folderSuffix}`;
-      console.log(`📂 Trying ${folderSuffix ? 'D folder' : 'normal folder'}: ${datePath}`);
-      
-      const result = await listVideosInPath(cameraPath, datePath, token, cameraId);
-      
-      // Track camera availability
-      if (!result.cameraAvailable) {
-        cameraAvailable = false;
-        cameraError = result.error;
-        console.log(`❌ Camera ${cameraId} unavailable: ${result.error}`);
-      }
-      
-      allVideos = allVideos.concat(result.videos);
-      
-      if (result.videos.length > 0) {
-        console.log(`✅ Found ${result.videos.length} videos in ${datePath}, stopping search for this hour`);
-        break; // Stop trying D folder if normal folder has videos
-      }
-    }
-  }
+  const driver = getDriver();
+  const session = await driver.authenticate();
+  console.log(`🔐 ${driver.name} session: ${session ? 'OK' : 'none'}`);
+  console.log(`📹 Camera path: ${camera.nvr_path}`);
 
-  // Remove duplicates and sort by timestamp
-  const uniqueVideos = allVideos.filter((video, index, self) => 
-    index === self.findIndex(v => v.filename === video.filename)
-  ).sort((a, b) => a.timestamp - b.timestamp);
+  const result = await driver.listClips(camera.nvr_path, targetTimestamp - 3600, targetTimestamp + 3600, session);
+  if (!result.cameraAvailable) {
+    console.log(`❌ Camera ${cameraId} unavailable: ${result.error}`);
+  }
 
   return {
-    videos: uniqueVideos,
-    cameraAvailable,
-    cameraError
+    videos: result.videos,
+    cameraAvailable: result.cameraAvailable,
+    cameraError: result.cameraAvailable ? null : result.error
   };
 }
 
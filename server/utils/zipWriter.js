@@ -0,0 +1,122 @@
+/**
+ * Streaming ZIP writer (PKWARE APPNOTE 6.3, no ZIP64: entries and archive under 4 GiB)
+ *
+ * Entries are written one after the other to a writable stream (an HTTP
+ * response), each with its sizes and CRC-32 in the local header:
+ * - addBuffer(name, data): deflated in memory (JSON, HTML, text)
+ * - addFile(name, path, { size, crc32 }): stored as is (MP4 is already
+ *   compressed); size and CRC come from a read done beforehand, e.g. with
+ *   the SHA-256 of the file
+ * finish() writes the central directory; the caller ends the stream.
+ * Names are UTF-8 (flag bit 11), times the server's local time.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { crc32: computeCrc32 } = require('./crc32');
+
+const MAX_SIZE = 0xFFFFFFFF;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_UTF8 = 0x0800;
+const VERSION = 20; // 2.0: deflate, folders
+
+// MS-DOS time and date fields
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+class ZipWriter {
+  constructor(output, { date = new Date() } = {}) {
+    this.output = output;
+    this.stamp = dosDateTime(date);
+    this.offset = 0;
+    // Central directory records: { name, method, crc32, compressedSize, size, offset }
+    this.entries = [];
+  }
+
+  write(chunk) {
+    this.offset += chunk.length;
+    if (this.offset > MAX_SIZE) {
+      throw new Error('ZIP archive over 4 GiB');
+    }
+    return new Promise((resolve, reject) => {
+      const flushed = this.output.write(chunk, error => (error ? reject(error) : null));
+      if (flushed) resolve();
+      else this.output.once('drain', resolve);
+    });
+  }
+
+  async header(name, method, crc32, compressedSize, size) {
+    const fileName = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAG_UTF8, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(this.stamp.time, 10);
+    header.writeUInt16LE(this.stamp.date, 12);
+    header.writeUInt32LE(crc32, 14);
+    header.writeUInt32LE(compressedSize, 18);
+    header.writeUInt32LE(size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28); // no extra field
+
+    this.entries.push({ fileName, method, crc32, compressedSize, size, offset: this.offset });
+    await this.write(Buffer.concat([header, fileName]));
+  }
+
+  async addBuffer(name, data) {
+    const content = Buffer.from(data);
+    const deflated = zlib.deflateRawSync(content);
+    await this.header(name, METHOD_DEFLATE, computeCrc32(content), deflated.length, content.length);
+    await this.write(deflated);
+  }
+
+  async addFile(name, filePath, { size, crc32 }) {
+    if (size > MAX_SIZE) {
+      throw new Error(`${name} is over 4 GiB`);
+    }
+    await this.header(name, METHOD_STORE, crc32, size, size);
+    this.offset += size;
+    if (size === 0) return;
+    await pipeline(fs.createReadStream(filePath, { start: 0, end: size - 1 }), this.output, { end: false });
+  }
+
+  async finish() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(VERSION, 4); // made by
+      record.writeUInt16LE(VERSION, 6); // needed
+      record.writeUInt16LE(FLAG_UTF8, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(this.stamp.time, 12);
+      record.writeUInt16LE(this.stamp.date, 14);
+      record.writeUInt32LE(entry.crc32, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.fileName.length, 28);
+      // extra, comment, disk, internal / external attributes: 0
+      record.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([record, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.write(end);
+  }
+}
+
+module.exports = {
+  ZipWriter
+};
@@ -0,0 +1,436 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAutoRefresh } from '../hooks/useAutoRefresh';
+import { AlertsService, AlertRule, RuleAlert, RuleTrigger, AlertSeverity } from '../services/AlertsService';
+import { LocationsService, Location } from '../services/LocationsService';
+import { GroupsService, Group } from '../services/GroupsService';
+
+const alertsService = new AlertsService();
+
+const TRIGGER_LABELS: Record<RuleTrigger, string> = {
+  enters: 'Entre dans',
+  leaves: 'Sort de',
+  dwells: 'Reste dans'
+};
+
+const SEVERITY_LABELS: Record<AlertSeverity, string> = {
+  low: 'Basse',
+  medium: 'Moyenne',
+  high: 'Haute',
+  critical: 'Critique'
+};
+
+// Active days presets (ISO weekdays, 1 = Monday)
+const DAY_PRESETS: Record<string, number[] | null> = {
+  all: null,
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [6, 7]
+};
+
+const DAY_LABELS: Record<string, string> = {
+  all: 'Tous les jours',
+  weekdays: 'Lundi – vendredi',
+  weekend: 'Week-end'
+};
+
+const formatDate = (iso: string | null): string => (iso ? new Date(iso).toLocaleString() : '—');
+
+const formatDays = (days: number[] | null): string => {
+  const preset = Object.keys(DAY_PRESETS).find(key => String(DAY_PRESETS[key]) === String(days));
+  return preset ? DAY_LABELS[preset] : `Jours ${days?.join(', ')}`;
+};
+
+/**
+ * Alert rules (geofences, forbidden zones, dwell limits) and their
+ * violations, acknowledged here
+ */
+const AlertsPage: React.FC = () => {
+  const [alerts, setAlerts] = useState<RuleAlert[]>([]);
+  const [rules, setRules] = useState<AlertRule[]>([]);
+  const [locations, setLocations] = useState<Location[]>([]);
+  const [groups, setGroups] = useState<Group[]>([]);
+  const [showAcknowledged, setShowAcknowledged] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [name, setName] = useState('');
+  const [trigger, setTrigger] = useState<RuleTrigger>('enters');
+  const [locationId, setLocationId] = useState<number | null>(null);
+  const [antenna, setAntenna] = useState('');
+  const [groupId, setGroupId] = useState<number | null>(null);
+  const [category, setCategory] = useState('');
+  const [dwellMinutes, setDwellMinutes] = useState(30);
+  const [activeFrom, setActiveFrom] = useState('');
+  const [activeTo, setActiveTo] = useState('');
+  const [days, setDays] = useState('all');
+  const [severity, setSeverity] = useState<AlertSeverity>('high');
+
+  const refreshAlerts = useCallback(async () => {
+    try {
+      setAlerts(await alertsService.getAlerts(showAcknowledged ? undefined : false));
+    } catch (err) {
+      console.error('Failed to fetch alerts:', err);
+    }
+  }, [showAcknowledged]);
+
+  const refreshRules = useCallback(async () => {
+    try {
+      setRules(await alertsService.getRules());
+    } catch (err) {
+      console.error('Failed to fetch rules:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshAlerts();
+  }, [refreshAlerts]);
+
+  useEffect(() => {
+    refreshRules();
+    new LocationsService().getLocations()
+      .then(setLocations)
+      .catch(err => console.error('Failed to load locations:', err));
+    new GroupsService().getGroups()
+      .then(setGroups)
+      .catch(err => console.error('Failed to load groups:', err));
+  }, [refreshRules]);
+
+  useAutoRefresh(refreshAlerts, 5000, true);
+
+  const placeOf = (rule: AlertRule): string => {
+    if (rule.location_id) {
+      return locations.find(location => location.id === rule.location_id)?.path || `Lieu ${rule.location_id}`;
+    }
+    return `Antenne ${rule.antenna}`;
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await alertsService.createRule({
+        name: name.trim(),
+        trigger_type: trigger,
+        location_id: locationId,
+        antenna: locationId ? null : antenna.trim() || null,
+        group_id: groupId,
+        category: category.trim() || null,
+        dwell_minutes: trigger === 'dwells' ? dwellMinutes : null,
+        active_from: activeFrom || null,
+        active_to: activeTo || null,
+        active_days: DAY_PRESETS[days],
+        severity
+      });
+      setName('');
+      await refreshRules();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create rule');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (action: () => Promise<unknown>, refresh: () => Promise<void>) => {
+    setError(null);
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Action failed');
+    }
+  };
+
+  const handleAcknowledge = (alert: RuleAlert) => {
+    const note = window.prompt(`Acquitter « ${alert.message} » — note (optionnelle) :`);
+    if (note === null) return;
+    runAction(() => alertsService.acknowledgeAlert(alert.id, undefined, note.trim() || undefined), refreshAlerts);
+  };
+
+  const handleDelete = (rule: AlertRule) => {
+    if (!window.confirm(`Supprimer la règle « ${rule.name} » ? Ses alertes sont conservées.`)) return;
+    runAction(() => alertsService.deleteRule(rule.id), refreshRules);
+  };
+
+  return (
+    <>
+      <div className="surface-card">
+        <div className="surface-card-header">
+          <h3 className="surface-card-title">Alertes</h3>
+          <p className="surface-card-subtitle">Violations des règles de zones, à acquitter</p>
+        </div>
+
+        {error && (
+          <div className="alert-message alert-message--error">
+            <p>{error}</p>
+            <button onClick={() => setError(null)} className="btn btn-secondary btn-sm">✕</button>
+          </div>
+        )}
+
+        <div className="filters-bar">
+          <div className="filter-group">
+            <label htmlFor="alerts-acknowledged">
+              <input
+                id="alerts-acknowledged"
+                type="checkbox"
+                checked={showAcknowledged}
+                onChange={(e) => setShowAcknowledged(e.target.checked)}
+              />
+              {' '}Afficher les alertes acquittées
+            </label>
+          </div>
+        </div>
+
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Gravité</th>
+              <th>Règle</th>
+              <th>Message</th>
+              <th>EPC</th>
+              <th>Acquittée</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {alerts.map(alert => (
+              <tr key={alert.id} className="data-table-body-row">
+                <td>{formatDate(alert.triggered_at)}</td>
+                <td>
+                  <span className={`status-badge status-badge--${alert.severity}`}>
+                    {SEVERITY_LABELS[alert.severity]}
+                  </span>
+                </td>
+                <td>{alert.rule_name}</td>
+                <td>{alert.message}</td>
+                <td><code>{alert.epc}</code></td>
+                <td title={alert.acknowledge_note || undefined}>
+                  {alert.acknowledged_at ? formatDate(alert.acknowledged_at) : '—'}
+                </td>
+                <td>
+                  {!alert.acknowledged_at && (
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleAcknowledge(alert)}>
+                      Acquitter
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {alerts.length === 0 && (
+              <tr>
+                <td colSpan={7} className="text-secondary">Aucune alerte</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="surface-card">
+        <div className="surface-card-header">
+          <h3 className="surface-card-title">Règles</h3>
+          <p className="surface-card-subtitle">Un lieu ou une antenne, éventuellement limité à un groupe, une catégorie et une plage horaire</p>
+        </div>
+
+        <form className="filters-bar" onSubmit={handleSubmit}>
+          <div className="filter-group">
+            <label htmlFor="rule-name">Nom</label>
+            <input
+              id="rule-name"
+              type="text"
+              className="form-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="DATAS hors horaires"
+              required
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="rule-trigger">Condition</label>
+            <select
+              id="rule-trigger"
+              className="form-select"
+              value={trigger}
+              onChange={(e) => setTrigger(e.target.value as RuleTrigger)}
+            >
+              {(Object.keys(TRIGGER_LABELS) as RuleTrigger[]).map(key => (
+                <option key={key} value={key}>{TRIGGER_LABELS[key]}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="rule-location">Lieu</label>
+            <select
+              id="rule-location"
+              className="form-select"
+              value={locationId ?? ''}
+              onChange={(e) => setLocationId(e.target.value ? Number(e.target.value) : null)}
+            >
+              <option value="">Antenne…</option>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>
+                  {'  '.repeat(location.depth)}{location.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          {locationId === null && (
+            <div className="filter-group">
+              <label htmlFor="rule-antenna">Antenne</label>
+              <input
+                id="rule-antenna"
+                type="text"
+                className="form-input"
+                value={antenna}
+                onChange={(e) => setAntenna(e.target.value)}
+                placeholder="0"
+              />
+            </div>
+          )}
+          {trigger === 'dwells' && (
+            <div className="filter-group">
+              <label htmlFor="rule-dwell">Plus de (min)</label>
+              <input
+                id="rule-dwell"
+                type="number"
+                min={1}
+                className="form-input"
+                value={dwellMinutes}
+                onChange={(e) => setDwellMinutes(Number(e.target.value))}
+              />
+            </div>
+          )}
+          <div className="filter-group">
+            <label htmlFor="rule-group">Groupe</label>
+            <select
+              id="rule-group"
+              className="form-select"
+              value={groupId ?? ''}
+              onChange={(e) => setGroupId(e.target.value ? Number(e.target.value) : null)}
+            >
+              <option value="">Tous</option>
+              {groups.map(group => (
+                <option key={group.group_id} value={group.group_id}>
+                  {group.group_name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="rule-category">Catégorie</label>
+            <input
+              id="rule-category"
+              type="text"
+              className="form-input"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              placeholder="Toutes"
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="rule-from">De</label>
+            <input
+              id="rule-from"
+              type="time"
+              className="form-input"
+              value={activeFrom}
+              onChange={(e) => setActiveFrom(e.target.value)}
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="rule-to">À</label>
+            <input
+              id="rule-to"
+              type="time"
+              className="form-input"
+              value={activeTo}
+              onChange={(e) => setActiveTo(e.target.value)}
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="rule-days">Jours</label>
+            <select id="rule-days" className="form-select" value={days} onChange={(e) => setDays(e.target.value)}>
+              {Object.keys(DAY_LABELS).map(key => (
+                <option key={key} value={key}>{DAY_LABELS[key]}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="rule-severity">Gravité</label>
+            <select
+              id="rule-severity"
+              className="form-select"
+              value={severity}
+              onChange={(e) => setSeverity(e.target.value as AlertSeverity)}
+            >
+              {(Object.keys(SEVERITY_LABELS) as AlertSeverity[]).map(key => (
+                <option key={key} value={key}>{SEVERITY_LABELS[key]}</option>
+              ))}
+            </select>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={submitting || !name.trim()}>
+            Ajouter
+          </button>
+        </form>
+
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Règle</th>
+              <th>Condition</th>
+              <th>Objets</th>
+              <th>Plage</th>
+              <th>Gravité</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.id} className="data-table-body-row">
+                <td>{rule.name}</td>
+                <td>
+                  {TRIGGER_LABELS[rule.trigger_type]} {placeOf(rule)}
+                  {rule.trigger_type === 'dwells' && ` > ${rule.dwell_minutes} min`}
+                </td>
+                <td>
+                  {[
+                    rule.item_id && `Objet ${rule.item_id}`,
+                    rule.group_id && (groups.find(group => String(group.group_id) === rule.group_id)?.group_name || `Groupe ${rule.group_id}`),
+                    rule.category
+                  ].filter(Boolean).join(' • ') || 'Tous'}
+                </td>
+                <td>
+                  {rule.active_from ? `${rule.active_from} – ${rule.active_to}` : 'Toute la journée'}
+                  <div className="text-caption-1 text-secondary">{formatDays(rule.active_days)}</div>
+                </td>
+                <td>
+                  <span className={`status-badge status-badge--${rule.severity}`}>{SEVERITY_LABELS[rule.severity]}</span>
+                </td>
+                <td>
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => runAction(() => alertsService.updateRule(rule.id, { enabled: !rule.enabled }), refreshRules)}
+                  >
+                    {rule.enabled ? 'Désactiver' : 'Activer'}
+                  </button>
+                  {' '}
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleDelete(rule)}>
+                    Supprimer
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {rules.length === 0 && (
+              <tr>
+                <td colSpan={6} className="text-secondary">Aucune règle</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+AlertsPage.displayName = 'AlertsPage';
+
+export default AlertsPage;
@@ -66,7 +66,7 @@ const BulkActionsBar: React.FC<BulkActionsBarProps> = ({
   const count = selectedItems.length;
 
   const handleDelete = async () => {
-    if (!window.confirm(`Êtes-vous sûr de vouloir supprimer ${count} item(s) ?`)) {
+    if (!window.confirm(`Placer ${count} item(s) dans la corbeille ?`)) {
       return;
     }
 
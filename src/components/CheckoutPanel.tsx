@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAutoRefresh } from '../hooks/useAutoRefresh';
+import { Item } from '../services/ItemsService';
+import { Group } from '../services/GroupsService';
+import { CheckoutsService, Checkout } from '../services/CheckoutsService';
+
+interface CheckoutPanelProps {
+  selectedItems: Item[];
+  groups: Group[];
+}
+
+const checkoutsService = new CheckoutsService();
+
+const formatDate = (iso: string | null): string => (iso ? new Date(iso).toLocaleString() : '—');
+
+// datetime-local value (local time) for now + hours
+const localDateTime = (hoursFromNow: number): string => {
+  const date = new Date(Date.now() + hoursFromNow * 3600 * 1000);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Checkouts: hand the selected items or a whole group to a borrower for a job;
+ * RFID departures and returns are attached automatically
+ */
+const CheckoutPanel: React.FC<CheckoutPanelProps> = ({ selectedItems, groups }) => {
+  const [checkouts, setCheckouts] = useState<Checkout[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [borrower, setBorrower] = useState('');
+  const [job, setJob] = useState('');
+  const [expectedReturn, setExpectedReturn] = useState(() => localDateTime(24));
+  const [groupId, setGroupId] = useState<number | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setCheckouts(await checkoutsService.getCheckouts('open'));
+    } catch (err) {
+      console.error('Failed to fetch checkouts:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useAutoRefresh(refresh, 10000, true);
+
+  const hasItems = groupId !== null || selectedItems.length > 0;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await checkoutsService.createCheckout({
+        borrower: borrower.trim(),
+        job: job.trim() || undefined,
+        expected_return_at: new Date(expectedReturn).toISOString(),
+        ...(groupId !== null ? { group_ids: [groupId] } : { item_ids: selectedItems.map(item => item.id) })
+      });
+      setBorrower('');
+      setJob('');
+      setGroupId(null);
+      await refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create checkout');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (action: () => Promise<Checkout>) => {
+    setError(null);
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Action failed');
+    }
+  };
+
+  return (
+    <div className="surface-card-header">
+      <h3 className="surface-card-title">Sorties de matériel</h3>
+
+      <form className="filters-bar" onSubmit={handleSubmit}>
+        <div className="filter-group">
+          <label htmlFor="checkout-borrower">Emprunteur</label>
+          <input
+            id="checkout-borrower"
+            type="text"
+            className="form-input"
+            value={borrower}
+            onChange={(e) => setBorrower(e.target.value)}
+            required
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="checkout-job">Mission</label>
+          <input
+            id="checkout-job"
+            type="text"
+            className="form-input"
+            value={job}
+            onChange={(e) => setJob(e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="checkout-return">Retour prévu</label>
+          <input
+            id="checkout-return"
+            type="datetime-local"
+            className="form-input"
+            value={expectedReturn}
+            onChange={(e) => setExpectedReturn(e.target.value)}
+            required
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="checkout-group">Matériel</label>
+          <select
+            id="checkout-group"
+            className="form-select"
+            value={groupId ?? ''}
+            onChange={(e) => setGroupId(e.target.value ? Number(e.target.value) : null)}
+          >
+            <option value="">Sélection ({selectedItems.length} items)</option>
+            {groups.map(group => (
+              <option key={group.group_id} value={group.group_id}>
+                Kit {group.group_name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={submitting || !borrower.trim() || !hasItems}>
+          Sortir
+        </button>
+      </form>
+
+      {error && (
+        <div className="alert-message alert-message--error">
+          <p>{error}</p>
+          <button onClick={() => setError(null)} className="btn btn-secondary btn-sm">✕</button>
+        </div>
+      )}
+
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Emprunteur</th>
+            <th>Mission</th>
+            <th>Items (sortis / rentrés)</th>
+            <th>Retour prévu</th>
+            <th>Statut</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {checkouts.map(checkout => (
+            <tr key={checkout.id} className="data-table-body-row">
+              <td>{checkout.id}</td>
+              <td>{checkout.borrower}</td>
+              <td>{checkout.job || '—'}</td>
+              <td title={checkout.items.map(item => item.designation || item.epc).join(', ')}>
+                {checkout.items.length} ({checkout.items.filter(item => item.departed_at).length} / {checkout.items.filter(item => item.returned_at).length})
+              </td>
+              <td>{formatDate(checkout.expected_return_at)}</td>
+              <td>
+                <span className={`status-badge status-badge--${checkout.overdue ? 'overdue' : checkout.status}`}>
+                  {checkout.overdue ? 'En retard' : 'En cours'}
+                </span>
+              </td>
+              <td>
+                <button className="btn btn-secondary btn-sm" onClick={() => runAction(() => checkoutsService.checkIn(checkout.id))}>
+                  Rentrer
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => runAction(() => checkoutsService.cancelCheckout(checkout.id))}>
+                  Annuler
+                </button>
+              </td>
+            </tr>
+          ))}
+          {checkouts.length === 0 && (
+            <tr>
+              <td colSpan={7} className="text-secondary">Aucune sortie en cours</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+CheckoutPanel.displayName = 'CheckoutPanel';
+
+export default CheckoutPanel;
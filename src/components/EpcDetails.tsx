@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { ItemsService, EpcDecoded } from '../services/ItemsService';
+
+interface EpcDetailsProps {
+  itemId: number;
+}
+
+const itemsService = new ItemsService();
+
+const FIELD_LABELS: Record<string, string> = {
+  scheme: 'Schéma',
+  companyPrefix: 'Préfixe entreprise',
+  itemReference: 'Référence article',
+  assetType: "Type d'actif",
+  assetReference: "Référence d'actif",
+  serial: 'N° de série EPC',
+  gtin: 'GTIN',
+  filter: 'Filtre',
+  uri: 'URI'
+};
+
+// Generic fields shown for every scheme; user-defined schemes add their own
+const HIDDEN_FIELDS = ['hex', 'tagUri', 'partition', 'bits', 'error'];
+
+/**
+ * Decoded EPC of one item (SGTIN-96, GRAI-96, GIAI-96, user-defined or raw)
+ */
+const EpcDetails: React.FC<EpcDetailsProps> = ({ itemId }) => {
+  const [decoded, setDecoded] = useState<EpcDecoded | null>(null);
+  const [epc, setEpc] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    itemsService.getItem(itemId)
+      .then(item => {
+        if (cancelled) return;
+        setEpc(item.epc);
+        setDecoded(item.epc_decoded ?? null);
+      })
+      .catch(err => console.error('Failed to fetch item EPC:', err));
+    return () => { cancelled = true; };
+  }, [itemId]);
+
+  if (!epc) return null;
+
+  return (
+    <div className="surface-card-header">
+      <h3 className="surface-card-title">EPC <code>{epc}</code></h3>
+      {decoded ? (
+        <div className="filters-bar">
+          {Object.entries(decoded)
+            .filter(([field, value]) => !HIDDEN_FIELDS.includes(field) && value !== undefined && value !== '')
+            .map(([field, value]) => (
+              <div key={field} className="filter-group">
+                <label>{FIELD_LABELS[field] || field}</label>
+                <span>{String(value)}</span>
+              </div>
+            ))}
+          {decoded.error && <p className="text-secondary">{decoded.error}</p>}
+        </div>
+      ) : (
+        <p className="text-secondary">EPC non hexadécimal, non décodable</p>
+      )}
+    </div>
+  );
+};
+
+EpcDetails.displayName = 'EpcDetails';
+
+export default EpcDetails;
@@ -1,11 +1,5 @@
 import React, { useState, useEffect } from 'react';
-
-interface Group {
-  id: string;
-  group_id: string;
-  group_name: string;
-  color: string;
-}
+import { GroupsService, Group } from '../services/GroupsService';
 
 interface GroupSelectProps {
   value: number;
@@ -14,34 +8,18 @@ interface GroupSelectProps {
   id: string;
 }
 
+const groupsService = new GroupsService();
+
 const GroupSelect: React.FC<GroupSelectProps> = ({ value, onChange, name, id }) => {
   const [groups, setGroups] = useState<Group[]>([]);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(false);
 
   useEffect(() => {
-    const fetchGroups = async () => {
-      try {
-        const response = await fetch('/api/groups');
-        if (response.ok) {
-          const data = await response.json();
-          setGroups(data.success ? data.data : data);
-        }
-      } catch (error) {
-        console.error('Failed to fetch groups:', error);
-        // Fallback to default groups
-        setGroups([
-          { id: '1', group_id: '1', group_name: 'ENG1', color: '#1e40af' },
-          { id: '2', group_id: '2', group_name: 'ENG2', color: '#dc2626' },
-          { id: '3', group_id: '3', group_name: 'ENG3', color: '#059669' },
-          { id: '4', group_id: '4', group_name: 'ENG4', color: '#7c2d12' },
-          { id: '5', group_id: '5', group_name: 'SPARE', color: '#4338ca' }
-        ]);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchGroups();
+    groupsService.getGroups()
+      .then(setGroups)
+      .catch(() => setError(true))
+      .finally(() => setLoading(false));
   }, []);
 
   const handleChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
@@ -54,19 +32,17 @@ const GroupSelect: React.FC<GroupSelectProps> = ({ value, onChange, name, id })
       name={name}
       value={value}
       onChange={handleChange}
-      disabled={loading}
+      disabled={loading || error}
     >
-      {loading ? (
-        <option>Chargement...</option>
-      ) : (
-        groups.map((group) => (
-          <option key={group.group_id} value={parseInt(group.group_id)}>
-            {group.group_name}
-          </option>
-        ))
-      )}
+      {loading && <option>Chargement...</option>}
+      {error && <option>Groupes indisponibles</option>}
+      {groups.map((group) => (
+        <option key={group.group_id} value={Number(group.group_id)} title={group.description || undefined}>
+          {group.icon ? `${group.icon} ` : ''}{group.group_name}
+        </option>
+      ))}
     </select>
   );
 };
 
-export default GroupSelect;
\ No newline at end of file
+export default GroupSelect;
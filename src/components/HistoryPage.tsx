@@ -1,5 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { HistoryService, HistoryItem } from '../services/HistoryService';
+import {
+  HistoryService,
+  HistoryItem,
+  HistoryQuery,
+  HistoryPagination,
+  HistorySortColumn,
+  SortDirection
+} from '../services/HistoryService';
+import { GroupsService, Group } from '../services/GroupsService';
 import HistoryTable from './HistoryTable';
 import SimpleMultiCameraView from './SimpleMultiCameraView';
 // History styles are now included in the main design system
@@ -9,6 +17,19 @@ const HistoryPage: React.FC = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [searchQuery, setSearchQuery] = useState('');
+  const [groups, setGroups] = useState<Group[]>([]);
+  const [pagination, setPagination] = useState<HistoryPagination | null>(null);
+
+  // Server-side filters, sorting and pagination
+  const [epc, setEpc] = useState('');
+  const [groupId, setGroupId] = useState<number | null>(null);
+  const [antenna, setAntenna] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [minDurationMinutes, setMinDurationMinutes] = useState('');
+  const [sortColumn, setSortColumn] = useState<HistorySortColumn>('retposix');
+  const [sortDirection, setSortDirection] = useState<SortDirection>('desc');
+  const [page, setPage] = useState(1);
   const [limit, setLimit] = useState(50);
   
   // CCTV Modal state
@@ -16,27 +37,63 @@ const HistoryPage: React.FC = () => {
   const [selectedTimestamp, setSelectedTimestamp] = useState<number>(0);
   const [selectedItem, setSelectedItem] = useState<string>('');
   const [selectedMode, setSelectedMode] = useState<'départ' | 'retour'>('départ');
+  const [selectedAntenna, setSelectedAntenna] = useState<string>('');
 
   const loadHistory = useCallback(async () => {
     const historyService = new HistoryService();
     try {
       setLoading(true);
       setError(null);
-      const items = await historyService.getHistory();
-      setHistoryItems(items);
+      const query: HistoryQuery = {
+        epc: epc.trim() || undefined,
+        group_id: groupId,
+        antenna: antenna.trim() || undefined,
+        // Date inputs are local days: send the start / end of day as UTC instants
+        from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : undefined,
+        to: toDate ? new Date(`${toDate}T23:59:59`).toISOString() : undefined,
+        min_duration: minDurationMinutes ? Number(minDurationMinutes) * 60 : undefined,
+        sort: sortColumn,
+        order: sortDirection,
+        page,
+        limit
+      };
+      const result = await historyService.getHistory(query);
+      setHistoryItems(result.items);
+      setPagination(result.pagination);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load history');
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [epc, groupId, antenna, fromDate, toDate, minDurationMinutes, sortColumn, sortDirection, page, limit]);
 
   useEffect(() => {
     loadHistory();
   }, [loadHistory]);
 
-  const handleCCTVClick = useCallback((timestamp: number, designation: string, mode: 'départ' | 'retour') => {
+  useEffect(() => {
+    new GroupsService().getGroups()
+      .then(setGroups)
+      .catch(() => setGroups([]));
+  }, []);
+
+  // Any filter change goes back to the first page
+  useEffect(() => {
+    setPage(1);
+  }, [epc, groupId, antenna, fromDate, toDate, minDurationMinutes, sortColumn, sortDirection, limit]);
+
+  const handleSort = useCallback((column: HistorySortColumn) => {
+    if (sortColumn === column) {
+      setSortDirection(prev => prev === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortColumn(column);
+      setSortDirection('asc');
+    }
+  }, [sortColumn]);
+
+  const handleCCTVClick = useCallback((timestamp: number, designation: string, mode: 'départ' | 'retour', antennaCode: string) => {
     setSelectedTimestamp(timestamp);
+    setSelectedAntenna(antennaCode);
     setSelectedItem(designation);
     setSelectedMode(mode);
     setCctvModalOpen(true);
@@ -46,13 +103,9 @@ const HistoryPage: React.FC = () => {
     setCctvModalOpen(false);
   }, []);
 
-  const loadMore = useCallback((additionalItems: number) => {
-    setLimit(prev => prev + additionalItems);
-  }, []);
-
-  const filteredAndLimitedItems = historyItems.slice(0, limit);
+  const totalPages = pagination?.pages || 1;
 
-  if (loading) {
+  if (loading && historyItems.length === 0) {
     return (
       <div className="app-shell">
         <div className="loading-message">
@@ -77,6 +130,7 @@ const HistoryPage: React.FC = () => {
             <SimpleMultiCameraView
               targetTimestamp={selectedTimestamp}
               itemName={`${selectedItem} - ${selectedMode}`}
+              source={selectedAntenna ? { antenna: selectedAntenna } : undefined}
               onClose={handleCloseCCTV}
               onError={(error) => setError(error)}
             />
@@ -106,7 +160,7 @@ const HistoryPage: React.FC = () => {
       {/* Search and Controls */}
       <div className="card-body">
         <div className="stack-vertical stack-gap-small">
-          <label htmlFor="search" className="text-body-1-strong">Search ({historyItems.length} items)</label>
+          <label htmlFor="search" className="text-body-1-strong">Search ({historyItems.length} items on this page)</label>
           <input 
             type="text" 
             id="search"
@@ -117,16 +171,89 @@ const HistoryPage: React.FC = () => {
           />
         </div>
 
-        <div className="d-flex gap-3">
-          <button onClick={() => loadMore(20)} className="btn btn-primary">
-            Afficher +20
-          </button>
-          <button onClick={() => loadMore(200)} className="btn btn-primary">
-            Afficher +200
-          </button>
-          <button onClick={() => loadMore(2000)} className="btn btn-primary">
-            Afficher +2000
-          </button>
+        <div className="filters-bar">
+          <div className="filter-group">
+            <label htmlFor="history-epc">EPC</label>
+            <input
+              id="history-epc"
+              type="text"
+              className="form-input"
+              value={epc}
+              onChange={(e) => setEpc(e.target.value)}
+              placeholder="EPC exact"
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="history-group">Groupe</label>
+            <select
+              id="history-group"
+              className="form-select"
+              value={groupId ?? ''}
+              onChange={(e) => setGroupId(e.target.value ? Number(e.target.value) : null)}
+            >
+              <option value="">Tous les groupes</option>
+              {groups.map(group => (
+                <option key={group.group_id} value={group.group_id}>
+                  {group.group_name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="history-antenna">Antenne</label>
+            <input
+              id="history-antenna"
+              type="text"
+              className="form-input"
+              value={antenna}
+              onChange={(e) => setAntenna(e.target.value)}
+              placeholder="Départ ou retour"
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="history-from">Du</label>
+            <input
+              id="history-from"
+              type="date"
+              className="form-input"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="history-to">Au</label>
+            <input
+              id="history-to"
+              type="date"
+              className="form-input"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="history-min-duration">Durée min (min)</label>
+            <input
+              id="history-min-duration"
+              type="number"
+              min={0}
+              className="form-input"
+              value={minDurationMinutes}
+              onChange={(e) => setMinDurationMinutes(e.target.value)}
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="history-limit">Par page</label>
+            <select
+              id="history-limit"
+              className="form-select"
+              value={limit}
+              onChange={(e) => setLimit(Number(e.target.value))}
+            >
+              {[20, 50, 200, 2000].map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
 
@@ -143,16 +270,33 @@ const HistoryPage: React.FC = () => {
       {/* History Table */}
       {!error && (
         <HistoryTable 
-          items={filteredAndLimitedItems}
+          items={historyItems}
           onCCTVClick={handleCCTVClick}
           searchQuery={searchQuery}
+          sortColumn={sortColumn}
+          sortDirection={sortDirection}
+          onSort={handleSort}
         />
       )}
 
-      {/* Show more indicator */}
-      {filteredAndLimitedItems.length < historyItems.length && (
+      {/* Pagination */}
+      {pagination && (
         <div className="info-bar">
-          <p>Showing {filteredAndLimitedItems.length} of {historyItems.length} items</p>
+          <button
+            onClick={() => setPage(prev => Math.max(1, prev - 1))}
+            disabled={page <= 1 || loading}
+            className="btn btn-secondary"
+          >
+            Précédent
+          </button>
+          <p>Page {page} / {totalPages} ({pagination.total} trajets)</p>
+          <button
+            onClick={() => setPage(prev => Math.min(totalPages, prev + 1))}
+            disabled={page >= totalPages || loading}
+            className="btn btn-secondary"
+          >
+            Suivant
+          </button>
         </div>
       )}
     </div>
@@ -1,76 +1,41 @@
-import React, { useMemo, useCallback, useState } from 'react';
-import { HistoryItem } from '../services/HistoryService';
+import React, { useMemo, useCallback } from 'react';
+import { HistoryItem, HistorySortColumn, SortDirection } from '../services/HistoryService';
 import { useScrollPreservation } from '../hooks/useScrollPreservation';
 
-type HistorySortColumn = 
-  | 'group' 
-  | 'designation' 
-  | 'depposix' 
-  | 'retposix' 
-  | 'antenna_dep' 
-  | 'antenna_ret' 
-  | 'inventory_code' 
-  | 'delai';
-
-type SortDirection = 'asc' | 'desc';
-
 interface HistoryTableProps {
   items: HistoryItem[];
-  onCCTVClick: (timestamp: number, designation: string, mode: 'départ' | 'retour') => void;
+  onCCTVClick: (timestamp: number, designation: string, mode: 'départ' | 'retour', antenna: string) => void;
   searchQuery: string;
+  // Sorting is done server-side, the table only reports header clicks
+  sortColumn: HistorySortColumn;
+  sortDirection: SortDirection;
+  onSort: (column: HistorySortColumn) => void;
 }
 
-const HistoryTable: React.FC<HistoryTableProps> = ({ items, onCCTVClick, searchQuery }) => {
-  const [sortColumn, setSortColumn] = useState<HistorySortColumn>('retposix');
-  const [sortDirection, setSortDirection] = useState<SortDirection>('desc');
-
-  // Custom sorting for history items
-  const sortedItems = useMemo(() => {
-    const sorted = [...items].sort((a, b) => {
-      const aValue = a[sortColumn];
-      const bValue = b[sortColumn];
-      
-      if (typeof aValue === 'string' && typeof bValue === 'string') {
-        return sortDirection === 'asc' 
-          ? aValue.localeCompare(bValue)
-          : bValue.localeCompare(aValue);
-      }
-      
-      if (typeof aValue === 'number' && typeof bValue === 'number') {
-        return sortDirection === 'asc' ? aValue - bValue : bValue - aValue;
-      }
-      
-      return 0;
-    });
-    
-    return sorted;
-  }, [items, sortColumn, sortDirection]);
-
-  const scrollRef = useScrollPreservation(sortedItems);
-
-  // Handle column sorting
-  const handleSort = useCallback((column: HistorySortColumn) => {
-    if (sortColumn === column) {
-      setSortDirection(prev => prev === 'asc' ? 'desc' : 'asc');
-    } else {
-      setSortColumn(column);
-      setSortDirection('asc');
-    }
-  }, [sortColumn]);
+const HistoryTable: React.FC<HistoryTableProps> = ({
+  items,
+  onCCTVClick,
+  searchQuery,
+  sortColumn,
+  sortDirection,
+  onSort
+}) => {
+  const scrollRef = useScrollPreservation(items);
 
   // Filter items based on search query
   const filteredItems = useMemo(() => {
-    if (!searchQuery.trim()) return sortedItems;
+    if (!searchQuery.trim()) return items;
     
     const query = searchQuery.toLowerCase();
-    return sortedItems.filter(item => 
+    return items.filter(item => 
       item.designation.toLowerCase().includes(query) ||
+      item.epc.toLowerCase().includes(query) ||
       item.inventory_code.toLowerCase().includes(query) ||
-      item.group.toLowerCase().includes(query) ||
+      (item.group || '').toLowerCase().includes(query) ||
       item.antenna_dep.toLowerCase().includes(query) ||
       item.antenna_ret.toLowerCase().includes(query)
     );
-  }, [sortedItems, searchQuery]);
+  }, [items, searchQuery]);
 
   // Memoized sort class function
   const getSortClass = useCallback((column: HistorySortColumn): string => {
@@ -105,7 +70,7 @@ const HistoryTable: React.FC<HistoryTableProps> = ({ items, onCCTVClick, searchQ
               <th 
                 key={key}
                 className={getSortClass(key)} 
-                onClick={() => handleSort(key)}
+                onClick={() => onSort(key)}
               >
                 {label}
               </th>
@@ -114,13 +79,13 @@ const HistoryTable: React.FC<HistoryTableProps> = ({ items, onCCTVClick, searchQ
         </thead>
         <tbody>
           {filteredItems.map((item, index) => (
-            <tr key={`${item.inventory_code}-${index}`} className="data-table-body-row">
+            <tr key={item.id ?? `${item.inventory_code}-${index}`} className="data-table-body-row">
               <td>{item.group}</td>
               <td>{item.designation}</td>
               <td>
                 <button 
                   className="btn btn-primary btn-sm cctv-button"
-                  onClick={() => onCCTVClick(item.depposix, item.designation, 'départ')}
+                  onClick={() => onCCTVClick(item.depposix, item.designation, 'départ', item.antenna_dep)}
                 >
                   {item.dep}
                 </button>
@@ -129,7 +94,7 @@ const HistoryTable: React.FC<HistoryTableProps> = ({ items, onCCTVClick, searchQ
               <td>
                 <button 
                   className="btn btn-secondary btn-sm cctv-button"
-                  onClick={() => onCCTVClick(item.retposix, item.designation, 'retour')}
+                  onClick={() => onCCTVClick(item.retposix, item.designation, 'retour', item.antenna_ret)}
                 >
                   {item.ret}
                 </button>
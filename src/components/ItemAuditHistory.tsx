@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { AuditService, AuditEntry, AuditAction } from '../services/AuditService';
+
+interface ItemAuditHistoryProps {
+  itemId: number;
+}
+
+const auditService = new AuditService();
+
+const ACTION_LABELS: Record<AuditAction, string> = {
+  create: 'Création',
+  update: 'Modification',
+  delete: 'Suppression'
+};
+
+const FIELD_LABELS: Record<string, string> = {
+  epc: 'EPC',
+  designation: 'Désignation',
+  brand: 'Marque',
+  model: 'Modèle',
+  serial_number: 'N° de série',
+  inventory_code: 'Code inventaire',
+  category: 'Catégorie',
+  group_id: 'Groupe',
+  archived_at: 'Corbeille'
+};
+
+const formatDate = (iso: string) => new Date(iso).toLocaleString('fr-FR');
+
+const formatValue = (value: unknown) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+/**
+ * Change history of one item (audit_log), newest first
+ */
+const ItemAuditHistory: React.FC<ItemAuditHistoryProps> = ({ itemId }) => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    auditService.getItemHistory(itemId)
+      .then(history => { if (!cancelled) setEntries(history); })
+      .catch(err => { if (!cancelled) setError(err instanceof Error ? err.message : 'Erreur de chargement'); });
+    return () => { cancelled = true; };
+  }, [itemId]);
+
+  if (error) {
+    return <div className="alert-message alert-message--error">{error}</div>;
+  }
+  if (entries.length === 0) {
+    return <p className="text-secondary">Aucune modification enregistrée</p>;
+  }
+
+  return (
+    <table className="data-table">
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Opérateur</th>
+          <th>Action</th>
+          <th>Changements</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map(entry => {
+          const fields = Object.keys({ ...entry.before, ...entry.after }).filter(field => field !== 'id');
+          return (
+            <tr key={entry.id} className="data-table-body-row">
+              <td>{formatDate(entry.occurred_at)}</td>
+              <td title={entry.ip_address || undefined}>{entry.actor || '—'}</td>
+              <td title={entry.endpoint}>{ACTION_LABELS[entry.action]}</td>
+              <td>
+                {fields.map(field => (
+                  <div key={field}>
+                    {FIELD_LABELS[field] || field} :{' '}
+                    {entry.action === 'update'
+                      ? `${formatValue(entry.before?.[field])} → ${formatValue(entry.after?.[field])}`
+                      : formatValue((entry.after ?? entry.before)?.[field])}
+                  </div>
+                ))}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+ItemAuditHistory.displayName = 'ItemAuditHistory';
+
+export default ItemAuditHistory;
@@ -1,11 +1,12 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import ReactDOM from 'react-dom';
 import { Item } from '../services/ItemsService';
+import { CameraSource } from '../services/CCTVService';
 
 interface ItemRowProps {
   item: Item;
   index: number;
-  onClick: (timestamp: number, designation: string, groupId: number) => void;
+  onClick: (timestamp: number, designation: string, groupId: number, source?: CameraSource) => void;
   isSelected?: boolean;
   onToggleSelect?: (itemId: number) => void;
   selectionMode?: boolean;
@@ -245,10 +246,10 @@ const ItemRow: React.FC<ItemRowProps> = ({
     clearClickTimer();
     // defer open to see if a dblclick occurs
     clickTimerRef.current = window.setTimeout(() => {
-      onClick(timestamp, item.designation || 'Unknown', item.group_id || 0);
+      onClick(timestamp, item.designation || 'Unknown', item.group_id || 0, { antenna: item.antenna, mac_address: item.mac_address });
       clearClickTimer();
     }, CLICK_DELAY);
-  }, [isEditing, selectionMode, onItemClick, item.id, index, onClick, timestamp, item.designation, item.group_id]);
+  }, [isEditing, selectionMode, onItemClick, item.id, index, onClick, timestamp, item.designation, item.group_id, item.antenna, item.mac_address]);
 
 
 
@@ -289,7 +290,7 @@ const ItemRow: React.FC<ItemRowProps> = ({
   const handleDelete = (e: React.MouseEvent) => {
     e.preventDefault();
     e.stopPropagation();
-    if (onDeleteItem && window.confirm(`Êtes-vous sûr de vouloir supprimer "${item.designation}" ?`)) {
+    if (onDeleteItem && window.confirm(`Placer "${item.designation}" dans la corbeille ?`)) {
       onDeleteItem(item.id);
     }
   };
@@ -443,7 +444,8 @@ const ItemRow: React.FC<ItemRowProps> = ({
           item.category || 'N/A'
         )}
       </td>
-      <td>{item.antenna || 'N/A'}</td>
+      <td title={item.antenna}>{item.antenna_label || item.antenna || 'N/A'}</td>
+      <td title={item.location_path || undefined}>{item.location_name || 'N/A'}</td>
       <td>{item.heure || 'N/A'}</td>
       <td>
         <span className="time-elapsed">vu il y a: {timeElapsed}</span>
@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAutoRefresh } from '../hooks/useAutoRefresh';
+import { ItemsService, ItemOut } from '../services/ItemsService';
+import { CameraSource } from '../services/CCTVService';
+
+interface ItemsOutPanelProps {
+  onItemClick: (timestamp: number, designation: string, groupId: number, source?: CameraSource) => void;
+  enabled: boolean;
+}
+
+const itemsService = new ItemsService();
+
+// Function to format time spent outside
+// Evidence bundle: from an hour before the departure until now
+const EVIDENCE_LEAD_SECONDS = 3600;
+
+const formatDuration = (seconds: number): string => {
+  if (seconds < 3600) return `${Math.max(1, Math.floor(seconds / 60))}min`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h${String(Math.floor((seconds % 3600) / 60)).padStart(2, '0')}`;
+  return `${Math.floor(seconds / 86400)}j ${Math.floor((seconds % 86400) / 3600)}h`;
+};
+
+/**
+ * Items currently outside: departed through an exit antenna and not read since
+ */
+const ItemsOutPanel: React.FC<ItemsOutPanelProps> = ({ onItemClick, enabled }) => {
+  const [itemsOut, setItemsOut] = useState<ItemOut[]>([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setItemsOut(await itemsService.getItemsOut());
+    } catch (error) {
+      console.error('Failed to fetch items out:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useAutoRefresh(refresh, 5000, enabled);
+
+  if (itemsOut.length === 0) return null;
+
+  return (
+    <div className="surface-card-header">
+      <h3 className="surface-card-title">Sortis ({itemsOut.length})</h3>
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>Désignation</th>
+            <th>Groupe</th>
+            <th>Sorti le</th>
+            <th>Antenne</th>
+            <th>Dehors depuis</th>
+            <th>Preuves</th>
+          </tr>
+        </thead>
+        <tbody>
+          {itemsOut.map(item => (
+            <tr
+              key={item.hist_id}
+              className="data-table-body-row item-clickable"
+              onClick={() => onItemClick(item.depposix, item.designation, item.group_id, { antenna: item.antenna_dep })}
+            >
+              <td>{item.designation}</td>
+              <td>{item.group}</td>
+              <td>{item.dep}</td>
+              <td title={item.antenna_dep}>{item.antenna_dep_label || item.antenna_dep}</td>
+              <td>{formatDuration(item.seconds_out)}</td>
+              <td>
+                <a
+                  href={itemsService.getEvidenceUrl(item.id, item.depposix - EVIDENCE_LEAD_SECONDS, Math.floor(Date.now() / 1000))}
+                  onClick={event => event.stopPropagation()}
+                  title="Télécharger le dossier de preuve (ZIP : mouvements, lectures, vidéos)"
+                >
+                  📦 ZIP
+                </a>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+ItemsOutPanel.displayName = 'ItemsOutPanel';
+
+export default ItemsOutPanel;
@@ -4,11 +4,13 @@ import { useAutoRefresh } from '../hooks/useAutoRefresh';
 import { useRealtime } from '../hooks/useRealtime';
 import ItemsTable from './ItemsTable';
 import AddItemModal from './AddItemModal';
+import ItemsOutPanel from './ItemsOutPanel';
 import { automationAPI } from '../api/AutomationAPI';
 import { ItemsService, Item } from '../services/ItemsService';
+import { CameraSource } from '../services/CCTVService';
 
 interface ItemsSectionProps {
-  onItemClick: (timestamp: number, designation: string, groupId: number) => void;
+  onItemClick: (timestamp: number, designation: string, groupId: number, source?: CameraSource) => void;
   onHealthCheck: () => void;
 }
 
@@ -170,6 +172,9 @@ const ItemsSection: React.FC<ItemsSectionProps> = ({ onItemClick, onHealthCheck
         </div>
       )}
 
+      {/* Items currently outside */}
+      <ItemsOutPanel onItemClick={onItemClick} enabled={autoRefreshEnabled} />
+
       {/* Items Table */}
       <ItemsTable items={items} onItemClick={onItemClick} />
 
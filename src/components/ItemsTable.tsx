@@ -1,13 +1,25 @@
 import React, { useMemo, useCallback } from 'react';
 import { Item } from '../services/ItemsService';
+import { CameraSource } from '../services/CCTVService';
 import { useSorting, SortColumn } from '../hooks/useSorting';
 import { useScrollPreservation } from '../hooks/useScrollPreservation';
 import { useSelection } from '../hooks/useSelection';
 import ItemRow from './ItemRow';
 
+// Section rows by group or by location, inside the current sort
+export type ItemsGrouping = 'group' | 'location_path' | null;
+
+const GROUPING_FALLBACK: Record<'group' | 'location_path', string> = {
+  group: 'Sans groupe',
+  location_path: 'Lieu inconnu'
+};
+
+const sectionOf = (item: Item, grouping: 'group' | 'location_path'): string =>
+  item[grouping] || GROUPING_FALLBACK[grouping];
+
 interface ItemsTableProps {
   items: Item[];
-  onItemClick: (timestamp: number, designation: string, groupId: number) => void;
+  onItemClick: (timestamp: number, designation: string, groupId: number, source?: CameraSource) => void;
   selectionMode?: boolean;
   onSelectionChange?: (selectedItems: Item[]) => void;
   editingItem?: number | null;
@@ -16,6 +28,7 @@ interface ItemsTableProps {
   onCancelEdit?: () => void;
   onDeleteItem?: (itemId: number) => void;
   categoryOptions?: string[];
+  grouping?: ItemsGrouping;
 }
 
 const ItemsTable: React.FC<ItemsTableProps> = React.memo(({ 
@@ -28,11 +41,19 @@ const ItemsTable: React.FC<ItemsTableProps> = React.memo(({
   onSaveEdit,
   onCancelEdit,
   onDeleteItem,
-  categoryOptions
+  categoryOptions,
+  grouping = null
 }) => {
   const { sortedItems, sortColumn, sortDirection, handleSort } = useSorting(items);
-  const scrollRef = useScrollPreservation(sortedItems);
-  const selection = useSelection(sortedItems);
+
+  // Stable sort: items keep the column sort within each section
+  const displayedItems = useMemo(() => {
+    if (!grouping) return sortedItems;
+    return [...sortedItems].sort((a, b) => sectionOf(a, grouping).localeCompare(sectionOf(b, grouping)));
+  }, [sortedItems, grouping]);
+
+  const scrollRef = useScrollPreservation(displayedItems);
+  const selection = useSelection(displayedItems);
 
   // Notify parent of selection changes
   React.useEffect(() => {
@@ -62,6 +83,7 @@ const ItemsTable: React.FC<ItemsTableProps> = React.memo(({
     { key: 'model' as SortColumn, label: 'Model' },
     { key: 'category' as SortColumn, label: 'Category' },
     { key: 'antenna' as SortColumn, label: 'Antenna' },
+    { key: 'location_path' as SortColumn, label: 'Location' },
     { key: 'updated_atposix' as SortColumn, label: 'Last Update' },
     { key: 'sec' as SortColumn, label: 'Status' }
   ], []);
@@ -113,27 +135,38 @@ const ItemsTable: React.FC<ItemsTableProps> = React.memo(({
           onMouseLeave={selection.handleDragEnd}
           style={{ userSelect: selection.isDragging ? 'none' : 'auto' }}
         >
-          {sortedItems.map((item, index) => (
-            <ItemRow 
-              key={`${item.epc}-${index}`} 
-              item={item} 
-              index={index}
-              onClick={onItemClick}
-              selectionMode={selectionMode}
-              isSelected={selection.isItemSelected(item.id)}
-              onToggleSelect={selection.toggleItem}
-              onItemClick={selection.handleRowClick}
-              onMouseDown={selection.handleDragStart}
-              onMouseEnter={selection.handleDragEnter}
-              isDragging={selection.isDragging}
-              editingItem={editingItem}
-              onStartEdit={onStartEdit}
-              onSaveEdit={onSaveEdit}
-              onCancelEdit={onCancelEdit}
-              onDeleteItem={onDeleteItem}
-              categoryOptions={categoryOptions}
-            />
-          ))}
+          {displayedItems.map((item, index) => {
+            const section = grouping ? sectionOf(item, grouping) : null;
+            const previous = grouping && index > 0 ? sectionOf(displayedItems[index - 1], grouping) : null;
+            const startsSection = section !== null && section !== previous;
+            return (
+              <React.Fragment key={`${item.epc}-${index}`}>
+                {startsSection && (
+                  <tr className="items-section-row">
+                    <td colSpan={columnHeaders.length + (selectionMode ? 2 : 0)}>{section}</td>
+                  </tr>
+                )}
+                <ItemRow 
+                  item={item} 
+                  index={index}
+                  onClick={onItemClick}
+                  selectionMode={selectionMode}
+                  isSelected={selection.isItemSelected(item.id)}
+                  onToggleSelect={selection.toggleItem}
+                  onItemClick={selection.handleRowClick}
+                  onMouseDown={selection.handleDragStart}
+                  onMouseEnter={selection.handleDragEnter}
+                  isDragging={selection.isDragging}
+                  editingItem={editingItem}
+                  onStartEdit={onStartEdit}
+                  onSaveEdit={onSaveEdit}
+                  onCancelEdit={onCancelEdit}
+                  onDeleteItem={onDeleteItem}
+                  categoryOptions={categoryOptions}
+                />
+              </React.Fragment>
+            );
+          })}
         </tbody>
       </table>
     </div>
@@ -1,5 +1,6 @@
 import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
-import { CCTVService } from '../services/CCTVService';
+import { CCTVService, CameraSource } from '../services/CCTVService';
+import { CamerasService } from '../services/CamerasService';
 import { formatLocalDateTime, formatLocalTime } from '../utils/timezone';
 // CCTV styles are now included in the main design system
 
@@ -9,6 +10,7 @@ interface SimpleMultiCameraViewProps {
   isSearching?: boolean;
   itemName?: string;
   onClose?: () => void;
+  source?: CameraSource; // Antenna that read the tag: its best camera is focused
 }
 
 interface VideoClip {
@@ -20,6 +22,9 @@ interface VideoClip {
 
 interface CameraData {
   id: number;
+  name: string;
+  relevant: boolean; // Films the source antenna
+  offset: number; // Recording time minus read time
   playlist: VideoClip[];
   currentVideoIndex: number;
   loading: boolean;
@@ -31,18 +36,15 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
   onError,
   isSearching,
   itemName,
-  onClose
+  onClose,
+  source
 }) => {
   // État minimal
   const [isPlaying, setIsPlaying] = useState(false);
-  const [cameras, setCameras] = useState<CameraData[]>([
-    { id: 1, playlist: [], currentVideoIndex: 0, loading: true, error: null },
-    { id: 2, playlist: [], currentVideoIndex: 0, loading: true, error: null },
-    { id: 3, playlist: [], currentVideoIndex: 0, loading: true, error: null },
-    { id: 4, playlist: [], currentVideoIndex: 0, loading: true, error: null },
-    { id: 5, playlist: [], currentVideoIndex: 0, loading: true, error: null },
-    { id: 6, playlist: [], currentVideoIndex: 0, loading: true, error: null },
-  ]);
+  // Slots come from the camera registry (GET /api/cameras), in grid order
+  const [cameras, setCameras] = useState<CameraData[]>([]);
+  // Large camera when a source antenna is known, the others become thumbnails
+  const [focusedId, setFocusedId] = useState<number | null>(null);
 
   // Timeline state for smooth scrubbing
   const [timelineValue, setTimelineValue] = useState(targetTimestamp);
@@ -53,6 +55,15 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
 
   // Service instance - memoized to prevent recreation on every render
   const cctvService = useMemo(() => new CCTVService(), []);
+  const camerasService = useMemo(() => new CamerasService(), []);
+
+  // Keyed on its fields so a new source object from the parent does not reload the videos
+  const sourceAntenna = source?.antenna;
+  const sourceMac = source?.mac_address;
+  const cameraSource = useMemo<CameraSource | undefined>(
+    () => (sourceAntenna ? { antenna: sourceAntenna, mac_address: sourceMac } : undefined),
+    [sourceAntenna, sourceMac]
+  );
 
   // Video refs - proper React way instead of querySelector
   const videoRefs = useRef<{ [key: number]: HTMLVideoElement | null }>({});
@@ -62,6 +73,8 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
   const TIMELINE_RANGE_SECONDS = TIMELINE_RANGE_MINUTES * 60; // 600 seconds
   const NAVIGATION_STEP_SECONDS = 120; // 2 minutes
   const VIDEO_CLIP_DURATION = 120; // 2 minutes per clip
+  const EVIDENCE_BEFORE_SECONDS = 30; // Extract: 30 s before the moment
+  const EVIDENCE_AFTER_SECONDS = 60; // ... to 60 s after
 
   // Debug helper - only log in development
   const debugLog = (message: string) => {
@@ -77,6 +90,7 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
     setCameras(prevCameras => {
       return prevCameras.map(camera => {
         if (camera.playlist.length === 0) return camera;
+        const cameraTime = timestamp + camera.offset;
         
         // Find which video clip contains this timestamp
         let targetVideoIndex = 0;
@@ -87,12 +101,12 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
           const clipStart = clip.timestamp;
           const clipEnd = clip.timestamp + clip.duration;
           
-          if (timestamp >= clipStart && timestamp < clipEnd) {
+          if (cameraTime >= clipStart && cameraTime < clipEnd) {
             // Timestamp is within this clip
             targetVideoIndex = i;
-            targetTimeInVideo = timestamp - clipStart;
+            targetTimeInVideo = cameraTime - clipStart;
             break;
-          } else if (timestamp < clipStart) {
+          } else if (cameraTime < clipStart) {
             // Timestamp is before this clip, use previous clip at end
             targetVideoIndex = Math.max(0, i - 1);
             if (targetVideoIndex < camera.playlist.length) {
@@ -103,7 +117,7 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
         }
         
         // If timestamp is after all clips, use last clip at end
-        if (timestamp >= camera.playlist[camera.playlist.length - 1].timestamp + camera.playlist[camera.playlist.length - 1].duration) {
+        if (cameraTime >= camera.playlist[camera.playlist.length - 1].timestamp + camera.playlist[camera.playlist.length - 1].duration) {
           targetVideoIndex = camera.playlist.length - 1;
           targetTimeInVideo = camera.playlist[targetVideoIndex].duration - 1;
         }
@@ -143,7 +157,8 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
   // Build playlist from API response (like cctvplayer.js)
   const buildPlaylistForCamera = useCallback(async (cameraId: number, centerTimestamp: number): Promise<VideoClip[]> => {
     try {
-      const response = await cctvService.getVideos(centerTimestamp, cameraId);
+      // With the source antenna, the server shifts the target by the camera's offset
+      const response = await cctvService.getVideos(centerTimestamp, cameraId, { source: cameraSource });
       
       if (response.videos && Object.keys(response.videos).length > 0) {
         // Convert API response to playlist
@@ -172,7 +187,7 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
       debugLog(`Error loading playlist for camera ${cameraId}: ${error}`);
       return [];
     }
-  }, [cctvService]); // Proper deps - include cctvService
+  }, [cctvService, cameraSource]); // Proper deps - include cctvService
 
   // Load playlists for all cameras (like cctvplayer.js multi-playlist endpoint)
   const loadVideos = useCallback(async (timestamp: number) => {
@@ -180,8 +195,20 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
     
     setCameras(prev => prev.map(cam => ({ ...cam, loading: true, error: null })));
     
-    const cameraIds = [1, 2, 3, 4, 5, 6];
-    const playlistPromises = cameraIds.map(async (cameraId) => {
+    let registry: Array<{ id: number; name: string; relevant: boolean; time_offset_seconds: number }>;
+    try {
+      registry = cameraSource
+        ? await cctvService.getCameraRanking(timestamp, cameraSource)
+        : (await camerasService.getCameras()).map(camera => ({ ...camera, relevant: false, time_offset_seconds: 0 }));
+    } catch (error) {
+      onError?.(error instanceof Error ? error.message : 'Unknown error');
+      setCameras(prev => prev.map(cam => ({ ...cam, loading: false, error: 'Caméras indisponibles' })));
+      return;
+    }
+
+    setFocusedId(registry.find(camera => camera.relevant)?.id ?? null);
+
+    const playlistPromises = registry.map(async ({ id: cameraId, name, relevant, time_offset_seconds: offset }) => {
       try {
         const playlist = await buildPlaylistForCamera(cameraId, timestamp);
         
@@ -190,7 +217,7 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
         if (playlist.length > 0) {
           let closestDiff = Infinity;
           playlist.forEach((clip, index) => {
-            const diff = Math.abs(clip.timestamp - timestamp);
+            const diff = Math.abs(clip.timestamp - (timestamp + offset));
             if (diff < closestDiff) {
               closestDiff = diff;
               currentVideoIndex = index;
@@ -200,6 +227,9 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
         
         return {
           id: cameraId,
+          name,
+          relevant,
+          offset,
           playlist,
           currentVideoIndex,
           loading: false,
@@ -209,6 +239,9 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
         onError?.(error instanceof Error ? error.message : 'Unknown error');
         return {
           id: cameraId,
+          name,
+          relevant,
+          offset,
           playlist: [],
           currentVideoIndex: 0,
           loading: false,
@@ -219,7 +252,7 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
 
     const updatedCameras = await Promise.all(playlistPromises);
     setCameras(updatedCameras);
-  }, [buildPlaylistForCamera, targetTimestamp]);
+  }, [buildPlaylistForCamera, camerasService, cctvService, cameraSource, targetTimestamp]);
 
   // Auto-load once on mount - but properly managed
   useEffect(() => {
@@ -231,6 +264,9 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
     };
   }, [loadVideos, targetTimestamp]); // Proper deps array
   
+  // Camera of the MP4 extract: the large one, else the first slot
+  const clipCamera = cameras.find(camera => camera.id === focusedId) ?? cameras[0];
+
   // Manual reload function
   const handleLoadVideos = async () => {
     debugLog(`🎬 Manual reload triggered`);
@@ -300,7 +336,7 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
         <div className="cctv-search-dots">
           <div className="spinner"></div>
         </div>
-        <h3 className="video-player-title">Chargement des 6 caméras...</h3>
+        <h3 className="video-player-title">Chargement des caméras...</h3>
       </div>
     );
   }
@@ -327,10 +363,25 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
 
       {/* Grille de vidéos */}
       <div className="cctv-cameras">
-        <div className="video-grid">
+        <div
+          className={focusedId !== null ? 'video-grid video-grid--focus' : 'video-grid'}
+          style={focusedId !== null ? { gridTemplateColumns: `repeat(${Math.max(cameras.length - 1, 1)}, 1fr)` } : undefined}
+        >
           {cameras.map(camera => (
-            <div key={camera.id} className="cctv-camera-slot">
-              <div className="cctv-camera-label">CAM {camera.id}</div>
+            <div
+              key={camera.id}
+              className={[
+                'cctv-camera-slot',
+                camera.id === focusedId ? 'cctv-camera-slot--focused' : '',
+                camera.relevant ? 'cctv-camera-slot--relevant' : ''
+              ].filter(Boolean).join(' ')}
+              onClick={focusedId !== null && camera.id !== focusedId ? () => setFocusedId(camera.id) : undefined}
+              title={focusedId !== null && camera.id !== focusedId ? 'Agrandir cette caméra' : undefined}
+            >
+              <div className="cctv-camera-label">
+                {camera.name}
+                {camera.relevant && camera.offset !== 0 && ` (${camera.offset > 0 ? '+' : ''}${camera.offset}s)`}
+              </div>
               
               {camera.loading && (
                 <div className="cctv-camera-status loading">
@@ -432,6 +483,22 @@ const SimpleMultiCameraView: React.FC<SimpleMultiCameraViewProps> = ({
             Recharger
           </button>
 
+          {clipCamera && (
+            <a
+              href={cctvService.getClipUrl(
+                clipCamera.id,
+                timelineValue + clipCamera.offset - EVIDENCE_BEFORE_SECONDS,
+                timelineValue + clipCamera.offset + EVIDENCE_AFTER_SECONDS
+              )}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="cctv-control-button"
+              title={`Extrait MP4 de ${clipCamera.name} (-${EVIDENCE_BEFORE_SECONDS}s / +${EVIDENCE_AFTER_SECONDS}s)`}
+            >
+              🎬 Extrait
+            </a>
+          )}
+
           {/* Timeline inline */}
           <div className="stack-horizontal stack-gap-medium">
             <span className="timeline-current-indicator">
@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ItemsService, ArchivedItem } from '../services/ItemsService';
+
+interface TrashPanelProps {
+  onChange: () => void; // Called after a restore, to reload the inventory
+}
+
+const itemsService = new ItemsService();
+
+const formatDate = (iso: string | null): string => (iso ? new Date(iso).toLocaleString('fr-FR') : '—');
+
+/**
+ * Deleted items (archived): restore them or delete them for good
+ */
+const TrashPanel: React.FC<TrashPanelProps> = ({ onChange }) => {
+  const [items, setItems] = useState<ArchivedItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setItems(await itemsService.getArchivedItems());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Erreur lors du chargement de la corbeille');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleRestore = useCallback(async (item: ArchivedItem) => {
+    try {
+      await itemsService.restoreItems([item.id]);
+      await load();
+      onChange();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Erreur lors de la restauration');
+    }
+  }, [load, onChange]);
+
+  const handlePurge = useCallback(async (item: ArchivedItem) => {
+    if (!window.confirm(`Supprimer définitivement "${item.designation}" ? Cette action est irréversible.`)) {
+      return;
+    }
+    try {
+      await itemsService.purgeItems([item.id]);
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Erreur lors de la suppression définitive');
+    }
+  }, [load]);
+
+  return (
+    <div className="surface-card-header">
+      <h3 className="surface-card-title">🗑️ Corbeille ({items.length})</h3>
+
+      {error && <div className="alert-message alert-message--error">{error}</div>}
+
+      {loading ? (
+        <div className="loading-message">
+          <div className="spinner"></div>
+          <span>Chargement de la corbeille...</span>
+        </div>
+      ) : items.length === 0 ? (
+        <p className="text-secondary">La corbeille est vide</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Désignation</th>
+              <th>EPC</th>
+              <th>Groupe</th>
+              <th>Supprimé le</th>
+              <th>Dernière lecture</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.id} className="data-table-body-row">
+                <td>{item.designation}</td>
+                <td><code>{item.epc}</code></td>
+                <td>{item.group || item.group_id}</td>
+                <td>{formatDate(item.archived_at)}</td>
+                <td>
+                  {formatDate(item.last_seen_at)}
+                  {item.read_since_archived && (
+                    <>
+                      {' '}
+                      <span className="status-badge status-badge--high" title={`Antenne ${item.antenna}`}>
+                        Lu depuis la suppression
+                      </span>
+                    </>
+                  )}
+                </td>
+                <td>
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleRestore(item)}>
+                    Restaurer
+                  </button>
+                  {' '}
+                  <button className="btn btn-secondary btn-sm" onClick={() => handlePurge(item)}>
+                    Supprimer définitivement
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+TrashPanel.displayName = 'TrashPanel';
+
+export default TrashPanel;
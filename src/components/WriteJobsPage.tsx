@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAutoRefresh } from '../hooks/useAutoRefresh';
+import { WriteJobsService, WriteJob, WriteJobStatus, getAdminToken, setAdminToken } from '../services/WriteJobsService';
+import { GroupsService, Group } from '../services/GroupsService';
+
+const writeJobsService = new WriteJobsService();
+
+const STATUS_LABELS: Record<WriteJobStatus, string> = {
+  pending: 'En attente',
+  claimed: 'En cours',
+  written: 'Écrit, à relire',
+  verified: 'Vérifié',
+  failed: 'Échec',
+  cancelled: 'Annulé'
+};
+
+const formatDate = (iso: string | null): string => (iso ? new Date(iso).toLocaleString() : '—');
+
+/**
+ * RFID encoding queue: new jobs for the WiFi writer and their status
+ * (written tags are verified by the next read of their EPC)
+ */
+const WriteJobsPage: React.FC = () => {
+  const [jobs, setJobs] = useState<WriteJob[]>([]);
+  const [groups, setGroups] = useState<Group[]>([]);
+  const [statusFilter, setStatusFilter] = useState<WriteJobStatus | ''>('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [epc, setEpc] = useState('');
+  const [serial, setSerial] = useState('');
+  const [designation, setDesignation] = useState('');
+  const [groupId, setGroupId] = useState<number | null>(null);
+  const [writerMac, setWriterMac] = useState('');
+  const [adminToken, setAdminTokenValue] = useState(getAdminToken);
+
+  const refresh = useCallback(async () => {
+    try {
+      setJobs(await writeJobsService.getJobs(statusFilter || undefined));
+    } catch (err) {
+      console.error('Failed to fetch write jobs:', err);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    new GroupsService().getGroups()
+      .then(setGroups)
+      .catch(err => console.error('Failed to load groups:', err));
+  }, []);
+
+  useAutoRefresh(refresh, 3000, true);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await writeJobsService.createJob({
+        epc: epc.trim(),
+        serial: serial.trim() || undefined,
+        designation: designation.trim() || undefined,
+        group_id: groupId,
+        mac_address: writerMac.trim() || undefined
+      });
+      setEpc('');
+      setSerial('');
+      setDesignation('');
+      await refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to queue write job');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAdminTokenChange = (token: string) => {
+    setAdminTokenValue(token);
+    setAdminToken(token);
+  };
+
+  const runAction = async (action: () => Promise<WriteJob>) => {
+    setError(null);
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Action failed');
+    }
+  };
+
+  return (
+    <div className="surface-card">
+      <div className="surface-card-header">
+        <h3 className="surface-card-title">Encodage RFID</h3>
+        <p className="surface-card-subtitle">Tags à graver par le graveur WiFi, vérifiés à la première lecture</p>
+      </div>
+
+      <form className="filters-bar" onSubmit={handleSubmit}>
+        <div className="filter-group">
+          <label htmlFor="write-epc">EPC (hex)</label>
+          <input
+            id="write-epc"
+            type="text"
+            className="form-input"
+            value={epc}
+            onChange={(e) => setEpc(e.target.value)}
+            placeholder="300833B2DDD9014000000001"
+            required
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="write-serial">N° de série</label>
+          <input
+            id="write-serial"
+            type="text"
+            className="form-input"
+            value={serial}
+            onChange={(e) => setSerial(e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="write-designation">Désignation</label>
+          <input
+            id="write-designation"
+            type="text"
+            className="form-input"
+            value={designation}
+            onChange={(e) => setDesignation(e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="write-group">Groupe</label>
+          <select
+            id="write-group"
+            className="form-select"
+            value={groupId ?? ''}
+            onChange={(e) => setGroupId(e.target.value ? Number(e.target.value) : null)}
+          >
+            <option value="">Par défaut</option>
+            {groups.map(group => (
+              <option key={group.group_id} value={group.group_id}>
+                {group.group_name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="write-mac">Graveur (MAC)</label>
+          <input
+            id="write-mac"
+            type="text"
+            className="form-input"
+            value={writerMac}
+            onChange={(e) => setWriterMac(e.target.value)}
+            placeholder="N'importe lequel"
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="write-admin-token">Jeton admin</label>
+          <input
+            id="write-admin-token"
+            type="password"
+            className="form-input"
+            value={adminToken}
+            onChange={(e) => handleAdminTokenChange(e.target.value)}
+            autoComplete="off"
+            required
+          />
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={submitting || !epc.trim() || !adminToken.trim()}>
+          Graver
+        </button>
+      </form>
+
+      {error && (
+        <div className="alert-message alert-message--error">
+          <p>{error}</p>
+          <button onClick={() => setError(null)} className="btn btn-secondary btn-sm">✕</button>
+        </div>
+      )}
+
+      <div className="filters-bar">
+        <div className="filter-group">
+          <label htmlFor="write-status">Statut</label>
+          <select
+            id="write-status"
+            className="form-select"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value as WriteJobStatus | '')}
+          >
+            <option value="">Tous</option>
+            {(Object.keys(STATUS_LABELS) as WriteJobStatus[]).map(status => (
+              <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>EPC</th>
+            <th>Désignation</th>
+            <th>Statut</th>
+            <th>Graveur</th>
+            <th>Essais</th>
+            <th>Créé le</th>
+            <th>Vérifié</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {jobs.map(job => (
+            <tr key={job.id} className="data-table-body-row">
+              <td>{job.id}</td>
+              <td><code>{job.epc}</code></td>
+              <td>{job.designation || '—'}</td>
+              <td>
+                <span className={`status-badge status-badge--${job.status}`} title={job.error || undefined}>
+                  {STATUS_LABELS[job.status]}
+                </span>
+                {job.error && <div className="text-caption-1 text-secondary">{job.error}</div>}
+              </td>
+              <td>{job.writer_mac || job.mac_address || '—'}</td>
+              <td>{job.attempts}</td>
+              <td>{formatDate(job.created_at)}</td>
+              <td title={job.verified_by || undefined}>{formatDate(job.verified_at)}</td>
+              <td>
+                {(job.status === 'pending' || job.status === 'claimed') && (
+                  <button className="btn btn-secondary btn-sm" onClick={() => runAction(() => writeJobsService.cancelJob(job.id))}>
+                    Annuler
+                  </button>
+                )}
+                {(job.status === 'failed' || job.status === 'cancelled') && (
+                  <button className="btn btn-secondary btn-sm" onClick={() => runAction(() => writeJobsService.retryJob(job.id))}>
+                    Relancer
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+          {jobs.length === 0 && (
+            <tr>
+              <td colSpan={9} className="text-secondary">Aucun job d'encodage</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+WriteJobsPage.displayName = 'WriteJobsPage';
+
+export default WriteJobsPage;
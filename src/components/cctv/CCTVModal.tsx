@@ -1,5 +1,6 @@
 import React from 'react';
 import SimpleMultiCameraView from '../SimpleMultiCameraView';
+import { CameraSource } from '../../services/CCTVService';
 
 interface CCTVModalProps {
   isVisible: boolean;
@@ -9,6 +10,7 @@ interface CCTVModalProps {
   onClose: () => void;
   onError: (error: string) => void;
   position?: 'center' | 'left' | 'right';
+  source?: CameraSource; // Antenna that read the tag
 }
 
 const CCTVModal: React.FC<CCTVModalProps> = ({
@@ -18,7 +20,8 @@ const CCTVModal: React.FC<CCTVModalProps> = ({
   isSearching,
   onClose,
   onError,
-  position = 'center'
+  position = 'center',
+  source
 }) => {
   if (!isVisible) return null;
 
@@ -67,6 +70,7 @@ const CCTVModal: React.FC<CCTVModalProps> = ({
             isSearching={isSearching}
             itemName={itemName}
             onClose={onClose}
+            source={source}
           />
         </div>
       </div>
@@ -12,8 +12,8 @@ export const useSorting = (items: Item[]) => {
     if (!items || items.length === 0) return [];
 
     return [...items].sort((a, b) => {
-      let aVal = a[sortColumn];
-      let bVal = b[sortColumn];
+      let aVal = a[sortColumn] ?? '';
+      let bVal = b[sortColumn] ?? '';
 
       // Handle different data types
       if (typeof aVal === 'string' && typeof bVal === 'string') {
@@ -1,20 +1,32 @@
 import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { Item, ItemsService } from '../services/ItemsService';
 import { Group, GroupsService } from '../services/GroupsService';
-import ItemsTable from '../components/ItemsTable';
+import { Location, LocationsService } from '../services/LocationsService';
+import ItemsTable, { ItemsGrouping } from '../components/ItemsTable';
 import BulkActionsBar from '../components/BulkActionsBar';
 import AddItemModal from '../components/AddItemModal';
+import EpcDetails from '../components/EpcDetails';
+import CheckoutPanel from '../components/CheckoutPanel';
+import ItemAuditHistory from '../components/ItemAuditHistory';
+import TrashPanel from '../components/TrashPanel';
+import { getOperator, setOperator } from '../services/AuditService';
 
 const InventoryEditor: React.FC = () => {
   const [items, setItems] = useState<Item[]>([]);
   const [groups, setGroups] = useState<Group[]>([]);
+  const [locations, setLocations] = useState<Location[]>([]);
   const [selectedItems, setSelectedItems] = useState<Item[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [showAddModal, setShowAddModal] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedGroupFilter, setSelectedGroupFilter] = useState<number | null>(null);
+  const [selectedLocationFilter, setSelectedLocationFilter] = useState<number | null>(null);
+  const [grouping, setGrouping] = useState<ItemsGrouping>(null);
   const [editingItem, setEditingItem] = useState<number | null>(null);
+  const [detailTab, setDetailTab] = useState<'epc' | 'history'>('epc');
+  const [showTrash, setShowTrash] = useState(false);
+  const [operator, setOperatorName] = useState(getOperator);
 
   // Common categories for dropdown
   const categoryOptions = [
@@ -37,6 +49,7 @@ const InventoryEditor: React.FC = () => {
 
   const itemsService = useMemo(() => new ItemsService(), []);
   const groupsService = useMemo(() => new GroupsService(), []);
+  const locationsService = useMemo(() => new LocationsService(), []);
 
   // Load data on mount
   useEffect(() => {
@@ -48,21 +61,35 @@ const InventoryEditor: React.FC = () => {
     setError(null);
     try {
       console.log('🔍 Loading data...');
-      const [itemsData, groupsData] = await Promise.all([
+      const [itemsData, groupsData, locationsData] = await Promise.all([
         itemsService.getItemsWithRetry(1), // Force refresh with retry
-        groupsService.getGroups()
+        groupsService.getGroups(),
+        // Optional: the inventory still loads without a location tree
+        locationsService.getLocations().catch(() => [] as Location[])
       ]);
       console.log('🔍 Loaded groups:', groupsData);
       console.log('🔍 Loaded items count:', itemsData.length);
       setItems([...itemsData]); // Force new array reference
       setGroups(groupsData);
+      setLocations(locationsData);
     } catch (err) {
       console.error('🔍 Load error:', err);
       setError(err instanceof Error ? err.message : 'Erreur lors du chargement');
     } finally {
       setLoading(false);
     }
-  }, [itemsService, groupsService]);
+  }, [itemsService, groupsService, locationsService]);
+
+  // Selected location and all its sub-locations
+  const locationFilterIds = useMemo(() => {
+    if (selectedLocationFilter === null) return null;
+    const ids = new Set<number>([selectedLocationFilter]);
+    // Parents come before their children in the list
+    for (const location of locations) {
+      if (location.parent_id !== null && ids.has(location.parent_id)) ids.add(location.id);
+    }
+    return ids;
+  }, [locations, selectedLocationFilter]);
 
   // Filtered items based on search and group filter
   const filteredItems = useMemo(() => {
@@ -85,8 +112,13 @@ const InventoryEditor: React.FC = () => {
       filtered = filtered.filter(item => item.group_id === selectedGroupFilter);
     }
 
+    // Location filter (includes sub-locations)
+    if (locationFilterIds !== null) {
+      filtered = filtered.filter(item => item.location_id != null && locationFilterIds.has(item.location_id));
+    }
+
     return filtered;
-  }, [items, searchTerm, selectedGroupFilter]);
+  }, [items, searchTerm, selectedGroupFilter, locationFilterIds]);
 
   // Handlers
   const handleAddItem = useCallback(async (item: Partial<Item>) => {
@@ -129,6 +161,11 @@ const InventoryEditor: React.FC = () => {
     setSelectedItems(items);
   }, []);
 
+  const handleOperatorChange = useCallback((name: string) => {
+    setOperatorName(name);
+    setOperator(name);
+  }, []);
+
   const handleClearSelection = useCallback(() => {
     setSelectedItems([]);
   }, []);
@@ -208,6 +245,12 @@ const InventoryEditor: React.FC = () => {
               </svg>
               <span>Nouvel Item</span>
             </button>
+            <button
+              onClick={() => setShowTrash(!showTrash)}
+              className={`btn btn-secondary ${showTrash ? 'active' : ''}`}
+            >
+              <span>🗑️ Corbeille</span>
+            </button>
             <button 
               onClick={loadData}
               className="btn btn-secondary"
@@ -251,6 +294,47 @@ const InventoryEditor: React.FC = () => {
             ))}
           </select>
         </div>
+        <div className="filter-group">
+          <label htmlFor="location-filter">Lieu</label>
+          <select
+            id="location-filter"
+            value={selectedLocationFilter || ''}
+            onChange={(e) => setSelectedLocationFilter(e.target.value ? Number(e.target.value) : null)}
+            className="form-select"
+          >
+            <option value="">Tous les lieux</option>
+            {locations.map(location => (
+              <option key={location.id} value={location.id}>
+                {'\u00a0\u00a0'.repeat(location.depth)}{location.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="grouping">Regrouper par</label>
+          <select
+            id="grouping"
+            value={grouping || ''}
+            onChange={(e) => setGrouping((e.target.value || null) as ItemsGrouping)}
+            className="form-select"
+          >
+            <option value="">Aucun</option>
+            <option value="group">Groupe</option>
+            <option value="location_path">Lieu</option>
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="operator">Opérateur</label>
+          <input
+            id="operator"
+            type="text"
+            placeholder="Nom enregistré avec chaque modification"
+            value={operator}
+            onChange={(e) => handleOperatorChange(e.target.value)}
+            className="form-input"
+            maxLength={255}
+          />
+        </div>
         <div className="filter-stats">
           <span className="items-count">
             {filteredItems.length} / {items.length} items
@@ -274,6 +358,9 @@ const InventoryEditor: React.FC = () => {
         </div>
       )}
 
+      {/* Deleted items: restore or delete for good */}
+      {showTrash && <TrashPanel onChange={loadData} />}
+
       {/* Bulk Actions Bar - Always visible */}
       <div className="bulk-actions-visible">
         <BulkActionsBar
@@ -286,6 +373,32 @@ const InventoryEditor: React.FC = () => {
         />
       </div>
 
+      {/* EPC detail and change history of a single selected item */}
+      {selectedItems.length === 1 && (
+        <div>
+          <div className="category-tabs">
+            <button
+              onClick={() => setDetailTab('epc')}
+              className={`tab-button ${detailTab === 'epc' ? 'active' : ''}`}
+            >
+              EPC
+            </button>
+            <button
+              onClick={() => setDetailTab('history')}
+              className={`tab-button ${detailTab === 'history' ? 'active' : ''}`}
+            >
+              Modifications
+            </button>
+          </div>
+          {detailTab === 'epc'
+            ? <EpcDetails itemId={selectedItems[0].id} />
+            : <ItemAuditHistory itemId={selectedItems[0].id} />}
+        </div>
+      )}
+
+      {/* Checkouts: selected items or a whole group to a borrower */}
+      <CheckoutPanel selectedItems={selectedItems} groups={groups} />
+
       {/* Items Table */}
       <div className="has-bulk-actions">
         <ItemsTable 
@@ -299,6 +412,7 @@ const InventoryEditor: React.FC = () => {
           onCancelEdit={handleCancelEdit}
           onDeleteItem={handleDeleteItem}
           categoryOptions={categoryOptions}
+          grouping={grouping}
         />
       </div>
 
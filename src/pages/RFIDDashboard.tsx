@@ -1,10 +1,12 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { CCTVService } from '../services/CCTVService';
+import { CCTVService, CameraSource } from '../services/CCTVService';
 import CCTVModal from '../components/cctv/CCTVModal';
 import ItemsSection from '../components/ItemsSection';
 import HistoryPage from '../components/HistoryPage';
 import TimelinePage from '../components/TimelinePage';
 import InventoryEditor from './InventoryEditor';
+import WriteJobsPage from '../components/WriteJobsPage';
+import AlertsPage from '../components/AlertsPage';
 import { automationAPI } from '../api/AutomationAPI';
 
 const RFIDDashboard: React.FC = () => {
@@ -13,7 +15,8 @@ const RFIDDashboard: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [cctvModalVisible, setCctvModalVisible] = useState(false);
   const [currentItemName, setCurrentItemName] = useState<string>('');
-  const [currentView, setCurrentView] = useState<'inventory' | 'history' | 'timeline' | 'editor'>('inventory');
+  const [currentSource, setCurrentSource] = useState<CameraSource | undefined>(undefined);
+  const [currentView, setCurrentView] = useState<'inventory' | 'history' | 'timeline' | 'editor' | 'writer' | 'alerts'>('inventory');
 
   const handleHealthCheck = useCallback(async () => {
     const cctvService = new CCTVService();
@@ -34,12 +37,13 @@ const RFIDDashboard: React.FC = () => {
     }
   }, []);
 
-  const handleItemClick = async (timestamp: number, designation: string, groupId: number) => {
+  const handleItemClick = async (timestamp: number, designation: string, groupId: number, source?: CameraSource) => {
     console.log(`🎬 Launching CCTV viewer for RFID item: ${designation} at timestamp: ${timestamp}`);
     
     setLoading(true);
     setError(null);
     setCurrentItemName(designation);
+    setCurrentSource(source);
     setCctvModalVisible(true);
 
     try {
@@ -120,6 +124,18 @@ const RFIDDashboard: React.FC = () => {
           >
             ⚙️ Gestion Inventaire
           </button>
+          <button 
+            onClick={() => setCurrentView('writer')}
+            className={`nav-button ${currentView === 'writer' ? 'active' : ''}`}
+          >
+            🏷️ Encodage RFID
+          </button>
+          <button 
+            onClick={() => setCurrentView('alerts')}
+            className={`nav-button ${currentView === 'alerts' ? 'active' : ''}`}
+          >
+            🚨 Alertes
+          </button>
         </nav>
       </header>
 
@@ -144,6 +160,10 @@ const RFIDDashboard: React.FC = () => {
           <TimelinePage />
         ) : currentView === 'editor' ? (
           <InventoryEditor />
+        ) : currentView === 'writer' ? (
+          <WriteJobsPage />
+        ) : currentView === 'alerts' ? (
+          <AlertsPage />
         ) : (
           /* Main RFID Inventory View */
           <ItemsSection 
@@ -157,6 +177,7 @@ const RFIDDashboard: React.FC = () => {
           isVisible={cctvModalVisible}
           targetTimestamp={selectedDateTime ? Math.floor(new Date(selectedDateTime).getTime() / 1000) : Math.floor(Date.now() / 1000)}
           itemName={currentItemName}
+          source={currentSource}
           isSearching={loading}
           onClose={closeCctvModal}
           onError={(error) => setError(error)}
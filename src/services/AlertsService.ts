@@ -0,0 +1,121 @@
+import { ApiResponse } from './ItemsService';
+
+export type RuleTrigger = 'enters' | 'leaves' | 'dwells';
+export type AlertSeverity = 'low' | 'medium' | 'high' | 'critical';
+
+export interface AlertRule {
+  id: number;
+  name: string;
+  enabled: boolean;
+  item_id: number | null;
+  group_id: string | null;
+  category: string | null;
+  location_id: number | null;
+  reader_id: number | null;
+  antenna: string | null;
+  trigger_type: RuleTrigger;
+  dwell_minutes: number | null;
+  active_from: string | null; // HH:MM, local time
+  active_to: string | null;
+  active_days: number[] | null; // 1 = Monday, null = every day
+  severity: AlertSeverity;
+  created_at: string | null;
+  updated_at: string | null;
+}
+
+export interface AlertRuleInput {
+  name?: string;
+  enabled?: boolean;
+  item_id?: number | null;
+  group_id?: number | null;
+  category?: string | null;
+  location_id?: number | null;
+  reader_id?: number | null;
+  antenna?: string | null;
+  trigger_type?: RuleTrigger;
+  dwell_minutes?: number | null;
+  active_from?: string | null;
+  active_to?: string | null;
+  active_days?: number[] | null;
+  severity?: AlertSeverity;
+}
+
+export interface RuleAlert {
+  id: number;
+  rule_id: number | null; // null once the rule is deleted
+  rule_name: string;
+  trigger_type: RuleTrigger;
+  severity: AlertSeverity;
+  epc: string;
+  item_id: number | null;
+  designation: string | null;
+  mac_address: string | null;
+  antenna: string | null;
+  location_id: number | null;
+  message: string;
+  triggered_at: string;
+  acknowledged_at: string | null;
+  acknowledged_by: string | null;
+  acknowledge_note: string | null;
+}
+
+export class AlertsService {
+  private rulesUrl = '/api/rules';
+  private alertsUrl = '/api/alerts';
+
+  async getAlerts(acknowledged?: boolean, limit: number = 100): Promise<RuleAlert[]> {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (acknowledged !== undefined) params.append('acknowledged', String(acknowledged));
+
+    const response = await fetch(`${this.alertsUrl}?${params.toString()}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<RuleAlert[]> = await response.json();
+    return apiResponse.data;
+  }
+
+  async acknowledgeAlert(id: number, acknowledgedBy?: string, note?: string): Promise<RuleAlert> {
+    return this.send('POST', `${this.alertsUrl}/${id}/acknowledge`, { acknowledged_by: acknowledgedBy, note });
+  }
+
+  async getRules(): Promise<AlertRule[]> {
+    const response = await fetch(this.rulesUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<AlertRule[]> = await response.json();
+    return apiResponse.data;
+  }
+
+  async createRule(rule: AlertRuleInput): Promise<AlertRule> {
+    return this.send('POST', this.rulesUrl, rule);
+  }
+
+  async updateRule(id: number, changes: AlertRuleInput): Promise<AlertRule> {
+    return this.send('PUT', `${this.rulesUrl}/${id}`, changes);
+  }
+
+  async deleteRule(id: number): Promise<{ id: number }> {
+    return this.send('DELETE', `${this.rulesUrl}/${id}`);
+  }
+
+  private async send<T>(method: string, url: string, body: object = {}): Promise<T> {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const apiResponse = await response.json();
+    if (!response.ok) {
+      const message = apiResponse.error?.message
+        || apiResponse.details?.map((detail: { message: string }) => detail.message).join(', ')
+        || `HTTP error! status: ${response.status}`;
+      throw new Error(message);
+    }
+    return apiResponse.data;
+  }
+}
@@ -0,0 +1,88 @@
+import { ApiResponse } from './ItemsService';
+
+export type AuditAction = 'create' | 'update' | 'delete';
+export type AuditEntityType = 'item' | 'group';
+
+export interface AuditEntry {
+  id: number;
+  occurred_at: string;
+  actor: string | null;
+  ip_address: string | null;
+  endpoint: string;
+  correlation_id: string | null;
+  action: AuditAction;
+  entity_type: AuditEntityType;
+  entity_id: string;
+  before: Record<string, unknown> | null; // updates: changed fields only
+  after: Record<string, unknown> | null;
+}
+
+export interface AuditFilters {
+  entity_type?: AuditEntityType;
+  entity_id?: string | number;
+  action?: AuditAction;
+  actor?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface AuditPage {
+  items: AuditEntry[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+// Operator name sent as X-User with every change, remembered per browser
+// (percent-encoded: header values are not UTF-8)
+const OPERATOR_KEY = 'rfid.operator';
+
+export function getOperator(): string {
+  try {
+    return localStorage.getItem(OPERATOR_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+export function setOperator(name: string): void {
+  try {
+    if (name.trim()) localStorage.setItem(OPERATOR_KEY, name.trim());
+    else localStorage.removeItem(OPERATOR_KEY);
+  } catch {
+    // Private browsing: the name only lasts for the page
+  }
+}
+
+export function operatorHeaders(): Record<string, string> {
+  const operator = getOperator();
+  return operator ? { 'X-User': encodeURIComponent(operator) } : {};
+}
+
+export class AuditService {
+  private baseUrl = '/api/audit';
+
+  async getEntries(filters: AuditFilters = {}): Promise<AuditPage> {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') params.append(key, String(value));
+    });
+
+    const response = await fetch(`${this.baseUrl}?${params.toString()}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<AuditPage> = await response.json();
+    return apiResponse.data;
+  }
+
+  async getItemHistory(itemId: number, limit: number = 100): Promise<AuditEntry[]> {
+    const page = await this.getEntries({ entity_type: 'item', entity_id: itemId, limit });
+    return page.items;
+  }
+}
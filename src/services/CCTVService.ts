@@ -18,13 +18,36 @@ export interface CCTVResponse {
   };
 }
 
+// Antenna that read the tag (mac_address is unknown for hist movements)
+export interface CameraSource {
+  antenna: string;
+  mac_address?: string | null;
+}
+
+// A camera ranked for an antenna (GET /api/cctv/videos without camera)
+export interface RankedCamera {
+  id: number;
+  name: string;
+  relevant: boolean; // covers the antenna or its location
+  priority: number | null; // 1 = best view
+  time_offset_seconds: number; // recording time minus read time
+  target: number; // read time shifted by the offset
+}
+
+const sourceParams = (source?: CameraSource) => {
+  if (!source) return '';
+  const params = new URLSearchParams({ antenna: source.antenna });
+  if (source.mac_address) params.set('mac_address', source.mac_address);
+  return `&${params.toString()}`;
+};
+
 export class CCTVService {
   private abortControllers = new Map<string, AbortController>();
 
   async getVideos(
     targetTimestamp: number, 
     cameraId: number, 
-    options?: { timeout?: number; slow?: boolean }
+    options?: { timeout?: number; slow?: boolean; source?: CameraSource }
   ): Promise<CCTVResponse> {
     const requestId = `${targetTimestamp}-${cameraId}`;
     
@@ -42,7 +65,7 @@ export class CCTVService {
     try {
       const endpoint = options?.slow 
         ? `/api/cctv/videos-slow?target=${targetTimestamp}&camera=${cameraId}&delay=${timeout - 1000}`
-        : `/api/cctv/videos?target=${targetTimestamp}&camera=${cameraId}`;
+        : `/api/cctv/videos?target=${targetTimestamp}&camera=${cameraId}${sourceParams(options?.source)}`;
         
       console.log(`🎬 CCTV Request: ${endpoint}`);
       
@@ -81,6 +104,21 @@ export class CCTVService {
     }
   }
 
+  // Enabled cameras, those filming the antenna first (best priority first)
+  async getCameraRanking(targetTimestamp: number, source: CameraSource): Promise<RankedCamera[]> {
+    const response = await fetch(`/api/cctv/videos?target=${targetTimestamp}${sourceParams(source)}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse = await response.json();
+    return apiResponse.data.cameras;
+  }
+
+  // Trimmed MP4 of one camera from..to (recording time), cut and cached by the server
+  getClipUrl(cameraId: number, from: number, to: number): string {
+    return `/api/cctv/clip?camera=${cameraId}&from=${Math.round(from)}&to=${Math.round(to)}`;
+  }
+
   cancelRequest(requestId: string): void {
     const controller = this.abortControllers.get(requestId);
     if (controller) {
@@ -0,0 +1,86 @@
+import { ApiResponse } from './ItemsService';
+
+// One area a camera films: a reader antenna or a location
+export interface CameraCoverage {
+  reader_id: number | null;
+  reader_name: string | null;
+  antenna: string | null;
+  location_id: number | null;
+  priority: number; // 1 = best camera for this antenna / location
+  time_offset_seconds: number; // recording time minus read time
+}
+
+export interface Camera {
+  id: number;
+  name: string;
+  nvr_path: string; // recording folder on the NVR
+  enabled: boolean;
+  sort_order: number;
+  description: string | null;
+  coverage: CameraCoverage[];
+  created_at: string | null;
+  updated_at: string | null;
+}
+
+export interface CameraInput {
+  name?: string;
+  nvr_path?: string;
+  enabled?: boolean;
+  sort_order?: number;
+  description?: string | null;
+}
+
+export type CameraCoverageInput = ({ reader_id: number; antenna: string } | { location_id: number }) & {
+  priority?: number;
+  time_offset_seconds?: number;
+};
+
+export class CamerasService {
+  private baseUrl = '/api/cameras';
+
+  // Enabled cameras in grid order (all of them with includeDisabled)
+  async getCameras(includeDisabled = false): Promise<Camera[]> {
+    const response = await fetch(includeDisabled ? `${this.baseUrl}?include_disabled=true` : this.baseUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<Camera[]> = await response.json();
+    return apiResponse.data;
+  }
+
+  async createCamera(camera: CameraInput): Promise<Camera> {
+    return this.send('POST', this.baseUrl, camera);
+  }
+
+  async updateCamera(id: number, changes: CameraInput): Promise<Camera> {
+    return this.send('PUT', `${this.baseUrl}/${id}`, changes);
+  }
+
+  async deleteCamera(id: number): Promise<{ id: number }> {
+    return this.send('DELETE', `${this.baseUrl}/${id}`);
+  }
+
+  // Replaces the antennas / locations the camera covers
+  async setCoverage(id: number, coverage: CameraCoverageInput[]): Promise<Camera> {
+    return this.send('PUT', `${this.baseUrl}/${id}/coverage`, { coverage });
+  }
+
+  private async send<T>(method: string, url: string, body: object = {}): Promise<T> {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const apiResponse = await response.json();
+    if (!response.ok) {
+      const message = apiResponse.error?.message
+        || apiResponse.details?.map((detail: { message: string }) => detail.message).join(', ')
+        || `HTTP error! status: ${response.status}`;
+      throw new Error(message);
+    }
+    return apiResponse.data;
+  }
+}
@@ -0,0 +1,91 @@
+import { ApiResponse } from './ItemsService';
+
+export type CheckoutStatus = 'open' | 'returned' | 'cancelled';
+
+export interface CheckoutItem {
+  id: number;
+  checkout_id: number;
+  epc: string;
+  item_id: number | null;
+  designation: string | null;
+  serial_number: string | null;
+  group_id: number | null; // Set when checked out with its whole group
+  hist_id: number | null;
+  departed_at: string | null; // RFID departure (exit antenna)
+  antenna_dep: string | null;
+  returned_at: string | null;
+  antenna_ret: string | null; // null when checked in by hand
+}
+
+export interface Checkout {
+  id: number;
+  borrower: string;
+  job: string | null;
+  notes: string | null;
+  status: CheckoutStatus;
+  expected_return_at: string;
+  returned_at: string | null;
+  overdue_notified_at: string | null;
+  created_at: string;
+  updated_at: string | null;
+  overdue: boolean;
+  items: CheckoutItem[];
+}
+
+export interface CheckoutRequest {
+  borrower: string;
+  job?: string;
+  notes?: string;
+  expected_return_at: string; // ISO 8601
+  item_ids?: number[];
+  epcs?: string[];
+  group_ids?: number[];
+}
+
+export class CheckoutsService {
+  private baseUrl = '/api/checkouts';
+
+  async getCheckouts(status?: CheckoutStatus | 'overdue', limit: number = 100): Promise<Checkout[]> {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (status) params.append('status', status);
+
+    const response = await fetch(`${this.baseUrl}?${params.toString()}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<Checkout[]> = await response.json();
+    return apiResponse.data;
+  }
+
+  async createCheckout(checkout: CheckoutRequest): Promise<Checkout> {
+    return this.send(this.baseUrl, checkout);
+  }
+
+  async checkIn(id: number, epcs?: string[]): Promise<Checkout> {
+    return this.send(`${this.baseUrl}/${id}/checkin`, epcs ? { epcs } : {});
+  }
+
+  async cancelCheckout(id: number): Promise<Checkout> {
+    return this.send(`${this.baseUrl}/${id}/cancel`);
+  }
+
+  private async send(url: string, body: object = {}): Promise<Checkout> {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const apiResponse = await response.json();
+    if (!response.ok) {
+      // 400: validation details / unknown items, 409: already checked out / not open
+      const message = apiResponse.error?.message
+        || apiResponse.details?.map((detail: { message: string }) => detail.message).join(', ')
+        || `HTTP error! status: ${response.status}`;
+      throw new Error(message);
+    }
+    return apiResponse.data;
+  }
+}
@@ -1,8 +1,25 @@
+import { operatorHeaders } from './AuditService';
+
 interface Group {
   id: number;
   group_id: string | number;
   group_name: string;
   color?: string;
+  icon?: string | null; // Emoji shown in selectors and the timeline tree
+  description?: string | null;
+  sort_order?: number;
+  movement_gap_seconds?: number | null;
+  archived_at?: string | null;
+  item_count?: number;
+}
+
+interface GroupInput {
+  group_id?: number;
+  group_name?: string;
+  color?: string | null;
+  icon?: string | null;
+  description?: string | null;
+  movement_gap_seconds?: number | null;
 }
 
 interface ApiResponse<T> {
@@ -12,9 +29,9 @@ interface ApiResponse<T> {
 }
 
 export class GroupsService {
-  async getGroups(): Promise<Group[]> {
+  async getGroups(includeArchived: boolean = false): Promise<Group[]> {
     try {
-      const response = await fetch('/api/groups');
+      const response = await fetch(`/api/groups${includeArchived ? '?include_archived=true' : ''}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -28,6 +45,52 @@ export class GroupsService {
       throw error;
     }
   }
+
+  async createGroup(group: GroupInput): Promise<Group> {
+    return this.send('POST', '/api/groups', group);
+  }
+
+  // Rename, recolor, icon, description
+  async updateGroup(groupId: string | number, changes: GroupInput): Promise<Group> {
+    return this.send('PUT', `/api/groups/${groupId}`, changes);
+  }
+
+  async reorderGroups(groupIds: Array<string | number>): Promise<Group[]> {
+    return this.send('PUT', '/api/groups/order', { group_ids: groupIds.map(Number) });
+  }
+
+  async archiveGroup(groupId: string | number, reassignTo?: string | number): Promise<Group> {
+    return this.send('POST', `/api/groups/${groupId}/archive`, reassignTo ? { reassign_to: Number(reassignTo) } : {});
+  }
+
+  async restoreGroup(groupId: string | number): Promise<Group> {
+    return this.send('POST', `/api/groups/${groupId}/restore`);
+  }
+
+  // A group that still has items needs reassignTo
+  async deleteGroup(groupId: string | number, reassignTo?: string | number): Promise<{ group_id: string; items_moved: number }> {
+    return this.send('DELETE', `/api/groups/${groupId}`, reassignTo ? { reassign_to: Number(reassignTo) } : {});
+  }
+
+  private async send<T>(method: string, url: string, body: object = {}): Promise<T> {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...operatorHeaders(),
+      },
+      body: JSON.stringify(body),
+    });
+
+    const apiResponse = await response.json();
+    if (!response.ok) {
+      const message = apiResponse.error?.message
+        || apiResponse.details?.map((detail: { message: string }) => detail.message).join(', ')
+        || `HTTP error! status: ${response.status}`;
+      throw new Error(message);
+    }
+    return apiResponse.data;
+  }
 }
 
-export type { Group };
\ No newline at end of file
+export type { Group, GroupInput };
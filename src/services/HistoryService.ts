@@ -1,4 +1,6 @@
 export interface HistoryItem {
+  id: number;
+  epc: string;
   designation: string;
   inventory_code: string;
   dep: string; // Formatted departure date
@@ -8,12 +10,50 @@ export interface HistoryItem {
   antenna_dep: string;
   antenna_ret: string;
   delai: string; // Duration formatted
+  duration_seconds: number;
   days: number;
   group: string;
   group_name: string;
   group_id: number;
 }
 
+export type HistorySortColumn =
+  | 'group'
+  | 'designation'
+  | 'depposix'
+  | 'retposix'
+  | 'antenna_dep'
+  | 'antenna_ret'
+  | 'inventory_code'
+  | 'delai';
+
+export type SortDirection = 'asc' | 'desc';
+
+export interface HistoryQuery {
+  epc?: string;
+  group_id?: number | null;
+  antenna?: string;
+  from?: string; // ISO 8601
+  to?: string; // ISO 8601
+  min_duration?: number; // seconds
+  sort?: HistorySortColumn;
+  order?: SortDirection;
+  page?: number;
+  limit?: number;
+}
+
+export interface HistoryPagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+export interface HistoryResult {
+  items: HistoryItem[];
+  pagination: HistoryPagination;
+}
+
 export class HistoryService {
   private baseUrl: string;
 
@@ -21,21 +61,25 @@ export class HistoryService {
     this.baseUrl = '/api'; // Relative URL - same server
   }
 
-  async getHistory(): Promise<HistoryItem[]> {
+  async getHistory(filters: HistoryQuery = {}): Promise<HistoryResult> {
     try {
-      const response = await fetch(`${this.baseUrl}/history`);
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          params.append(key, String(value));
+        }
+      });
+
+      const query = params.toString();
+      const response = await fetch(`${this.baseUrl}/history${query ? `?${query}` : ''}`);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       const data = await response.json();
-      // Handle both formats: direct array or wrapped in data.items
-      if (data.data && data.data.items) {
-        return data.data.items;
-      }
-      return data;
+      return data.data;
     } catch (error) {
       console.error('Error fetching history:', error);
       throw error;
     }
   }
-}
\ No newline at end of file
+}
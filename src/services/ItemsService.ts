@@ -1,4 +1,23 @@
 import { errorService } from './ErrorService';
+import { operatorHeaders } from './AuditService';
+
+// Decoded EPC (GET /api/items/:id); scheme-specific fields depend on the scheme
+export interface EpcDecoded {
+  scheme: 'sgtin-96' | 'grai-96' | 'giai-96' | 'raw' | string;
+  hex: string;
+  uri: string;
+  tagUri?: string;
+  filter?: number;
+  partition?: number;
+  companyPrefix?: string;
+  itemReference?: string;
+  assetType?: string;
+  assetReference?: string;
+  serial?: string;
+  gtin?: string;
+  error?: string;
+  [field: string]: string | number | undefined;
+}
 
 export interface Item {
   id: number;
@@ -12,12 +31,50 @@ export interface Item {
   category: string;
   updated_at: string;
   antenna: string;
+  antenna_label?: string | null; // Human name from the reader registry
+  location_id?: number | null; // Location of the antenna that last read the item
+  location_name?: string | null;
+  location_path?: string | null; // "Site > Building > Room > Zone"
   group_id: number;
   designation: string;
   sec: number;
   heure: string;
   updated_atposix: number;
   group: string;
+  epc_decoded?: EpcDecoded | null; // Only on single item fetches
+  archived_at?: string | null; // Only on single item fetches; set while in the trash
+}
+
+// Item in the trash (GET /api/items/archived)
+export interface ArchivedItem {
+  id: number;
+  epc: string;
+  designation: string;
+  brand: string;
+  model: string;
+  inventory_code: string;
+  category: string;
+  group_id: number;
+  group: string | null;
+  archived_at: string;
+  last_seen_at: string | null;
+  antenna: string;
+  read_since_archived: boolean; // The tag is still being read
+}
+
+export interface ItemOut {
+  id: number;
+  epc: string;
+  designation: string;
+  inventory_code: string;
+  group_id: number;
+  group: string;
+  hist_id: number;
+  antenna_dep: string;
+  antenna_dep_label: string | null;
+  dep: string;
+  depposix: number;
+  seconds_out: number;
 }
 
 export interface ApiResponse<T> {
@@ -61,12 +118,45 @@ export class ItemsService {
     }
   }
 
+  /**
+   * Items currently outside (departed via an exit antenna, not read since)
+   */
+  async getItemsOut(): Promise<ItemOut[]> {
+    const response = await fetch('/api/items/out');
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const apiResponse: ApiResponse<ItemOut[]> = await response.json();
+    return apiResponse.data;
+  }
+
+  // ZIP of the item's movements, reads and camera clips from..to (UTC seconds), with a SHA-256 manifest
+  getEvidenceUrl(itemId: number, from: number, to: number): string {
+    const params = new URLSearchParams({
+      from: new Date(from * 1000).toISOString(),
+      to: new Date(to * 1000).toISOString(),
+    });
+    return `/api/items/${itemId}/evidence?${params.toString()}`;
+  }
+
+  async getItem(itemId: number): Promise<Item> {
+    const response = await fetch(`/api/items/${itemId}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<Item> = await response.json();
+    return apiResponse.data;
+  }
+
   async createItem(item: Partial<Item>): Promise<Item> {
     try {
       const response = await fetch('/api/items', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...operatorHeaders(),
         },
         body: JSON.stringify(item),
       });
@@ -168,6 +258,7 @@ export class ItemsService {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
+          ...operatorHeaders(),
         },
         body: JSON.stringify({ itemIds }),
       });
@@ -190,6 +281,7 @@ export class ItemsService {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...operatorHeaders(),
         },
         body: JSON.stringify({ itemIds, groupId }),
       });
@@ -212,6 +304,7 @@ export class ItemsService {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...operatorHeaders(),
         },
         body: JSON.stringify({ itemIds, category }),
       });
@@ -228,12 +321,47 @@ export class ItemsService {
     }
   }
 
+  // Trash
+  async getArchivedItems(): Promise<ArchivedItem[]> {
+    const response = await fetch('/api/items/archived');
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<ArchivedItem[]> = await response.json();
+    return apiResponse.data;
+  }
+
+  async restoreItems(itemIds: number[]): Promise<{ restoredCount: number }> {
+    return this.sendIds('POST', '/api/items/restore', itemIds);
+  }
+
+  async purgeItems(itemIds: number[]): Promise<{ purgedCount: number }> {
+    return this.sendIds('DELETE', '/api/items/purge', itemIds);
+  }
+
+  private async sendIds<T>(method: string, url: string, itemIds: number[]): Promise<T> {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...operatorHeaders(),
+      },
+      body: JSON.stringify({ itemIds }),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<T> = await response.json();
+    return apiResponse.data;
+  }
+
   async updateItem(itemId: number, updates: Partial<Item>): Promise<Item> {
     try {
       const response = await fetch(`/api/items/${itemId}`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...operatorHeaders(),
         },
         body: JSON.stringify(updates),
       });
@@ -256,6 +384,7 @@ export class ItemsService {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
+          ...operatorHeaders(),
         },
         body: JSON.stringify({ itemIds: [itemId] }),
       });
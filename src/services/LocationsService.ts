@@ -0,0 +1,81 @@
+import { ApiResponse } from './ItemsService';
+
+export type LocationType = 'site' | 'building' | 'room' | 'zone';
+
+export interface LocationAntenna {
+  reader_id: number;
+  reader_name: string;
+  antenna: string;
+  label: string;
+}
+
+export interface Location {
+  id: number;
+  parent_id: number | null;
+  name: string;
+  type: LocationType;
+  description: string | null;
+  path: string; // "Site > Building > Room > Zone"
+  depth: number; // 0 for top-level locations
+  child_count: number;
+  antennas: LocationAntenna[];
+  created_at: string | null;
+  updated_at: string | null;
+}
+
+export interface LocationInput {
+  name?: string;
+  type?: LocationType;
+  parent_id?: number | null;
+  description?: string | null;
+}
+
+export class LocationsService {
+  private baseUrl = '/api/locations';
+
+  // Whole tree, parents before their children
+  async getLocations(): Promise<Location[]> {
+    const response = await fetch(this.baseUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<Location[]> = await response.json();
+    return apiResponse.data;
+  }
+
+  async createLocation(location: LocationInput): Promise<Location> {
+    return this.send('POST', this.baseUrl, location);
+  }
+
+  async updateLocation(id: number, changes: LocationInput): Promise<Location> {
+    return this.send('PUT', `${this.baseUrl}/${id}`, changes);
+  }
+
+  async deleteLocation(id: number): Promise<{ id: number }> {
+    return this.send('DELETE', `${this.baseUrl}/${id}`);
+  }
+
+  // Replaces the antennas mapped to the location
+  async setAntennas(id: number, antennas: Array<{ reader_id: number; antenna: string }>): Promise<Location> {
+    return this.send('PUT', `${this.baseUrl}/${id}/antennas`, { antennas });
+  }
+
+  private async send<T>(method: string, url: string, body: object = {}): Promise<T> {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const apiResponse = await response.json();
+    if (!response.ok) {
+      const message = apiResponse.error?.message
+        || apiResponse.details?.map((detail: { message: string }) => detail.message).join(', ')
+        || `HTTP error! status: ${response.status}`;
+      throw new Error(message);
+    }
+    return apiResponse.data;
+  }
+}
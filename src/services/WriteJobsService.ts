@@ -0,0 +1,100 @@
+import { ApiResponse } from './ItemsService';
+
+export type WriteJobStatus = 'pending' | 'claimed' | 'written' | 'verified' | 'failed' | 'cancelled';
+
+export interface WriteJob {
+  id: number;
+  epc: string;
+  serial_number: string | null;
+  designation: string | null;
+  group_id: number | null;
+  mac_address: string | null; // Writer the job is pinned to, null = any
+  writer_mac: string | null; // Writer that claimed it
+  status: WriteJobStatus;
+  attempts: number;
+  error: string | null;
+  verified_by: string | null; // Reader MAC#antenna of the confirming read
+  created_at: string;
+  claimed_at: string | null;
+  written_at: string | null;
+  verified_at: string | null;
+  updated_at: string | null;
+}
+
+export interface WriteJobRequest {
+  epc: string;
+  serial?: string;
+  designation?: string;
+  group_id?: number | null;
+  mac_address?: string;
+}
+
+// ADMIN_TOKEN sent as X-Admin-Token to queue, cancel and retry jobs,
+// kept for the browser session only
+const ADMIN_TOKEN_KEY = 'rfid.adminToken';
+
+export function getAdminToken(): string {
+  try {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+export function setAdminToken(token: string): void {
+  try {
+    if (token.trim()) sessionStorage.setItem(ADMIN_TOKEN_KEY, token.trim());
+    else sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+  } catch {
+    // Private browsing: the token only lasts for the page
+  }
+}
+
+export class WriteJobsService {
+  private baseUrl = '/api/rfid/write';
+
+  async getJobs(status?: WriteJobStatus, limit: number = 100): Promise<WriteJob[]> {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (status) params.append('status', status);
+
+    const response = await fetch(`${this.baseUrl}/jobs?${params.toString()}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const apiResponse: ApiResponse<WriteJob[]> = await response.json();
+    return apiResponse.data;
+  }
+
+  async createJob(job: WriteJobRequest): Promise<WriteJob> {
+    return this.send(this.baseUrl, job);
+  }
+
+  async cancelJob(id: number): Promise<WriteJob> {
+    return this.send(`${this.baseUrl}/jobs/${id}/cancel`);
+  }
+
+  async retryJob(id: number): Promise<WriteJob> {
+    return this.send(`${this.baseUrl}/jobs/${id}/retry`);
+  }
+
+  private async send(url: string, body: object = {}): Promise<WriteJob> {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Admin-Token': getAdminToken(),
+      },
+      body: JSON.stringify(body),
+    });
+
+    const apiResponse = await response.json();
+    if (!response.ok) {
+      // 400: validation details, 401/403: admin token, 409: active job / wrong status
+      const message = apiResponse.error?.message
+        || apiResponse.details?.map((detail: { message: string }) => detail.message).join(', ')
+        || `HTTP error! status: ${response.status}`;
+      throw new Error(message);
+    }
+    return apiResponse.data;
+  }
+}
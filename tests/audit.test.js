@@ -0,0 +1,112 @@
+const request = require('supertest');
+const express = require('express');
+
+const { createMockPool, splitRows } = require('./helpers/mockDatabase');
+
+// item / audit_log kept in memory
+const mockDb = { items: [], audit: [] };
+
+const byIds = (ids) => mockDb.items.filter(item => ids.map(Number).includes(item.id));
+
+const mockPool = createMockPool([
+  ['SELECT id, epc, designation, brand, model, serial_number, inventory_code, category, group_id, archived_at FROM item', (params) => [
+    byIds(params).map(item => ({ ...item }))
+  ]],
+  ['UPDATE item SET designation', (params, query) => {
+    const item = mockDb.items.find(row => row.id === params[params.length - 1]);
+    if (!item) return [{ affectedRows: 0 }];
+    const fields = query.match(/SET (.*), updated_at/)[1].split(', ').map(set => set.split(' = ')[0]);
+    fields.forEach((field, i) => { item[field] = params[i]; });
+    return [{ affectedRows: 1 }];
+  }],
+  ['SELECT i.*, g.group_name', (params) => [byIds(params).map(item => ({ ...item, group: null, updated_atposix: 0 }))]],
+  ['UPDATE item SET group_id = ?', ([groupId, ...ids]) => {
+    byIds(ids).forEach(item => { item.group_id = groupId; });
+    return [{ affectedRows: ids.length }];
+  }],
+  ['UPDATE item SET archived_at = UTC_TIMESTAMP()', (params) => {
+    const archived = byIds(params).filter(item => item.archived_at === null);
+    archived.forEach(item => { item.archived_at = '2026-10-18T08:00:00Z'; });
+    return [{ affectedRows: archived.length }];
+  }],
+  ['INSERT INTO audit_log', (params) => {
+    for (const [actor, ip_address, endpoint, correlation_id, action, entity_type, entity_id, before_data, after_data] of splitRows(params, 9)) {
+      mockDb.audit.push({
+        id: mockDb.audit.length + 1, occurred_at: '2026-10-18T08:00:00Z',
+        actor, ip_address, endpoint, correlation_id, action, entity_type, entity_id, before_data, after_data
+      });
+    }
+    return [{ affectedRows: params.length / 9 }];
+  }],
+  [/FROM audit_log WHERE/, (params, query) => {
+    const filters = query.match(/WHERE (.*?)( ORDER BY|$)/)[1].split(' AND ').filter(condition => condition !== '1 = 1');
+    const rows = mockDb.audit.filter(entry => filters.every((condition, i) => entry[condition.split(' = ')[0]] === params[i]));
+    return query.startsWith('SELECT COUNT(*)') ? [[{ total: rows.length }]] : [[...rows].reverse()];
+  }]
+]);
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/webhooks', () => ({ webhooks: { publish: jest.fn() } }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const itemsRoutes = require('../server/routes/items');
+const auditRoutes = require('../server/routes/audit');
+const { changedFields } = require('../server/services/audit');
+
+describe('Audit log', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.audit = [];
+    mockDb.items = [
+      { id: 1, epc: 'CAM1', designation: 'FS7', brand: 'Sony', model: 'PXW-FS7', serial_number: null, inventory_code: 'C-001', category: 'CAMERA', group_id: 2, archived_at: null },
+      { id: 2, epc: 'CAM2', designation: 'FX6', brand: 'Sony', model: 'ILME-FX6', serial_number: null, inventory_code: 'C-002', category: 'CAMERA', group_id: 2, archived_at: null }
+    ];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/items', itemsRoutes);
+    app.use('/api/audit', auditRoutes);
+  });
+
+  it('compares snapshots field by field', () => {
+    expect(changedFields({ group_id: 2, serial_number: null }, { group_id: '2', serial_number: undefined })).toEqual([]);
+    expect(changedFields({ category: 'CAMERA' }, { category: 'CAMERA', designation: 'FS7' })).toEqual(['designation']);
+  });
+
+  it('records who changed an item and its values before and after', async () => {
+    await request(app).patch('/api/items/1').set('X-User', encodeURIComponent('régie')).send({ designation: 'FS7 II', category: 'CAMERA' }).expect(200);
+    // Same value again: nothing to record
+    await request(app).patch('/api/items/1').send({ designation: 'FS7 II' }).expect(200);
+
+    expect(mockDb.audit).toEqual([expect.objectContaining({
+      actor: 'régie', endpoint: 'PATCH /api/items/1', action: 'update', entity_type: 'item', entity_id: '1',
+      before_data: JSON.stringify({ designation: 'FS7' }), after_data: JSON.stringify({ designation: 'FS7 II' })
+    })]);
+
+    const history = await request(app).get('/api/audit?entity_type=item&entity_id=1').expect(200);
+    expect(history.body.data.items).toEqual([expect.objectContaining({
+      actor: 'régie', action: 'update', before: { designation: 'FS7' }, after: { designation: 'FS7 II' }
+    })]);
+    expect(history.body.data.pagination).toEqual({ page: 1, limit: 100, total: 1, pages: 1 });
+  });
+
+  it('keeps the rows regrouped or deleted by bulk actions', async () => {
+    await request(app).patch('/api/items/bulk/group').send({ itemIds: [1, 2], groupId: 5 }).expect(200);
+    await request(app).delete('/api/items/bulk').set('X-User', 'gardien').send({ itemIds: [2] }).expect(200);
+
+    expect(mockDb.audit.map(entry => [entry.action, entry.entity_id, entry.actor])).toEqual([
+      ['update', '1', null], ['update', '2', null], ['update', '2', 'gardien']
+    ]);
+    const history = await request(app).get('/api/audit?entity_id=2&actor=gardien').expect(200);
+    expect(history.body.data.items).toEqual([expect.objectContaining({
+      endpoint: 'DELETE /api/items/bulk', before: { archived_at: null }, after: { archived_at: '2026-10-18T08:00:00Z' }
+    })]);
+
+    await request(app).get('/api/audit?entity_type=camera').expect(400);
+  });
+});
@@ -0,0 +1,188 @@
+const request = require('supertest');
+const express = require('express');
+
+const { createMockPool, sqlError } = require('./helpers/mockDatabase');
+
+// camera / camera_coverage / location / reader_antenna kept in memory
+const mockDb = { cameras: [], coverage: [], readers: [], locations: [], antennas: [] };
+
+const readerOf = (row) => mockDb.readers.find(reader => reader.id === row.reader_id);
+
+const mockPool = createMockPool([
+  ['SELECT id, name, nvr_path, enabled, sort_order, description', () => [
+    [...mockDb.cameras].sort((a, b) => a.sort_order - b.sort_order || a.id - b.id).map(camera => ({ ...camera }))
+  ]],
+  ['SELECT cc.camera_id, cc.reader_id', () => [[...mockDb.coverage]
+    .sort((a, b) => a.priority - b.priority)
+    .map(area => ({ ...area, reader_name: readerOf(area)?.name ?? null, mac_address: readerOf(area)?.mac_address ?? null }))]],
+  ['SELECT id, parent_id, name, type, description', () => [
+    mockDb.locations.map(location => ({ parent_id: null, name: `L${location.id}`, type: 'zone', ...location }))
+  ]],
+  ['SELECT ra.location_id, ra.reader_id', () => [mockDb.antennas.map(antenna => ({
+    ...antenna, reader_name: readerOf(antenna).name, mac_address: readerOf(antenna).mac_address, label: antenna.antenna
+  }))]],
+  ['INSERT INTO camera (', ([name, nvr_path, enabled, sortOrder, description]) => {
+    if (mockDb.cameras.some(camera => camera.name === name)) {
+      throw sqlError('ER_DUP_ENTRY');
+    }
+    const id = mockDb.cameras.length + 1;
+    const sort_order = sortOrder ?? Math.max(0, ...mockDb.cameras.map(camera => camera.sort_order)) + 1;
+    mockDb.cameras.push({ id, name, nvr_path, enabled, sort_order, description, created_at: null, updated_at: null });
+    return [{ insertId: id, affectedRows: 1 }];
+  }],
+  ['UPDATE camera SET', (params, query) => {
+    const camera = mockDb.cameras.find(row => row.id === params[params.length - 1]);
+    if (!camera) return [{ affectedRows: 0 }];
+    const fields = query.match(/SET (.*) WHERE/)[1].split(', ').map(set => set.split(' = ')[0]);
+    fields.filter(field => field !== 'updated_at').forEach((field, i) => { camera[field] = params[i]; });
+    return [{ affectedRows: 1 }];
+  }],
+  ['DELETE FROM camera WHERE', (params) => {
+    const before = mockDb.cameras.length;
+    mockDb.cameras = mockDb.cameras.filter(camera => camera.id !== params[0]);
+    mockDb.coverage = mockDb.coverage.filter(area => area.camera_id !== params[0]);
+    return [{ affectedRows: before - mockDb.cameras.length }];
+  }],
+  ['SELECT id FROM reader WHERE id IN', (params) => [mockDb.readers.filter(reader => params.includes(reader.id))]],
+  ['SELECT id FROM location WHERE id IN', (params) => [mockDb.locations.filter(location => params.includes(location.id))]],
+  ['DELETE FROM camera_coverage', (params) => {
+    mockDb.coverage = mockDb.coverage.filter(area => area.camera_id !== params[0]);
+    return [{ affectedRows: 1 }];
+  }],
+  ['INSERT IGNORE INTO camera_coverage', ([camera_id, reader_id, antenna, location_id, priority, time_offset_seconds]) => {
+    mockDb.coverage.push({ camera_id, reader_id, antenna, location_id, priority, time_offset_seconds });
+    return [{ affectedRows: 1 }];
+  }]
+]);
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+jest.mock('../server/utils/videoTools', () => ({
+  getVideosForCamera: jest.fn(async () => ({ videos: [], cameraAvailable: true, cameraError: null })),
+  buildVideoResponse: jest.fn((videos, target, camera) => ({ camera, videos }))
+}));
+
+const camerasRoutes = require('../server/routes/cameras');
+const cctvRoutes = require('../server/routes/cctv');
+const { cameras } = require('../server/services/cameras');
+const { locations } = require('../server/services/locations');
+const { getVideosForCamera } = require('../server/utils/videoTools');
+
+describe('Cameras', () => {
+  let app;
+
+  const create = async (body) => (await request(app).post('/api/cameras').send(body).expect(201)).body.data;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cameras.invalidate();
+    locations.invalidate();
+    mockDb.cameras = [];
+    mockDb.coverage = [];
+    mockDb.readers = [{ id: 1, name: 'Dock', mac_address: '00:16:25:12:34:56' }, { id: 2, name: 'Cage', mac_address: '00:16:25:AB:CD:EF' }];
+    mockDb.locations = [{ id: 4 }];
+    mockDb.antennas = [];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/cameras', camerasRoutes);
+    app.use('/api/cctv', cctvRoutes);
+  });
+
+  it('creates, orders, renames, disables and deletes cameras', async () => {
+    const dock = await create({ name: 'Dock', nvr_path: '/CCTV/CH001/Regular' });
+    const cage = await create({ name: 'Cage', nvr_path: '/CCTV/CH002/Regular', sort_order: 0 });
+    expect(dock).toEqual(expect.objectContaining({ name: 'Dock', enabled: true, sort_order: 1, coverage: [] }));
+
+    const list = await request(app).get('/api/cameras').expect(200);
+    expect(list.body.data.map(camera => camera.name)).toEqual(['Cage', 'Dock']);
+
+    await request(app).post('/api/cameras').send({ name: 'Dock', nvr_path: '/CCTV/CH003/Regular' }).expect(409);
+    await request(app).post('/api/cameras').send({ name: 'No path' }).expect(400);
+    await request(app).put(`/api/cameras/${dock.id}`).send({}).expect(400);
+
+    const renamed = await request(app).put(`/api/cameras/${dock.id}`).send({ name: 'Quai', enabled: false }).expect(200);
+    expect(renamed.body.data).toEqual(expect.objectContaining({ name: 'Quai', enabled: false }));
+
+    const enabled = await request(app).get('/api/cameras').expect(200);
+    expect(enabled.body.data.map(camera => camera.id)).toEqual([cage.id]);
+    const all = await request(app).get('/api/cameras?include_disabled=true').expect(200);
+    expect(all.body.data.map(camera => camera.id)).toEqual([cage.id, dock.id]);
+
+    await request(app).delete(`/api/cameras/${cage.id}`).expect(200);
+    await request(app).get(`/api/cameras/${cage.id}`).expect(404);
+    await request(app).delete(`/api/cameras/${cage.id}`).expect(404);
+  });
+
+  it('records the antennas and locations a camera covers', async () => {
+    const dock = await create({ name: 'Dock', nvr_path: '/CCTV/CH001/Regular' });
+
+    const covered = await request(app)
+      .put(`/api/cameras/${dock.id}/coverage`)
+      .send({ coverage: [{ reader_id: 1, antenna: '2' }, { location_id: 4 }] })
+      .expect(200);
+    expect(covered.body.data.coverage).toEqual([
+      { reader_id: 1, reader_name: 'Dock', antenna: '2', location_id: null, priority: 1, time_offset_seconds: 0 },
+      { reader_id: null, reader_name: null, antenna: null, location_id: 4, priority: 1, time_offset_seconds: 0 }
+    ]);
+
+    const unknown = await request(app)
+      .put(`/api/cameras/${dock.id}/coverage`)
+      .send({ coverage: [{ reader_id: 9, antenna: '1' }, { location_id: 8 }] })
+      .expect(400);
+    expect(unknown.body.error.code).toBe('COVERAGE_NOT_FOUND');
+    await request(app).put(`/api/cameras/${dock.id}/coverage`).send({ coverage: [{ reader_id: 1 }] }).expect(400);
+    await request(app).put('/api/cameras/99/coverage').send({ coverage: [] }).expect(404);
+    await request(app)
+      .put(`/api/cameras/${dock.id}/coverage`)
+      .send({ coverage: [{ location_id: 4, priority: 0 }] })
+      .expect(400);
+  });
+
+  it('ranks the cameras filming the antenna that read the tag first', async () => {
+    for (let i = 1; i <= 4; i++) {
+      await create({ name: `CAM ${i}`, nvr_path: `/CCTV/CH00${i}/Regular` });
+    }
+    // Antenna 2 of the dock reader lies in location 4
+    mockDb.antennas = [{ reader_id: 1, antenna: '2', location_id: 4 }];
+    await request(app).put('/api/cameras/3/coverage').send({ coverage: [{ reader_id: 1, antenna: '2', priority: 1, time_offset_seconds: -4 }] }).expect(200);
+    await request(app).put('/api/cameras/4/coverage').send({ coverage: [{ location_id: 4, priority: 2 }] }).expect(200);
+    await request(app).put('/api/cameras/1/coverage').send({ coverage: [{ reader_id: 2, antenna: '2' }] }).expect(200);
+
+    const ranked = await request(app).get('/api/cctv/videos?target=1760774400&antenna=2&mac_address=00:16:25:12:34:56').expect(200);
+    expect(ranked.body.data.cameras.map(camera => [camera.id, camera.relevant, camera.target])).toEqual([
+      [3, true, 1760774396],
+      [4, true, 1760774400],
+      [1, false, 1760774400],
+      [2, false, 1760774400]
+    ]);
+
+    // hist keeps only the antenna code: it matches on every reader (equal priorities in grid order)
+    const anyReader = await request(app).get('/api/cctv/videos?target=1760774400&antenna=2').expect(200);
+    expect(anyReader.body.data.cameras.filter(camera => camera.relevant).map(camera => camera.id)).toEqual([1, 3, 4]);
+
+    await request(app).get('/api/cctv/videos?target=1760774400').expect(400);
+    expect(getVideosForCamera).not.toHaveBeenCalled();
+
+    // Loading one camera for the antenna applies its offset
+    await request(app).get('/api/cctv/videos?target=1760774400&camera=3&antenna=2&mac_address=00:16:25:12:34:56').expect(200);
+    expect(getVideosForCamera).toHaveBeenCalledWith(1760774396, 3, undefined);
+  });
+
+  it('serves videos for any enabled camera in the table', async () => {
+    for (let i = 1; i <= 7; i++) {
+      await create({ name: `CAM ${i}`, nvr_path: `/CCTV/CH00${i}/Regular` });
+    }
+    await request(app).put('/api/cameras/3').send({ enabled: false }).expect(200);
+
+    await request(app).get('/api/cctv/videos?target=1760774400&camera=7').expect(200);
+    expect(getVideosForCamera).toHaveBeenCalledWith(1760774400, 7, undefined);
+
+    await request(app).get('/api/cctv/videos?target=1760774400&camera=3').expect(404);
+    await request(app).get('/api/cctv/videos?target=1760774400&camera=8').expect(404);
+    expect(getVideosForCamera).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,255 @@
+const request = require('supertest');
+const express = require('express');
+const EventEmitter = require('events');
+
+const { createMockPool } = require('./helpers/mockDatabase');
+
+// checkout / checkout_item kept in memory
+const mockDb = { checkouts: [], lines: [], items: [], now: '2026-10-18 08:00:00' };
+
+const iso = (sqlDateTime) => (sqlDateTime ? `${sqlDateTime.replace(' ', 'T')}Z` : null);
+
+const openLine = (line) => !line.returned_at && mockDb.checkouts[line.checkout_id - 1].status === 'open';
+
+const mockPool = createMockPool([
+  ['SELECT epc, group_id FROM item WHERE archived_at IS NULL AND group_id IN', (params) => [
+    mockDb.items.filter(item => params.includes(item.group_id) && !item.archived_at)
+  ]],
+  ['SELECT id, epc FROM item WHERE id IN', (params) => [mockDb.items.filter(item => params.includes(item.id))]],
+  ['SELECT epc FROM item WHERE epc IN', (params) => [mockDb.items.filter(item => params.includes(item.epc))]],
+  [/c\.status = 'open' AND ci\.returned_at IS NULL AND ci\.epc IN/, (params) => [mockDb.lines
+    .filter(line => params.includes(line.epc) && openLine(line))
+    .map(line => ({ epc: line.epc, checkout_id: line.checkout_id }))]],
+  ['INSERT INTO checkout (', ([borrower, job, notes, expected_return_at]) => {
+    const id = mockDb.checkouts.length + 1;
+    mockDb.checkouts.push({ id, borrower, job, notes, status: 'open', expected_return_at, returned_at: null, overdue_notified_at: null });
+    return [{ insertId: id, affectedRows: 1 }];
+  }],
+  ['INSERT INTO checkout_item', (params) => {
+    for (let i = 0; i < params.length; i += 6) {
+      const [checkout_id, epc, group_id, hist_id, departed_at, antenna_dep] = params.slice(i, i + 6);
+      mockDb.lines.push({
+        id: mockDb.lines.length + 1, checkout_id, epc, group_id, hist_id, departed_at, antenna_dep,
+        returned_at: null, antenna_ret: null
+      });
+    }
+    return [{ affectedRows: params.length / 6 }];
+  }],
+  [/FROM checkout c WHERE c\.id = \?/, (params) => [mockDb.checkouts.filter(c => c.id === params[0]).map(c => ({
+    ...c,
+    expected_return_at: iso(c.expected_return_at),
+    overdue: c.status === 'open' && c.expected_return_at < mockDb.now ? 1 : 0
+  }))]],
+  [/FROM checkout_item ci LEFT JOIN item i/, (params) => [mockDb.lines.filter(line => params.includes(line.checkout_id)).map(line => ({
+    ...line, departed_at: iso(line.departed_at), returned_at: iso(line.returned_at)
+  }))]],
+  [/ci\.epc = \? AND c\.status = 'open'/, (params, query) => {
+    const departed = query.includes('ci.departed_at IS NOT NULL');
+    return [mockDb.lines
+      .filter(line => line.epc === params[0] && openLine(line) && Boolean(line.departed_at) === departed)
+      .slice(0, 1)];
+  }],
+  ['UPDATE checkout_item SET departed_at', (params) => {
+    const line = mockDb.lines.find(l => l.id === params[3]);
+    Object.assign(line, { departed_at: params[0], antenna_dep: params[1], hist_id: params[2] });
+    return [{ affectedRows: 1 }];
+  }],
+  ['UPDATE checkout_item SET returned_at = ?, antenna_ret', (params) => {
+    const line = mockDb.lines.find(l => l.id === params[2]);
+    Object.assign(line, { returned_at: params[0], antenna_ret: params[1] });
+    return [{ affectedRows: 1 }];
+  }],
+  ['UPDATE checkout_item SET returned_at = UTC_TIMESTAMP()', ([checkoutId, ...epcs]) => {
+    const lines = mockDb.lines.filter(line => line.checkout_id === checkoutId && !line.returned_at &&
+      (epcs.length === 0 || epcs.includes(line.epc)));
+    lines.forEach(line => { line.returned_at = mockDb.now; });
+    return [{ affectedRows: lines.length }];
+  }],
+  ["UPDATE checkout SET status = 'returned'", (params) => {
+    const checkout = mockDb.checkouts[params[0] - 1];
+    const complete = mockDb.lines.every(line => line.checkout_id !== checkout.id || line.returned_at);
+    if (checkout.status !== 'open' || !complete) return [{ affectedRows: 0 }];
+    Object.assign(checkout, { status: 'returned', returned_at: mockDb.now });
+    return [{ affectedRows: 1 }];
+  }],
+  [/c\.overdue_notified_at IS NULL/, (params) => [mockDb.checkouts
+    .filter(c => c.status === 'open' && !c.overdue_notified_at && c.expected_return_at < params[0])
+    .map(c => ({
+      id: c.id, borrower: c.borrower, job: c.job, expected_return_at: iso(c.expected_return_at),
+      items_out: mockDb.lines.filter(line => line.checkout_id === c.id && !line.returned_at).length
+    }))]],
+  ['UPDATE checkout SET overdue_notified_at', (params) => {
+    mockDb.checkouts[params[1] - 1].overdue_notified_at = params[0];
+    return [{ affectedRows: 1 }];
+  }]
+]);
+
+// Item row locks taken by SELECT ... FOR UPDATE: epc -> released when the holder commits or rolls back
+const mockLocks = new Map();
+
+const mockConnection = () => {
+  let unlock;
+  const released = new Promise(resolve => { unlock = resolve; });
+  const end = async () => {
+    for (const [epc, lock] of mockLocks) if (lock === released) mockLocks.delete(epc);
+    unlock();
+  };
+  return {
+    execute: async (sql, params = []) => {
+      if (!sql.includes('FOR UPDATE')) return mockPool.execute(sql, params);
+      for (const epc of params) {
+        while (mockLocks.has(epc) && mockLocks.get(epc) !== released) await mockLocks.get(epc);
+        mockLocks.set(epc, released);
+      }
+      return [mockDb.items.filter(item => params.includes(item.epc))];
+    },
+    beginTransaction: jest.fn(),
+    commit: jest.fn(end),
+    rollback: jest.fn(end),
+    release: jest.fn()
+  };
+};
+
+jest.mock('../server/config/database', () => ({
+  execute: mockPool.execute,
+  getConnection: jest.fn(async () => mockConnection())
+}));
+jest.mock('../server/services/realtimeService', () => ({
+  publishRFIDEvent: jest.fn().mockResolvedValue(),
+  publishSystemEvent: jest.fn().mockResolvedValue()
+}));
+jest.mock('../server/services/movementEngine', () => ({ movementEngine: { getState: jest.fn() } }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const realtimeService = require('../server/services/realtimeService');
+const checkoutsRoutes = require('../server/routes/checkouts');
+const { CheckoutService, checkouts } = require('../server/services/checkouts');
+
+// 2026-10-18 08:00:00 UTC
+const NOW = 1792310400;
+
+describe('Checkouts', () => {
+  let app;
+  let engine;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.checkouts = [];
+    mockDb.lines = [];
+    mockDb.items = [
+      { id: 1, epc: 'CAM1', group_id: 1 },
+      { id: 2, epc: 'TRIPOD1', group_id: 1 },
+      { id: 3, epc: 'LIVEU1', group_id: 6 }
+    ];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/checkouts', checkoutsRoutes);
+
+    // Exit antenna 9; departures elsewhere only mean "not read lately"
+    engine = new EventEmitter();
+    engine.exitAntennas = new Set(['9']);
+    engine.getState = jest.fn(() => null);
+    service = new CheckoutService({ engine });
+    service.start();
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  it('checks out a whole group plus single items and refuses items already out', async () => {
+    const res = await request(app)
+      .post('/api/checkouts')
+      .send({ borrower: 'Camille', job: 'Match OL-PSG', expected_return_at: '2026-10-18T20:00:00Z', group_ids: [1], item_ids: [3] })
+      .expect(201);
+
+    expect(res.body.data).toEqual(expect.objectContaining({ id: 1, borrower: 'Camille', status: 'open', overdue: false }));
+    expect(res.body.data.items.map(item => [item.epc, item.group_id])).toEqual([['CAM1', 1], ['TRIPOD1', 1], ['LIVEU1', null]]);
+    expect(mockDb.checkouts[0].expected_return_at).toBe('2026-10-18 20:00:00');
+
+    const conflict = await request(app)
+      .post('/api/checkouts')
+      .send({ borrower: 'Sam', expected_return_at: '2026-10-19T08:00:00Z', epcs: ['LIVEU1'] })
+      .expect(409);
+    expect(conflict.body.error.code).toBe('ALREADY_CHECKED_OUT');
+
+    await request(app).post('/api/checkouts').send({ borrower: 'Sam', expected_return_at: '2026-10-19T08:00:00Z', item_ids: [99] }).expect(400);
+    await request(app).post('/api/checkouts').send({ borrower: 'Sam', expected_return_at: '2026-10-19T08:00:00Z' }).expect(400);
+    await request(app).post('/api/checkouts').send({ expected_return_at: 'tomorrow', epcs: ['CAM1'] }).expect(400);
+  });
+
+  it('lets only one of two concurrent checkouts take the same item', async () => {
+    const results = await Promise.allSettled([
+      service.create({ borrower: 'Camille', expectedReturnAt: NOW + 3600, epcs: ['LIVEU1'] }),
+      service.create({ borrower: 'Sam', expectedReturnAt: NOW + 3600, itemIds: [3] })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.code).toBe('ALREADY_CHECKED_OUT');
+    expect(mockDb.checkouts).toHaveLength(1);
+    expect(mockDb.lines.filter(line => line.epc === 'LIVEU1')).toHaveLength(1);
+  });
+
+  it('leaves archived items out of a group checkout', async () => {
+    mockDb.items[1].archived_at = '2026-10-01 10:00:00';
+
+    const checkout = await service.create({ borrower: 'Camille', expectedReturnAt: NOW + 3600, groupIds: [1] });
+    expect(checkout.items.map(item => item.epc)).toEqual(['CAM1']);
+  });
+
+  it('attaches exit departures and returns, and closes the checkout with the last item', async () => {
+    await checkouts.create({ borrower: 'Camille', expectedReturnAt: NOW + 3600, epcs: ['CAM1', 'TRIPOD1'] });
+
+    // Not an exit antenna: ignored
+    engine.emit('departure', { epc: 'CAM1', antenna: '2', departedAt: NOW, exit: false, histId: null });
+    await flush();
+    expect(mockDb.lines[0].departed_at).toBeNull();
+
+    engine.emit('departure', { epc: 'CAM1', antenna: '9', departedAt: NOW, exit: true, histId: 41 });
+    await flush();
+    expect(mockDb.lines[0]).toEqual(expect.objectContaining({ departed_at: '2026-10-18 08:00:00', antenna_dep: '9', hist_id: 41 }));
+
+    engine.emit('return', { epc: 'CAM1', antenna: '9', returnedAt: NOW + 1800 });
+    await flush();
+    await flush();
+    expect(mockDb.lines[0].returned_at).toBe('2026-10-18 08:30:00');
+    expect(mockDb.checkouts[0].status).toBe('open');
+
+    // Tripod never left through the exit: checked in by hand
+    const res = await request(app).post('/api/checkouts/1/checkin').send({}).expect(200);
+    expect(res.body.data.status).toBe('returned');
+    expect(realtimeService.publishSystemEvent).toHaveBeenCalledWith('checkout', expect.objectContaining({ id: 1, event: 'returned' }));
+
+    await request(app).post('/api/checkouts/1/cancel').expect(409);
+  });
+
+  it('keeps the departure of items that already left when the checkout is created', async () => {
+    engine.getState.mockImplementation(epc => (epc === 'LIVEU1'
+      ? { present: false, departedAt: NOW - 600, antennaDep: '9', openHistId: 7 }
+      : null));
+
+    const checkout = await service.create({ borrower: 'Sam', expectedReturnAt: NOW + 3600, epcs: ['LIVEU1'] });
+    expect(checkout.items[0]).toEqual(expect.objectContaining({ departed_at: '2026-10-18T07:50:00Z', hist_id: 7 }));
+  });
+
+  it('publishes checkout_overdue once per late checkout', async () => {
+    await service.create({ borrower: 'Camille', job: 'ENG2 Tour de France', expectedReturnAt: NOW - 60, groupIds: [1] });
+
+    expect(await service.checkOverdue(NOW)).toBe(1);
+    expect(realtimeService.publishSystemEvent).toHaveBeenCalledWith('checkout_overdue', expect.objectContaining({
+      id: 1, borrower: 'Camille', job: 'ENG2 Tour de France', expectedReturnAt: '2026-10-18T07:59:00Z', itemsOut: 2
+    }));
+    expect(await service.checkOverdue(NOW + 60)).toBe(0);
+
+    const res = await request(app).get('/api/checkouts/1').expect(200);
+    expect(res.body.data.overdue).toBe(true);
+    await request(app).get('/api/checkouts/2').expect(404);
+  });
+});
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool (camera table kept in memory)
+const mockDb = { cameras: [] };
+
+const mockExecute = jest.fn(async (sql) => {
+  const query = sql.replace(/\s+/g, ' ').trim();
+
+  if (query.startsWith('SELECT id, name, nvr_path, enabled, sort_order, description')) {
+    return [mockDb.cameras.map(camera => ({ ...camera }))];
+  }
+  if (query.startsWith('SELECT cc.camera_id, cc.reader_id')) {
+    return [[]];
+  }
+  throw new Error(`Unexpected query: ${query}`);
+});
+
+jest.mock('../server/config/database', () => ({
+  execute: mockExecute
+}));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const { CCTV } = require('../server/config/constants');
+const { localDateToUTC } = require('../server/utils/timezoneUtils');
+const { cameras } = require('../server/services/cameras');
+const { clips } = require('../server/services/clips');
+const cctvRoutes = require('../server/routes/cctv');
+
+const CLIP_1010 = localDateToUTC(2026, 9, 18, 10, 10, 0);
+const CLIP_1012 = localDateToUTC(2026, 9, 18, 10, 12, 0);
+const CLIP_1014 = localDateToUTC(2026, 9, 18, 10, 14, 0);
+
+// Stands in for ffmpeg: logs its call and writes what it was asked to cut
+const FAKE_FFMPEG = `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+const value = (flag) => args[args.indexOf(flag) + 1];
+const files = fs.readFileSync(value('-i'), 'utf8').trim().split('\\n').map(line => line.slice(6, -1));
+fs.appendFileSync(path.join(__dirname, 'calls'), 'x');
+fs.writeFileSync(args[args.length - 1], JSON.stringify({
+  ss: value('-ss'),
+  t: value('-t'),
+  codec: value('-c'),
+  segments: files.map(file => fs.readFileSync(file, 'utf8'))
+}));
+`;
+
+// Stands in for ffprobe: recorder clips last 120 s unless bin/durations.json says otherwise
+const FAKE_FFPROBE = `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+const durations = path.join(__dirname, 'durations.json');
+const content = fs.readFileSync(process.argv[process.argv.length - 1], 'utf8');
+const known = fs.existsSync(durations) ? JSON.parse(fs.readFileSync(durations, 'utf8')) : {};
+console.log(known[content] || 120);
+`;
+
+describe('CCTV clips', () => {
+  let root, app;
+  const saved = { ...CCTV };
+  const savedOptions = { ...clips.options };
+
+  const calls = () => (fs.existsSync(path.join(root, 'bin', 'calls')) ? fs.readFileSync(path.join(root, 'bin', 'calls'), 'utf8').length : 0);
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'clips-'));
+    const day = path.join(root, 'nvr', 'dock', '2026-10-18');
+    fs.mkdirSync(day, { recursive: true });
+    fs.writeFileSync(path.join(day, 'CH01_20261018_101000.mp4'), 'clip-1010');
+    fs.writeFileSync(path.join(day, 'CH01_20261018_101200.mp4'), 'clip-1012');
+    fs.writeFileSync(path.join(day, 'CH01_20261018_101400.mp4'), 'clip-1014');
+    fs.mkdirSync(path.join(root, 'bin'));
+    fs.writeFileSync(path.join(root, 'bin', 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+    fs.writeFileSync(path.join(root, 'bin', 'ffprobe'), FAKE_FFPROBE, { mode: 0o755 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    Object.assign(CCTV, saved, {
+      driver: 'directory',
+      directoryRoot: path.join(root, 'nvr'),
+      filenamePattern: '{YYYY}-{MM}-{DD}/CH01_{YYYY}{MM}{DD}_{hh}{mm}{ss}.mp4'
+    });
+    Object.assign(clips.options, {
+      ffmpegPath: path.join(root, 'bin', 'ffmpeg'),
+      ffprobePath: path.join(root, 'bin', 'ffprobe'),
+      cacheDir: path.join(root, 'cache')
+    });
+    fs.rmSync(path.join(root, 'bin', 'calls'), { force: true });
+    fs.rmSync(path.join(root, 'bin', 'durations.json'), { force: true });
+    cameras.invalidate();
+    mockDb.cameras = [
+      { id: 1, name: 'Dock', nvr_path: 'dock', enabled: 1, sort_order: 1, description: null },
+      { id: 2, name: 'Cage', nvr_path: 'cage', enabled: 0, sort_order: 2, description: null }
+    ];
+
+    app = express();
+    app.use('/api/cctv', cctvRoutes);
+  });
+
+  afterEach(() => {
+    Object.assign(CCTV, saved);
+    Object.assign(clips.options, savedOptions);
+  });
+
+  const getClip = (query) => request(app).get(`/api/cctv/clip?${query}`).buffer(true).parse((res, done) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => done(null, body));
+  });
+
+  it('trims and stitches the recorder clips around a moment, then serves it from the cache', async () => {
+    const query = `camera=1&from=${CLIP_1010 + 90}&to=${CLIP_1012 + 30}`;
+    const response = await getClip(query).expect(200);
+    expect(response.headers['content-type']).toBe('video/mp4');
+    expect(JSON.parse(response.body)).toEqual({ ss: '90', t: '60', codec: 'copy', segments: ['clip-1010', 'clip-1012'] });
+    expect(fs.existsSync(path.join(root, 'cache', `clip1_${CLIP_1010 + 90}_${CLIP_1012 + 30}.mp4`))).toBe(true);
+    expect(calls()).toBe(1);
+
+    await getClip(query).expect(200);
+    expect(calls()).toBe(1);
+
+    // Starts with the first recording when the range begins before it
+    const early = await getClip(`camera=1&from=${CLIP_1010 - 60}&to=${CLIP_1010 + 30}`).expect(200);
+    expect(JSON.parse(early.body)).toEqual({ ss: '0', t: '30', codec: 'copy', segments: ['clip-1010'] });
+
+    const last = await getClip(`camera=1&from=${CLIP_1014 + 10}&to=${CLIP_1014 + 70}`).expect(200);
+    expect(JSON.parse(last.body).segments).toEqual(['clip-1014']);
+  });
+
+  it('rejects bad ranges, unknown cameras and missing footage', async () => {
+    await request(app).get(`/api/cctv/clip?camera=1&from=${CLIP_1010}&to=${CLIP_1010}`).expect(400);
+    await request(app).get(`/api/cctv/clip?camera=1&from=${CLIP_1010}&to=${CLIP_1010 + CCTV.clipMaxSeconds + 1}`).expect(400);
+    await request(app).get(`/api/cctv/clip?from=${CLIP_1010}&to=${CLIP_1010 + 60}`).expect(400);
+    await request(app).get(`/api/cctv/clip?camera=2&from=${CLIP_1010}&to=${CLIP_1010 + 60}`).expect(404);
+
+    const none = await request(app).get(`/api/cctv/clip?camera=1&from=${CLIP_1010 - 600}&to=${CLIP_1010 - 60}`).expect(404);
+    expect(none.body.error.code).toBe('NO_FOOTAGE');
+    expect(calls()).toBe(0);
+  });
+
+  it('refuses to stitch over a gap in the recording', async () => {
+    // 10:10 only recorded its first minute
+    fs.writeFileSync(path.join(root, 'bin', 'durations.json'), JSON.stringify({ 'clip-1010': 60 }));
+
+    const across = await request(app).get(`/api/cctv/clip?camera=1&from=${CLIP_1010 + 30}&to=${CLIP_1012 + 30}`).expect(404);
+    expect(across.body.error.code).toBe('FOOTAGE_GAP');
+    await expect(clips.extract({ cameraId: 1, from: CLIP_1010 + 30, to: CLIP_1012 + 30 }))
+      .rejects.toMatchObject({ details: { gaps: [{ from: CLIP_1010 + 60, to: CLIP_1012 }] } });
+    expect(calls()).toBe(0);
+
+    // Both sides of the gap are still served on their own
+    await getClip(`camera=1&from=${CLIP_1010 + 10}&to=${CLIP_1010 + 50}`).expect(200);
+    await getClip(`camera=1&from=${CLIP_1012 + 40}&to=${CLIP_1012 + 100}`).expect(200);
+    expect(calls()).toBe(2);
+  });
+
+  it('cuts one clip at a time with a concurrency of 1', async () => {
+    // Leaves an "overlap" mark when started while another cut is running
+    fs.writeFileSync(path.join(root, 'bin', 'busy-ffmpeg'), `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+const busy = path.join(__dirname, 'busy');
+if (fs.existsSync(busy)) fs.writeFileSync(path.join(__dirname, 'overlap'), '');
+fs.writeFileSync(busy, '');
+setTimeout(() => {
+  fs.rmSync(busy);
+  fs.writeFileSync(process.argv[process.argv.length - 1], 'clip');
+}, 300);
+`, { mode: 0o755 });
+    Object.assign(clips.options, { ffmpegPath: path.join(root, 'bin', 'busy-ffmpeg'), concurrency: 1 });
+
+    await Promise.all([
+      getClip(`camera=1&from=${CLIP_1014 + 30}&to=${CLIP_1014 + 40}`).expect(200),
+      getClip(`camera=1&from=${CLIP_1014 + 50}&to=${CLIP_1014 + 60}`).expect(200)
+    ]);
+    expect(fs.existsSync(path.join(root, 'bin', 'overlap'))).toBe(false);
+    expect(clips.running).toBe(0);
+  });
+
+  it('reports a missing ffmpeg', async () => {
+    clips.options.ffmpegPath = path.join(root, 'bin', 'no-ffmpeg');
+    const response = await request(app).get(`/api/cctv/clip?camera=1&from=${CLIP_1012 + 5}&to=${CLIP_1012 + 25}`).expect(503);
+    expect(response.body.error.code).toBe('FFMPEG_UNAVAILABLE');
+    expect(fs.readdirSync(path.join(root, 'cache')).filter(file => file.includes(`_${CLIP_1012 + 5}_`))).toEqual([]);
+  });
+
+  it('kills ffmpeg when it runs past the timeout', async () => {
+    fs.writeFileSync(path.join(root, 'bin', 'slow-ffmpeg'), `#!${process.execPath}\nsetTimeout(() => {}, 60000);\n`, { mode: 0o755 });
+    Object.assign(clips.options, { ffmpegPath: path.join(root, 'bin', 'slow-ffmpeg'), timeoutMs: 200 });
+    const response = await request(app).get(`/api/cctv/clip?camera=1&from=${CLIP_1014 + 5}&to=${CLIP_1014 + 25}`).expect(502);
+    expect(response.body.error.code).toBe('FFMPEG_FAILED');
+  });
+
+  it('rate-limits clip requests', async () => {
+    let response;
+    for (let i = 0; i < 40; i++) {
+      response = await request(app).get('/api/cctv/clip?camera=1');
+      if (response.status === 429) break;
+    }
+    expect(response.status).toBe(429);
+  });
+});
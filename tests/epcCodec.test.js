@@ -0,0 +1,121 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool
+const mockPool = {
+  execute: jest.fn()
+};
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const { decodeEpc, encodeEpc, defineScheme, gs1CheckDigit } = require('../server/utils/epcCodec');
+const { EpcGenerator } = require('../server/services/epcGenerator');
+const epcRoutes = require('../server/routes/epc');
+const itemsRoutes = require('../server/routes/items');
+
+describe('EPC codec', () => {
+  // GS1 EPC Tag Data Standard examples
+  it('encodes and decodes SGTIN-96', () => {
+    const epc = encodeEpc('sgtin-96', { filter: 3, companyPrefix: '0614141', itemReference: '812345', serial: '6789' });
+    expect(epc).toBe('3074257BF7194E4000001A85');
+    expect(decodeEpc(epc)).toEqual(expect.objectContaining({
+      scheme: 'sgtin-96',
+      companyPrefix: '0614141',
+      itemReference: '812345',
+      serial: '6789',
+      gtin: '80614141123458',
+      uri: 'urn:epc:id:sgtin:0614141.812345.6789',
+      tagUri: 'urn:epc:tag:sgtin-96:3.0614141.812345.6789'
+    }));
+  });
+
+  it('encodes and decodes GRAI-96 and GIAI-96', () => {
+    expect(encodeEpc('grai-96', { filter: 3, companyPrefix: '0614141', assetType: '12345', serial: '5678' }))
+      .toBe('3374257BF40C0E400000162E');
+    expect(decodeEpc('3374257BF40C0E400000162E').uri).toBe('urn:epc:id:grai:0614141.12345.5678');
+
+    expect(encodeEpc('giai-96', { filter: 3, companyPrefix: '0614141', assetReference: '5678' }))
+      .toBe('3474257BF40000000000162E');
+    expect(decodeEpc('3474257BF40000000000162E')).toEqual(expect.objectContaining({
+      scheme: 'giai-96', companyPrefix: '0614141', assetReference: '5678'
+    }));
+  });
+
+  it('decodes the historical item prefix as SGTIN-96', () => {
+    expect(decodeEpc('300833B2DDD9014000000001')).toEqual(expect.objectContaining({
+      scheme: 'sgtin-96', filter: 0, companyPrefix: '0867360217', itemReference: '005', serial: '1'
+    }));
+  });
+
+  it('falls back to raw and supports user-defined layouts', () => {
+    expect(decodeEpc('E2000017221101441890ABCD')).toEqual(expect.objectContaining({
+      scheme: 'raw', bits: 96, uri: 'urn:epc:raw:96.xE2000017221101441890ABCD'
+    }));
+    expect(decodeEpc('E2801160').scheme).toBe('raw');
+
+    defineScheme({ name: 'site-96', header: 'E0', fields: [{ name: 'site', bits: 16 }, { name: 'asset', bits: 72 }] });
+    const epc = encodeEpc('site-96', { site: 42, asset: '123456789012345678901' });
+    expect(decodeEpc(epc)).toEqual({ scheme: 'site-96', hex: epc, site: '42', asset: '123456789012345678901' });
+    expect(() => defineScheme({ name: 'other', header: 0x30, fields: [{ name: 'x', bits: 88 }] })).toThrow(/already used/);
+  });
+
+  it('rejects values that do not fit the scheme', () => {
+    expect(() => encodeEpc('sgtin-96', { companyPrefix: '0614141', itemReference: '12', serial: '1' })).toThrow(/6 digits/);
+    expect(() => encodeEpc('sgtin-96', { companyPrefix: '0614141', itemReference: '812345', serial: String(2 ** 38) })).toThrow(/38 bits/);
+    expect(() => encodeEpc('grai-96', { companyPrefix: '12345', assetType: '1', serial: '1' })).toThrow(/6 to 12 digits/);
+    expect(gs1CheckDigit('0061414112345')).toBe('2');
+  });
+});
+
+describe('EPC generation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('takes the next serial and skips EPCs already in use', async () => {
+    const generator = new EpcGenerator({ scheme: 'sgtin-96', companyPrefix: '0867360217', itemReference: '005', filter: 0 });
+    mockPool.execute
+      .mockResolvedValueOnce([{ insertId: 1 }])
+      .mockResolvedValueOnce([[{ id: 7 }]])
+      .mockResolvedValueOnce([{ insertId: 2 }])
+      .mockResolvedValueOnce([[]]);
+
+    await expect(generator.next()).resolves.toBe('300833B2DDD9014000000002');
+    expect(mockPool.execute.mock.calls[0]).toEqual([
+      expect.stringContaining('LAST_INSERT_ID(last_value + 1)'),
+      ['sgtin-96:0867360217.005', 1]
+    ]);
+  });
+
+  it('creates items with a generated EPC and refuses duplicates', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/items', itemsRoutes);
+    app.use('/api/epc', epcRoutes);
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    mockPool.execute.mockImplementation(async (query, params) => {
+      if (query.includes('epc_sequence')) return [{ insertId: 5 }];
+      if (query.includes('SELECT id FROM item')) return [[]];
+      if (query.includes('INSERT INTO item')) return [{ insertId: 12 }];
+      return [[{ id: 12, epc: params[0] }]];
+    });
+
+    await request(app).post('/api/items').send({ designation: 'Perceuse' }).expect(200);
+    const insert = mockPool.execute.mock.calls.find(([query]) => query.includes('INSERT INTO item'));
+    expect(insert[1][4]).toBe('300833B2DDD9014000000005');
+
+    mockPool.execute.mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+    await request(app).post('/api/items').send({ designation: 'Perceuse', epc: '300833B2DDD9014000000005' }).expect(409);
+
+    const decoded = await request(app).get('/api/epc/decode/300833B2DDD9014000000005').expect(200);
+    expect(decoded.body.data.uri).toBe('urn:epc:id:sgtin:0867360217.005.5');
+    await request(app).get('/api/epc/decode/not-hex').expect(400);
+    await request(app).post('/api/epc/encode').send({ scheme: 'sgtin-96', fields: { companyPrefix: '1' } }).expect(400);
+    consoleLog.mockRestore();
+  });
+});
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool (item / hist / read_event / camera registry kept in memory)
+const mockDb = { items: [], hist: [], reads: [], cameras: [], coverage: [], readers: [], antennas: [] };
+
+const mockExecute = jest.fn(async (sql, params = []) => {
+  const query = sql.replace(/\s+/g, ' ').trim();
+
+  if (query.startsWith('SELECT i.*, g.group_name')) {
+    return [mockDb.items.filter(item => item.id === params[0])];
+  }
+  if (query.startsWith('SELECT id, epchist as epc')) {
+    return [mockDb.hist.filter(row => row.epc === params[0])];
+  }
+  if (query.startsWith('SELECT id, epc, antenna, mac_address, reader_name')) {
+    return [mockDb.reads.filter(read => read.epc === params[0])];
+  }
+  if (query.startsWith('SELECT id, name, nvr_path, enabled, sort_order, description')) {
+    return [mockDb.cameras.map(camera => ({ ...camera }))];
+  }
+  if (query.startsWith('SELECT cc.camera_id, cc.reader_id')) {
+    return [mockDb.coverage.map(area => ({ ...area, mac_address: mockDb.readers.find(row => row.id === area.reader_id)?.mac_address ?? null }))];
+  }
+  if (query.startsWith('SELECT id, parent_id, name, type, description')) {
+    return [[]];
+  }
+  if (query.startsWith('SELECT ra.location_id, ra.reader_id')) {
+    return [mockDb.antennas];
+  }
+  throw new Error(`Unexpected query: ${query}`);
+});
+
+jest.mock('../server/config/database', () => ({
+  execute: mockExecute
+}));
+jest.mock('../server/services/webhooks', () => ({ webhooks: { publish: jest.fn() } }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const { CCTV } = require('../server/config/constants');
+const { localDateToUTC } = require('../server/utils/timezoneUtils');
+const { cameras } = require('../server/services/cameras');
+const { locations } = require('../server/services/locations');
+const { clips } = require('../server/services/clips');
+const { crc32 } = require('../server/utils/crc32');
+const itemsRoutes = require('../server/routes/items');
+
+const CLIP_1010 = localDateToUTC(2026, 9, 18, 10, 10, 0);
+const iso = (timestamp) => new Date(timestamp * 1000).toISOString().replace('.000', '');
+
+// Stands in for ffmpeg: writes what it was asked to cut
+const FAKE_FFMPEG = `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+const value = (flag) => args[args.indexOf(flag) + 1];
+const files = fs.readFileSync(value('-i'), 'utf8').trim().split('\\n').map(line => line.slice(6, -1));
+fs.writeFileSync(args[args.length - 1], JSON.stringify({
+  ss: value('-ss'),
+  t: value('-t'),
+  segments: files.map(file => fs.readFileSync(file, 'utf8'))
+}));
+`;
+
+// Entries of a ZIP archive (central directory), checked against their CRC-32
+function readZip(archive) {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let record = archive.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = archive.readUInt16LE(record + 10);
+    const crc = archive.readUInt32LE(record + 16);
+    const compressedSize = archive.readUInt32LE(record + 20);
+    const nameLength = archive.readUInt16LE(record + 28);
+    const local = archive.readUInt32LE(record + 42);
+    const name = archive.toString('utf8', record + 46, record + 46 + nameLength);
+    const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+    const stored = archive.subarray(start, start + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(stored) : stored;
+    expect(crc32(data)).toBe(crc);
+    entries[name] = data;
+    record += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('Evidence bundles', () => {
+  let root, app;
+  const saved = { ...CCTV };
+  const savedOptions = { ...clips.options };
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+    const day = path.join(root, 'nvr', 'dock', '2026-10-18');
+    fs.mkdirSync(day, { recursive: true });
+    fs.writeFileSync(path.join(day, 'CH01_20261018_101000.mp4'), 'clip-1010');
+    fs.writeFileSync(path.join(day, 'CH01_20261018_101200.mp4'), 'clip-1012');
+    fs.mkdirSync(path.join(root, 'bin'));
+    fs.writeFileSync(path.join(root, 'bin', 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    Object.assign(CCTV, saved, {
+      driver: 'directory',
+      directoryRoot: path.join(root, 'nvr'),
+      filenamePattern: '{YYYY}-{MM}-{DD}/CH01_{YYYY}{MM}{DD}_{hh}{mm}{ss}.mp4'
+    });
+    Object.assign(clips.options, { ffmpegPath: path.join(root, 'bin', 'ffmpeg'), cacheDir: path.join(root, 'cache') });
+    cameras.invalidate();
+    locations.invalidate();
+
+    mockDb.items = [{ id: 42, epc: 'E42', designation: 'Perceuse <18V>', inventory_code: 'INV-42', group: 'Outillage', antenna: '2', archived_at: null }];
+    mockDb.hist = [
+      // Back through antenna 2 before the first recording: no footage
+      { id: 6, epc: 'E42', dep: iso(CLIP_1010 - 7200), ret: iso(CLIP_1010 - 300), antenna_dep: '1', antenna_ret: '2' },
+      // Left through antenna 2 and not back
+      { id: 7, epc: 'E42', dep: iso(CLIP_1010 + 20), ret: null, antenna_dep: '2', antenna_ret: null }
+    ];
+    mockDb.reads = [
+      { id: 1, epc: 'E42', antenna: '2', read_at: `${iso(CLIP_1010 + 18).slice(0, -1)}.000000Z` },
+      { id: 2, epc: 'E42', antenna: '2', read_at: `${iso(CLIP_1010 + 20).slice(0, -1)}.000000Z` }
+    ];
+    mockDb.readers = [{ id: 1, name: 'Dock', mac_address: '00:16:25:12:34:56' }];
+    mockDb.cameras = [
+      { id: 1, name: 'Quai', nvr_path: 'dock', enabled: 1, sort_order: 1, description: null },
+      { id: 2, name: 'Cage', nvr_path: 'cage', enabled: 1, sort_order: 2, description: null }
+    ];
+    mockDb.coverage = [{ camera_id: 1, reader_id: 1, reader_name: 'Dock', antenna: '2', location_id: null, priority: 1, time_offset_seconds: -5 }];
+    mockDb.antennas = [];
+
+    app = express();
+    app.use('/api/items', itemsRoutes);
+  });
+
+  afterEach(() => {
+    Object.assign(CCTV, saved);
+    Object.assign(clips.options, savedOptions);
+  });
+
+  const download = (url) => request(app).get(url).buffer(true).parse((res, done) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks)));
+  });
+
+  it('bundles the record, movements, reads and clips with a SHA-256 manifest', async () => {
+    const response = await download(`/api/items/42/evidence?from=${iso(CLIP_1010 - 600)}&to=${iso(CLIP_1010 + 3600)}`).expect(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="evidence-item42-\d{8}\.zip"$/);
+
+    const entries = readZip(response.body);
+    expect(Object.keys(entries).sort()).toEqual([
+      'clips.json',
+      'clips/hist7_departure_cam1.mp4',
+      'item.json',
+      'manifest.sha256',
+      'movements.json',
+      'reads.json',
+      'summary.html'
+    ]);
+
+    const manifest = entries['manifest.sha256'].toString();
+    expect(crypto.createHash('sha256').update(manifest).digest('hex')).toBe(response.headers['x-evidence-manifest-sha256']);
+    const lines = manifest.trim().split('\n');
+    expect(lines).toHaveLength(6);
+    for (const line of lines) {
+      const [hash, name] = line.split('  ');
+      expect(crypto.createHash('sha256').update(entries[name]).digest('hex')).toBe(hash);
+    }
+
+    expect(JSON.parse(entries['item.json'])).toEqual(expect.objectContaining({ id: 42, epc: 'E42' }));
+    expect(JSON.parse(entries['movements.json']).map(movement => [movement.id, movement.depposix])).toEqual([
+      [6, CLIP_1010 - 7200],
+      [7, CLIP_1010 + 20]
+    ]);
+    expect(JSON.parse(entries['reads.json'])).toHaveLength(2);
+
+    // Camera 1 films antenna 2 five seconds early: 30 s before to 60 s after the departure
+    expect(JSON.parse(entries['clips/hist7_departure_cam1.mp4'])).toEqual({ ss: '0', t: '75', segments: ['clip-1010'] });
+    expect(JSON.parse(entries['clips.json']).map(clip => [clip.hist_id, clip.event, clip.camera.id, clip.from, clip.error])).toEqual([
+      [6, 'return', 1, CLIP_1010 - 335, 'NO_FOOTAGE'],
+      [7, 'departure', 1, CLIP_1010 - 15, null]
+    ]);
+
+    const summary = entries['summary.html'].toString();
+    expect(summary).toContain('Perceuse &lt;18V&gt;');
+    expect(summary).toContain('non revenu');
+    expect(summary).toContain('indisponible (NO_FOOTAGE)');
+    expect(summary).toContain('clips/hist7_departure_cam1.mp4');
+  });
+
+  it('computes CRC-32 without zlib.crc32 (Node 18)', () => {
+    expect(crc32('123456789')).toBe(0xCBF43926);
+    expect(crc32(Buffer.from('6789'), crc32('12345'))).toBe(0xCBF43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  it('rejects unknown items and bad ranges', async () => {
+    await request(app).get(`/api/items/43/evidence?from=${iso(CLIP_1010)}&to=${iso(CLIP_1010 + 60)}`).expect(404);
+    await request(app).get(`/api/items/42/evidence?from=${iso(CLIP_1010)}&to=${iso(CLIP_1010 - 60)}`).expect(400);
+    await request(app).get(`/api/items/42/evidence?from=${iso(CLIP_1010)}&to=${iso(CLIP_1010 + 32 * 86400)}`).expect(400);
+    await request(app).get(`/api/items/42/evidence?from=${iso(CLIP_1010)}`).expect(400);
+  });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool (groupname / item kept in memory)
+const mockDb = { groups: [], items: [] };
+
+const mockExecute = jest.fn(async (sql, params = []) => {
+  const query = sql.replace(/\s+/g, ' ').trim();
+  const find = (groupId) => mockDb.groups.find(group => group.group_id === String(groupId));
+
+  if (query.includes('FROM groupname g LEFT JOIN item i')) {
+    let groups = mockDb.groups;
+    if (query.includes('g.group_id = ?')) groups = groups.filter(group => group.group_id === params[0]);
+    else if (query.includes('g.archived_at IS NULL')) groups = groups.filter(group => !group.archived_at);
+    return [[...groups]
+      .sort((a, b) => a.sort_order - b.sort_order || Number(a.group_id) - Number(b.group_id))
+      .map(group => ({ ...group, item_count: mockDb.items.filter(item => String(item.group_id) === group.group_id).length }))];
+  }
+  if (query.startsWith('SELECT COALESCE(MAX(CAST(group_id AS UNSIGNED)), 0) + 1')) {
+    return [[{
+      group_id: Math.max(0, ...mockDb.groups.map(group => Number(group.group_id))) + 1,
+      sort_order: Math.max(0, ...mockDb.groups.map(group => group.sort_order)) + 1
+    }]];
+  }
+  if (query.startsWith('INSERT INTO groupname')) {
+    const [group_id, group_name, color, icon, description, sort_order] = params;
+    if (find(group_id)) throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+    mockDb.groups.push({ id: mockDb.groups.length + 1, group_id, group_name, color, icon, description, sort_order, archived_at: null });
+    return [{ affectedRows: 1 }];
+  }
+  if (query.startsWith('UPDATE groupname SET sort_order = ?')) {
+    const group = find(params[1]);
+    if (group) group.sort_order = params[0];
+    return [{ affectedRows: group ? 1 : 0 }];
+  }
+  if (query.startsWith('UPDATE groupname SET archived_at')) {
+    const group = find(params[0]);
+    if (group) group.archived_at = query.includes('NULL WHERE') ? null : group.archived_at || '2026-10-18 08:00:00';
+    return [{ affectedRows: group ? 1 : 0 }];
+  }
+  if (query.startsWith('UPDATE groupname SET')) {
+    const group = find(params[params.length - 1]);
+    if (!group) return [{ affectedRows: 0 }];
+    const fields = query.match(/SET (.*) WHERE/)[1].split(', ').map(set => set.split(' = ')[0]);
+    fields.forEach((field, i) => { group[field] = params[i]; });
+    return [{ affectedRows: 1 }];
+  }
+  if (query.startsWith('SELECT group_id FROM groupname WHERE group_id = ? AND archived_at IS NULL')) {
+    return [mockDb.groups.filter(group => group.group_id === params[0] && !group.archived_at)];
+  }
+  if (query.startsWith('SELECT id FROM item WHERE group_id = ?')) {
+    return [mockDb.items.filter(item => String(item.group_id) === String(params[0]))];
+  }
+  if (query.startsWith('INSERT INTO audit_log')) {
+    return [{ affectedRows: params.length / 9 }];
+  }
+  if (query.startsWith('UPDATE item SET group_id = ?')) {
+    const moved = mockDb.items.filter(item => String(item.group_id) === String(params[1]));
+    moved.forEach(item => { item.group_id = params[0]; });
+    return [{ affectedRows: moved.length }];
+  }
+  if (query.startsWith('DELETE FROM groupname')) {
+    mockDb.groups = mockDb.groups.filter(group => group.group_id !== params[0]);
+    return [{ affectedRows: 1 }];
+  }
+  if (query.startsWith('SELECT group_id, group_name, color, icon FROM groupname')) {
+    return [mockDb.groups.filter(group => !group.archived_at)];
+  }
+  throw new Error(`Unexpected query: ${query}`);
+});
+
+const mockConnection = {
+  execute: mockExecute,
+  beginTransaction: jest.fn(),
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../server/config/database', () => ({
+  execute: mockExecute,
+  getConnection: jest.fn(async () => mockConnection)
+}));
+jest.mock('../server/services/movementEngine', () => ({ movementEngine: { invalidateGroups: jest.fn(), invalidateItemGroups: jest.fn() } }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const groupsRoutes = require('../server/routes/groups');
+const timelineRoutes = require('../server/routes/timeline');
+const { movementEngine } = require('../server/services/movementEngine');
+
+describe('Groups API', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.groups = [
+      { id: 1, group_id: '1', group_name: 'ENG1', color: '#1e40af', icon: '📹', description: null, sort_order: 1, archived_at: null },
+      { id: 2, group_id: '5', group_name: 'SPARE', color: '#4338ca', icon: '📦', description: null, sort_order: 2, archived_at: null }
+    ];
+    mockDb.items = [{ id: 1, group_id: 1 }, { id: 2, group_id: 1 }];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/groups', groupsRoutes);
+    app.use('/api', timelineRoutes);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('creates a group with the next id and edits its metadata', async () => {
+    const created = await request(app)
+      .post('/api/groups')
+      .send({ group_name: 'Caméras plateau B', color: '#0891b2', icon: '🎦', description: 'Studio B' })
+      .expect(201);
+    expect(created.body.data).toEqual(expect.objectContaining({ group_id: '6', group_name: 'Caméras plateau B', sort_order: 3, item_count: 0 }));
+
+    const updated = await request(app).put('/api/groups/6').send({ group_name: 'Plateau B', color: '#dc2626' }).expect(200);
+    expect(updated.body.data).toEqual(expect.objectContaining({ group_name: 'Plateau B', color: '#dc2626', icon: '🎦' }));
+    expect(movementEngine.invalidateGroups).toHaveBeenCalled();
+
+    await request(app).post('/api/groups').send({ group_id: 5, group_name: 'Other' }).expect(409);
+    await request(app).post('/api/groups').send({ group_name: 'Bad', color: 'red' }).expect(400);
+    await request(app).put('/api/groups/42').send({ group_name: 'Missing' }).expect(404);
+  });
+
+  it('reorders groups and feeds the timeline tree icons from the table', async () => {
+    const res = await request(app).put('/api/groups/order').send({ group_ids: [5, 1] }).expect(200);
+    expect(res.body.data.map(group => group.group_id)).toEqual(['5', '1']);
+
+    const tree = await request(app).get('/api/tree').expect(200);
+    expect(tree.body.map(node => node.label)).toEqual(['📹 ENG1', '📦 SPARE']);
+  });
+
+  it('moves items before archiving or deleting a group', async () => {
+    const refused = await request(app).delete('/api/groups/1').expect(409);
+    expect(refused.body.error.message).toMatch(/2 item/);
+    await request(app).delete('/api/groups/1?reassign_to=1').expect(400);
+
+    const archived = await request(app).post('/api/groups/1/archive').send({ reassign_to: 5 }).expect(200);
+    expect(archived.body.data).toEqual(expect.objectContaining({ items_moved: 2, item_count: 0 }));
+    expect(mockDb.items.every(item => item.group_id === 5)).toBe(true);
+    expect(movementEngine.invalidateItemGroups).toHaveBeenCalled();
+
+    const active = await request(app).get('/api/groups').expect(200);
+    expect(active.body.data.map(group => group.group_id)).toEqual(['5']);
+
+    await request(app).delete('/api/groups/1').expect(200);
+    expect(mockDb.groups.map(group => group.group_id)).toEqual(['5']);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * In-memory stand-in for server/config/database, shared by the route and
+ * service tests. Each test file keeps its own tables in plain arrays and
+ * lists the statements it expects:
+ *
+ *   const mockPool = createMockPool([
+ *     ['INSERT INTO kit (', ([name]) => [{ insertId: addKit(name), affectedRows: 1 }]],
+ *     [/FROM kit_item ki/, ([kitId]) => [mockDb.kitItems.filter(row => row.kit_id === kitId)]]
+ *   ]);
+ *   jest.mock('../server/config/database', () => mockPool);
+ *
+ * Queries are matched with their whitespace collapsed: a string matches the
+ * start of the query, a RegExp anywhere in it, first route wins. A query no
+ * route answers throws, so a changed statement fails its test instead of
+ * quietly returning nothing.
+ */
+
+const SQL_MESSAGES = {
+  ER_DUP_ENTRY: 'Duplicate entry',
+  ER_ROW_IS_REFERENCED_2: 'Cannot delete or update a parent row'
+};
+
+/**
+ * Error shaped like the mysql2 ones the routes map to HTTP statuses
+ */
+const sqlError = (code, message = SQL_MESSAGES[code] || code) => Object.assign(new Error(message), { code });
+
+/**
+ * Rows of a multi-row INSERT, from its flat parameter list
+ */
+const splitRows = (params, width) => Array.from({ length: params.length / width }, (_, i) => params.slice(i * width, i * width + width));
+
+/**
+ * @param {Array} routes - [pattern, (params, query) => result] pairs
+ * @returns {object} pool with execute and getConnection; `connection` is the
+ *   single connection getConnection() hands out, for transaction assertions
+ */
+const createMockPool = (routes) => {
+  const execute = jest.fn(async (sql, params = []) => {
+    const query = sql.replace(/\s+/g, ' ').trim();
+    const route = routes.find(([pattern]) => (typeof pattern === 'string' ? query.startsWith(pattern) : pattern.test(query)));
+    if (!route) {
+      throw new Error(`Unexpected query: ${query}`);
+    }
+    return route[1](params, query);
+  });
+
+  const connection = {
+    execute,
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn()
+  };
+
+  return {
+    execute,
+    getConnection: jest.fn(async () => connection),
+    connection
+  };
+};
+
+module.exports = { createMockPool, sqlError, splitRows };
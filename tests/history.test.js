@@ -0,0 +1,83 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool
+const mockPool = {
+  execute: jest.fn()
+};
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const historyRoutes = require('../server/routes/history');
+
+describe('GET /api/history', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.execute.mockImplementation(async (sql) => {
+      if (sql.includes('COUNT(*)')) return [[{ total: 120 }]];
+      return [[{ id: 7, epc: 'EPC1', designation: 'Camera A', group: 'ENG1', duration_seconds: 3600 }]];
+    });
+
+    app = express();
+    app.use('/api/history', historyRoutes);
+  });
+
+  it('joins item and groupname and paginates server-side', async () => {
+    const response = await request(app).get('/api/history?page=2&limit=50');
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.items).toHaveLength(1);
+    expect(response.body.data.pagination).toEqual({ page: 2, limit: 50, total: 120, pages: 3 });
+
+    const [sql, params] = mockPool.execute.mock.calls[0];
+    expect(sql).toContain('INNER JOIN item ON item.epc = hist.epchist');
+    expect(sql).toContain('LEFT JOIN groupname');
+    expect(sql).toContain('ORDER BY hist.ret DESC');
+    expect(sql).toContain('LIMIT 50 OFFSET 50');
+    expect(sql).toContain('item.group_id <> 9');
+    expect(params).toEqual([]);
+  });
+
+  it('applies every filter with bound parameters', async () => {
+    const response = await request(app)
+      .get('/api/history')
+      .query({
+        epc: 'EPC1',
+        group_id: 3,
+        antenna: '4',
+        from: '2024-05-01T00:00:00Z',
+        to: '2024-05-02T00:00:00Z',
+        min_duration: 600,
+        sort: 'delai',
+        order: 'asc'
+      });
+
+    expect(response.status).toBe(200);
+
+    const [sql, params] = mockPool.execute.mock.calls[0];
+    expect(sql).toContain('hist.epchist = ?');
+    expect(sql).toContain('item.group_id = ?');
+    expect(sql).not.toContain('item.group_id <> 9');
+    expect(sql).toContain('(hist.antenna_dep = ? OR hist.antenna_ret = ?)');
+    expect(sql).toContain('TIMESTAMPDIFF(SECOND, hist.dep, hist.ret) >= ?');
+    expect(sql).toContain('ORDER BY duration_seconds ASC');
+    expect(params).toEqual(['EPC1', 3, '4', '4', '2024-05-01 00:00:00', '2024-05-02 00:00:00', 600]);
+
+    // Count query shares the same filters
+    expect(mockPool.execute.mock.calls[1][1]).toEqual(params);
+  });
+
+  it('rejects unknown sort columns', async () => {
+    const response = await request(app).get('/api/history?sort=password');
+
+    expect(response.status).toBe(400);
+    expect(mockPool.execute).not.toHaveBeenCalled();
+  });
+});
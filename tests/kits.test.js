@@ -0,0 +1,148 @@
+const request = require('supertest');
+const express = require('express');
+const EventEmitter = require('events');
+
+const { createMockPool, sqlError } = require('./helpers/mockDatabase');
+
+// kit / kit_item kept in memory
+const mockDb = { kits: [], members: [], items: [] };
+
+const itemOf = (member) => mockDb.items.find(item => item.id === member.item_id);
+const kitById = (params) => [mockDb.kits.filter(kit => kit.id === params[0])];
+
+const mockPool = createMockPool([
+  ['SELECT ki.kit_id, i.epc FROM kit_item ki', () => [
+    mockDb.members.map(member => ({ kit_id: member.kit_id, epc: itemOf(member).epc }))
+  ]],
+  ['SELECT id FROM item WHERE id IN', (params) => [mockDb.items.filter(item => params.includes(item.id))]],
+  ['SELECT item_id, kit_id FROM kit_item', (params) => {
+    const kitId = params[params.length - 1];
+    return [mockDb.members.filter(member => params.slice(0, -1).includes(member.item_id) && member.kit_id !== kitId)];
+  }],
+  ['INSERT INTO kit (', (params) => {
+    if (mockDb.kits.some(kit => kit.name === params[0])) {
+      throw sqlError('ER_DUP_ENTRY');
+    }
+    const id = mockDb.kits.length + 1;
+    mockDb.kits.push({ id, name: params[0], description: params[1], status: 'in', missing_count: 0 });
+    return [{ insertId: id, affectedRows: 1 }];
+  }],
+  ['INSERT IGNORE INTO kit_item', (params) => {
+    for (let i = 0; i < params.length; i += 2) {
+      mockDb.members.push({ kit_id: params[i], item_id: params[i + 1] });
+    }
+    return [{ affectedRows: params.length / 2 }];
+  }],
+  [/FROM kit k WHERE k\.id = \?/, kitById],
+  ['SELECT id, name, status FROM kit WHERE id = ?', kitById],
+  [/FROM kit_item ki JOIN item i ON i\.id = ki\.item_id WHERE ki\.kit_id = \?/, (params) => [
+    mockDb.members.filter(member => member.kit_id === params[0]).map(itemOf)
+  ]],
+  ['UPDATE kit SET status = ?', (params) => {
+    Object.assign(mockDb.kits.find(kit => kit.id === params[2]), { status: params[0], missing_count: params[1] });
+    return [{ affectedRows: 1 }];
+  }]
+]);
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/realtimeService', () => ({
+  publishRFIDEvent: jest.fn().mockResolvedValue(),
+  publishSystemEvent: jest.fn().mockResolvedValue()
+}));
+jest.mock('../server/services/movementEngine', () => {
+  const states = new Map();
+  return { movementEngine: { states, getState: (epc) => states.get(epc) || null } };
+});
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const realtimeService = require('../server/services/realtimeService');
+const { movementEngine } = require('../server/services/movementEngine');
+const kitsRoutes = require('../server/routes/kits');
+const { KitService } = require('../server/services/kits');
+
+describe('Kits', () => {
+  let app;
+
+  const setPresent = (epcs, present) => {
+    for (const epc of epcs) movementEngine.states.set(epc, { present, departedAt: present ? null : 1000 });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    movementEngine.states.clear();
+    mockDb.kits = [];
+    mockDb.members = [];
+    mockDb.items = [
+      { id: 1, epc: 'FS7BODY', designation: 'FS7 body', category: 'CAMERA' },
+      { id: 2, epc: 'BATT1', designation: 'BP-U60', category: 'BATTERY' },
+      { id: 3, epc: 'BATT2', designation: 'BP-U60', category: 'BATTERY' },
+      { id: 4, epc: 'LENS1', designation: '28-135', category: 'No Type' }
+    ];
+    setPresent(['FS7BODY', 'BATT1', 'BATT2', 'LENS1'], true);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/kits', kitsRoutes);
+  });
+
+  it('creates kits and keeps an item in a single kit', async () => {
+    const res = await request(app).post('/api/kits').send({ name: 'FS7', item_ids: [1, 2, 3] }).expect(201);
+    expect(res.body.data).toEqual(expect.objectContaining({ id: 1, name: 'FS7', status: 'in', item_count: 3, present_count: 3 }));
+
+    const taken = await request(app).post('/api/kits').send({ name: 'FS7 B', item_ids: [3, 4] }).expect(409);
+    expect(taken.body.error.code).toBe('ITEM_IN_KIT');
+    await request(app).post('/api/kits').send({ name: 'FS7' }).expect(409);
+    await request(app).post('/api/kits').send({ name: 'Alpha', item_ids: [99] }).expect(400);
+    await request(app).post('/api/kits').send({ item_ids: [4] }).expect(400);
+  });
+
+  it('reports a kit that left or came back without some members', async () => {
+    const service = new KitService({ engine: movementEngine });
+    mockDb.kits.push({ id: 1, name: 'FS7', status: 'in', missing_count: 0 });
+    mockDb.members.push(...[1, 2, 3, 4].map(item_id => ({ kit_id: 1, item_id })));
+
+    // Lens left on the shelf
+    setPresent(['FS7BODY', 'BATT1', 'BATT2'], false);
+    const departure = await service.evaluate(1, 'departure');
+    expect(departure).toEqual(expect.objectContaining({ movement: 'departure', status: 'out', complete: false, summary: 'FS7 kit departed missing 1 28-135' }));
+
+    // Back without both batteries
+    setPresent(['FS7BODY'], true);
+    const partial = await service.evaluate(1, 'return');
+    expect(partial.summary).toBe('FS7 kit returned missing 2 BATTERY');
+    expect(mockDb.kits[0]).toEqual(expect.objectContaining({ status: 'partial', missing_count: 2 }));
+    expect(realtimeService.publishSystemEvent).toHaveBeenCalledWith('kit_incomplete_return', expect.objectContaining({
+      kitId: 1, name: 'FS7', missing: [expect.objectContaining({ epc: 'BATT1' }), expect.objectContaining({ epc: 'BATT2' })]
+    }));
+
+    setPresent(['BATT1', 'BATT2'], true);
+    expect(await service.evaluate(1, 'return')).toEqual(expect.objectContaining({ status: 'in', complete: true, summary: 'FS7 kit returned complete' }));
+    expect(await service.evaluate(1, 'return')).toBeNull();
+  });
+
+  it('evaluates a kit once its member movements settle', async () => {
+    jest.useFakeTimers();
+    const engine = new EventEmitter();
+    const service = new KitService({ engine, settleSeconds: 30 });
+    mockDb.members.push({ kit_id: 1, item_id: 1 }, { kit_id: 1, item_id: 2 });
+    await service.start();
+    const evaluate = jest.spyOn(service, 'evaluate').mockResolvedValue(null);
+
+    engine.emit('departure', { epc: 'FS7BODY' });
+    jest.advanceTimersByTime(20000);
+    engine.emit('departure', { epc: 'BATT1' });
+    engine.emit('departure', { epc: 'NOT_IN_A_KIT' });
+    jest.advanceTimersByTime(20000);
+    expect(evaluate).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(10000);
+    expect(evaluate).toHaveBeenCalledTimes(1);
+    expect(evaluate).toHaveBeenCalledWith(1, 'departure');
+
+    service.stop();
+    jest.useRealTimers();
+  });
+});
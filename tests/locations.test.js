@@ -0,0 +1,164 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool (location / reader_antenna / item kept in memory)
+const mockDb = { locations: [], antennas: [], readers: [], items: [] };
+
+const mockExecute = jest.fn(async (sql, params = []) => {
+  const query = sql.replace(/\s+/g, ' ').trim();
+  const locationOf = (item) => mockDb.antennas
+    .find(antenna => antenna.reader_id === item.reader_id && antenna.antenna === item.antenna)?.location_id ?? null;
+
+  if (query.startsWith('SELECT id, parent_id, name, type, description')) {
+    return [mockDb.locations.map(location => ({ ...location }))];
+  }
+  if (query.startsWith('SELECT ra.location_id, ra.reader_id')) {
+    return [mockDb.antennas
+      .filter(antenna => antenna.location_id !== null)
+      .map(antenna => ({ ...antenna, reader_name: mockDb.readers.find(reader => reader.id === antenna.reader_id).name }))];
+  }
+  if (query.startsWith('INSERT INTO location')) {
+    const [parent_id, name, type, description] = params;
+    if (mockDb.locations.some(location => location.parent_id === parent_id && location.name === name)) {
+      throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+    }
+    const id = mockDb.locations.length + 1;
+    mockDb.locations.push({ id, parent_id, name, type, description, created_at: null, updated_at: null });
+    return [{ insertId: id, affectedRows: 1 }];
+  }
+  if (query.startsWith('UPDATE location SET')) {
+    const location = mockDb.locations.find(row => row.id === params[params.length - 1]);
+    const fields = query.match(/SET (.*) WHERE/)[1].split(', ').map(set => set.split(' = ')[0]);
+    fields.filter(field => field !== 'updated_at').forEach((field, i) => { location[field] = params[i]; });
+    return [{ affectedRows: 1 }];
+  }
+  if (query.startsWith('DELETE FROM location')) {
+    mockDb.locations = mockDb.locations.filter(location => location.id !== params[0]);
+    return [{ affectedRows: 1 }];
+  }
+  if (query.startsWith('SELECT id FROM reader WHERE id IN')) {
+    return [mockDb.readers.filter(reader => params.includes(reader.id))];
+  }
+  if (query.startsWith('UPDATE reader_antenna SET location_id = NULL')) {
+    mockDb.antennas.filter(antenna => antenna.location_id === params[0]).forEach(antenna => { antenna.location_id = null; });
+    return [{ affectedRows: 1 }];
+  }
+  if (query.startsWith('INSERT INTO reader_antenna')) {
+    const [reader_id, antenna, label, location_id] = params;
+    const existing = mockDb.antennas.find(row => row.reader_id === reader_id && row.antenna === antenna);
+    if (existing) existing.location_id = location_id;
+    else mockDb.antennas.push({ reader_id, antenna, label, location_id });
+    return [{ affectedRows: 1 }];
+  }
+  if (query.includes('AND ra.location_id IN')) {
+    const ids = params.slice(0, -2);
+    return [mockDb.items
+      .map(item => ({ ...item, location_id: locationOf(item) }))
+      .filter(item => ids.includes(item.location_id))];
+  }
+  if (query.includes('WHERE i.id = ?')) {
+    return [mockDb.items.filter(item => item.id === Number(params[0])).map(item => ({ ...item, location_id: locationOf(item) }))];
+  }
+  throw new Error(`Unexpected query: ${query}`);
+});
+
+const mockConnection = {
+  execute: mockExecute,
+  beginTransaction: jest.fn(),
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../server/config/database', () => ({
+  execute: mockExecute,
+  getConnection: jest.fn(async () => mockConnection)
+}));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const locationsRoutes = require('../server/routes/locations');
+const itemsRoutes = require('../server/routes/items');
+const { locations } = require('../server/services/locations');
+
+describe('Locations', () => {
+  let app;
+
+  const create = async (body) => (await request(app).post('/api/locations').send(body).expect(201)).body.data;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    locations.invalidate();
+    mockDb.locations = [];
+    mockDb.readers = [{ id: 1, name: 'Dock' }, { id: 2, name: 'Cage' }];
+    mockDb.antennas = [{ reader_id: 1, antenna: '0', label: 'Dock door', location_id: null }];
+    mockDb.items = [
+      { id: 1, epc: 'CAM1', designation: 'FS7', reader_id: 1, antenna: '0' },
+      { id: 2, epc: 'BATT1', designation: 'BP-U60', reader_id: 2, antenna: 'B3' }
+    ];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/locations', locationsRoutes);
+    app.use('/api/items', itemsRoutes);
+  });
+
+  it('builds the site > building > room > zone tree with paths', async () => {
+    const site = await create({ name: 'Paris', type: 'site' });
+    const building = await create({ name: 'Studio A', type: 'building', parent_id: site.id });
+    const room = await create({ name: 'Cage', type: 'room', parent_id: building.id });
+    const zone = await create({ name: 'Shelf 2', type: 'zone', parent_id: room.id });
+    expect(zone).toEqual(expect.objectContaining({ path: 'Paris > Studio A > Cage > Shelf 2', depth: 3 }));
+
+    const tree = await request(app).get('/api/locations').expect(200);
+    expect(tree.body.data.map(location => location.name)).toEqual(['Paris', 'Studio A', 'Cage', 'Shelf 2']);
+
+    const misplaced = await request(app).post('/api/locations').send({ name: 'Lobby', type: 'room', parent_id: zone.id }).expect(400);
+    expect(misplaced.body.error.code).toBe('INVALID_HIERARCHY');
+    await request(app).post('/api/locations').send({ name: 'Cage', type: 'room', parent_id: building.id }).expect(409);
+    await request(app).post('/api/locations').send({ name: 'Nowhere', type: 'zone', parent_id: 42 }).expect(400);
+    await request(app).post('/api/locations').send({ name: 'Attic', type: 'floor' }).expect(400);
+
+    // A building cannot move under its own room, nor a room become a zone while it has zones
+    await request(app).put(`/api/locations/${building.id}`).send({ type: 'room', parent_id: room.id }).expect(400);
+    await request(app).put(`/api/locations/${room.id}`).send({ type: 'zone' }).expect(400);
+
+    const renamed = await request(app).put(`/api/locations/${room.id}`).send({ name: 'Cage B' }).expect(200);
+    expect(renamed.body.data.path).toBe('Paris > Studio A > Cage B');
+
+    const refused = await request(app).delete(`/api/locations/${room.id}`).expect(409);
+    expect(refused.body.error.code).toBe('HAS_CHILDREN');
+    await request(app).delete(`/api/locations/${zone.id}`).expect(200);
+    await request(app).get(`/api/locations/${zone.id}`).expect(404);
+  });
+
+  it('maps antennas to zones and locates items by the antenna that last read them', async () => {
+    const site = await create({ name: 'Paris', type: 'site' });
+    const room = await create({ name: 'Cage', type: 'room', parent_id: site.id });
+    const dock = await create({ name: 'Dock', type: 'zone', parent_id: site.id });
+
+    await request(app).put(`/api/locations/${dock.id}/antennas`).send({ antennas: [{ reader_id: 1, antenna: '0' }] }).expect(200);
+    const mapped = await request(app)
+      .put(`/api/locations/${room.id}/antennas`)
+      .send({ antennas: [{ reader_id: 2, antenna: 'B3' }] })
+      .expect(200);
+    expect(mapped.body.data.antennas).toEqual([expect.objectContaining({ reader_id: 2, reader_name: 'Cage', antenna: 'B3', label: 'B3' })]);
+
+    const unknownReader = await request(app).put(`/api/locations/${room.id}/antennas`).send({ antennas: [{ reader_id: 9, antenna: '1' }] }).expect(400);
+    expect(unknownReader.body.error.code).toBe('READER_NOT_FOUND');
+
+    const item = await request(app).get('/api/items/2').expect(200);
+    expect(item.body.data).toEqual(expect.objectContaining({
+      location_id: room.id, location_name: 'Cage', location_type: 'room', location_path: 'Paris > Cage'
+    }));
+
+    // A location includes its sub-locations
+    const inSite = await request(app).get(`/api/items?location_id=${site.id}`).expect(200);
+    expect(inSite.body.data.map(row => row.epc).sort()).toEqual(['BATT1', 'CAM1']);
+    const inDock = await request(app).get(`/api/items?location_id=${dock.id}`).expect(200);
+    expect(inDock.body.data.map(row => row.location_path)).toEqual(['Paris > Dock']);
+    await request(app).get('/api/items?location_id=99').expect(404);
+  });
+});
@@ -0,0 +1,244 @@
+// Mock database pool
+const mockPool = {
+  execute: jest.fn()
+};
+
+const mockRealtimeService = {
+  publishSystemEvent: jest.fn().mockResolvedValue()
+};
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/realtimeService', () => mockRealtimeService);
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const { MovementEngine } = require('../server/services/movementEngine');
+
+describe('MovementEngine', () => {
+  let engine;
+  let histInserts;
+  let groupGaps;
+  let histUpdates;
+  let itemGroups;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    histInserts = [];
+    groupGaps = [];
+    histUpdates = [];
+    itemGroups = {};
+
+    mockPool.execute.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM groupname')) return [groupGaps];
+      if (sql.includes('FROM item WHERE epc')) {
+        return [params[0] in itemGroups ? [{ group_id: itemGroups[params[0]] }] : []];
+      }
+      if (sql.includes('INSERT INTO hist')) {
+        histInserts.push(params);
+        return [{ insertId: histInserts.length }];
+      }
+      if (sql.includes('UPDATE hist')) {
+        histUpdates.push(params);
+        return [{ affectedRows: 1 }];
+      }
+      return [[]];
+    });
+
+    engine = new MovementEngine({ defaultGapSeconds: 900 });
+  });
+
+  it('emits a zone change when a present tag is read on another antenna', async () => {
+    const changes = [];
+    engine.on('zone_change', e => changes.push(e));
+
+    await engine.processRead({ epc: 'EPC1', antenna: '1', timestamp: 1000 });
+    await engine.processRead({ epc: 'EPC1', antenna: '2', timestamp: 1060 });
+
+    expect(changes).toEqual([
+      expect.objectContaining({ epc: 'EPC1', from: '1', to: '2', at: 1060 })
+    ]);
+    expect(histInserts).toHaveLength(0);
+    expect(mockRealtimeService.publishSystemEvent)
+      .toHaveBeenCalledWith('movement_zone_change', expect.objectContaining({ epc: 'EPC1' }));
+  });
+
+  it('departs on sweep and writes the hist row on return', async () => {
+    const departures = [];
+    const returns = [];
+    engine.on('departure', e => departures.push(e));
+    engine.on('return', e => returns.push(e));
+
+    await engine.processRead({ epc: 'EPC1', antenna: '1', timestamp: 1000 });
+
+    expect(await engine.sweep(1500)).toBe(0);
+    expect(await engine.sweep(2000)).toBe(1);
+    expect(departures).toEqual([
+      expect.objectContaining({ epc: 'EPC1', antenna: '1', departedAt: 1000 })
+    ]);
+
+    await engine.processRead({ epc: 'EPC1', antenna: '3', timestamp: 5000 });
+
+    expect(returns).toEqual([
+      expect.objectContaining({ epc: 'EPC1', antennaDep: '1', antenna: '3', durationSeconds: 4000 })
+    ]);
+    expect(histInserts).toEqual([
+      ['EPC1', '1970-01-01 00:16:40', '1970-01-01 01:23:20', '1', '3']
+    ]);
+  });
+
+  it('detects departure and return from a single late read when no sweep ran', async () => {
+    const departures = [];
+    engine.on('departure', e => departures.push(e));
+
+    await engine.processRead({ epc: 'EPC1', antenna: '1', timestamp: 1000 });
+    await engine.processRead({ epc: 'EPC1', antenna: '1', timestamp: 3000 });
+
+    expect(departures).toHaveLength(1);
+    expect(histInserts).toHaveLength(1);
+  });
+
+  it('uses the per-group gap threshold', async () => {
+    groupGaps = [{ group_id: '6', movement_gap_seconds: 60 }];
+
+    await engine.processRead({ epc: 'LIVEU', antenna: '1', timestamp: 1000, groupId: 6 });
+    await engine.processRead({ epc: 'CAM', antenna: '1', timestamp: 1000, groupId: 1 });
+
+    expect(await engine.sweep(1100)).toBe(1);
+    expect(engine.getState('LIVEU').present).toBe(false);
+    expect(engine.getState('CAM').present).toBe(true);
+  });
+
+  it("uses the gap of a new tag's item group, and its new group once moved", async () => {
+    groupGaps = [{ group_id: '6', movement_gap_seconds: 60 }];
+    itemGroups = { LIVEU: '6' };
+    const departures = [];
+    engine.on('departure', e => departures.push(e));
+
+    await engine.processRead({ epc: 'LIVEU', antenna: '1', timestamp: 1000 });
+    expect(await engine.sweep(1100)).toBe(1);
+    expect(departures).toEqual([expect.objectContaining({ epc: 'LIVEU', groupId: '6' })]);
+
+    // Moved to a group on the default gap (PATCH /api/items/bulk/group)
+    itemGroups.LIVEU = '1';
+    engine.invalidateItemGroups(['LIVEU']);
+    await engine.processRead({ epc: 'LIVEU', antenna: '1', timestamp: 2000 });
+    expect(await engine.sweep(2100)).toBe(0);
+    expect(engine.getState('LIVEU')).toEqual(expect.objectContaining({ present: true, groupId: '1' }));
+  });
+
+  it('lets a read wait for the open hist row of a sweep departure', async () => {
+    engine = new MovementEngine({ defaultGapSeconds: 900, exitAntennas: ['4'], exitGapSeconds: 120 });
+    let insertDone;
+    const insertStarted = new Promise(resolve => {
+      mockPool.execute.mockImplementation(async (sql, params) => {
+        if (sql.includes('INSERT INTO hist')) {
+          histInserts.push(params);
+          if (histInserts.length > 1) return [{ insertId: 8 }];
+          resolve();
+          await new Promise(done => { insertDone = done; });
+          return [{ insertId: 7 }];
+        }
+        if (sql.includes('UPDATE hist')) {
+          histUpdates.push(params);
+          return [{ affectedRows: 1 }];
+        }
+        return [[]];
+      });
+    });
+
+    await engine.processRead({ epc: 'EPC1', antenna: '4', timestamp: 1000 });
+    const sweep = engine.sweep(1200);
+    await insertStarted;
+    // Back in while the departure row is being written
+    const read = engine.processRead({ epc: 'EPC1', antenna: '1', timestamp: 1210 });
+    await new Promise(resolve => setImmediate(resolve));
+    insertDone();
+    expect(await sweep).toBe(1);
+    await read;
+
+    expect(histInserts).toEqual([['EPC1', '1970-01-01 00:16:40', '4']]);
+    expect(histUpdates).toEqual([['1970-01-01 00:20:10', '1', 7]]);
+    expect(engine.getState('EPC1')).toEqual(expect.objectContaining({ present: true, openHistId: null }));
+  });
+
+  it('opens a hist row at an exit antenna and closes it on the next read', async () => {
+    engine = new MovementEngine({ defaultGapSeconds: 900, exitAntennas: ['4'], exitGapSeconds: 120 });
+
+    await engine.processRead({ epc: 'EPC1', antenna: '4', timestamp: 1000 });
+
+    expect(await engine.sweep(1100)).toBe(0);
+    expect(await engine.sweep(1200)).toBe(1);
+    expect(histInserts).toEqual([['EPC1', '1970-01-01 00:16:40', '4']]);
+    expect(engine.getState('EPC1').openHistId).toBe(1);
+
+    await engine.processRead({ epc: 'EPC1', antenna: '1', timestamp: 5000 });
+
+    expect(histInserts).toHaveLength(1);
+    expect(histUpdates).toEqual([['1970-01-01 01:23:20', '1', 1]]);
+    expect(engine.getState('EPC1')).toEqual(expect.objectContaining({ present: true, openHistId: null }));
+  });
+
+  it('restores checked-out tags from open hist rows on hydrate', async () => {
+    mockPool.execute.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM item')) {
+        return [[{ epc: 'EPC1', antenna: '4', group_id: 1, last_seen: '1970-01-01 00:16:40' }]];
+      }
+      if (sql.includes('FROM hist')) {
+        return [[{ id: 42, epchist: 'EPC1', antenna_dep: '4', dep: '1970-01-01 00:16:40' }]];
+      }
+      if (sql.includes('UPDATE hist')) {
+        histUpdates.push(params);
+        return [{ affectedRows: 1 }];
+      }
+      return [[]];
+    });
+
+    await engine.hydrate();
+    expect(engine.getState('EPC1')).toEqual(expect.objectContaining({ present: false, openHistId: 42 }));
+
+    await engine.processRead({ epc: 'EPC1', antenna: '1', timestamp: 2000 });
+    expect(histUpdates).toEqual([['1970-01-01 00:33:20', '1', 42]]);
+  });
+
+  it('seeds tags unseen for longer than the gap as departed, without events', async () => {
+    engine = new MovementEngine({ defaultGapSeconds: 900, exitAntennas: ['4'], exitGapSeconds: 120 });
+    mockPool.execute.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM item')) {
+        return [[
+          { epc: 'GONE', antenna: '1', group_id: 1, last_seen: '1970-01-01 00:16:40' },
+          { epc: 'EXIT', antenna: '4', group_id: 1, last_seen: '1970-01-01 00:16:40' },
+          { epc: 'HERE', antenna: '1', group_id: 1, last_seen: '1970-01-01 00:33:20' }
+        ]];
+      }
+      if (sql.includes('INSERT INTO hist')) {
+        histInserts.push(params);
+        return [{ insertId: histInserts.length }];
+      }
+      return [[]];
+    });
+    const departures = [];
+    const returns = [];
+    engine.on('departure', e => departures.push(e));
+    engine.on('return', e => returns.push(e));
+
+    await engine.hydrate(2500);
+    expect(engine.getState('GONE')).toEqual(expect.objectContaining({ present: false, departedAt: 1000, antennaDep: '1' }));
+    expect(engine.getState('EXIT')).toEqual(expect.objectContaining({ present: false, departedAt: 1000, openHistId: null }));
+    expect(engine.getState('HERE').present).toBe(true);
+
+    expect(await engine.sweep(2500)).toBe(0);
+    expect(departures).toEqual([]);
+    expect(histInserts).toEqual([]);
+    expect(mockRealtimeService.publishSystemEvent).not.toHaveBeenCalled();
+
+    await engine.processRead({ epc: 'GONE', antenna: '3', timestamp: 5000 });
+    expect(returns).toEqual([
+      expect.objectContaining({ epc: 'GONE', antennaDep: '1', antenna: '3', departedAt: 1000, durationSeconds: 4000 })
+    ]);
+    expect(histInserts).toEqual([
+      ['GONE', '1970-01-01 00:16:40', '1970-01-01 01:23:20', '1', '3']
+    ]);
+  });
+});
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool (camera table kept in memory)
+const mockDb = { cameras: [] };
+
+const mockExecute = jest.fn(async (sql) => {
+  const query = sql.replace(/\s+/g, ' ').trim();
+
+  if (query.startsWith('SELECT id, name, nvr_path, enabled, sort_order, description')) {
+    return [mockDb.cameras.map(camera => ({ ...camera }))];
+  }
+  if (query.startsWith('SELECT cc.camera_id, cc.reader_id')) {
+    return [[]];
+  }
+  throw new Error(`Unexpected query: ${query}`);
+});
+
+jest.mock('../server/config/database', () => ({
+  execute: mockExecute
+}));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const { CCTV } = require('../server/config/constants');
+const { compileFilenamePattern, getDriver, httpIndex } = require('../server/utils/nvrDrivers');
+const { localDateToUTC } = require('../server/utils/timezoneUtils');
+const { cameras } = require('../server/services/cameras');
+const cctvRoutes = require('../server/routes/cctv');
+const { handleVideoRequest } = require('../server/middleware/videoStreaming');
+
+const CACHE_DIR = path.join(__dirname, '..', 'static', 'cache', 'videos');
+
+// Clips named in local time, like the recorders
+const CLIP_1010 = localDateToUTC(2026, 9, 18, 10, 10, 0);
+const CLIP_1012 = localDateToUTC(2026, 9, 18, 10, 12, 0);
+const PATTERN = '{YYYY}-{MM}-{DD}/CH01_{YYYY}{MM}{DD}_{hh}{mm}{ss}*.mp4';
+
+describe('NVR drivers', () => {
+  let root;
+  const saved = { ...CCTV };
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'nvr-'));
+    fs.mkdirSync(path.join(root, 'dock', '2026-10-18'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'dock', '2026-10-18', 'CH01_20261018_101000.mp4'), 'clip-1010');
+    fs.writeFileSync(path.join(root, 'dock', '2026-10-18', 'CH01_20261018_101200_x.mp4'), 'clip-1012');
+    fs.writeFileSync(path.join(root, 'dock', '2026-10-18', 'notes.txt'), 'ignored');
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    Object.assign(CCTV, saved, { driver: 'directory', directoryRoot: root, filenamePattern: PATTERN });
+    cameras.invalidate();
+    mockDb.cameras = [{ id: 1, name: 'Dock', nvr_path: 'dock', enabled: 1, sort_order: 1, description: null }];
+  });
+
+  afterEach(() => {
+    Object.assign(CCTV, saved);
+  });
+
+  it('compiles filename patterns with date folders and wildcards', () => {
+    const pattern = compileFilenamePattern(PATTERN);
+    expect(pattern.folderFor(CLIP_1010 + 30)).toBe('2026-10-18');
+    expect(pattern.parse('CH01_20261018_101200_x.mp4')).toBe(CLIP_1012);
+    expect(pattern.parse('CH02_20261018_101200.mp4')).toBeNull();
+
+    expect(compileFilenamePattern('{YYYY}{MM}{DD}{hh}{mm}.mp4').parse('202610181010.mp4')).toBe(CLIP_1010);
+    expect(() => compileFilenamePattern('{YYYY}{MM}{DD}.mp4')).toThrow(/\{hh\}, \{mm\}/);
+    expect(() => compileFilenamePattern('{YYYY}{MM}{DD}{hh}{mm}{ms}.mp4')).toThrow(/Unknown token/);
+
+    CCTV.driver = 'ftp';
+    expect(() => getDriver()).toThrow(/Unknown CCTV_DRIVER/);
+  });
+
+  it('lists and streams clips from a local directory', async () => {
+    const driver = getDriver();
+    const listing = await driver.listClips('dock', CLIP_1010 - 3600, CLIP_1010 + 3600, null);
+    expect(listing).toEqual({
+      cameraAvailable: true,
+      error: null,
+      videos: [
+        { filename: 'CH01_20261018_101000.mp4', timestamp: CLIP_1010, path: 'dock/2026-10-18' },
+        { filename: 'CH01_20261018_101200_x.mp4', timestamp: CLIP_1012, path: 'dock/2026-10-18' }
+      ]
+    });
+
+    const missing = await driver.listClips('gone', CLIP_1010 - 3600, CLIP_1010 + 3600, null);
+    expect(missing).toEqual({ videos: [], cameraAvailable: false, error: 'Camera folder not found' });
+
+    await expect(driver.openClip({ filename: 'passwd', path: '../../etc' })).rejects.toMatchObject({ code: 'VIDEO_NOT_FOUND' });
+  });
+
+  it('serves the whole CCTV flow offline from a directory', async () => {
+    const app = express();
+    app.use('/api/cctv', cctvRoutes);
+    app.use('/static/cache/videos', (req, res) => {
+      req.params = { filename: req.path.substring(1) };
+      return handleVideoRequest(req, res);
+    });
+
+    const response = await request(app).get(`/api/cctv/videos?target=${CLIP_1010 + 30}&camera=1`).expect(200);
+    const [videos, closestIndex, offsetSeconds, cameraId, timestamps, status] = response.body;
+    expect(status).toEqual({ cameraAvailable: true, cameraError: null, videoCount: 2 });
+    expect([closestIndex, offsetSeconds, cameraId]).toEqual([0, -30, 1]);
+    expect(Object.values(timestamps)).toEqual([CLIP_1010, CLIP_1012]);
+
+    const url = videos['1'];
+    const cached = path.join(CACHE_DIR, path.basename(url));
+    const fetchClip = () => request(app).get(url).buffer(true).parse((res, done) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => done(null, body));
+    }).expect(200);
+    try {
+      expect((await fetchClip()).body).toBe('clip-1012');
+      // Second request is served from the video cache
+      expect((await fetchClip()).body).toBe('clip-1012');
+      expect(fs.readFileSync(cached, 'utf8')).toBe('clip-1012');
+    } finally {
+      fs.rmSync(cached, { force: true });
+    }
+  });
+
+  it('reads HTML and JSON indexes over HTTP', async () => {
+    const server = http.createServer((req, res) => {
+      if (req.url === '/nvr/dock/2026-10-18/') {
+        res.setHeader('Content-Type', 'text/html');
+        res.end('<a href="../">../</a><a href="CH01_20261018_101000.mp4">CH01_20261018_101000.mp4</a>');
+      } else if (req.url === '/nvr/cage/2026-10-18/') {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify([{ name: 'CH01_20261018_101200.mp4' }, 'readme.txt']));
+      } else if (req.url === '/nvr/dock/2026-10-18/CH01_20261018_101000.mp4') {
+        res.end('clip-1010');
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    Object.assign(CCTV, { driver: 'http-index', baseUrl: `http://127.0.0.1:${server.address().port}/nvr`, password: undefined });
+
+    try {
+      const dock = await httpIndex.listClips('dock', CLIP_1010 - 3600, CLIP_1010 + 3600);
+      expect(dock.videos).toEqual([{ filename: 'CH01_20261018_101000.mp4', timestamp: CLIP_1010, path: 'dock/2026-10-18' }]);
+      const cage = await httpIndex.listClips('cage', CLIP_1010 - 3600, CLIP_1010 + 3600);
+      expect(cage.videos.map(video => video.timestamp)).toEqual([CLIP_1012]);
+
+      const clip = await httpIndex.openClip(dock.videos[0], null);
+      expect(clip.contentLength).toBe('9');
+      await expect(httpIndex.openClip({ filename: 'none.mp4', path: 'dock/2026-10-18' }, null))
+        .rejects.toMatchObject({ code: 'VIDEO_NOT_FOUND' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('keeps caching a clip when the viewer leaves, and aborts the viewer when the recorder stalls', async () => {
+    let release, unstall;
+    const released = new Promise(resolve => { release = resolve; });
+    const stalled = new Promise(resolve => { unstall = resolve; });
+    const recorder = http.createServer(async (req, res) => {
+      if (req.url === '/nvr/dock/2026-10-18/') {
+        res.setHeader('Content-Type', 'text/html');
+        res.end('<a href="CH01_20261018_101000.mp4">a</a><a href="CH01_20261018_101200.mp4">b</a>');
+        return;
+      }
+      res.setHeader('Content-Length', '9');
+      res.write('clip-');
+      if (req.url.endsWith('101200.mp4')) {
+        await stalled; // past the upstream timeout
+        res.end('1012');
+        return;
+      }
+      // 10:10 goes on once the viewer left, so the server writes to a closed socket
+      await released;
+      res.write('10');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      res.end('10');
+    });
+    await new Promise(resolve => recorder.listen(0, '127.0.0.1', resolve));
+    Object.assign(CCTV, { driver: 'http-index', baseUrl: `http://127.0.0.1:${recorder.address().port}/nvr`, password: undefined });
+
+    const app = express();
+    app.use('/api/cctv', cctvRoutes);
+    app.use('/static/cache/videos', (req, res) => {
+      req.params = { filename: req.path.substring(1) };
+      return handleVideoRequest(req, res);
+    });
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // Resolves with whether the whole response arrived; leaves after the first chunk when asked
+    const view = (url, leave) => new Promise((resolve, reject) => {
+      const req = http.get(base + url, res => {
+        res.on('data', () => {
+          if (leave) req.destroy();
+        });
+        res.on('close', () => resolve(res.complete));
+        res.on('error', () => {});
+      });
+      req.on('error', error => (leave ? resolve(false) : reject(error)));
+    });
+    const waitFor = async (check) => {
+      for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+      return check();
+    };
+
+    const { body } = await request(app).get(`/api/cctv/videos?target=${CLIP_1010 + 30}&camera=1`).expect(200);
+    const [left, failed] = [body[0]['0'], body[0]['1']].map(url => path.join(CACHE_DIR, path.basename(url)));
+    try {
+      expect(await view(body[0]['0'], true)).toBe(false);
+      release();
+      expect(await waitFor(() => fs.existsSync(left))).toBe(true);
+      expect(fs.readFileSync(left, 'utf8')).toBe('clip-1010');
+
+      process.env.CCTV_UPSTREAM_TIMEOUT_MS = '200';
+      expect(await view(body[0]['1'], false)).toBe(false);
+      expect(await waitFor(() => !fs.existsSync(`${failed}.part`))).toBe(true);
+      expect(fs.existsSync(failed)).toBe(false);
+    } finally {
+      delete process.env.CCTV_UPSTREAM_TIMEOUT_MS;
+      unstall();
+      await new Promise(resolve => server.close(resolve));
+      await new Promise(resolve => recorder.close(resolve));
+      for (const file of [left, failed, `${left}.part`, `${failed}.part`]) fs.rmSync(file, { force: true });
+    }
+  });
+});
@@ -0,0 +1,145 @@
+// Mock database pool
+const mockPool = {
+  execute: jest.fn()
+};
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const { ReadAggregator } = require('../server/services/readAggregator');
+const { register } = require('../server/metrics');
+
+describe('ReadAggregator', () => {
+  let aggregator;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.execute.mockResolvedValue([{ affectedRows: 1 }]);
+    aggregator = new ReadAggregator({ windowMs: 60000, maxEntries: 100 });
+  });
+
+  afterEach(() => aggregator.stop());
+
+  const read = (epc, antenna, timestamp) => ({
+    epc, antenna, timestamp,
+    macAddress: '00:16:25:12:AB:CD',
+    readerName: 'dock',
+    endpoint: '/input'
+  });
+
+  it('collapses repeated EPC/antenna reads into one multi-row upsert', async () => {
+    expect(aggregator.add(read('E1', '1', 1000))).toBe(true);
+    expect(aggregator.add(read('E1', '1', 1001))).toBe(false);
+    aggregator.add(read('E1', '1', 1002));
+    aggregator.add(read('E2', '1', 1001));
+
+    const flushed = jest.fn();
+    aggregator.on('flush', flushed);
+    await expect(aggregator.flush()).resolves.toBe(2);
+
+    expect(mockPool.execute).toHaveBeenCalledTimes(1);
+    const [sql, params] = mockPool.execute.mock.calls[0];
+    expect(sql).toContain('read_count=read_count + VALUES(read_count)');
+    expect(params).toEqual([
+      '00:16:25:12:AB:CD', 'dock', 'E2', '1970-01-01 00:16:41', '1970-01-01 00:16:41', '1', '1970-01-01 00:16:41', 1,
+      '00:16:25:12:AB:CD', 'dock', 'E1', '1970-01-01 00:16:42', '1970-01-01 00:16:42', '1', '1970-01-01 00:16:40', 3
+    ]);
+    expect(flushed).toHaveBeenCalledWith([
+      expect.objectContaining({ epc: 'E2', readCount: 1 }),
+      expect.objectContaining({ epc: 'E1', firstSeen: 1000, lastSeen: 1002, readCount: 3 })
+    ]);
+    expect(aggregator.getRatio()).toBe(2);
+  });
+
+  it('exposes the aggregation ratio through prom-client', async () => {
+    for (let i = 0; i < 10; i++) aggregator.add(read('E1', '1', 1000 + i));
+    await aggregator.flush();
+
+    const metrics = await register.metrics();
+    expect(metrics).toMatch(/rfid_read_aggregation_ratio 10/);
+    expect(metrics).toMatch(/rfid_read_buffer_size 0/);
+  });
+
+  it('flushes early when the buffer is full', async () => {
+    aggregator.options.maxEntries = 2;
+    aggregator.add(read('E1', '1', 1000));
+    aggregator.add(read('E2', '1', 1000));
+    await aggregator.flushing;
+
+    expect(mockPool.execute).toHaveBeenCalledTimes(1);
+    expect(aggregator.buffer.size).toBe(0);
+  });
+
+  it('flushes when the window elapses', async () => {
+    jest.useFakeTimers();
+    try {
+      aggregator.options.windowMs = 2000;
+      aggregator.add(read('E1', '1', 1000));
+      jest.advanceTimersByTime(1999);
+      expect(mockPool.execute).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+    } finally {
+      jest.useRealTimers();
+    }
+    await aggregator.flushing;
+
+    expect(mockPool.execute).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not emit a flush when the upsert fails', async () => {
+    mockPool.execute.mockRejectedValueOnce(new Error('Connection lost'));
+    const flushed = jest.fn();
+    aggregator.on('flush', flushed);
+
+    aggregator.add(read('E1', '1', 1000));
+    await expect(aggregator.flush()).rejects.toThrow('Connection lost');
+
+    expect(flushed).not.toHaveBeenCalled();
+    aggregator.add(read('E1', '1', 1001));
+    await expect(aggregator.flush()).resolves.toBe(1);
+  });
+
+  it('puts the entries of a failed upsert back into the buffer until the attempts run out', async () => {
+    aggregator.options.maxFlushAttempts = 2;
+    mockPool.execute.mockRejectedValue(new Error('Connection lost'));
+    const dropped = async () => (await register.getSingleMetricAsString('rfid_reads_dropped_total')).match(/ (\d+)$/)[1];
+    const before = Number(await dropped());
+
+    aggregator.add(read('E1', '1', 1000));
+    aggregator.add(read('E1', '1', 1001));
+    await expect(aggregator.flush()).rejects.toThrow('Connection lost');
+    expect(aggregator.buffer.get('E1|1')).toEqual(expect.objectContaining({ readCount: 2, attempts: 1 }));
+    expect(aggregator.flushTimer).not.toBeNull();
+
+    // Merged with the reads received since
+    aggregator.add(read('E1', '1', 1005));
+    aggregator.add(read('E2', '1', 1005));
+    await expect(aggregator.flush()).rejects.toThrow('Connection lost');
+    expect(Number(await dropped())).toBe(before + 1);
+    expect(Array.from(aggregator.buffer.keys())).toEqual(['E2|1']);
+
+    mockPool.execute.mockResolvedValue([{ affectedRows: 1 }]);
+    aggregator.add(read('E1', '1', 1010));
+    await expect(aggregator.flush()).resolves.toBe(2);
+    expect(aggregator.buffer.size).toBe(0);
+  });
+
+  it('retries a failed upsert with the reads it held', async () => {
+    mockPool.execute.mockRejectedValueOnce(new Error('Connection lost'));
+    const flushed = jest.fn();
+    aggregator.on('flush', flushed);
+
+    aggregator.add(read('E1', '1', 1000));
+    aggregator.add(read('E1', '1', 1002));
+    await expect(aggregator.flush()).rejects.toThrow('Connection lost');
+    await expect(aggregator.flush()).resolves.toBe(1);
+
+    expect(mockPool.execute.mock.calls[1][1]).toEqual([
+      '00:16:25:12:AB:CD', 'dock', 'E1', '1970-01-01 00:16:42', '1970-01-01 00:16:42', '1', '1970-01-01 00:16:40', 2
+    ]);
+    expect(flushed).toHaveBeenCalledWith([expect.objectContaining({ epc: 'E1', readCount: 2 })]);
+  });
+});
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { splitRows } = require('./helpers/mockDatabase');
+
+// Mock database pool
+const mockPool = {
+  execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }])
+};
+
+const mockRealtimeService = {
+  publishRFIDEvent: jest.fn().mockResolvedValue()
+};
+
+const mockMovementEngine = {
+  processRead: jest.fn().mockResolvedValue()
+};
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/realtimeService', () => mockRealtimeService);
+jest.mock('../server/services/movementEngine', () => ({ movementEngine: mockMovementEngine }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const readerAdapters = require('../server/utils/readerAdapters');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'readers', name), 'utf8');
+const jsonFixture = (name) => JSON.parse(fixture(name));
+
+describe('Reader adapters', () => {
+  it('parses LLRP RO_ACCESS_REPORT JSON', () => {
+    const body = jsonFixture('llrp.json');
+
+    expect(readerAdapters.llrp.parse(body)).toEqual([
+      { epc: '300833B2DDD9014000000001', antenna: 1, rssi: -52 },
+      { epc: '300833B2DDD9014000000002', antenna: 2, rssi: -61 },
+      { epc: undefined, antenna: 3, rssi: -70 }
+    ]);
+    expect(readerAdapters.llrp.identify(body)).toEqual({
+      macAddress: '00:16:25:12:AB:CD',
+      readerName: 'speedway-dock'
+    });
+  });
+
+  it('parses Zebra FX tag events and ignores heartbeats', () => {
+    const reads = readerAdapters.zebraFx.parse(jsonFixture('zebra-fx.json'));
+
+    expect(reads).toEqual([
+      { epc: 'E28011606000020D6C3A1B2F', antenna: 2, macAddress: '84:24:8D:F0:A3:F1', readerName: 'FX9600F0A3F1',
+        rssi: -58, timestamp: '2024-05-01T09:30:12.482+0000' },
+      { epc: 'E28011606000020D6C3A1B30', antenna: 4, macAddress: '84:24:8D:F0:A3:F1', readerName: 'FX9600F0A3F1',
+        rssi: -64, timestamp: '2024-05-01T09:30:12.911+0000' }
+    ]);
+    expect(readerAdapters.zebraFx.mapAntenna('2')).toBe('Z2');
+  });
+
+  it('parses MQTT-bridged JSON with a string payload', () => {
+    const body = jsonFixture('mqtt.json');
+
+    expect(readerAdapters.mqttBridge.parse(body)).toHaveLength(3);
+    expect(readerAdapters.mqttBridge.identify(body).readerName).toBe('gate-north');
+  });
+
+  it('parses CSV field orders and reader timestamps', () => {
+    expect(readerAdapters.parseFieldOrder('antenna_port,epc,peak_rssi,foo')).toEqual(['antenna', 'epc', 'rssi', null]);
+    expect(readerAdapters.parseFieldOrder('epc,rssi')).toBeNull();
+    expect(readerAdapters.impinj.parse(
+      { field_values: '"-48.5","E1","3"' }, {}, { fieldOrder: ['rssi', 'epc', 'antenna'] }
+    )).toEqual([{ rssi: '-48.5', epc: 'E1', antenna: '3' }]);
+
+    expect(readerAdapters.parseReaderTimestamp(1714555812)).toBe(1714555812);
+    expect(readerAdapters.parseReaderTimestamp('1714555812482')).toBe(1714555812.482);
+    expect(readerAdapters.parseReaderTimestamp(1714555812482000)).toBe(1714555812.482);
+    expect(readerAdapters.parseReaderTimestamp('2024-05-01T09:30:12.482+0000')).toBe(1714555812.482);
+    expect(readerAdapters.parseReaderTimestamp('not a date')).toBeNull();
+  });
+
+  it('rejects malformed payloads', () => {
+    expect(() => readerAdapters.llrp.parse({})).toThrow('Missing TagReportData array');
+    expect(() => readerAdapters.zebraFx.parse([{ type: 'SIMPLE' }])).toThrow();
+    expect(() => readerAdapters.mqttBridge.parse({ topic: 'rfid/x', payload: '{oops' })).toThrow('not valid JSON');
+  });
+});
+
+describe('RFID ingestion pipeline', () => {
+  let app;
+  let readAggregator;
+
+  beforeAll(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.isolateModules(() => {
+      const inputRoutes = require('../server/routes/input');
+      ({ readAggregator } = require('../server/services/readAggregator'));
+      app = express();
+      app.use(express.json());
+      app.use('/api', inputRoutes);
+    });
+  });
+
+  // Multi-row inserts into one table, split per row
+  const insertedRows = (table, width) => mockPool.execute.mock.calls
+    .filter(([sql]) => sql.includes(`INSERT INTO ${table} `))
+    .flatMap(([, params]) => splitRows(params, width));
+  // One item upsert per flush, 8 values per row
+  const upsertedRows = () => insertedRows('item', 8);
+
+  it('ingests LLRP reports and skips reads without an EPC', async () => {
+    const response = await request(app).post('/api/input/llrp').send(jsonFixture('llrp.json'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ ok: true, processed: 2, failed: 0, skipped: 1, rejected: 0, quarantined: 0 });
+    await readAggregator.flush();
+    expect(upsertedRows().map(p => [p[0], p[1], p[2], p[5]])).toEqual([
+      ['00:16:25:12:AB:CD', 'speedway-dock', '300833B2DDD9014000000001', '1'],
+      ['00:16:25:12:AB:CD', 'speedway-dock', '300833B2DDD9014000000002', '2']
+    ]);
+    expect(mockMovementEngine.processRead).toHaveBeenCalledWith(
+      expect.objectContaining({ epc: '300833B2DDD9014000000001', antenna: '1' })
+    );
+    expect(mockRealtimeService.publishRFIDEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ endpoint: '/input/llrp' })
+    );
+  });
+
+  it('ingests Zebra FX events with mapped antennas', async () => {
+    const response = await request(app).post('/api/input/zebra-fx').send(jsonFixture('zebra-fx.json'));
+
+    expect(response.body).toEqual({ ok: true, processed: 2, failed: 0, skipped: 0, rejected: 0, quarantined: 0 });
+    await readAggregator.flush();
+    expect(upsertedRows().map(p => p[5])).toEqual(['Z2', 'Z4']);
+  });
+
+  it('ingests MQTT-bridged messages and skips invalid EPCs', async () => {
+    const response = await request(app).post('/api/input/mqtt').send(jsonFixture('mqtt.json'));
+
+    expect(response.body).toEqual({ ok: true, processed: 2, failed: 0, skipped: 1, rejected: 0, quarantined: 0 });
+    await readAggregator.flush();
+    expect(upsertedRows().map(p => [p[0], p[1]])).toEqual([
+      ['B8:27:EB:00:11:22', 'gate-north'],
+      ['B8:27:EB:00:11:22', 'gate-north']
+    ]);
+  });
+
+  it('keeps /api/input and /api/input2 on the same pipeline', async () => {
+    await request(app)
+      .post('/api/input')
+      .type('form')
+      .send({ reader_name: 'dock', mac_address: '00:16:25:00:00:01', field_values: fixture('impinj.csv') })
+      .expect(200, { ok: true, processed: 2, failed: 0, skipped: 0, rejected: 0, quarantined: 0 });
+
+    await request(app)
+      .post('/api/input2')
+      .send([{ ant: 3, epc: 'E2000017221101441890ABCD', customcode: 'cheap-1' }])
+      .expect(200, { ok: true, processed: 1, failed: 0, skipped: 0, rejected: 0, quarantined: 0 });
+
+    await readAggregator.flush();
+    expect(upsertedRows().map(p => [p[0], p[1], p[5]])).toEqual([
+      ['00:16:25:00:00:01', 'dock', '1'],
+      ['00:16:25:00:00:01', 'dock', '2'],
+      ['ChinaReaderMac', 'cheap-1', 'B3']
+    ]);
+  });
+
+  it('logs RSSI and reader timestamps from Impinj field_names in read_event', async () => {
+    const readerTime = Math.floor(Date.now() / 1000) - 30;
+    const readerTimeSql = new Date(readerTime * 1000).toISOString().slice(0, 23).replace('T', ' ');
+    await request(app)
+      .post('/api/input')
+      .type('form')
+      .send({
+        reader_name: 'dock',
+        mac_address: '00:16:25:00:00:01',
+        field_names: 'epc,antenna_port,peak_rssi,first_seen_timestamp,channel_index,unknown_column',
+        field_values: `"300833B2DDD9014000000020","2","-52.5","${readerTime}000000","7","x"\n` +
+          '"300833B2DDD9014000000021","1","-80",,,'
+      })
+      .expect(200, { ok: true, processed: 2, failed: 0, skipped: 0, rejected: 0, quarantined: 0 });
+
+    expect(insertedRows('read_event', 11)).toEqual([
+      [readerTimeSql, '300833B2DDD9014000000020', '2', '00:16:25:00:00:01', 'dock', -52.5, null, 7,
+        readerTimeSql, expect.any(String), '/input'],
+      [expect.any(String), '300833B2DDD9014000000021', '1', '00:16:25:00:00:01', 'dock', -80, null, null,
+        null, expect.any(String), '/input']
+    ]);
+
+    // item.updated_at follows the reader clock
+    await readAggregator.flush();
+    expect(upsertedRows()[0][4]).toBe(readerTimeSql.slice(0, 19));
+    expect(mockMovementEngine.processRead).toHaveBeenCalledWith(
+      expect.objectContaining({ epc: '300833B2DDD9014000000020', timestamp: readerTime })
+    );
+  });
+
+  it('falls back to server time when the reader clock is off', async () => {
+    const before = Math.floor(Date.now() / 1000);
+    await request(app)
+      .post('/api/input/mqtt')
+      .send({ topic: 'rfid/gate', payload: { epc: 'E1', antenna: 1, rssi: -60, timestamp: '2001-01-01T00:00:00Z' } })
+      .expect(200);
+
+    const [row] = insertedRows('read_event', 11);
+    expect(row[8]).toBe('2001-01-01 00:00:00.000');
+    expect(Date.parse(row[0].replace(' ', 'T') + 'Z') / 1000).toBeGreaterThanOrEqual(before);
+    expect(mockMovementEngine.processRead.mock.calls[0][0].timestamp).toBeGreaterThanOrEqual(before);
+  });
+
+  it('returns 400 for malformed payloads and 404 for unknown adapters', async () => {
+    await request(app).post('/api/input2').send({ not: 'an array' }).expect(400);
+    await request(app).post('/api/input/llrp').send({}).expect(400);
+    await request(app).post('/api/input/unknown').send({}).expect(404);
+    await request(app)
+      .post('/api/input')
+      .type('form')
+      .send({ field_names: 'epc,peak_rssi', field_values: '"E1","-50"' })
+      .expect(400);
+    expect(mockPool.execute).not.toHaveBeenCalled();
+  });
+});
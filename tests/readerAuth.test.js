@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool (reader + reader_key kept in memory)
+const mockDb = { readers: [], keys: [], items: [] };
+
+const mockExecute = jest.fn(async (sql, params = []) => {
+  if (sql.includes('FROM reader_key k')) {
+    return [mockDb.keys
+      .filter(k => !k.revoked_at)
+      .map(k => ({ ...k, mac_address: mockDb.readers.find(r => r.id === k.reader_id).mac_address }))];
+  }
+  if (sql.startsWith('INSERT INTO reader_key')) {
+    mockDb.keys.push({ reader_id: Number(params[0]), key_id: params[1], secret: params[2], label: params[3], revoked_at: null });
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('UPDATE reader_key SET revoked_at')) {
+    const key = mockDb.keys.find(k => k.reader_id === Number(params[0]) && k.key_id === params[1] && !k.revoked_at);
+    if (key) key.revoked_at = '2026-10-18 08:00:00';
+    return [{ affectedRows: key ? 1 : 0 }];
+  }
+  if (sql.includes('FROM reader_key')) {
+    return [mockDb.keys.filter(k => k.reader_id === Number(params[0])).map(({ key_id, label, revoked_at }) => ({ key_id, label, revoked_at }))];
+  }
+  if (sql.includes('FROM reader_antenna')) {
+    return [[]];
+  }
+  if (sql.includes('FROM reader')) {
+    return [params.length ? mockDb.readers.filter(r => r.id === Number(params[0])) : mockDb.readers];
+  }
+  if (sql.includes('INSERT INTO item')) {
+    for (let i = 0; i < params.length; i += 8) mockDb.items.push(params.slice(i, i + 8));
+    return [{ affectedRows: 1 }];
+  }
+  return [[]];
+});
+
+jest.mock('../server/config/database', () => ({ execute: mockExecute }));
+jest.mock('../server/services/realtimeService', () => ({ publishRFIDEvent: jest.fn().mockResolvedValue() }));
+jest.mock('../server/services/movementEngine', () => ({ movementEngine: { processRead: jest.fn() } }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const { READERS } = require('../server/config/constants');
+const { metrics } = require('../server/metrics');
+const { captureRawBody } = require('../server/middleware/readerAuth');
+const readersRoutes = require('../server/routes/readers');
+const inputRoutes = require('../server/routes/input');
+const rfidWriteRoutes = require('../server/routes/rfidWrite');
+const { readerKeys } = require('../server/services/readerKeys');
+const { writeJobs } = require('../server/services/writeJobs');
+const { readAggregator } = require('../server/services/readAggregator');
+const { logger } = require('../server/logger');
+
+const LLRP_BODY = { MACAddress: '00:16:25:12:AB:CD', TagReportData: [{ EPC_96: '300833B2DDD9014000000001', AntennaID: 1 }] };
+
+const rejectedCount = async (reason) => {
+  const { values } = await metrics.rfidIngestRejected.get();
+  return values.find(value => value.labels.reason === reason)?.value || 0;
+};
+
+describe('Reader authentication', () => {
+  let app;
+  let key;
+
+  const savedAdminToken = process.env.ADMIN_TOKEN;
+
+  beforeAll(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    process.env.ADMIN_TOKEN = 'admin-secret';
+  });
+
+  afterAll(() => {
+    READERS.authMode = 'off';
+    if (savedAdminToken === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = savedAdminToken;
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockDb.readers = [{ id: 1, mac_address: '00162512ABCD', name: 'Dock', enabled: 1 }];
+    mockDb.keys = [];
+    mockDb.items = [];
+    readerKeys.invalidate();
+    READERS.authMode = 'key';
+
+    app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.use('/api/readers', readersRoutes);
+    app.use('/api', inputRoutes);
+    app.use('/api/rfid/write', rfidWriteRoutes);
+
+    const response = await request(app)
+      .post('/api/readers/1/keys')
+      .set('X-Admin-Token', 'admin-secret')
+      .send({ label: 'dock door' })
+      .expect(201);
+    key = response.body.data;
+  });
+
+  const sign = (timestamp, payload, secret = key.secret) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  it('issues a key once and lists it without the secret', async () => {
+    expect(key).toEqual(expect.objectContaining({ mac_address: '00162512ABCD', label: 'dock door' }));
+    expect(key.key_id).toMatch(/^rk_[0-9a-f]{16}$/);
+    expect(key.secret.length).toBeGreaterThan(30);
+
+    const response = await request(app).get('/api/readers/1/keys').expect(200);
+    expect(response.body.data).toEqual([expect.objectContaining({ key_id: key.key_id, revoked_at: null })]);
+    expect(response.body.data[0].secret).toBeUndefined();
+  });
+
+  it('issues keys only with the admin token', async () => {
+    const missing = await request(app).post('/api/readers/1/keys').send({ label: 'rogue' });
+    expect(missing.status).toBe(401);
+    expect(missing.body.error.code).toBe('ADMIN_TOKEN_REQUIRED');
+    expect(missing.body.data).toBeUndefined();
+
+    await request(app).post('/api/readers/1/keys').set('X-Admin-Token', 'wrong').send({}).expect(401);
+
+    delete process.env.ADMIN_TOKEN;
+    const unset = await request(app).post('/api/readers/1/keys').set('X-Admin-Token', '').send({});
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    expect(unset.status).toBe(403);
+    expect(unset.body.error.code).toBe('ADMIN_TOKEN_UNSET');
+
+    expect(mockDb.keys).toHaveLength(1);
+  });
+
+  it('accepts a valid API key and rejects a missing or wrong one', async () => {
+    await request(app)
+      .post('/api/input/llrp')
+      .set('X-Reader-Key', `${key.key_id}.${key.secret}`)
+      .send(LLRP_BODY)
+      .expect(200);
+    await request(app)
+      .post('/api/input/llrp')
+      .set('Authorization', `Bearer ${key.key_id}.${key.secret}`)
+      .send(LLRP_BODY)
+      .expect(200);
+
+    const before = await rejectedCount('bad_key');
+    const wrong = await request(app)
+      .post('/api/input/llrp')
+      .set('X-Reader-Key', `${key.key_id}.not-the-secret`)
+      .send(LLRP_BODY);
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.reason).toBe('bad_key');
+    expect(await rejectedCount('bad_key')).toBe(before + 1);
+    expect(logger.warn).toHaveBeenCalledWith('Rejected reader post', expect.objectContaining({ reason: 'bad_key', keyId: key.key_id }));
+
+    const missing = await request(app).post('/api/input/llrp').send(LLRP_BODY);
+    expect(missing.status).toBe(401);
+    expect(missing.body.reason).toBe('missing_credentials');
+
+    await readAggregator.flush();
+    expect(mockDb.items).toHaveLength(1);
+  });
+
+  it('rejects reads for another reader MAC', async () => {
+    const response = await request(app)
+      .post('/api/input/llrp')
+      .set('X-Reader-Key', `${key.key_id}.${key.secret}`)
+      .send({ ...LLRP_BODY, MACAddress: 'AA:BB:CC:DD:EE:FF' });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual(expect.objectContaining({ reason: 'mac_mismatch', macAddresses: ['AA:BB:CC:DD:EE:FF'] }));
+  });
+
+  it('attributes reads without a reported MAC to the key reader', async () => {
+    await request(app)
+      .post('/api/input2')
+      .set('X-Reader-Key', `${key.key_id}.${key.secret}`)
+      .send([{ ant: 1, epc: 'E2000017221101441890ABCD', customcode: 'cheap-1' }])
+      .expect(200);
+
+    await readAggregator.flush();
+    expect(mockDb.items[0][0]).toBe('00162512ABCD');
+  });
+
+  it('verifies HMAC signatures and rejects stale or replayed posts', async () => {
+    READERS.authMode = 'hmac';
+    const payload = JSON.stringify(LLRP_BODY);
+    const now = Math.floor(Date.now() / 1000);
+    const post = (timestamp, signature) => request(app)
+      .post('/api/input/llrp')
+      .set('Content-Type', 'application/json')
+      .set('X-Reader-Key-Id', key.key_id)
+      .set('X-Reader-Timestamp', String(timestamp))
+      .set('X-Reader-Signature', signature)
+      .send(payload);
+
+    await request(app)
+      .post('/api/input/llrp')
+      .set('X-Reader-Key', `${key.key_id}.${key.secret}`)
+      .send(LLRP_BODY)
+      .expect(401);
+
+    await post(now, sign(now, payload)).expect(200);
+    expect((await post(now, sign(now, payload)).expect(409)).body.reason).toBe('replayed');
+    expect((await post(now, sign(now, payload, 'other')).expect(401)).body.reason).toBe('bad_signature');
+
+    const stale = now - READERS.authMaxSkewSeconds - 10;
+    expect((await post(stale, sign(stale, payload)).expect(401)).body.reason).toBe('stale_timestamp');
+  });
+
+  it('rejects a revoked key', async () => {
+    await request(app).delete(`/api/readers/1/keys/${key.key_id}`).expect(401);
+    await request(app).delete(`/api/readers/1/keys/${key.key_id}`).set('X-Admin-Token', 'admin-secret').expect(200);
+    await request(app).delete(`/api/readers/1/keys/${key.key_id}`).set('X-Admin-Token', 'admin-secret').expect(404);
+
+    const response = await request(app)
+      .post('/api/input/llrp')
+      .set('X-Reader-Key', `${key.key_id}.${key.secret}`)
+      .send(LLRP_BODY);
+    expect(response.status).toBe(401);
+    expect(response.body.reason).toBe('unknown_key');
+  });
+
+  it('queues RFID write jobs with the admin token, not reader credentials', async () => {
+    const create = jest.spyOn(writeJobs, 'create').mockResolvedValue({ id: 1, status: 'pending' });
+    const cancel = jest.spyOn(writeJobs, 'cancel').mockResolvedValue({ id: 1, status: 'cancelled' });
+    const job = { epc: '300833B2DDD9014000000001' };
+
+    const asReader = await request(app)
+      .post('/api/rfid/write')
+      .set('X-Reader-Key', `${key.key_id}.${key.secret}`)
+      .send(job);
+    expect(asReader.status).toBe(401);
+    expect(asReader.body.error.code).toBe('ADMIN_TOKEN_REQUIRED');
+    await request(app).post('/api/rfid/write/jobs/1/cancel').expect(401);
+    await request(app).post('/api/rfid/write/jobs/1/retry').expect(401);
+    expect(create).not.toHaveBeenCalled();
+    expect(cancel).not.toHaveBeenCalled();
+
+    await request(app).post('/api/rfid/write').set('X-Admin-Token', 'admin-secret').send(job).expect(202);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ epc: job.epc }));
+    await request(app).post('/api/rfid/write/jobs/1/cancel').set('X-Admin-Token', 'admin-secret').expect(200);
+
+    // The writer endpoints keep reader credentials
+    const next = await request(app).get('/api/rfid/write/next').set('X-Admin-Token', 'admin-secret');
+    expect(next.status).toBe(401);
+    expect(next.body.reason).toBe('missing_credentials');
+    create.mockRestore();
+    cancel.mockRestore();
+  });
+});
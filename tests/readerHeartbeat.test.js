@@ -0,0 +1,108 @@
+// Mock database pool
+const mockPool = {
+  execute: jest.fn()
+};
+
+const mockRealtimeService = {
+  publishSystemEvent: jest.fn().mockResolvedValue()
+};
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/realtimeService', () => mockRealtimeService);
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const { ReaderHeartbeat } = require('../server/services/readerHeartbeat');
+const { MonitoringService } = require('../server/services/MonitoringService');
+
+describe('ReaderHeartbeat', () => {
+  let heartbeat;
+  let monitoringService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.execute.mockResolvedValue([[]]);
+    monitoringService = new MonitoringService();
+    heartbeat = new ReaderHeartbeat({ silentAfterSeconds: 300 });
+    heartbeat.monitoringService = monitoringService;
+    heartbeat.startedAt = 0;
+  });
+
+  it('tracks the last POST per reader and antenna', () => {
+    heartbeat.record({ macAddress: '00:16:25:12:AB:CD', readerName: 'dock', endpoint: '/input', antennas: ['1', '2'], at: 1000 });
+    heartbeat.record({ macAddress: '00-16-25-12-ab-cd', readerName: 'dock', endpoint: '/input', antennas: ['2'], at: 1060 });
+
+    const [status] = heartbeat.getStatus(1100);
+    expect(status).toEqual(expect.objectContaining({
+      key: '00162512ABCD',
+      online: true,
+      seconds_since: 40
+    }));
+    expect(status.antennas).toEqual([
+      expect.objectContaining({ antenna: '1', seconds_since: 100 }),
+      expect.objectContaining({ antenna: '2', seconds_since: 40 })
+    ]);
+  });
+
+  it('raises an alert and a system event when a reader goes silent, and resolves it on recovery', () => {
+    heartbeat.record({ macAddress: 'AABBCCDDEEFF', readerName: 'gate', endpoint: '/input', at: 1000 });
+
+    expect(heartbeat.check(1200)).toBe(0);
+    expect(heartbeat.check(1400)).toBe(1);
+    expect(heartbeat.check(1500)).toBe(0); // reported once
+
+    expect(monitoringService.metrics.alerts.active).toEqual([
+      expect.objectContaining({ type: 'reader_offline', key: 'AABBCCDDEEFF', severity: 'high' })
+    ]);
+    expect(mockRealtimeService.publishSystemEvent)
+      .toHaveBeenCalledWith('reader_offline', expect.objectContaining({ macAddress: 'AABBCCDDEEFF', silentSeconds: 400 }));
+
+    heartbeat.record({ macAddress: 'AABBCCDDEEFF', readerName: 'gate', endpoint: '/input', at: 2000 });
+
+    expect(monitoringService.metrics.alerts.active).toHaveLength(0);
+    expect(monitoringService.metrics.alerts.resolved).toEqual([
+      expect.objectContaining({ type: 'reader_offline', key: 'AABBCCDDEEFF' })
+    ]);
+    expect(mockRealtimeService.publishSystemEvent)
+      .toHaveBeenCalledWith('reader_online', expect.objectContaining({ silentSeconds: 1000 }));
+  });
+
+  it('tells low-cost readers sharing the placeholder MAC apart by name', () => {
+    heartbeat.record({ macAddress: 'ChinaReaderMac', readerName: 'cheap-1', endpoint: '/input2', antennas: ['B1'], at: 1000 });
+    heartbeat.record({ macAddress: 'ChinaReaderMac', readerName: 'cheap-2', endpoint: '/input2', antennas: ['B1'], at: 1000 });
+    // A post without reads names no reader
+    heartbeat.record({ macAddress: 'ChinaReaderMac', readerName: '', endpoint: '/input2', at: 1000 });
+
+    // cheap-2 goes silent while cheap-1 keeps posting
+    heartbeat.record({ macAddress: 'ChinaReaderMac', readerName: 'cheap-1', endpoint: '/input2', antennas: ['B2'], at: 1300 });
+    expect(heartbeat.check(1400)).toBe(1);
+
+    expect(monitoringService.metrics.alerts.active).toEqual([
+      expect.objectContaining({ type: 'reader_offline', key: 'name:cheap-2' })
+    ]);
+    expect(heartbeat.getStatus(1400).map(status => [status.key, status.online])).toEqual([
+      ['name:cheap-1', true],
+      ['name:cheap-2', false]
+    ]);
+  });
+
+  it('keeps one alert per reader', () => {
+    heartbeat.record({ macAddress: 'AA0000000001', endpoint: '/input', at: 1000 });
+    heartbeat.record({ macAddress: 'AA0000000002', endpoint: '/input', at: 1000 });
+
+    expect(heartbeat.check(2000)).toBe(2);
+    expect(monitoringService.metrics.alerts.active.map(alert => alert.key))
+      .toEqual(['AA0000000001', 'AA0000000002']);
+  });
+
+  it('does not alert for registered readers before the silence interval since start', async () => {
+    mockPool.execute.mockResolvedValue([[{ mac_address: 'AABBCCDDEEFF', name: 'gate', last_seen: 100 }]]);
+    heartbeat.startedAt = 5000;
+    await heartbeat.hydrate();
+
+    expect(heartbeat.check(5100)).toBe(0);
+    expect(heartbeat.check(5400)).toBe(1);
+  });
+});
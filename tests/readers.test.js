@@ -0,0 +1,254 @@
+const request = require('supertest');
+const express = require('express');
+
+const { createMockPool, sqlError, splitRows } = require('./helpers/mockDatabase');
+
+// reader / reader_antenna / reader_quarantine kept in memory
+const mockDb = { readers: [], antennas: [], quarantine: [], items: [], rules: [] };
+
+const mockPool = createMockPool([
+  ['INSERT INTO reader (', (params) => {
+    if (mockDb.readers.some(r => r.mac_address === params[0])) {
+      throw sqlError('ER_DUP_ENTRY');
+    }
+    const id = mockDb.readers.length + 1;
+    mockDb.readers.push({ id, mac_address: params[0], name: params[1], location: params[2], description: params[3], enabled: params[4], field_order: params[5] });
+    return [{ insertId: id, affectedRows: 1 }];
+  }],
+  ['INSERT INTO reader_antenna', (params) => {
+    mockDb.antennas.push({ reader_id: Number(params[0]), antenna: params[1], label: params[2] });
+    return [{ affectedRows: 1 }];
+  }],
+  ['DELETE FROM reader_antenna', (params) => {
+    mockDb.antennas = mockDb.antennas.filter(a => a.reader_id !== Number(params[0]));
+    return [{ affectedRows: 1 }];
+  }],
+  ['DELETE FROM reader WHERE', (params) => {
+    const id = Number(params[0]);
+    if (mockDb.rules.some(rule => rule.reader_id === id)) {
+      throw sqlError('ER_ROW_IS_REFERENCED_2');
+    }
+    const before = mockDb.readers.length;
+    mockDb.readers = mockDb.readers.filter(r => r.id !== id);
+    return [{ affectedRows: before - mockDb.readers.length }];
+  }],
+  ['UPDATE reader SET', (params, query) => {
+    const reader = mockDb.readers.find(r => r.id === Number(params[params.length - 1]));
+    if (reader && query.includes('location = ?')) reader.location = params[0];
+    return [{ affectedRows: reader ? 1 : 0 }];
+  }],
+  [/FROM reader_antenna/, (params) => [params.length ? mockDb.antennas.filter(a => a.reader_id === Number(params[0])) : mockDb.antennas]],
+  [/FROM reader/, (params) => [params.length ? mockDb.readers.filter(r => r.id === Number(params[0])) : mockDb.readers]],
+  ['INSERT INTO reader_quarantine', (params) => {
+    mockDb.quarantine.push(params);
+    return [{ affectedRows: 1 }];
+  }],
+  [/INSERT INTO item/, (params) => {
+    mockDb.items.push(...splitRows(params, 8));
+    return [{ affectedRows: 1 }];
+  }],
+  // read_event, archived item checks, reader keys...: no rows
+  [/^/, () => [[]]]
+]);
+const mockConnection = mockPool.connection;
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/realtimeService', () => ({ publishRFIDEvent: jest.fn().mockResolvedValue() }));
+jest.mock('../server/services/movementEngine', () => ({ movementEngine: { processRead: jest.fn() } }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const readersRoutes = require('../server/routes/readers');
+const inputRoutes = require('../server/routes/input');
+const { readerRegistry } = require('../server/services/readerRegistry');
+const { readAggregator } = require('../server/services/readAggregator');
+const { readerHeartbeat } = require('../server/services/readerHeartbeat');
+
+describe('Reader registry', () => {
+  let app;
+
+  beforeAll(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.readers = [];
+    mockDb.antennas = [];
+    mockDb.quarantine = [];
+    mockDb.items = [];
+    mockDb.rules = [];
+    readerRegistry.invalidate();
+    readerRegistry.options.strictMode = 'off';
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/readers', readersRoutes);
+    app.use('/api', inputRoutes);
+  });
+
+  const registerDock = () => request(app)
+    .post('/api/readers')
+    .send({
+      mac_address: '00:16:25:12:ab:cd',
+      name: 'Dock',
+      location: 'Loading bay',
+      antennas: [{ antenna: '1', label: 'Dock door out' }]
+    });
+
+  it('registers a reader with a normalized MAC and antenna labels', async () => {
+    const response = await registerDock();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toEqual(expect.objectContaining({
+      mac_address: '00162512ABCD',
+      name: 'Dock',
+      enabled: true,
+      antennas: [{ antenna: '1', label: 'Dock door out' }]
+    }));
+    expect(mockConnection.commit).toHaveBeenCalled();
+  });
+
+  it('returns 409 for a MAC that is already registered', async () => {
+    await registerDock();
+    const response = await registerDock();
+
+    expect(response.status).toBe(409);
+    expect(mockConnection.rollback).toHaveBeenCalled();
+  });
+
+  it('refuses to delete a reader used by an alert rule', async () => {
+    await registerDock();
+    mockDb.rules = [{ id: 1, reader_id: 1 }];
+
+    const response = await request(app).delete('/api/readers/1');
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('IN_USE');
+    expect(mockConnection.rollback).toHaveBeenCalled();
+    expect(mockDb.readers).toHaveLength(1);
+
+    mockDb.rules = [];
+    await request(app).delete('/api/readers/1').expect(200);
+    await request(app).delete('/api/readers/1').expect(404);
+  });
+
+  it('updates fields and replaces antennas', async () => {
+    await registerDock();
+    const response = await request(app)
+      .put('/api/readers/1')
+      .send({ location: 'Cage B', antennas: [{ antenna: '2', label: 'Cage B shelf 2' }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.location).toBe('Cage B');
+    expect(response.body.data.antennas).toEqual([{ antenna: '2', label: 'Cage B shelf 2' }]);
+  });
+
+  it('validates antenna labels', async () => {
+    const response = await request(app)
+      .post('/api/readers')
+      .send({ mac_address: 'AABBCCDDEEFF', antennas: [{ antenna: '1' }] });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('rejects reads from unknown MACs in strict reject mode', async () => {
+    await registerDock();
+    readerRegistry.options.strictMode = 'reject';
+
+    await request(app)
+      .post('/api/input2')
+      .send([{ ant: 1, epc: 'E2000017221101441890ABCD', customcode: 'cheap-1' }])
+      .expect(403);
+
+    const response = await request(app)
+      .post('/api/input/llrp')
+      .send({ MACAddress: '00-16-25-12-AB-CD', TagReportData: [{ EPC_96: '300833B2DDD9014000000001', AntennaID: 1 }] });
+
+    expect(response.body).toEqual(expect.objectContaining({ processed: 1, rejected: 0 }));
+    await readAggregator.flush();
+    expect(mockDb.items).toHaveLength(1);
+  });
+
+  it('answers 500 when ingestion fails unexpectedly', async () => {
+    readerRegistry.options.strictMode = 'reject';
+    const isKnown = jest.spyOn(readerRegistry, 'isKnown').mockRejectedValue(new Error('Connection lost'));
+    try {
+      const response = await request(app)
+        .post('/api/input/llrp')
+        .send({ MACAddress: '00-16-25-12-AB-CD', TagReportData: [{ EPC_96: '300833B2DDD9014000000001', AntennaID: 1 }] })
+        .expect(500);
+
+      expect(response.body).toEqual({ error: 'Failed to process reads' });
+      await readAggregator.flush();
+      expect(mockDb.items).toHaveLength(0);
+    } finally {
+      isKnown.mockRestore();
+    }
+  });
+
+  it('records heartbeats only for registered readers in strict mode', async () => {
+    await registerDock();
+    readerRegistry.options.strictMode = 'reject';
+    const record = jest.spyOn(readerHeartbeat, 'record').mockImplementation(() => {});
+    try {
+      await request(app)
+        .post('/api/input/llrp')
+        .send({ MACAddress: 'DE:AD:BE:EF:00:01', TagReportData: [{ EPC_96: '300833B2DDD9014000000001', AntennaID: 1 }] })
+        .expect(403);
+      await request(app).post('/api/input/llrp').send({ MACAddress: 'DE:AD:BE:EF:00:01', TagReportData: [] }).expect(200);
+      expect(record).not.toHaveBeenCalled();
+
+      await request(app)
+        .post('/api/input/llrp')
+        .send({ MACAddress: '00-16-25-12-AB-CD', TagReportData: [{ EPC_96: '300833B2DDD9014000000001', AntennaID: 1 }] })
+        .expect(200);
+      await request(app).post('/api/input/llrp').send({ MACAddress: '00-16-25-12-AB-CD', TagReportData: [] }).expect(200);
+      expect(record).toHaveBeenCalledTimes(2);
+      expect(record).toHaveBeenCalledWith(expect.objectContaining({ macAddress: '00-16-25-12-AB-CD', antennas: ['1'] }));
+    } finally {
+      record.mockRestore();
+    }
+    await readAggregator.flush();
+  });
+
+  it('parses CSV posts with the registered field order', async () => {
+    await request(app)
+      .post('/api/readers')
+      .send({ mac_address: 'AABBCCDDEEFF', field_order: 'epc,antenna_port,peak_rssi' })
+      .expect(201);
+
+    await request(app)
+      .post('/api/input')
+      .type('form')
+      .send({ mac_address: 'AA:BB:CC:DD:EE:FF', reader_name: 'gate', field_values: '"E2000017221101441890ABCD","4","-55"' })
+      .expect(200);
+    await readAggregator.flush();
+
+    expect(mockDb.items[0]).toEqual(expect.arrayContaining(['E2000017221101441890ABCD', '4']));
+  });
+
+  it('validates the field order', async () => {
+    await request(app)
+      .post('/api/readers')
+      .send({ mac_address: 'AABBCCDDEEFF', field_order: 'epc,rssi' })
+      .expect(400);
+  });
+
+  it('quarantines reads from unknown MACs in strict quarantine mode', async () => {
+    readerRegistry.options.strictMode = 'quarantine';
+
+    const response = await request(app)
+      .post('/api/input2')
+      .send([{ ant: 1, epc: 'E2000017221101441890ABCD', customcode: 'cheap-1' }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({ processed: 0, quarantined: 1 }));
+    await readAggregator.flush();
+    expect(mockDb.items).toHaveLength(0);
+    expect(mockDb.quarantine[0]).toEqual(
+      expect.arrayContaining(['ChinaReaderMac', 'cheap-1', 'E2000017221101441890ABCD', 'B1', '/input2'])
+    );
+  });
+});
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool
+const mockPool = {
+  execute: jest.fn()
+};
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/realtimeService', () => ({ publishSystemEvent: jest.fn().mockResolvedValue() }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const readsRoutes = require('../server/routes/reads');
+const { ReadEventLog, toDays, partitionName } = require('../server/services/readEventLog');
+
+// 2026-10-18 08:00:00 UTC
+const T0 = Date.UTC(2026, 9, 18, 8, 0, 0) / 1000;
+const sql = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 19).replace('T', ' ');
+
+describe('Read log API', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/reads', readsRoutes);
+  });
+
+  it('filters reads and paginates', async () => {
+    mockPool.execute
+      .mockResolvedValueOnce([[{ id: 1, epc: 'E1', antenna: '1', rssi: -50 }]])
+      .mockResolvedValueOnce([[{ total: 1 }]]);
+
+    const response = await request(app)
+      .get('/api/reads')
+      .query({ epc: 'E1', from: '2026-10-18T00:00:00Z', min_rssi: -60, limit: 10, order: 'asc' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.pagination).toEqual({ page: 1, limit: 10, total: 1, pages: 1 });
+    const [query, params] = mockPool.execute.mock.calls[0];
+    expect(query).toContain('epc = ? AND read_at >= ? AND rssi >= ?');
+    expect(query).toContain('ORDER BY read_at ASC, id ASC');
+    expect(query).toContain('LIMIT 10 OFFSET 0');
+    expect(params).toEqual(['E1', '2026-10-18 00:00:00', -60]);
+  });
+
+  it('searches the last day by default', async () => {
+    mockPool.execute.mockResolvedValueOnce([[]]).mockResolvedValueOnce([[{ total: 0 }]]);
+
+    await request(app).get('/api/reads').expect(200);
+
+    const [, params] = mockPool.execute.mock.calls[0];
+    expect(Date.parse(params[0].replace(' ', 'T') + 'Z')).toBeGreaterThan(Date.now() - 24 * 3600 * 1000 - 5000);
+  });
+
+  it('validates the replay range', async () => {
+    await request(app)
+      .post('/api/reads/replay')
+      .send({ from: '2026-10-18T10:00:00Z', to: '2026-10-18T09:00:00Z' })
+      .expect(400);
+  });
+
+  describe('replay', () => {
+    // Tag leaves after antenna 1 and comes back 1h later on antenna 2 (gap 900s)
+    const readEvents = [
+      { id: 1, epc: 'E1', antenna: '1', read_at: `${sql(T0)}.000000` },
+      { id: 2, epc: 'E1', antenna: '1', read_at: `${sql(T0 + 60)}.000000` },
+      { id: 3, epc: 'E1', antenna: '2', read_at: `${sql(T0 + 3660)}.500000` }
+    ];
+    let histWrites;
+
+    beforeEach(() => {
+      histWrites = [];
+      mockPool.execute.mockImplementation(async (query, params = []) => {
+        if (query.includes('FROM item')) return [[{ epc: 'E1', group_id: 1 }]];
+        if (query.startsWith('DELETE FROM hist')) return [{ affectedRows: 2 }];
+        if (query.includes('INSERT INTO hist') || query.includes('UPDATE hist')) {
+          histWrites.push(params);
+          return [{ insertId: 10, affectedRows: 1 }];
+        }
+        if (query.includes('FROM read_event') && query.includes('LIMIT 1')) return [[]];
+        // Keyset page: the cursor id is the last parameter
+        if (query.includes('FROM read_event')) return [readEvents.filter(row => row.id > params[params.length - 1])];
+        return [[]];
+      });
+    });
+
+    it('rebuilds hist for the range', async () => {
+      const response = await request(app)
+        .post('/api/reads/replay')
+        .send({ from: new Date(T0 * 1000).toISOString(), to: new Date((T0 + 4000) * 1000).toISOString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({
+        reads: 3, departures: 1, returns: 1, histDeleted: 2, dryRun: false
+      }));
+      expect(mockPool.execute).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM hist WHERE dep >= ? AND dep < ?'),
+        [sql(T0), sql(T0 + 4000)]
+      );
+      expect(histWrites).toEqual([['E1', sql(T0 + 60), sql(T0 + 3660), '1', '2']]);
+    });
+
+    it('reports events without writing hist on dry-run', async () => {
+      const response = await request(app)
+        .post('/api/reads/replay')
+        .send({ from: new Date(T0 * 1000).toISOString(), to: new Date((T0 + 4000) * 1000).toISOString(), epc: 'E1', dry_run: true });
+
+      expect(response.body.data.histDeleted).toBe(0);
+      expect(response.body.data.events).toEqual([
+        expect.objectContaining({ type: 'departure', epc: 'E1', departedAt: T0 + 60 }),
+        expect.objectContaining({ type: 'return', epc: 'E1', returnedAt: T0 + 3660, durationSeconds: 3600 })
+      ]);
+      expect(histWrites).toEqual([]);
+      expect(mockPool.execute.mock.calls.some(([query]) => query.startsWith('DELETE'))).toBe(false);
+    });
+  });
+});
+
+describe('ReadEventLog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('names daily partitions after the day they hold', () => {
+    expect(toDays(Date.UTC(1970, 0, 1) / 1000)).toBe(719528);
+    expect(partitionName(toDays(T0))).toBe('p20261018');
+  });
+
+  it('adds partitions ahead and drops expired ones', async () => {
+    const log = new ReadEventLog({ retentionDays: 30, partitionsAhead: 2 });
+    const today = toDays(T0);
+    mockPool.execute.mockImplementation(async (query) => {
+      if (query.includes('information_schema.PARTITIONS')) {
+        return [[
+          { name: partitionName(today - 40), bound: String(today - 39) },
+          { name: partitionName(today - 10), bound: String(today - 9) },
+          { name: partitionName(today), bound: String(today + 1) },
+          { name: 'p_future', bound: 'MAXVALUE' }
+        ]];
+      }
+      return [{ affectedRows: 0 }];
+    });
+
+    await expect(log.maintain(T0)).resolves.toEqual({ created: 2, dropped: 1, deleted: 0 });
+
+    const statements = mockPool.execute.mock.calls.map(([query]) => query.replace(/\s+/g, ' ').trim());
+    expect(statements[1]).toBe(
+      'ALTER TABLE read_event REORGANIZE PARTITION p_future INTO ( ' +
+      `PARTITION p20261019 VALUES LESS THAN (${today + 2}), ` +
+      `PARTITION p20261020 VALUES LESS THAN (${today + 3}), ` +
+      'PARTITION p_future VALUES LESS THAN MAXVALUE )'
+    );
+    expect(statements[2]).toBe(`ALTER TABLE read_event DROP PARTITION ${partitionName(today - 40)}`);
+  });
+
+  it('falls back to DELETE on an unpartitioned table', async () => {
+    const log = new ReadEventLog({ retentionDays: 30 });
+    mockPool.execute
+      .mockResolvedValueOnce([[]])
+      .mockResolvedValueOnce([{ affectedRows: 12 }]);
+
+    await expect(log.maintain(T0)).resolves.toEqual({ created: 0, dropped: 0, deleted: 12 });
+    expect(mockPool.execute).toHaveBeenLastCalledWith(
+      'DELETE FROM read_event WHERE read_at < ?',
+      [`${sql(T0 - 30 * 86400)}.000`]
+    );
+  });
+
+  it('appends reads in one insert', async () => {
+    const log = new ReadEventLog({ enabled: true });
+    mockPool.execute.mockResolvedValue([{ affectedRows: 2 }]);
+    const read = { epc: 'E1', antenna: '1', macAddress: 'M', readerName: 'R', rssi: null, phase: null, channel: null, readerTimestamp: null, readAt: T0 };
+
+    await expect(log.record([read, { ...read, epc: 'E2' }], '/input', sql(T0))).resolves.toBe(2);
+    expect(mockPool.execute).toHaveBeenCalledTimes(1);
+    expect(mockPool.execute.mock.calls[0][1]).toHaveLength(22);
+  });
+});
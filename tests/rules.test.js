@@ -0,0 +1,190 @@
+const request = require('supertest');
+const express = require('express');
+const EventEmitter = require('events');
+
+const { createMockPool } = require('./helpers/mockDatabase');
+
+// alert_rule / alert / item kept in memory
+const mockDb = { rules: [], alerts: [], items: [] };
+
+const withDesignation = (alert) => ({
+  ...alert,
+  designation: mockDb.items.find(item => item.id === alert.item_id)?.designation ?? null
+});
+
+const mockPool = createMockPool([
+  [/FROM alert_rule r LEFT JOIN reader rd/, () => [
+    mockDb.rules.filter(rule => rule.enabled).map(rule => ({ ...rule, reader_mac: null }))
+  ]],
+  [/FROM alert_rule r WHERE r\.id = \?/, (params) => [mockDb.rules.filter(rule => rule.id === params[0])]],
+  ['INSERT INTO alert_rule', (params, query) => {
+    const fields = query.match(/\(([^)]*), created_at/)[1].split(', ');
+    const rule = {
+      id: mockDb.rules.length + 1, enabled: 1, item_id: null, group_id: null, category: null, location_id: null,
+      reader_id: null, antenna: null, dwell_minutes: null, active_from: null, active_to: null, active_days: null, severity: 'high'
+    };
+    fields.forEach((field, i) => { rule[field] = params[i]; });
+    mockDb.rules.push(rule);
+    return [{ insertId: rule.id, affectedRows: 1 }];
+  }],
+  ['SELECT id, epc, group_id, category, designation FROM item', () => [mockDb.items]],
+  ['SELECT epc, mac_address, antenna FROM item', () => [[]]],
+  ['INSERT INTO alert (', (params) => {
+    const [rule_id, rule_name, trigger_type, severity, epc, item_id, mac_address, antenna, location_id, message, triggered_at] = params;
+    const id = mockDb.alerts.length + 1;
+    mockDb.alerts.push({
+      id, rule_id, rule_name, trigger_type, severity, epc, item_id, mac_address, antenna, location_id, message, triggered_at,
+      acknowledged_at: null, acknowledged_by: null, acknowledge_note: null
+    });
+    return [{ insertId: id, affectedRows: 1 }];
+  }],
+  [/FROM alert a LEFT JOIN item i ON i\.id = a\.item_id WHERE a\.id = \?/, (params) => [
+    mockDb.alerts.filter(alert => alert.id === params[0]).map(withDesignation)
+  ]],
+  [/FROM alert a LEFT JOIN item i/, (params, query) => {
+    const open = query.includes('a.acknowledged_at IS NULL');
+    return [mockDb.alerts.filter(alert => !open || !alert.acknowledged_at).map(withDesignation).reverse()];
+  }],
+  ['UPDATE alert SET acknowledged_at', (params) => {
+    Object.assign(mockDb.alerts.find(alert => alert.id === params[2]), {
+      acknowledged_at: '2026-01-15T08:00:00Z', acknowledged_by: params[0], acknowledge_note: params[1]
+    });
+    return [{ affectedRows: 1 }];
+  }]
+]);
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/realtimeService', () => ({
+  publishRFIDEvent: jest.fn().mockResolvedValue(),
+  publishSystemEvent: jest.fn().mockResolvedValue()
+}));
+jest.mock('../server/services/movementEngine', () => {
+  const EventEmitter = require('events');
+  return { movementEngine: new EventEmitter() };
+});
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const realtimeService = require('../server/services/realtimeService');
+const rulesRoutes = require('../server/routes/rules');
+const alertsRoutes = require('../server/routes/alerts');
+const { RuleEngine, ruleEngine, isArmed } = require('../server/services/ruleEngine');
+
+// Dock reader: antenna 1 is the loading dock (location 3, inside site 1), antenna 2 the cage (location 2)
+const DOCK_MAC = 'AA:BB:CC:00:00:01';
+const fakeLocations = {
+  refresh: jest.fn().mockResolvedValue(),
+  get: jest.fn(async (id) => ({ id, path: { 1: 'Paris', 2: 'Paris > Cage', 3: 'Paris > Dock' }[id] })),
+  locationIdsOf: (mac, antenna) => ({ 1: [3, 1], 2: [2, 1] }[antenna] || [])
+};
+
+// Wednesday 14 January 2026 at a Paris local hour (UTC+1 in winter)
+const parisTime = (hour, minute = 0, day = 14) => Date.UTC(2026, 0, day, hour - 1, minute) / 1000;
+
+describe('Alert rules', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.rules = [];
+    mockDb.alerts = [];
+    mockDb.items = [
+      { id: 1, epc: 'DATAS1', group_id: '5', category: 'DRIVE', designation: 'DATAS 4TB' },
+      { id: 2, epc: 'CAM1', group_id: '2', category: 'CAMERA', designation: 'FS7' }
+    ];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/rules', rulesRoutes);
+    app.use('/api/alerts', alertsRoutes);
+  });
+
+  it('validates rules on create', async () => {
+    const noPlace = await request(app).post('/api/rules').send({ name: 'Dock', trigger_type: 'enters' }).expect(400);
+    expect(noPlace.body.error.code).toBe('INVALID_RULE');
+    await request(app).post('/api/rules').send({ name: 'Dock', trigger_type: 'dwells', location_id: 3 }).expect(400);
+    await request(app).post('/api/rules').send({ name: 'Dock', trigger_type: 'enters', antenna: '1', active_from: '19:00' }).expect(400);
+    await request(app).post('/api/rules').send({ name: 'Dock', trigger_type: 'flies', antenna: '1' }).expect(400);
+    await request(app).post('/api/rules').send({ name: 'Dock', trigger_type: 'enters', antenna: '1', active_days: [0] }).expect(400);
+
+    const created = await request(app)
+      .post('/api/rules')
+      .send({ name: 'DATAS after hours', trigger_type: 'enters', location_id: 3, group_id: 5, active_from: '19:00', active_to: '07:00', active_days: [5, 1, 2] })
+      .expect(201);
+    expect(created.body.data).toEqual(expect.objectContaining({ id: 1, enabled: true, group_id: '5', active_days: [1, 2, 5] }));
+  });
+
+  it('arms rules inside their local time window, including windows over midnight', () => {
+    const nights = { active_from: '19:00', active_to: '07:00', active_days: '1,2,3,4,5' };
+    expect(isArmed(nights, parisTime(22))).toBe(true);
+    expect(isArmed(nights, parisTime(12))).toBe(false);
+    // Saturday 06:00 belongs to Friday night, Sunday 06:00 to Saturday night
+    expect(isArmed(nights, parisTime(6, 0, 17))).toBe(true);
+    expect(isArmed(nights, parisTime(6, 0, 18))).toBe(false);
+    expect(isArmed({ active_from: null, active_to: null, active_days: null }, parisTime(3))).toBe(true);
+  });
+
+  it('raises enters / leaves violations and clears them on acknowledge', async () => {
+    const engine = new EventEmitter();
+    const monitoringService = { createAlert: jest.fn(), resolveAlert: jest.fn() };
+    const service = new RuleEngine({ engine, locations: fakeLocations });
+    mockDb.rules.push(
+      { id: 1, name: 'DATAS after hours', enabled: 1, item_id: null, group_id: '5', category: null, location_id: 1, reader_id: null,
+        antenna: null, trigger_type: 'enters', dwell_minutes: null, active_from: '19:00', active_to: '07:00', active_days: null, severity: 'critical' },
+      { id: 2, name: 'Cameras leave the cage', enabled: 1, item_id: null, group_id: null, category: 'CAMERA', location_id: null, reader_id: null,
+        antenna: '2', trigger_type: 'leaves', dwell_minutes: null, active_from: null, active_to: null, active_days: null, severity: 'low' }
+    );
+    await service.start(monitoringService);
+
+    // Seen at the dock during working hours, gone, back at night
+    expect(await service.processRead({ epc: 'DATAS1', antenna: '1', macAddress: DOCK_MAC, timestamp: parisTime(10) })).toEqual([]);
+    engine.emit('departure', { epc: 'DATAS1', departedAt: parisTime(11) });
+    await service.processRead({ epc: 'DATAS1', antenna: '1', macAddress: DOCK_MAC, timestamp: parisTime(22) });
+    // Same antenna again: no new transition
+    await service.processRead({ epc: 'DATAS1', antenna: '1', macAddress: DOCK_MAC, timestamp: parisTime(22, 5) });
+    // Not the rule's group
+    await service.processRead({ epc: 'CAM1', antenna: '2', macAddress: DOCK_MAC, timestamp: parisTime(22) });
+    await service.processRead({ epc: 'CAM1', antenna: '1', macAddress: DOCK_MAC, timestamp: parisTime(22, 1) });
+
+    expect(mockDb.alerts.map(alert => alert.message)).toEqual([
+      'DATAS after hours: DATAS 4TB entered Paris',
+      'Cameras leave the cage: FS7 left antenna 2'
+    ]);
+    expect(mockDb.alerts[0]).toEqual(expect.objectContaining({ rule_id: 1, epc: 'DATAS1', item_id: 1, location_id: 3, severity: 'critical' }));
+    expect(realtimeService.publishSystemEvent).toHaveBeenCalledWith('rule_violation', expect.objectContaining({ id: 1, ruleId: 1, trigger: 'enters' }));
+    expect(monitoringService.createAlert).toHaveBeenCalledWith('rule_violation', expect.objectContaining({ severity: 'critical' }), 'alert:1');
+    service.stop();
+
+    ruleEngine.monitoringService = monitoringService;
+    const open = await request(app).get('/api/alerts?acknowledged=false').expect(200);
+    expect(open.body.data.map(alert => alert.id)).toEqual([2, 1]);
+    const acknowledged = await request(app).post('/api/alerts/1/acknowledge').send({ acknowledged_by: 'gardien', note: 'Tournage de nuit' }).expect(200);
+    expect(acknowledged.body.data).toEqual(expect.objectContaining({ acknowledged_by: 'gardien', acknowledge_note: 'Tournage de nuit' }));
+    expect(monitoringService.resolveAlert).toHaveBeenCalledWith('rule_violation', 'alert:1');
+    await request(app).post('/api/alerts/1/acknowledge').send({}).expect(409);
+    await request(app).post('/api/alerts/9/acknowledge').send({}).expect(404);
+    ruleEngine.monitoringService = null;
+  });
+
+  it('raises a dwells rule once per stay', async () => {
+    const service = new RuleEngine({ engine: new EventEmitter(), locations: fakeLocations });
+    mockDb.rules.push({
+      id: 1, name: 'Dock is not storage', enabled: 1, item_id: null, group_id: null, category: null, location_id: 3, reader_id: null,
+      antenna: null, trigger_type: 'dwells', dwell_minutes: 30, active_from: null, active_to: null, active_days: null, severity: 'medium'
+    });
+
+    await service.processRead({ epc: 'CAM1', antenna: '1', macAddress: DOCK_MAC, timestamp: parisTime(9) });
+    await service.processRead({ epc: 'DATAS1', antenna: '2', macAddress: DOCK_MAC, timestamp: parisTime(9) });
+    expect(await service.checkDwell(parisTime(9, 20))).toBe(0);
+    expect(await service.checkDwell(parisTime(9, 31))).toBe(1);
+    expect(await service.checkDwell(parisTime(9, 45))).toBe(0);
+    expect(mockDb.alerts.map(alert => alert.message)).toEqual(['Dock is not storage: FS7 stayed 31 min in Paris > Dock']);
+
+    // Leaving and coming back starts a new stay
+    await service.processRead({ epc: 'CAM1', antenna: '2', macAddress: DOCK_MAC, timestamp: parisTime(10) });
+    await service.processRead({ epc: 'CAM1', antenna: '1', macAddress: DOCK_MAC, timestamp: parisTime(10, 5) });
+    expect(await service.checkDwell(parisTime(10, 40))).toBe(1);
+  });
+});
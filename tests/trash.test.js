@@ -0,0 +1,116 @@
+const request = require('supertest');
+const express = require('express');
+
+const { createMockPool, sqlError } = require('./helpers/mockDatabase');
+
+// item kept in memory; rules only hold the item_id of alert rules
+const mockDb = { items: [], rules: [] };
+
+const byIds = (ids) => mockDb.items.filter(item => ids.map(Number).includes(item.id));
+
+const mockPool = createMockPool([
+  ['SELECT id, epc, designation, brand, model, serial_number, inventory_code, category, group_id, archived_at FROM item', (params) => [
+    byIds(params).map(({ updated_at, ...item }) => ({ ...item }))
+  ]],
+  ['UPDATE item SET archived_at = UTC_TIMESTAMP()', (params) => {
+    const archived = byIds(params).filter(item => item.archived_at === null);
+    archived.forEach(item => { item.archived_at = '2026-10-18T08:00:00Z'; });
+    return [{ affectedRows: archived.length }];
+  }],
+  ['UPDATE item SET archived_at = NULL', (params) => {
+    const restored = byIds(params).filter(item => item.archived_at !== null);
+    restored.forEach(item => { item.archived_at = null; });
+    return [{ affectedRows: restored.length }];
+  }],
+  ['DELETE FROM item', (params) => {
+    const purged = byIds(params).filter(item => item.archived_at !== null);
+    if (purged.some(item => mockDb.rules.some(rule => rule.item_id === item.id))) {
+      throw sqlError('ER_ROW_IS_REFERENCED_2');
+    }
+    mockDb.items = mockDb.items.filter(item => !purged.includes(item));
+    return [{ affectedRows: purged.length }];
+  }],
+  [/FROM item i LEFT JOIN groupname g ON i\.group_id = g\.group_id WHERE i\.archived_at IS NOT NULL/, () => [mockDb.items
+    .filter(item => item.archived_at !== null)
+    .map(item => ({ ...item, group: null, last_seen_at: item.updated_at, read_since_archived: item.updated_at > item.archived_at ? 1 : 0 }))]],
+  ['INSERT INTO item', () => {
+    throw sqlError('ER_DUP_ENTRY');
+  }],
+  ['SELECT id FROM item WHERE epc = ? AND archived_at IS NOT NULL', (params) => [
+    mockDb.items.filter(item => item.epc === params[0] && item.archived_at !== null)
+  ]],
+  ['INSERT INTO audit_log', (params) => [{ affectedRows: params.length / 9 }]]
+]);
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/webhooks', () => ({ webhooks: { publish: jest.fn() } }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const itemsRoutes = require('../server/routes/items');
+const { webhooks } = require('../server/services/webhooks');
+
+describe('Items trash', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const item = (id, epc, designation) => ({
+      id, epc, designation, brand: 'Sony', model: null, serial_number: null, inventory_code: null,
+      category: 'CAMERA', group_id: 2, archived_at: null, updated_at: '2026-10-18T07:00:00Z', antenna: '1'
+    });
+    mockDb.items = [item(1, 'CAM1', 'FS7'), item(2, 'CAM2', 'FX6'), item(3, 'CAM3', 'FX9')];
+    mockDb.rules = [];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/items', itemsRoutes);
+  });
+
+  it('archives deleted items instead of removing their row', async () => {
+    const deleted = await request(app).delete('/api/items/bulk').send({ itemIds: [1, 2] }).expect(200);
+    expect(deleted.body.data).toEqual({ deletedCount: 2, requestedCount: 2 });
+    expect(mockDb.items.map(item => item.archived_at !== null)).toEqual([true, true, false]);
+    expect(webhooks.publish).toHaveBeenCalledWith('item_changed', { action: 'archived', item_ids: [1, 2] });
+
+    // A read after the deletion updated the row: the trash flags it
+    mockDb.items[1].updated_at = '2026-10-18T09:00:00Z';
+    const trash = await request(app).get('/api/items/archived').expect(200);
+    expect(trash.body.data.map(item => [item.epc, item.read_since_archived])).toEqual([['CAM1', false], ['CAM2', true]]);
+
+    const duplicate = await request(app).post('/api/items').send({
+      designation: 'FS7', brand: 'Sony', model: 'PXW-FS7', serial_number: 'S1', epc: 'CAM1', inventory_code: 'C-1', category: 'CAMERA', group_id: 2
+    }).expect(409);
+    expect(duplicate.body.error.message).toMatch(/restore it from the trash/);
+  });
+
+  it('restores archived items and purges only archived ones', async () => {
+    await request(app).delete('/api/items/bulk').send({ itemIds: [1, 2] }).expect(200);
+
+    const restored = await request(app).post('/api/items/restore').send({ itemIds: [1, 3] }).expect(200);
+    expect(restored.body.data).toEqual({ restoredCount: 1, requestedCount: 2 });
+
+    const purged = await request(app).delete('/api/items/purge').send({ itemIds: [1, 2, 3] }).expect(200);
+    expect(purged.body.data).toEqual({ purgedCount: 1, requestedCount: 3 });
+    expect(mockDb.items.map(item => item.id)).toEqual([1, 3]);
+
+    await request(app).post('/api/items/restore').send({ itemIds: [] }).expect(400);
+    await request(app).delete('/api/items/purge').send({ itemIds: ['x'] }).expect(400);
+  });
+
+  it('refuses to purge items used by an alert rule', async () => {
+    await request(app).delete('/api/items/bulk').send({ itemIds: [1, 2] }).expect(200);
+    mockDb.rules = [{ id: 1, item_id: 2 }];
+
+    const response = await request(app).delete('/api/items/purge').send({ itemIds: [1, 2] });
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('IN_USE');
+    expect(mockDb.items.map(item => item.id)).toEqual([1, 2, 3]);
+
+    mockDb.rules = [];
+    await request(app).delete('/api/items/purge').send({ itemIds: [1, 2] }).expect(200);
+    expect(mockDb.items.map(item => item.id)).toEqual([3]);
+  });
+});
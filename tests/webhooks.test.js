@@ -0,0 +1,253 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const EventEmitter = require('events');
+
+const { createMockPool } = require('./helpers/mockDatabase');
+
+// webhook / webhook_delivery kept in memory
+const mockDb = { webhooks: [], deliveries: [] };
+
+const isDue = (delivery) => delivery.next_attempt_at === null || Date.parse(`${delivery.next_attempt_at}Z`) <= Date.now();
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+// Queue of each enabled subscription, oldest first
+const queues = () => mockDb.webhooks.filter(webhook => webhook.enabled).map(webhook => ({
+  webhook,
+  deliveries: mockDb.deliveries.filter(delivery => delivery.webhook_id === webhook.id && delivery.status === 'pending')
+}));
+
+const mockPool = createMockPool([
+  ['SELECT id, event_types FROM webhook WHERE enabled = 1', () => [mockDb.webhooks.filter(webhook => webhook.enabled)]],
+  [/FROM webhook ORDER BY/, () => [mockDb.webhooks.map(withoutSecret)]],
+  [/FROM webhook WHERE id = \?/, (params) => [mockDb.webhooks.filter(webhook => webhook.id === params[0]).map(withoutSecret)]],
+  ['INSERT INTO webhook (', ([name, url, secret, event_types, enabled]) => {
+    const id = mockDb.webhooks.length + 1;
+    mockDb.webhooks.push({ id, name, url, secret, event_types, enabled, created_at: null, updated_at: null });
+    return [{ insertId: id, affectedRows: 1 }];
+  }],
+  ['UPDATE webhook SET', (params, query) => {
+    const webhook = mockDb.webhooks.find(row => row.id === params[params.length - 1]);
+    if (!webhook) return [{ affectedRows: 0 }];
+    const fields = query.match(/SET (.*) WHERE/)[1].split(', ').map(set => set.split(' = ')[0]);
+    fields.filter(field => field !== 'updated_at').forEach((field, i) => { webhook[field] = params[i]; });
+    return [{ affectedRows: 1 }];
+  }],
+  ['INSERT INTO webhook_delivery', (params) => {
+    for (let i = 0; i < params.length; i += 3) {
+      mockDb.deliveries.push({
+        id: mockDb.deliveries.length + 1, webhook_id: params[i], event_type: params[i + 1], payload: params[i + 2],
+        status: 'pending', attempts: 0, next_attempt_at: null, response_status: null, error: null, duration_ms: null
+      });
+    }
+    return [{ affectedRows: params.length / 3 }];
+  }],
+  ['SELECT webhook_id, COUNT(*) AS pending FROM webhook_delivery', () => {
+    const counts = new Map();
+    mockDb.deliveries.filter(delivery => delivery.status === 'pending')
+      .forEach(delivery => counts.set(delivery.webhook_id, (counts.get(delivery.webhook_id) || 0) + 1));
+    return [[...counts].map(([webhook_id, pending]) => ({ webhook_id, pending }))];
+  }],
+  ['SELECT d.webhook_id FROM webhook_delivery d JOIN webhook w', () => [queues()
+    .filter(({ deliveries }) => deliveries.length > 0 && isDue(deliveries[0]))
+    .map(({ webhook }) => ({ webhook_id: webhook.id }))]],
+  [/FROM webhook_delivery d JOIN webhook w .*WHERE d\.webhook_id = \?/, (params, query) => {
+    const queue = queues().find(({ webhook }) => webhook.id === params[0]);
+    return [(queue ? queue.deliveries : []).slice(0, Number(query.match(/LIMIT (\d+)/)[1]))
+      .map(delivery => ({ ...delivery, url: queue.webhook.url, secret: queue.webhook.secret, due: isDue(delivery) ? 1 : 0 }))];
+  }],
+  ["UPDATE webhook_delivery SET status = 'delivered'", ([attempts, response_status, duration_ms, id]) => {
+    Object.assign(mockDb.deliveries.find(delivery => delivery.id === id), {
+      status: 'delivered', attempts, response_status, duration_ms, error: null, next_attempt_at: null
+    });
+    return [{ affectedRows: 1 }];
+  }],
+  ['UPDATE webhook_delivery SET status = ?', ([status, attempts, response_status, error, duration_ms, next_attempt_at, id]) => {
+    Object.assign(mockDb.deliveries.find(delivery => delivery.id === id), {
+      status, attempts, response_status, error, duration_ms, next_attempt_at
+    });
+    return [{ affectedRows: 1 }];
+  }],
+  [/FROM webhook_delivery WHERE webhook_id = \?/, (params) => [mockDb.deliveries
+    .filter(delivery => delivery.webhook_id === params[0] && (!params[1] || delivery.status === params[1]))
+    .reverse()]]
+]);
+
+jest.mock('../server/config/database', () => mockPool);
+jest.mock('../server/services/realtimeService', () => ({
+  publishRFIDEvent: jest.fn().mockResolvedValue(),
+  publishSystemEvent: jest.fn().mockResolvedValue()
+}));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger, loggers: {} };
+});
+
+const webhooksRoutes = require('../server/routes/webhooks');
+const { WebhookService, sign } = require('../server/services/webhooks');
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('Webhooks', () => {
+  let app;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let replies;
+  let hanging = [];
+
+  beforeAll(async () => {
+    // Local receiver: records each request, answers with the next queued status (200 by default);
+    // /dead never answers
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        if (req.url === '/dead') {
+          hanging.push(res);
+          return;
+        }
+        res.statusCode = replies.shift() || 200;
+        res.end(res.statusCode === 200 ? 'ok' : 'receiver down');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    hanging.forEach(res => res.destroy());
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.webhooks = [];
+    mockDb.deliveries = [];
+    received = [];
+    replies = [];
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/webhooks', webhooksRoutes);
+  });
+
+  const subscribe = async (body) => (await request(app).post('/api/webhooks').send(body).expect(201)).body.data;
+
+  it('manages subscriptions and shows the secret only once', async () => {
+    const created = await subscribe({ name: 'Flask', url: `${receiverUrl}/webhook/rfid`, events: ['read', 'read'] });
+    expect(created).toEqual(expect.objectContaining({ id: 1, enabled: true, events: ['read'], secret: expect.any(String) }));
+
+    const list = await request(app).get('/api/webhooks').expect(200);
+    expect(list.body.data).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+
+    await request(app).post('/api/webhooks').send({ name: 'Bad', url: 'ftp://example.org', events: ['read'] }).expect(400);
+    await request(app).post('/api/webhooks').send({ name: 'Bad', url: receiverUrl, events: ['moved'] }).expect(400);
+    await request(app).post('/api/webhooks').send({ name: 'Bad', url: receiverUrl, events: [] }).expect(400);
+
+    const updated = await request(app).put('/api/webhooks/1').send({ events: ['read', 'alert'], enabled: false }).expect(200);
+    expect(updated.body.data).toEqual(expect.objectContaining({ events: ['read', 'alert'], enabled: false }));
+    await request(app).put('/api/webhooks/9').send({ enabled: true }).expect(404);
+    await request(app).get('/api/webhooks/9/deliveries').expect(404);
+  });
+
+  it('delivers signed events to the subscriptions of their type', async () => {
+    const engine = new EventEmitter();
+    const rules = new EventEmitter();
+    const service = new WebhookService({ engine, rules });
+    const movements = await subscribe({ name: 'ERP', url: `${receiverUrl}/erp`, events: ['departure', 'return', 'alert'], secret: 'erp-shared-secret-0001' });
+    await subscribe({ name: 'Everything', url: `${receiverUrl}/all`, events: ['*'] });
+
+    await service.start();
+    engine.emit('departure', { epc: 'CAM1', antenna: '1', departedAt: 1767225600 });
+    await waitFor(() => received.length === 2);
+    expect(await service.publish('read', { epc: 'CAM1' })).toBe(1);
+    await service.kick();
+    service.stop();
+
+    expect(received.map(delivery => [delivery.path, delivery.headers['x-webhook-event']])).toEqual([
+      ['/erp', 'departure'], ['/all', 'departure'], ['/all', 'read']
+    ]);
+    const [erp] = received;
+    expect(JSON.parse(erp.body)).toEqual({
+      id: expect.any(String), type: 'departure', created_at: expect.any(String),
+      data: { epc: 'CAM1', antenna: '1', departedAt: 1767225600 }
+    });
+    expect(erp.headers['x-webhook-signature']).toBe(`sha256=${sign(movements.secret, erp.headers['x-webhook-timestamp'], erp.body)}`);
+    expect(mockDb.deliveries.map(delivery => delivery.status)).toEqual(['delivered', 'delivered', 'delivered']);
+  });
+
+  it('retries failed deliveries with backoff and records them in the delivery log', async () => {
+    const service = new WebhookService({ engine: new EventEmitter(), rules: new EventEmitter(), retryBaseSeconds: 30, maxAttempts: 3 });
+    const webhook = await subscribe({ name: 'Flaky', url: `${receiverUrl}/flaky`, events: ['alert'] });
+    replies = [500, 503, 500];
+
+    const before = Math.floor(Date.now() / 1000);
+    await service.publish('alert', { id: 7, message: 'DATAS after hours' });
+    await service.kick();
+    const first = mockDb.deliveries[0];
+    expect(first).toEqual(expect.objectContaining({ status: 'pending', attempts: 1, response_status: 500, error: 'HTTP 500: receiver down' }));
+    expect(Date.parse(`${first.next_attempt_at}Z`) / 1000).toBeGreaterThanOrEqual(before + 30);
+
+    // Not due yet: nothing sent
+    await service.kick();
+    expect(received).toHaveLength(1);
+
+    // Second failure doubles the wait, the third is the last attempt
+    first.next_attempt_at = null;
+    await service.kick();
+    expect(Date.parse(`${first.next_attempt_at}Z`) / 1000).toBeGreaterThanOrEqual(before + 60);
+    first.next_attempt_at = null;
+    await service.kick();
+    expect(first).toEqual(expect.objectContaining({ status: 'failed', attempts: 3, next_attempt_at: null }));
+
+    const log = await request(app).get(`/api/webhooks/${webhook.id}/deliveries?status=failed`).expect(200);
+    expect(log.body.data).toEqual([expect.objectContaining({
+      event_type: 'alert', attempts: 3, payload: expect.objectContaining({ type: 'alert', data: { id: 7, message: 'DATAS after hours' } })
+    })]);
+
+    // A receiver back online gets the next event
+    await service.publish('alert', { id: 8 });
+    await service.kick();
+    expect(mockDb.deliveries[1]).toEqual(expect.objectContaining({ status: 'delivered', attempts: 1, response_status: 200 }));
+  });
+
+  it('keeps delivering to the other subscriptions while one receiver is dead, and holds back its queue', async () => {
+    const service = new WebhookService({ engine: new EventEmitter(), rules: new EventEmitter(), timeoutMs: 500 });
+    await subscribe({ name: 'Dead', url: `${receiverUrl}/dead`, events: ['alert'] });
+    await subscribe({ name: 'Live', url: `${receiverUrl}/live`, events: ['alert'] });
+    const paths = () => received.map(entry => entry.path);
+
+    const started = Date.now();
+    await service.publish('alert', { id: 1 });
+    await waitFor(() => paths().includes('/live'));
+    expect(Date.now() - started).toBeLessThan(500);
+    await service.kick();
+    expect(mockDb.deliveries[0]).toEqual(expect.objectContaining({ status: 'pending', attempts: 1, error: 'Timed out after 500 ms' }));
+
+    // The dead receiver's next event waits behind its retry; the live one gets it at once
+    await service.publish('alert', { id: 2 });
+    await service.kick();
+    expect(paths()).toEqual(['/dead', '/live', '/live']);
+    expect(mockDb.deliveries.filter(delivery => delivery.webhook_id === 1).map(delivery => delivery.attempts)).toEqual([1, 0]);
+  });
+
+  it('drops events for a subscription whose queue is full', async () => {
+    const service = new WebhookService({ engine: new EventEmitter(), rules: new EventEmitter(), timeoutMs: 200, maxPending: 2 });
+    await subscribe({ name: 'Dead', url: `${receiverUrl}/dead`, events: ['read'] });
+    await subscribe({ name: 'Live', url: `${receiverUrl}/live`, events: ['read'] });
+
+    for (let i = 0; i < 4; i++) {
+      await service.publish('read', { epc: `EPC${i}` });
+      await service.kick();
+    }
+
+    expect(mockDb.deliveries.filter(delivery => delivery.webhook_id === 1)).toHaveLength(2);
+    expect(mockDb.deliveries.filter(delivery => delivery.webhook_id === 2 && delivery.status === 'delivered')).toHaveLength(4);
+  });
+});
@@ -0,0 +1,226 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock database pool (write_job kept in memory)
+const mockDb = { jobs: [], items: [], now: '2026-10-18 08:00:00' };
+
+const whereStatuses = (query) => {
+  const where = query.slice(query.indexOf('WHERE'));
+  const single = where.match(/status = '(\w+)'/);
+  if (single) return [single[1]];
+  const list = where.match(/status IN \(([^)]+)\)/);
+  return list ? list[1].split(',').map(s => s.trim().replace(/'/g, '')) : null;
+};
+
+const mockExecute = jest.fn(async (sql, params = []) => {
+  const query = sql.replace(/\s+/g, ' ').trim();
+
+  if (query.startsWith('INSERT INTO write_job')) {
+    const id = mockDb.jobs.length + 1;
+    const [epc, serial_number, designation, group_id, mac_address] = params;
+    mockDb.jobs.push({
+      id, epc, serial_number, designation, group_id, mac_address, writer_mac: null,
+      status: 'pending', attempts: 0, error: null, verified_by: null,
+      created_at: mockDb.now, claimed_at: null, written_at: null, verified_at: null
+    });
+    return [{ insertId: id, affectedRows: 1 }];
+  }
+  if (query.startsWith('INSERT INTO item')) {
+    mockDb.items.push(params);
+    return [{ affectedRows: 1 }];
+  }
+  if (query.startsWith('SELECT id FROM write_job WHERE epc = ?')) {
+    const [epc, ...rest] = params;
+    const excluded = query.includes('id <> ?') ? rest.shift() : null;
+    return [mockDb.jobs.filter(job => job.epc === epc && job.id !== excluded && rest.includes(job.status)).slice(0, 1)];
+  }
+  if (query.includes("FROM write_job WHERE status = 'pending'")) {
+    return [mockDb.jobs.filter(job => job.status === 'pending' && (!job.mac_address || job.mac_address === params[0]))];
+  }
+  if (query.includes("status = 'claimed' AND claimed_at < ?")) {
+    return [mockDb.jobs.filter(job => job.status === 'claimed' && job.claimed_at < params[0])];
+  }
+  if (query.includes("status = 'written' AND written_at < ?")) {
+    return [mockDb.jobs.filter(job => job.status === 'written' && job.written_at < params[0])];
+  }
+  if (query.includes('FROM write_job WHERE id = ?')) {
+    return [mockDb.jobs.filter(job => job.id === Number(params[0])).map(job => ({ ...job }))];
+  }
+  if (query.includes('FROM write_job')) {
+    const status = query.includes('status = ?') ? params[0] : null;
+    return [mockDb.jobs.filter(job => !status || job.status === status).reverse()];
+  }
+  if (query.startsWith('UPDATE write_job')) {
+    const job = mockDb.jobs.find(j => j.id === Number(params[params.length - 1]));
+    if (!job || !whereStatuses(query).includes(job.status)) return [{ affectedRows: 0 }];
+    if (query.includes("SET status = 'claimed'")) {
+      Object.assign(job, { status: 'claimed', writer_mac: params[0], attempts: job.attempts + 1, error: null, claimed_at: mockDb.now });
+    } else if (query.includes("SET status = 'written'")) {
+      Object.assign(job, { status: 'written', written_at: mockDb.now });
+    } else if (query.includes("SET status = 'verified'")) {
+      Object.assign(job, { status: 'verified', verified_at: params[0], verified_by: params[1] });
+    } else if (query.includes('SET status = ?, error = ?')) {
+      Object.assign(job, { status: params[0], error: params[1] });
+    } else if (query.includes("SET status = 'pending'")) {
+      Object.assign(job, { status: 'pending', attempts: 0, error: null, writer_mac: null });
+    } else {
+      job.status = query.match(/SET status = '(\w+)'/)[1];
+      job.error = query.match(/error = '([^']+)'/)?.[1] ?? job.error;
+    }
+    return [{ affectedRows: 1 }];
+  }
+  return [[]];
+});
+
+jest.mock('../server/config/database', () => ({ execute: mockExecute }));
+jest.mock('../server/services/realtimeService', () => ({
+  publishRFIDEvent: jest.fn().mockResolvedValue(),
+  publishSystemEvent: jest.fn().mockResolvedValue()
+}));
+jest.mock('../server/services/movementEngine', () => ({ movementEngine: { processRead: jest.fn() } }));
+jest.mock('../server/logger', () => {
+  const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+  return { logger };
+});
+
+const rfidWriteRoutes = require('../server/routes/rfidWrite');
+const inputRoutes = require('../server/routes/input');
+const { writeJobs } = require('../server/services/writeJobs');
+const { readAggregator } = require('../server/services/readAggregator');
+
+const WRITER = 'AABBCCDDEE01';
+const EPC = '300833B2DDD9014000000001';
+
+// Let fire-and-forget verification settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RFID write jobs', () => {
+  let app;
+
+  // Stands in for the WiFi writer: polls, "encodes" the tag and acknowledges
+  const simulatedWriter = async (mac = WRITER, { fail = null } = {}) => {
+    const next = await request(app).get('/api/rfid/write/next').query({ mac_address: mac });
+    if (next.status === 204) return null;
+    const job = next.body.data;
+    const ack = await request(app)
+      .post(`/api/rfid/write/jobs/${job.id}/ack`)
+      .send(fail ? { mac_address: mac, success: false, error: fail } : { mac_address: mac, success: true })
+      .expect(200);
+    return ack.body.data;
+  };
+
+  // Dashboard actions (queue, cancel, retry) carry the admin token
+  const dashboard = (url) => request(app).post(url).set('X-Admin-Token', 'admin-secret');
+
+  // Any reader seeing the tag after it was written
+  const readTag = (epc) => request(app)
+    .post('/api/input/llrp')
+    .send({ MACAddress: '00:16:25:12:AB:CD', TagReportData: [{ EPC_96: epc, AntennaID: 2 }] })
+    .expect(200);
+
+  const savedAdminToken = process.env.ADMIN_TOKEN;
+
+  beforeAll(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    process.env.ADMIN_TOKEN = 'admin-secret';
+  });
+
+  afterAll(() => {
+    if (savedAdminToken === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = savedAdminToken;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.jobs = [];
+    mockDb.items = [];
+    mockDb.now = '2026-10-18 08:00:00';
+    writeJobs.awaitingRead.clear();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/rfid/write', rfidWriteRoutes);
+    app.use('/api', inputRoutes);
+  });
+
+  afterEach(async () => {
+    await readAggregator.flush();
+  });
+
+  it('encodes, registers the item and verifies on the next read', async () => {
+    const queued = await dashboard('/api/rfid/write')
+      .send({ epc: EPC.toLowerCase(), serial: 'SN-1', designation: 'Perceuse' })
+      .expect(202);
+    expect(queued.body.data).toEqual(expect.objectContaining({ epc: EPC, status: 'pending' }));
+
+    const written = await simulatedWriter();
+    expect(written).toEqual(expect.objectContaining({ status: 'written', writer_mac: WRITER, attempts: 1 }));
+    expect(mockDb.items[0]).toEqual([EPC, WRITER, 'SN-1', 5, 'Perceuse']);
+    expect(await simulatedWriter()).toBeNull();
+
+    await readTag(EPC);
+    await settle();
+
+    const job = await request(app).get(`/api/rfid/write/jobs/${written.id}`).expect(200);
+    expect(job.body.data).toEqual(expect.objectContaining({ status: 'verified', verified_by: '00162512ABCD#2' }));
+  });
+
+  it('retries a failed write and fails the job after the last attempt', async () => {
+    await dashboard('/api/rfid/write').send({ epc: EPC }).expect(202);
+
+    expect(await simulatedWriter(WRITER, { fail: 'No tag in field' })).toEqual(
+      expect.objectContaining({ status: 'pending', error: 'No tag in field' })
+    );
+    await simulatedWriter(WRITER, { fail: 'No tag in field' });
+    expect(await simulatedWriter(WRITER, { fail: 'Locked tag' })).toEqual(
+      expect.objectContaining({ status: 'failed', attempts: 3 })
+    );
+
+    const retried = await dashboard('/api/rfid/write/jobs/1/retry').expect(200);
+    expect(retried.body.data).toEqual(expect.objectContaining({ status: 'pending', attempts: 0 }));
+  });
+
+  it('only gives a pinned job to its writer', async () => {
+    await dashboard('/api/rfid/write').send({ epc: EPC, mac_address: 'aa:bb:cc:dd:ee:02' }).expect(202);
+
+    expect(await simulatedWriter(WRITER)).toBeNull();
+    expect(await simulatedWriter('AABBCCDDEE02')).toEqual(expect.objectContaining({ status: 'written' }));
+  });
+
+  it('refuses a second active job for the same EPC and invalid EPCs', async () => {
+    await dashboard('/api/rfid/write').send({ epc: EPC }).expect(202);
+    const duplicate = await dashboard('/api/rfid/write').send({ epc: EPC });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.code).toBe('JOB_ACTIVE');
+
+    await dashboard('/api/rfid/write').send({ epc: 'not-hex' }).expect(400);
+    await dashboard('/api/rfid/write').send({ epc: 'ABC' }).expect(400);
+  });
+
+  it('rejects an ack from a writer that did not claim the job', async () => {
+    await dashboard('/api/rfid/write').send({ epc: EPC }).expect(202);
+    await request(app).get('/api/rfid/write/next').query({ mac_address: WRITER }).expect(200);
+
+    await request(app)
+      .post('/api/rfid/write/jobs/1/ack')
+      .send({ mac_address: 'AABBCCDDEE02', success: true })
+      .expect(409);
+    await dashboard('/api/rfid/write/jobs/1/cancel').expect(200);
+    await dashboard('/api/rfid/write/jobs/1/cancel').expect(409);
+  });
+
+  it('releases unacknowledged claims and fails tags never read back', async () => {
+    await dashboard('/api/rfid/write').send({ epc: EPC }).expect(202);
+    await dashboard('/api/rfid/write').send({ epc: '300833B2DDD9014000000002' }).expect(202);
+    await request(app).get('/api/rfid/write/next').query({ mac_address: WRITER }).expect(200);
+    await simulatedWriter();
+
+    // 08:00 + 1h
+    await expect(writeJobs.sweep(Date.UTC(2026, 9, 18, 9, 0, 0) / 1000)).resolves.toEqual({ released: 1, unverified: 1 });
+    expect(mockDb.jobs.map(job => job.status)).toEqual(['pending', 'failed']);
+    expect(writeJobs.awaitingRead.size).toBe(0);
+
+    const list = await request(app).get('/api/rfid/write/jobs').query({ status: 'failed' }).expect(200);
+    expect(list.body.data).toEqual([expect.objectContaining({ id: 2, error: 'Not read back after writing' })]);
+  });
+});